@@ -12,12 +12,14 @@
  */
 
 import React from 'react';
-import { NavigationContainer } from '@react-navigation/native'; // Componente principal de navegação
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native'; // Componente principal de navegação
 import { createNativeStackNavigator } from '@react-navigation/native-stack'; // Para navegação em pilha (telas uma sobre a outra)
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs'; // Para navegação por abas na parte inferior
 import { Ionicons } from '@expo/vector-icons'; // Ícones para as abas
 import { SafeAreaProvider, useSafeAreaInsets } from 'react-native-safe-area-context'; // Para lidar com a área segura do dispositivo (notch, barra de status)
 import { AppProvider } from './AppContext'; // Importa o Provider do contexto global
+import UndoSnackbar from './components/UndoSnackbar'; // Aviso com "Desfazer" para a última ação
+import AppLockOverlay from './components/AppLockOverlay'; // Pede o PIN quando o app volta do segundo plano
 
 // Importa as telas do aplicativo
 import LoginScreen from './screens/LoginScreen';
@@ -27,9 +29,29 @@ import AdicionarReceitaScreen from './screens/AdicionarReceitaScreen';
 import DespesaScreen from './screens/DespesaScreen';
 import CartaoScreen from './screens/CartaoScreen';
 import AdicionarCartaoScreen from './screens/AdicionarCartaoScreen'; 
+import AjustesScreen from './screens/AjustesScreen';
+import ImportarOfxScreen from './screens/ImportarOfxScreen';
+import ImportarCsvScreen from './screens/ImportarCsvScreen';
+import LixeiraScreen from './screens/LixeiraScreen';
+import SincronizacaoScreen from './screens/SincronizacaoScreen';
+import CategoriasScreen from './screens/CategoriasScreen';
+import EditarCategoriaScreen from './screens/EditarCategoriaScreen';
+import OrcamentosScreen from './screens/OrcamentosScreen';
+import EditarOrcamentoScreen from './screens/EditarOrcamentoScreen';
 
 const Stack = createNativeStackNavigator(); // Cria uma instância do Stack Navigator
 const Tab = createBottomTabNavigator(); // Cria uma instância do Bottom Tab Navigator
+const navigationRef = createNavigationContainerRef(); // Permite navegar fora das telas (ex: após redefinir o PIN)
+
+/**
+ * Volta para a tela de login, descartando as telas abertas.
+ * @param {object} [params] - Parâmetros da rota de login (ex: `{ chooseProfile: true }`).
+ */
+const resetToLogin = (params) => {
+  if (navigationRef.isReady()) {
+    navigationRef.reset({ index: 0, routes: [{ name: 'Login', params }] });
+  }
+};
 
 /**
  * Componente que define a pilha de navegação para a aba "Receita".
@@ -78,9 +100,37 @@ function CartaoNavigator() {
   );
 }
 
+/**
+ * Componente que define a pilha de navegação para a aba "Ajustes".
+ * Concentra as operações sobre os dados (categorias, orçamentos, backup, importação, exportação, lixeira e sincronização).
+ */
+const AjustesStack = createNativeStackNavigator(); // Definido fora da função para evitar recriação
+function AjustesNavigator() {
+  return (
+    <AjustesStack.Navigator screenOptions={{ headerShown: false }}>
+      {/* Tela principal de ajustes */}
+      <AjustesStack.Screen name="ListaAjustes" component={AjustesScreen} />
+      {/* Categorias das despesas: lista e criação/edição, mesclagem e arquivamento */}
+      <AjustesStack.Screen name="Categorias" component={CategoriasScreen} />
+      <AjustesStack.Screen name="EditarCategoria" component={EditarCategoriaScreen} />
+      {/* Orçamentos mensais de gastos: acompanhamento mês a mês e criação/edição */}
+      <AjustesStack.Screen name="Orcamentos" component={OrcamentosScreen} />
+      <AjustesStack.Screen name="EditarOrcamento" component={EditarOrcamentoScreen} />
+      {/* Importação de extratos bancários OFX, com prévia dos lançamentos */}
+      <AjustesStack.Screen name="ImportarOfx" component={ImportarOfxScreen} />
+      {/* Importação de planilhas CSV, com mapeamento de colunas */}
+      <AjustesStack.Screen name="ImportarCsv" component={ImportarCsvScreen} />
+      {/* Lixeira: itens excluídos, com restauração e exclusão permanente */}
+      <AjustesStack.Screen name="Lixeira" component={LixeiraScreen} />
+      {/* Conta opcional para sincronizar os dados entre aparelhos */}
+      <AjustesStack.Screen name="Sincronizacao" component={SincronizacaoScreen} />
+    </AjustesStack.Navigator>
+  );
+}
+
 /**
  * Componente que define as abas principais do aplicativo.
- * Contém as telas "Início", "Receita", "Despesa" e "Cartão".
+ * Contém as telas "Início", "Receita", "Despesa", "Cartão" e "Ajustes".
  */
 function HomeTabs() {
   // Obtém os insets da área segura para ajustar o padding da barra de abas
@@ -102,6 +152,8 @@ function HomeTabs() {
             iconName = focused ? 'remove-circle' : 'remove-circle-outline';
           } else if (route.name === 'CartaoTab') {
             iconName = focused ? 'card' : 'card-outline';
+          } else if (route.name === 'AjustesTab') {
+            iconName = focused ? 'settings' : 'settings-outline';
           }
 
           // Retorna o componente Ionicons com o ícone e estilos definidos
@@ -143,6 +195,11 @@ function HomeTabs() {
         component={CartaoNavigator} // Renderiza o CartaoNavigator (pilha de telas)
         options={{ tabBarLabel: 'Cartão' }} // SIMPLIFICADO: Apenas a string 'Cartão'
       />
+      <Tab.Screen
+        name="AjustesTab" // Nome da rota para a pilha de ajustes
+        component={AjustesNavigator} // Renderiza o AjustesNavigator (pilha de telas)
+        options={{ tabBarLabel: 'Ajustes' }}
+      />
     </Tab.Navigator>
   );
 }
@@ -150,6 +207,8 @@ function HomeTabs() {
 /**
  * Componente principal do aplicativo.
  * Envolve toda a navegação com NavigationContainer e SafeAreaProvider.
+ * O acesso é protegido por PIN na tela de login e ao voltar do segundo plano. Os dados ficam
+ * cifrados até o login, que também aplica as migrações pendentes e limpa a lixeira.
  */
 export default function App() {
   return (
@@ -158,13 +217,20 @@ export default function App() {
       {/* SafeAreaProvider garante que useSafeAreaInsets funcione em todo o app */}
       <SafeAreaProvider>
         {/* NavigationContainer gerencia o estado da navegação */}
-        <NavigationContainer>
+        <NavigationContainer ref={navigationRef}>
           {/* Stack Navigator principal para alternar entre Login e as abas do Home */}
           <Stack.Navigator initialRouteName="Login">
             <Stack.Screen name="Login" component={LoginScreen} options={{ headerShown: false }} />
             <Stack.Screen name="Home" component={HomeTabs} options={{ headerShown: false }} />
           </Stack.Navigator>
         </NavigationContainer>
+        {/* Aviso com "Desfazer", exibido por cima de qualquer tela */}
+        <UndoSnackbar />
+        {/* Bloqueio por PIN; após redefinir o PIN ou sair do perfil, volta ao login */}
+        <AppLockOverlay
+          onReset={() => resetToLogin()}
+          onSwitchProfile={() => resetToLogin({ chooseProfile: true })}
+        />
       </SafeAreaProvider>
     </AppProvider>
   );
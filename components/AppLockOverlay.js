@@ -0,0 +1,119 @@
+// components/AppLockOverlay.js
+
+/**
+ * @file Bloqueio exibido por cima de todas as telas quando o app volta do segundo plano
+ * depois do tempo configurado em Ajustes. Cobre a tela atual sem desmontá-la, então um
+ * formulário em edição continua preenchido depois do desbloqueio. Também permite sair para
+ * a lista de perfis, quando outra pessoa vai usar o aparelho.
+ * Renderizado uma única vez em App.js.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, Modal, AppState, TouchableOpacity } from 'react-native';
+
+import PinUnlockForm from './PinUnlockForm';
+import { hasPin, getLockTimeoutMinutes } from '../utils/appLock';
+import { isStorageUnlocked } from '../utils/encryptedStorage';
+import { leaveProfile } from '../utils/profiles';
+
+/**
+ * Bloqueio por PIN ao voltar do segundo plano.
+ * @param {object} props
+ * @param {function(): void} props.onReset - Chamado depois que o PIN é redefinido, para voltar à tela de login.
+ * @param {function(): void} props.onSwitchProfile - Chamado depois de sair do perfil, para voltar à lista de perfis.
+ */
+export default function AppLockOverlay({ onReset, onSwitchProfile }) {
+  const [locked, setLocked] = useState(false);
+  // Momento em que o app foi para o segundo plano (null enquanto está em uso)
+  const backgroundedAt = useRef(null);
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', async (nextState) => {
+      // Antes do login, a própria tela de login já pede o PIN
+      if (!isStorageUnlocked()) return;
+      if (nextState === 'background') {
+        backgroundedAt.current = Date.now();
+        return;
+      }
+      if (nextState !== 'active' || backgroundedAt.current === null) return;
+
+      const elapsed = Date.now() - backgroundedAt.current;
+      backgroundedAt.current = null;
+      try {
+        const [pinExists, timeoutMinutes] = await Promise.all([hasPin(), getLockTimeoutMinutes()]);
+        if (pinExists && elapsed >= timeoutMinutes * 60 * 1000) {
+          setLocked(true);
+        }
+      } catch (error) {
+        // Na dúvida, bloqueia: o PIN continua sendo exigido
+        console.error('AppLockOverlay: Erro ao verificar bloqueio:', error);
+        setLocked(true);
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  /**
+   * Após apagar os dados ou restaurar um backup, fecha o bloqueio e volta para a criação do PIN.
+   */
+  const handleReset = () => {
+    setLocked(false);
+    onReset();
+  };
+
+  /**
+   * Sai do perfil bloqueado sem pedir o PIN e volta para a lista de perfis.
+   */
+  const handleSwitchProfile = async () => {
+    try {
+      await leaveProfile();
+    } catch (error) {
+      console.error('AppLockOverlay: Erro ao sair do perfil:', error);
+    }
+    setLocked(false);
+    onSwitchProfile();
+  };
+
+  return (
+    // onRequestClose vazio: o botão "voltar" do Android não fecha o bloqueio
+    <Modal animationType="none" visible={locked} onRequestClose={() => {}}>
+      <View style={styles.container}>
+        <Text style={styles.titleText}>💰 Finanças Simples</Text>
+        <Text style={styles.subtitleText}>App bloqueado</Text>
+        <PinUnlockForm onUnlock={() => setLocked(false)} onReset={handleReset} />
+        <TouchableOpacity onPress={handleSwitchProfile}>
+          <Text style={styles.linkText}>Trocar de perfil</Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Estilos de Layout
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  // Estilos de Texto
+  titleText: {
+    fontSize: 30,
+    fontWeight: 'bold',
+    color: '#007bff',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  subtitleText: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 40,
+  },
+  linkText: {
+    fontSize: 15,
+    color: '#007bff',
+    marginTop: 10,
+  },
+});
@@ -0,0 +1,85 @@
+// components/BudgetProgressBar.js
+
+/**
+ * @file Barra de progresso de um orçamento no mês: quanto do disponível já foi gasto.
+ * Verde dentro do limite, amarela perto dele e vermelha quando ultrapassado.
+ * Usada no resumo da tela inicial e na tela de orçamentos.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+import { formatCents } from '../utils/money';
+
+/** Cor da barra em cada situação do orçamento (ver `getBudgetProgress`). */
+export const BUDGET_LEVEL_COLORS = {
+  ok: '#28a745',
+  warning: '#ffc107',
+  exceeded: '#dc3545',
+};
+
+/**
+ * Barra de progresso de um orçamento.
+ * @param {object} props
+ * @param {string} props.name - Nome do orçamento.
+ * @param {import('../utils/budgets').BudgetProgress} props.progress - Situação do orçamento no mês.
+ * @param {boolean} [props.compact=false] - Versão menor, para o resumo da tela inicial.
+ */
+export default function BudgetProgressBar({ name, progress, compact = false }) {
+  const color = BUDGET_LEVEL_COLORS[progress.level];
+  const fill = `${Math.min(progress.ratio, 1) * 100}%`;
+  return (
+    <View style={compact ? styles.compactContainer : styles.container}>
+      <View style={styles.labelRow}>
+        <Text style={[styles.name, compact && styles.compactText]} numberOfLines={1}>{name}</Text>
+        <Text style={[styles.values, compact && styles.compactText, progress.level === 'exceeded' && { color }]}>
+          {formatCents(progress.spent)} / {formatCents(progress.available)} R$
+        </Text>
+      </View>
+      <View style={[styles.track, compact && styles.compactTrack]}>
+        <View style={[styles.fill, { width: fill, backgroundColor: color }]} />
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+  },
+  compactContainer: {
+    marginBottom: 8,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  name: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+    marginRight: 8,
+  },
+  values: {
+    fontSize: 14,
+    color: '#666',
+  },
+  compactText: {
+    fontSize: 13,
+  },
+  track: {
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#e9ecef',
+    overflow: 'hidden',
+  },
+  compactTrack: {
+    height: 6,
+    borderRadius: 3,
+  },
+  fill: {
+    height: '100%',
+  },
+});
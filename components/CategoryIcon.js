@@ -0,0 +1,32 @@
+// components/CategoryIcon.js
+
+/**
+ * @file Círculo com o ícone e a cor de uma categoria de despesas.
+ * Usado no seletor de categorias, na lista de categorias e nas despesas da tela inicial.
+ */
+
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+/**
+ * Ícone de uma categoria. Sem categoria, exibe um ícone neutro.
+ * @param {object} props
+ * @param {import('../utils/financeRepository').Category} [props.category] - A categoria.
+ * @param {number} [props.size=32] - Diâmetro em pontos.
+ */
+export default function CategoryIcon({ category, size = 32 }) {
+  const color = category ? category.color : '#ced4da';
+  return (
+    <View style={[styles.circle, { backgroundColor: color, width: size, height: size, borderRadius: size / 2 }]}>
+      <Ionicons name={category ? category.icon : 'pricetag-outline'} size={size * 0.55} color="#fff" />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  circle: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+});
@@ -0,0 +1,132 @@
+// components/CategoryPickerModal.js
+
+/**
+ * @file Modal para escolher uma categoria de despesas.
+ * Lista as categorias ativas agrupadas: cada categoria principal seguida das suas subcategorias.
+ * Usado no formulário de despesas e na tela de edição de categorias (categoria principal,
+ * mesclagem e arquivamento).
+ */
+
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, Modal, FlatList, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import commonStyles from '../utils/commonStyles';
+import { buildCategoryTree, isCategoryActive } from '../utils/categories';
+import CategoryIcon from './CategoryIcon';
+
+/**
+ * Seletor de categoria.
+ * @param {object} props
+ * @param {boolean} props.visible - Se o modal está aberto.
+ * @param {string} [props.title='Escolher Categoria'] - Título do modal.
+ * @param {import('../utils/financeRepository').Category[]} props.categories - Todas as categorias.
+ * @param {string|null} [props.selectedId] - Categoria marcada como escolhida.
+ * @param {function(string|null): void} props.onSelect - Chamado com o ID escolhido (null para "sem categoria").
+ * @param {function(): void} props.onClose - Chamado ao fechar sem escolher.
+ * @param {string} [props.noneLabel] - Texto da opção sem categoria; sem ele, a opção não aparece.
+ * @param {string[]} [props.excludeIds=[]] - Categorias que não podem ser escolhidas.
+ * @param {boolean} [props.rootsOnly=false] - Lista apenas as categorias principais.
+ */
+export default function CategoryPickerModal({
+  visible,
+  title = 'Escolher Categoria',
+  categories,
+  selectedId,
+  onSelect,
+  onClose,
+  noneLabel,
+  excludeIds = [],
+  rootsOnly = false,
+}) {
+  // Linhas da lista: categorias principais seguidas das suas subcategorias
+  const rows = useMemo(() => {
+    const available = categories.filter(category =>
+      isCategoryActive(category) && !(rootsOnly && category.parentId));
+    const list = buildCategoryTree(available).flatMap(root => [
+      { category: root, isChild: false },
+      ...root.children.map(child => ({ category: child, isChild: true })),
+    ]).filter(row => !excludeIds.includes(row.category.id));
+    return noneLabel ? [{ category: null, isChild: false }, ...list] : list;
+  }, [categories, excludeIds, rootsOnly, noneLabel]);
+
+  /**
+   * Renderiza uma categoria (ou a opção sem categoria).
+   * @param {{item: {category: object|null, isChild: boolean}}} param0
+   */
+  const renderRow = ({ item }) => {
+    const id = item.category ? item.category.id : null;
+    const selected = (selectedId || null) === id;
+    return (
+      <TouchableOpacity
+        style={[styles.row, item.isChild && styles.childRow]}
+        onPress={() => onSelect(id)}
+      >
+        <CategoryIcon category={item.category} size={item.isChild ? 28 : 34} />
+        <Text style={[styles.rowText, !item.isChild && styles.rootText]} numberOfLines={1}>
+          {item.category ? item.category.name : noneLabel}
+        </Text>
+        {selected && <Ionicons name="checkmark" size={22} color="#007bff" />}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={commonStyles.centeredView}>
+        <View style={[commonStyles.modalView, styles.modalView]}>
+          <Text style={commonStyles.modalTitle}>{title}</Text>
+          <FlatList
+            style={styles.list}
+            data={rows}
+            keyExtractor={item => (item.category ? item.category.id : 'none')}
+            renderItem={renderRow}
+            ListEmptyComponent={<Text style={styles.emptyText}>Nenhuma categoria disponível.</Text>}
+          />
+          <TouchableOpacity style={[commonStyles.modalButton, commonStyles.buttonClose, styles.closeButton]} onPress={onClose}>
+            <Text style={commonStyles.buttonTextStyle}>Cancelar</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalView: {
+    width: '90%',
+    maxHeight: '80%',
+    padding: 20,
+  },
+  list: {
+    width: '100%',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  childRow: {
+    paddingLeft: 24,
+  },
+  rowText: {
+    flex: 1,
+    fontSize: 15,
+    color: '#333',
+    marginLeft: 12,
+  },
+  rootText: {
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#666',
+    paddingVertical: 20,
+  },
+  closeButton: {
+    marginTop: 15,
+    alignSelf: 'stretch',
+  },
+});
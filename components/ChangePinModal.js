@@ -0,0 +1,146 @@
+// components/ChangePinModal.js
+
+/**
+ * @file Modal para trocar o PIN de bloqueio, exigindo o PIN atual.
+ * Os erros do PIN atual contam para o bloqueio temporário, como na tela de login.
+ * Em um perfil sem PIN, o mesmo modal define o primeiro PIN (sem o campo do PIN atual).
+ */
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Modal, TextInput, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
+
+import commonStyles from '../utils/commonStyles';
+import { PIN_MIN_LENGTH, PIN_MAX_LENGTH, isValidPin, changePin, setPin } from '../utils/appLock';
+
+/**
+ * Modal de troca do PIN.
+ * @param {object} props
+ * @param {boolean} props.visible - Se o modal está aberto.
+ * @param {function(): void} props.onClose - Chamado ao fechar o modal (cancelado ou concluído).
+ * @param {boolean} [props.hasCurrentPin=true] - Se o perfil já tem PIN (false para definir o primeiro).
+ */
+export default function ChangePinModal({ visible, onClose, hasCurrentPin = true }) {
+  const [currentPin, setCurrentPin] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Limpa os campos e fecha o modal.
+   */
+  const handleClose = () => {
+    setCurrentPin('');
+    setNewPin('');
+    setConfirmPin('');
+    onClose();
+  };
+
+  /**
+   * Valida os campos e troca o PIN.
+   */
+  const handleSave = async () => {
+    if (!isValidPin(newPin)) {
+      Alert.alert('Erro', `O novo PIN deve ter de ${PIN_MIN_LENGTH} a ${PIN_MAX_LENGTH} dígitos.`);
+      return;
+    }
+    if (newPin !== confirmPin) {
+      Alert.alert('Erro', 'Os novos PINs digitados não conferem.');
+      return;
+    }
+    setSaving(true);
+    try {
+      if (!hasCurrentPin) {
+        await setPin(newPin);
+        Alert.alert('Sucesso', 'PIN definido.');
+        handleClose();
+        return;
+      }
+      const result = await changePin(currentPin, newPin);
+      if (result.success) {
+        Alert.alert('Sucesso', 'PIN alterado.');
+        handleClose();
+      } else if (result.lockedUntil) {
+        const minutes = Math.ceil((result.lockedUntil - Date.now()) / 60000);
+        Alert.alert('Erro', `Muitas tentativas erradas. Tente de novo em ${minutes} minuto(s).`);
+        setCurrentPin('');
+      } else {
+        Alert.alert('Erro', `PIN atual incorreto. ${result.remainingAttempts} tentativa(s) antes do bloqueio temporário.`);
+        setCurrentPin('');
+      }
+    } catch (error) {
+      console.error('ChangePinModal: Erro ao trocar PIN:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível trocar o PIN.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={handleClose}>
+      <View style={commonStyles.centeredView}>
+        <View style={commonStyles.modalView}>
+          <Text style={commonStyles.modalTitle}>{hasCurrentPin ? 'Alterar PIN' : 'Definir PIN'}</Text>
+
+          {hasCurrentPin && (
+            <TextInput
+              style={[commonStyles.input, styles.pinInput]}
+              placeholder="PIN atual"
+              value={currentPin}
+              onChangeText={text => setCurrentPin(text.replace(/\D/g, ''))}
+              keyboardType="number-pad"
+              secureTextEntry
+              maxLength={PIN_MAX_LENGTH}
+            />
+          )}
+          <TextInput
+            style={[commonStyles.input, styles.pinInput]}
+            placeholder="Novo PIN"
+            value={newPin}
+            onChangeText={text => setNewPin(text.replace(/\D/g, ''))}
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={PIN_MAX_LENGTH}
+          />
+          <TextInput
+            style={[commonStyles.input, styles.pinInput]}
+            placeholder="Confirme o novo PIN"
+            value={confirmPin}
+            onChangeText={text => setConfirmPin(text.replace(/\D/g, ''))}
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={PIN_MAX_LENGTH}
+          />
+
+          <View style={commonStyles.modalActionButtonsContainer}>
+            <TouchableOpacity style={[commonStyles.modalButton, commonStyles.buttonClose, styles.actionButton]} onPress={handleClose}>
+              <Text style={commonStyles.buttonTextStyle}>Cancelar</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[commonStyles.modalButton, commonStyles.buttonEdit, styles.actionButton]}
+              onPress={handleSave}
+              disabled={saving}
+            >
+              {saving ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={commonStyles.buttonTextStyle}>Salvar</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  pinInput: {
+    width: '100%',
+    textAlign: 'center',
+    letterSpacing: 4,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 5,
+  },
+});
@@ -0,0 +1,209 @@
+// components/EarlyPayoffModal.js
+
+/**
+ * @file Modal de antecipação de uma compra no crédito: mostra as parcelas pendentes restantes,
+ * pede o valor com desconto para quitá-las e a fatura em que o pagamento único vence
+ * (ver `applyEarlyPayoff` em utils/installments.js).
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { Text, TextInput, TouchableOpacity, View, Modal, Pressable, ScrollView, StyleSheet, Alert } from 'react-native';
+
+import commonStyles from '../utils/commonStyles';
+import { formatCents, parseCurrencyInput, sumCents } from '../utils/money';
+
+/**
+ * Faturas em que o pagamento pode vencer: os vencimentos das parcelas restantes, um por mês.
+ * @param {object[]} installments - As parcelas restantes, em ordem.
+ * @returns {string[]} Os vencimentos ISO, em ordem.
+ */
+const getInvoiceDueDates = (installments) => {
+  const byMonth = new Map();
+  installments.forEach(installment => {
+    const dueDate = new Date(installment.dueDate);
+    const monthKey = `${dueDate.getFullYear()}-${dueDate.getMonth()}`;
+    if (!byMonth.has(monthKey)) {
+      byMonth.set(monthKey, installment.dueDate);
+    }
+  });
+  return [...byMonth.values()].sort((a, b) => new Date(a) - new Date(b));
+};
+
+/**
+ * Formata o mês de uma data ISO como "MM/AAAA".
+ * @param {string} isoDate - A data.
+ * @returns {string} O mês formatado.
+ */
+const formatInvoiceMonth = (isoDate) => {
+  const date = new Date(isoDate);
+  return `${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+};
+
+/**
+ * Modal de antecipação.
+ * @param {object} props
+ * @param {object|null} props.expense - A parcela tocada na tela inicial; null fecha o modal.
+ * @param {object[]} props.installments - As parcelas restantes da compra (ver `getRemainingInstallments`).
+ * @param {function({amount: number, dueDate: string}): void} props.onSave - Chamado com o valor em
+ *   centavos e o vencimento ISO da fatura escolhida.
+ * @param {function(): void} props.onClose - Fecha o modal sem antecipar.
+ */
+export default function EarlyPayoffModal({ expense, installments, onSave, onClose }) {
+  const [amountText, setAmountText] = useState('');
+  const [dueDate, setDueDate] = useState(null);
+
+  const remainingTotal = useMemo(() => sumCents(installments), [installments]);
+  const invoiceDueDates = useMemo(() => getInvoiceDueDates(installments), [installments]);
+
+  // Começa com o saldo restante, sem desconto, e com a fatura da próxima parcela
+  useEffect(() => {
+    if (expense) {
+      setAmountText(formatCents(remainingTotal));
+      setDueDate(invoiceDueDates[0] || null);
+    }
+  }, [expense, remainingTotal, invoiceDueDates]);
+
+  const amount = parseCurrencyInput(amountText);
+  const discount = !isNaN(amount) && amount < remainingTotal ? remainingTotal - amount : 0;
+
+  const handleSave = () => {
+    if (isNaN(amount) || amount <= 0 || amount > remainingTotal) {
+      Alert.alert('Erro', `Informe um valor maior que zero e de no máximo R$ ${formatCents(remainingTotal)}.`);
+      return;
+    }
+    onSave({ amount, dueDate });
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={Boolean(expense)} onRequestClose={onClose}>
+      <Pressable style={commonStyles.centeredView} onPressOut={onClose}>
+        <Pressable style={commonStyles.modalView} onPress={(e) => e.stopPropagation()}>
+          <Text style={commonStyles.modalTitle}>Antecipar Parcelas</Text>
+          {expense && (
+            <Text style={commonStyles.modalText}>
+              {expense.description}: {installments.length} parcela(s) pendente(s), somando R$ {formatCents(remainingTotal)}.
+              Elas serão quitadas por um pagamento único na fatura escolhida.
+            </Text>
+          )}
+
+          <ScrollView style={styles.installmentsList}>
+            {installments.map(installment => (
+              <View key={installment.id} style={styles.installmentRow}>
+                <Text style={styles.installmentText}>
+                  {installment.isDownPayment ? 'Entrada' : `${installment.installmentNumber}/${installment.totalInstallments}`}
+                  {' • '}{new Date(installment.dueDate).toLocaleDateString('pt-BR')}
+                </Text>
+                <Text style={styles.installmentText}>R$ {formatCents(installment.value)}</Text>
+              </View>
+            ))}
+          </ScrollView>
+
+          <Text style={[commonStyles.pickerLabel, styles.fieldLabel]}>Valor para quitar:</Text>
+          <TextInput
+            style={[commonStyles.input, styles.amountInput]}
+            placeholder="0,00"
+            placeholderTextColor="#bbb"
+            keyboardType="numeric"
+            value={amountText}
+            onChangeText={text => {
+              const numbers = text.replace(/[^\d]/g, '');
+              // Os dígitos digitados já são os centavos
+              setAmountText(numbers ? formatCents(parseInt(numbers, 10)) : '');
+            }}
+          />
+          {discount > 0 && (
+            <Text style={styles.discountText}>
+              Desconto: R$ {formatCents(discount)} ({(discount / remainingTotal * 100).toFixed(1).replace('.', ',')}%)
+            </Text>
+          )}
+
+          <Text style={[commonStyles.pickerLabel, styles.fieldLabel]}>Fatura:</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.invoiceList}>
+            {invoiceDueDates.map(invoiceDueDate => (
+              <TouchableOpacity
+                key={invoiceDueDate}
+                style={[styles.invoiceChip, invoiceDueDate === dueDate && styles.invoiceChipSelected]}
+                onPress={() => setDueDate(invoiceDueDate)}
+              >
+                <Text style={[styles.invoiceChipText, invoiceDueDate === dueDate && styles.invoiceChipTextSelected]}>
+                  {formatInvoiceMonth(invoiceDueDate)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          <View style={commonStyles.modalStackedButtonsContainer}>
+            <TouchableOpacity
+              style={[commonStyles.modalButton, commonStyles.modalButtonStacked, commonStyles.buttonEdit]}
+              onPress={handleSave}
+            >
+              <Text style={commonStyles.buttonTextStyle}>Antecipar</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[commonStyles.modalButton, commonStyles.modalButtonStacked, commonStyles.buttonClose]}
+              onPress={onClose}
+            >
+              <Text style={commonStyles.buttonTextStyle}>Cancelar</Text>
+            </TouchableOpacity>
+          </View>
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  installmentsList: {
+    width: '100%',
+    maxHeight: 150,
+    marginBottom: 10,
+  },
+  installmentRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  installmentText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  fieldLabel: {
+    alignSelf: 'flex-start',
+    paddingLeft: 0,
+  },
+  amountInput: {
+    width: '100%',
+    textAlign: 'right',
+  },
+  discountText: {
+    alignSelf: 'flex-end',
+    fontSize: 13,
+    color: '#28a745',
+    marginBottom: 10,
+  },
+  invoiceList: {
+    width: '100%',
+    flexGrow: 0,
+    marginBottom: 10,
+  },
+  invoiceChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#007bff',
+    marginRight: 8,
+  },
+  invoiceChipSelected: {
+    backgroundColor: '#007bff',
+  },
+  invoiceChipText: {
+    fontSize: 13,
+    color: '#007bff',
+  },
+  invoiceChipTextSelected: {
+    color: '#fff',
+  },
+});
@@ -0,0 +1,91 @@
+// components/EditProfileModal.js
+
+/**
+ * @file Modal para alterar o nome e a cor do perfil ativo.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
+
+import commonStyles from '../utils/commonStyles';
+import { updateProfile } from '../utils/profiles';
+import ProfileFields from './ProfileFields';
+
+/**
+ * Modal de edição do perfil.
+ * @param {object} props
+ * @param {boolean} props.visible - Se o modal está aberto.
+ * @param {import('../utils/profiles').Profile|null} props.profile - O perfil editado.
+ * @param {function(import('../utils/profiles').Profile=): void} props.onClose - Chamado ao fechar
+ *   o modal, com o perfil atualizado se ele foi salvo.
+ */
+export default function EditProfileModal({ visible, profile, onClose }) {
+  const [name, setName] = useState('');
+  const [color, setColor] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Preenche os campos sempre que o modal é aberto
+  useEffect(() => {
+    if (visible && profile) {
+      setName(profile.name);
+      setColor(profile.color);
+    }
+  }, [visible, profile]);
+
+  /**
+   * Valida os campos e salva o perfil.
+   */
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const updated = await updateProfile(profile.id, { name, color });
+      onClose(updated);
+    } catch (error) {
+      console.error('EditProfileModal: Erro ao salvar perfil:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível salvar o perfil.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={() => onClose()}>
+      <View style={commonStyles.centeredView}>
+        <View style={commonStyles.modalView}>
+          <Text style={commonStyles.modalTitle}>Editar Perfil</Text>
+
+          <View style={styles.fields}>
+            <ProfileFields name={name} onChangeName={setName} color={color} onChangeColor={setColor} />
+          </View>
+
+          <View style={commonStyles.modalActionButtonsContainer}>
+            <TouchableOpacity style={[commonStyles.modalButton, commonStyles.buttonClose, styles.actionButton]} onPress={() => onClose()}>
+              <Text style={commonStyles.buttonTextStyle}>Cancelar</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[commonStyles.modalButton, commonStyles.buttonEdit, styles.actionButton]}
+              onPress={handleSave}
+              disabled={saving}
+            >
+              {saving ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={commonStyles.buttonTextStyle}>Salvar</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  fields: {
+    width: '100%',
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 5,
+  },
+});
@@ -0,0 +1,81 @@
+// components/FixedScopeModal.js
+
+/**
+ * @file Modal que pergunta o alcance de uma alteração ou exclusão de despesa fixa: só a
+ * ocorrência tocada, esta e as próximas, ou a série inteira (ver utils/fixedExpenses.js).
+ */
+
+import React from 'react';
+import { Text, TouchableOpacity, View, Modal, Pressable, StyleSheet } from 'react-native';
+
+import commonStyles from '../utils/commonStyles';
+import { FIXED_EDIT_SCOPES, FIXED_EDIT_SCOPE_LABELS } from '../utils/fixedExpenses';
+
+/**
+ * Modal de escolha do alcance.
+ * @param {object} props
+ * @param {boolean} props.visible - Se o modal está aberto.
+ * @param {'save'|'delete'} props.action - A ação confirmada pela escolha.
+ * @param {string} props.occurrenceLabel - Data da ocorrência tocada, para o texto explicativo.
+ * @param {string[]} [props.seriesOnlyChanges] - Campos da série alterados no formulário (ver
+ *   `getSeriesOnlyChanges`); com algum, "Só esta ocorrência" fica indisponível ao salvar.
+ * @param {function(string): void} props.onSelect - Chamado com o alcance escolhido (`FIXED_EDIT_SCOPES`).
+ * @param {function(): void} props.onClose - Fecha o modal sem escolher.
+ */
+export default function FixedScopeModal({ visible, action, occurrenceLabel, seriesOnlyChanges = [], onSelect, onClose }) {
+  const isDelete = action === 'delete';
+  const occurrenceBlocked = !isDelete && seriesOnlyChanges.length > 0;
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <Pressable style={commonStyles.centeredView} onPressOut={onClose}>
+        <Pressable style={commonStyles.modalView} onPress={(e) => e.stopPropagation()}>
+          <Text style={commonStyles.modalTitle}>{isDelete ? 'Excluir Despesa Fixa' : 'Salvar Despesa Fixa'}</Text>
+          <Text style={commonStyles.modalText}>
+            {isDelete ? 'Excluir' : 'Aplicar as alterações em'} qual parte da série? Ocorrência tocada: {occurrenceLabel}.
+            {!isDelete && ' Em "Só esta ocorrência", apenas descrição, valor, categoria e tags mudam.'}
+          </Text>
+          {occurrenceBlocked && (
+            <Text style={[commonStyles.modalText, styles.blockedText]}>
+              Campos da série alterados ({seriesOnlyChanges.join(', ')}) não mudam em uma única ocorrência: escolha
+              "Esta e as próximas" ou "Toda a série", ou desfaça essas alterações.
+            </Text>
+          )}
+          <View style={commonStyles.modalStackedButtonsContainer}>
+            {Object.entries(FIXED_EDIT_SCOPE_LABELS).map(([scope, label]) => {
+              const disabled = occurrenceBlocked && scope === FIXED_EDIT_SCOPES.OCCURRENCE;
+              return (
+                <TouchableOpacity
+                  key={scope}
+                  style={[
+                    commonStyles.modalButton, commonStyles.modalButtonStacked,
+                    isDelete ? commonStyles.buttonDanger : commonStyles.buttonEdit,
+                    disabled && styles.disabledButton,
+                  ]}
+                  onPress={() => onSelect(scope)}
+                  disabled={disabled}
+                >
+                  <Text style={commonStyles.buttonTextStyle}>{label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+            <TouchableOpacity
+              style={[commonStyles.modalButton, commonStyles.modalButtonStacked, commonStyles.buttonClose]}
+              onPress={onClose}
+            >
+              <Text style={commonStyles.buttonTextStyle}>Cancelar</Text>
+            </TouchableOpacity>
+          </View>
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  blockedText: {
+    color: '#856404',
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+});
@@ -0,0 +1,162 @@
+// components/InstallmentPlanInput.js
+
+/**
+ * @file Campos da entrada e dos juros de uma compra parcelada no crédito, com o resumo do plano:
+ * valor das parcelas, total a prazo e juros pagos em relação ao preço à vista. Os valores são
+ * validados ao salvar por `normalizeFinancing` (ver utils/installments.js).
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity } from 'react-native';
+
+import commonStyles from '../utils/commonStyles';
+import { formatCents } from '../utils/money';
+import {
+  FINANCING_MODES, FINANCING_MODE_LABELS, buildInstallmentPlan, normalizeFinancing,
+} from '../utils/installments';
+
+/**
+ * Formata os dígitos digitados como valor em reais (os dígitos são os centavos).
+ * @param {string} text - O texto digitado.
+ * @returns {string} O valor formatado, ou vazio.
+ */
+const formatCurrencyDigits = (text) => {
+  const numbers = text.replace(/[^\d]/g, '');
+  return numbers ? formatCents(parseInt(numbers, 10)) : '';
+};
+
+/**
+ * Calcula o plano para o resumo, ou null enquanto os campos estão incompletos ou inválidos.
+ * @param {object} value - Os campos.
+ * @param {number} cashPrice - Preço à vista, em centavos.
+ * @param {number} count - Quantidade de parcelas.
+ * @returns {import('../utils/installments').InstallmentPlan|null} O plano.
+ */
+const getPreviewPlan = (value, cashPrice, count) => {
+  if (!(cashPrice > 0) || !(count > 0)) {
+    return null;
+  }
+  try {
+    return buildInstallmentPlan(cashPrice, count, normalizeFinancing(value, cashPrice, count));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Campos da entrada e dos juros.
+ * @param {object} props
+ * @param {{mode: string, downPayment: string, monthlyRate: string, installmentValue: string}} props.value - Os campos,
+ *   como texto (ver `getFinancingFields`).
+ * @param {function(object): void} props.onChange - Chamado com os campos alterados.
+ * @param {number} props.cashPrice - Preço à vista, em centavos (NaN enquanto o valor não foi preenchido).
+ * @param {number} props.count - Quantidade de parcelas.
+ */
+export default function InstallmentPlanInput({ value, onChange, cashPrice, count }) {
+  const plan = getPreviewPlan(value, cashPrice, count);
+
+  return (
+    <View style={styles.container}>
+      <Text style={commonStyles.pickerLabel}>Entrada (opcional):</Text>
+      <TextInput
+        style={commonStyles.input}
+        placeholder="0,00"
+        placeholderTextColor="#bbb"
+        keyboardType="numeric"
+        value={value.downPayment}
+        onChangeText={text => onChange({ ...value, downPayment: formatCurrencyDigits(text) })}
+      />
+
+      <Text style={commonStyles.pickerLabel}>Juros:</Text>
+      <View style={commonStyles.typeButtonsWrapper}>
+        {Object.entries(FINANCING_MODE_LABELS).map(([mode, label]) => (
+          <TouchableOpacity
+            key={mode}
+            style={[
+              commonStyles.typeButton,
+              value.mode === mode ? commonStyles.typeButtonSelected : commonStyles.typeButtonUnselected
+            ]}
+            onPress={() => onChange({ ...value, mode })}
+          >
+            <Text style={[
+              commonStyles.typeButtonText,
+              styles.modeText,
+              value.mode === mode ? commonStyles.typeButtonTextSelected : commonStyles.typeButtonTextUnselected
+            ]} numberOfLines={1}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {value.mode === FINANCING_MODES.RATE && (
+        <View style={styles.fieldContainer}>
+          <Text style={commonStyles.pickerLabel}>Taxa de juros (% ao mês):</Text>
+          <TextInput
+            style={commonStyles.input}
+            placeholder="1,99"
+            placeholderTextColor="#bbb"
+            keyboardType="decimal-pad"
+            value={value.monthlyRate}
+            onChangeText={text => onChange({ ...value, monthlyRate: text.replace(/[^\d,.]/g, '') })}
+            maxLength={6}
+          />
+        </View>
+      )}
+
+      {value.mode === FINANCING_MODES.INSTALLMENT && (
+        <View style={styles.fieldContainer}>
+          <Text style={commonStyles.pickerLabel}>Valor de cada parcela:</Text>
+          <TextInput
+            style={commonStyles.input}
+            placeholder="0,00"
+            placeholderTextColor="#bbb"
+            keyboardType="numeric"
+            value={value.installmentValue}
+            onChangeText={text => onChange({ ...value, installmentValue: formatCurrencyDigits(text) })}
+          />
+        </View>
+      )}
+
+      {/* Resumo do plano: parcelas, total a prazo e juros em relação ao preço à vista */}
+      {plan && (
+        <View style={styles.summary}>
+          {plan.downPayment > 0 && (
+            <Text style={styles.summaryText}>Entrada: R$ {formatCents(plan.downPayment)}</Text>
+          )}
+          <Text style={styles.summaryText}>{count}x de R$ {formatCents(plan.installmentValues[0])}</Text>
+          <Text style={styles.summaryText}>Total a prazo: R$ {formatCents(plan.totalPaid)}</Text>
+          <Text style={[styles.summaryText, plan.totalInterest > 0 && styles.summaryInterest]}>
+            Juros: R$ {formatCents(plan.totalInterest)} (à vista: R$ {formatCents(cashPrice)})
+            {plan.monthlyRate > 0 && ` • ${plan.monthlyRate.toFixed(2).replace('.', ',')}% ao mês`}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 15,
+  },
+  fieldContainer: {
+    marginTop: 10,
+  },
+  modeText: {
+    fontSize: 13,
+  },
+  summary: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: '#f1f8ff',
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 2,
+  },
+  summaryInterest: {
+    color: '#dc3545',
+    fontWeight: 'bold',
+  },
+});
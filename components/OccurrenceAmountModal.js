@@ -0,0 +1,97 @@
+// components/OccurrenceAmountModal.js
+
+/**
+ * @file Modal para informar o valor real de uma ocorrência de despesa fixa (a conta de luz do
+ * mês, por exemplo). O valor fica em `monthlyStatus` e substitui a estimativa só naquela
+ * ocorrência (ver utils/monthlyEntries.js).
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Text, TextInput, TouchableOpacity, View, Modal, Pressable, StyleSheet, Alert } from 'react-native';
+
+import commonStyles from '../utils/commonStyles';
+import { formatCents, parseCurrencyInput } from '../utils/money';
+
+/**
+ * Modal do valor real da ocorrência.
+ * @param {object} props
+ * @param {object|null} props.expense - A ocorrência (como devolvida por `getExpensesForMonth`); null fecha o modal.
+ * @param {function(number|null): void} props.onSave - Chamado com o valor em centavos, ou null para voltar à estimativa.
+ * @param {function(): void} props.onClose - Fecha o modal sem salvar.
+ */
+export default function OccurrenceAmountModal({ expense, onSave, onClose }) {
+  const [amountText, setAmountText] = useState('');
+
+  // Começa com o valor real já informado ou, se não houver, com a estimativa
+  useEffect(() => {
+    if (expense) {
+      setAmountText(formatCents(expense.actualAmount ?? expense.estimatedValue ?? expense.value));
+    }
+  }, [expense]);
+
+  const handleSave = () => {
+    const amount = parseCurrencyInput(amountText);
+    if (isNaN(amount) || amount <= 0) {
+      Alert.alert('Erro', 'Por favor, insira um valor válido.');
+      return;
+    }
+    onSave(amount);
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={Boolean(expense)} onRequestClose={onClose}>
+      <Pressable style={commonStyles.centeredView} onPressOut={onClose}>
+        <Pressable style={commonStyles.modalView} onPress={(e) => e.stopPropagation()}>
+          <Text style={commonStyles.modalTitle}>Valor do Mês</Text>
+          {expense && (
+            <Text style={commonStyles.modalText}>
+              {expense.description} ({new Date(expense.dueDate).toLocaleDateString('pt-BR')}).
+              Estimativa: R$ {formatCents(expense.estimatedValue ?? expense.value)}.
+            </Text>
+          )}
+          <TextInput
+            style={[commonStyles.input, styles.amountInput]}
+            placeholder="0,00"
+            placeholderTextColor="#bbb"
+            keyboardType="numeric"
+            value={amountText}
+            onChangeText={text => {
+              const numbers = text.replace(/[^\d]/g, '');
+              // Os dígitos digitados já são os centavos
+              setAmountText(numbers ? formatCents(parseInt(numbers, 10)) : '');
+            }}
+          />
+          <View style={commonStyles.modalStackedButtonsContainer}>
+            <TouchableOpacity
+              style={[commonStyles.modalButton, commonStyles.modalButtonStacked, commonStyles.buttonEdit]}
+              onPress={handleSave}
+            >
+              <Text style={commonStyles.buttonTextStyle}>Salvar Valor Real</Text>
+            </TouchableOpacity>
+            {expense?.actualAmount != null && (
+              <TouchableOpacity
+                style={[commonStyles.modalButton, commonStyles.modalButtonStacked, commonStyles.buttonDanger]}
+                onPress={() => onSave(null)}
+              >
+                <Text style={commonStyles.buttonTextStyle}>Voltar à Estimativa</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[commonStyles.modalButton, commonStyles.modalButtonStacked, commonStyles.buttonClose]}
+              onPress={onClose}
+            >
+              <Text style={commonStyles.buttonTextStyle}>Cancelar</Text>
+            </TouchableOpacity>
+          </View>
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  amountInput: {
+    width: '100%',
+    textAlign: 'right',
+  },
+});
@@ -0,0 +1,236 @@
+// components/PinUnlockForm.js
+
+/**
+ * @file Formulário para desbloquear o aplicativo com o PIN.
+ * Usado na tela de login e no bloqueio exibido quando o app volta do segundo plano.
+ * Mostra as tentativas restantes, a contagem regressiva do bloqueio temporário e o caminho
+ * "Esqueci meu PIN", que só redefine o PIN apagando os dados ou restaurando um backup.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
+
+import commonStyles from '../utils/commonStyles';
+import { PIN_MAX_LENGTH, verifyPin, getLockedUntil, wipeDataAndResetPin, restoreBackupAndResetPin } from '../utils/appLock';
+import { pickBackupFile } from '../utils/backup';
+
+/**
+ * Formulário de desbloqueio por PIN.
+ * @param {object} props
+ * @param {function(): void} props.onUnlock - Chamado quando o PIN correto é digitado.
+ * @param {function(): void} props.onReset - Chamado depois que o PIN é redefinido (dados apagados ou restaurados).
+ */
+export default function PinUnlockForm({ onUnlock, onReset }) {
+  const [pin, setPin] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [message, setMessage] = useState('');
+  // Fim do bloqueio temporário (timestamp) e o horário atual, para a contagem regressiva
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    getLockedUntil()
+      .then(setLockedUntil)
+      .catch(error => console.error('PinUnlockForm: Erro ao ler bloqueio do PIN:', error));
+  }, []);
+
+  // Atualiza a contagem regressiva enquanto houver bloqueio
+  useEffect(() => {
+    if (!lockedUntil) return undefined;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= lockedUntil) {
+        setLockedUntil(null);
+        setMessage('');
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  /**
+   * Confere o PIN digitado.
+   */
+  const handleUnlock = async () => {
+    if (!pin) return;
+    setChecking(true);
+    try {
+      const result = await verifyPin(pin);
+      setPin('');
+      if (result.success) {
+        setMessage('');
+        onUnlock();
+      } else if (result.lockedUntil) {
+        setNow(Date.now());
+        setLockedUntil(result.lockedUntil);
+        setMessage('Muitas tentativas erradas.');
+      } else {
+        setMessage(`PIN incorreto. ${result.remainingAttempts} tentativa(s) antes do bloqueio temporário.`);
+      }
+    } catch (error) {
+      console.error('PinUnlockForm: Erro ao conferir PIN:', error);
+      Alert.alert('Erro', 'Não foi possível conferir o PIN.');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  /**
+   * Apaga todos os dados e o PIN do perfil, depois de confirmar.
+   */
+  const handleWipe = () => {
+    Alert.alert(
+      'Apagar Todos os Dados',
+      'Todas as receitas, despesas, cartões e preferências deste perfil serão apagados. Esta ação não pode ser desfeita.',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Apagar',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await wipeDataAndResetPin();
+              onReset();
+            } catch (error) {
+              console.error('PinUnlockForm: Erro ao apagar dados:', error);
+              Alert.alert('Erro', 'Não foi possível apagar os dados.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Substitui os dados por um backup escolhido e remove o PIN, depois de confirmar.
+   */
+  const handleRestore = async () => {
+    let backup;
+    try {
+      backup = await pickBackupFile();
+    } catch (error) {
+      console.error('PinUnlockForm: Erro ao ler backup:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível ler o arquivo de backup.');
+      return;
+    }
+    if (!backup) return; // Usuário cancelou a seleção do arquivo
+
+    Alert.alert(
+      'Restaurar Backup',
+      `Todos os dados atuais do perfil serão substituídos pelo backup de ${new Date(backup.exportedAt).toLocaleDateString('pt-BR')}.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Substituir',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await restoreBackupAndResetPin(backup);
+              onReset();
+            } catch (error) {
+              console.error('PinUnlockForm: Erro ao restaurar backup:', error);
+              Alert.alert('Erro', 'Não foi possível restaurar o backup.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Explica que o PIN não pode ser recuperado e oferece as formas de redefini-lo.
+   */
+  const handleForgotPin = () => {
+    Alert.alert(
+      'Esqueci meu PIN',
+      'O PIN não pode ser recuperado. Para criar um novo, apague todos os dados do perfil ou substitua-os por um backup.',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        { text: 'Restaurar backup', onPress: handleRestore },
+        { text: 'Apagar dados', style: 'destructive', onPress: handleWipe },
+      ]
+    );
+  };
+
+  const isLocked = Boolean(lockedUntil) && lockedUntil > now;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Digite seu PIN</Text>
+      <TextInput
+        style={[commonStyles.input, styles.pinInput]}
+        value={pin}
+        onChangeText={text => setPin(text.replace(/\D/g, ''))}
+        keyboardType="number-pad"
+        secureTextEntry
+        maxLength={PIN_MAX_LENGTH}
+        editable={!isLocked && !checking}
+        onSubmitEditing={handleUnlock}
+        autoFocus
+      />
+
+      {isLocked ? (
+        <Text style={styles.errorText}>
+          {message || 'Muitas tentativas erradas.'} Tente de novo em {Math.ceil((lockedUntil - now) / 1000)} s.
+        </Text>
+      ) : message ? (
+        <Text style={styles.errorText}>{message}</Text>
+      ) : null}
+
+      <TouchableOpacity
+        style={[commonStyles.addButton, styles.unlockButton]}
+        onPress={handleUnlock}
+        disabled={isLocked || checking || !pin}
+      >
+        {checking ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={commonStyles.buttonText}>Desbloquear</Text>
+        )}
+      </TouchableOpacity>
+
+      <TouchableOpacity onPress={handleForgotPin} style={styles.forgotButton}>
+        <Text style={styles.forgotText}>Esqueci meu PIN</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Estilos de Layout
+  container: {
+    width: '80%',
+    maxWidth: 300,
+  },
+
+  // Estilos de Texto
+  label: {
+    fontSize: 16,
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#dc3545',
+    textAlign: 'center',
+  },
+  forgotText: {
+    fontSize: 14,
+    color: '#007bff',
+  },
+
+  // Estilos de Campos e Botões
+  pinInput: {
+    textAlign: 'center',
+    fontSize: 22,
+    letterSpacing: 8,
+  },
+  unlockButton: {
+    marginTop: 15,
+  },
+  forgotButton: {
+    alignItems: 'center',
+    marginTop: 20,
+    padding: 5,
+  },
+});
@@ -0,0 +1,35 @@
+// components/ProfileAvatar.js
+
+/**
+ * @file Círculo com a inicial e a cor de um perfil.
+ * Usado na lista de perfis do login e na seção de perfil dos Ajustes.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+/**
+ * Avatar de um perfil.
+ * @param {object} props
+ * @param {string} props.name - Nome do perfil (a inicial é exibida).
+ * @param {string} props.color - Cor de fundo.
+ * @param {number} [props.size=44] - Diâmetro em pontos.
+ */
+export default function ProfileAvatar({ name, color, size = 44 }) {
+  return (
+    <View style={[styles.avatar, { backgroundColor: color, width: size, height: size, borderRadius: size / 2 }]}>
+      <Text style={[styles.initialText, { fontSize: size * 0.45 }]}>{(name || '?').trim().charAt(0).toUpperCase()}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  avatar: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  initialText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,62 @@
+// components/ProfileFields.js
+
+/**
+ * @file Campos de nome e cor de um perfil.
+ * Usados na criação do perfil (tela de login) e na edição (Ajustes).
+ */
+
+import React from 'react';
+import { View, StyleSheet, TextInput, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import commonStyles from '../utils/commonStyles';
+import { PROFILE_COLORS, PROFILE_NAME_MAX_LENGTH } from '../utils/profiles';
+
+/**
+ * Campos de nome e cor.
+ * @param {object} props
+ * @param {string} props.name - Nome digitado.
+ * @param {function(string): void} props.onChangeName - Chamado com o novo nome.
+ * @param {string} props.color - Cor escolhida.
+ * @param {function(string): void} props.onChangeColor - Chamado com a nova cor.
+ */
+export default function ProfileFields({ name, onChangeName, color, onChangeColor }) {
+  return (
+    <View>
+      <TextInput
+        style={commonStyles.input}
+        placeholder="Nome do perfil"
+        value={name}
+        onChangeText={onChangeName}
+        maxLength={PROFILE_NAME_MAX_LENGTH}
+      />
+      <View style={styles.colorRow}>
+        {PROFILE_COLORS.map(option => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.colorOption, { backgroundColor: option }]}
+            onPress={() => onChangeColor(option)}
+            accessibilityLabel={`Cor ${option}`}
+          >
+            {option === color && <Ionicons name="checkmark" size={20} color="#fff" />}
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  colorRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 15,
+  },
+  colorOption: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+});
@@ -0,0 +1,295 @@
+// components/RecordHistoryModal.js
+
+/**
+ * @file Modal com o histórico de alterações de um registro (receita, despesa ou cartão).
+ * Mostra, da alteração mais recente para a mais antiga, quando, por qual origem e por quem (o
+ * perfil, ou a conta e o aparelho nas alterações vindas da nuvem) o registro foi criado, editado, excluído ou teve o status alterado, com os valores anteriores e novos.
+ * Para compras no crédito, reúne o histórico de todas as parcelas.
+ *
+ * É um modal (e não uma tela) para que as telas de edição não percam o formulário ao abri-lo.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, Text, StyleSheet, FlatList, ActivityIndicator, Alert, Modal, TouchableOpacity } from 'react-native';
+
+import commonStyles from '../utils/commonStyles';
+import { getRecordHistory } from '../utils/auditLog';
+import { formatCents } from '../utils/money';
+import { useCategories } from '../utils/useFinanceData';
+import { indexCategories, getCategoryLabel } from '../utils/categories';
+import { describeRecurrence, describeRecurrenceEnd } from '../utils/recurrence';
+import { describeFinancing } from '../utils/installments';
+import { loadProfiles } from '../utils/profiles';
+
+// Descrição de cada tipo de alteração
+const ACTION_LABELS = {
+  create: 'Criado',
+  update: 'Editado',
+  status: 'Status alterado',
+  delete: 'Excluído',
+  restore: 'Restaurado',
+  purge: 'Apagado permanentemente',
+};
+
+// Nome exibido de cada campo
+const FIELD_LABELS = {
+  name: 'Nome',
+  description: 'Descrição',
+  alias: 'Apelido',
+  value: 'Valor',
+  totalValue: 'Valor à vista',
+  financing: 'Entrada e juros',
+  isDownPayment: 'Entrada',
+  isPayoff: 'Antecipação',
+  settledInstallments: 'Parcelas quitadas',
+  settledBy: 'Quitada por antecipação',
+  type: 'Tipo',
+  month: 'Mês',
+  year: 'Ano',
+  paymentMethod: 'Método de pagamento',
+  status: 'Status',
+  paidAt: 'Pago em',
+  purchaseDate: 'Data da compra',
+  dueDate: 'Vencimento',
+  dueDayOfMonth: 'Dia de vencimento',
+  cardId: 'Cartão',
+  categoryId: 'Categoria',
+  tags: 'Tags',
+  recurrence: 'Recorrência',
+  recurrenceEnd: 'Termina',
+  variableAmount: 'Valor variável',
+  occurrenceOverrides: 'Ocorrências alteradas',
+  excludedOccurrences: 'Ocorrências excluídas',
+  installmentNumber: 'Parcela',
+  totalInstallments: 'Total de parcelas',
+  startMonth: 'Mês inicial',
+  startYear: 'Ano inicial',
+  monthlyStatus: 'Pagamentos mensais',
+  excludedMonths: 'Meses excluídos',
+  clearedMonths: 'Meses limpos (na lixeira)',
+  deletedAt: 'Excluído em',
+  createdAt: 'Criado em',
+};
+
+// Descrição de cada status
+const STATUS_LABELS = {
+  active: 'ativo',
+  inactive: 'inativo',
+  pending: 'pendente',
+  paid: 'pago',
+};
+
+// Campos com valores em centavos e campos com datas ISO
+const CENTS_FIELDS = ['value', 'totalValue'];
+const DATE_FIELDS = ['paidAt', 'purchaseDate', 'dueDate', 'deletedAt', 'createdAt'];
+
+/**
+ * Formata a chave de uma ocorrência de despesa fixa ("AAAA-M" ou "AAAA-M-D") como "MM/AAAA"
+ * ou, nas ocorrências semanais e quinzenais, "DD/MM/AAAA".
+ * @param {string} key - A chave.
+ * @returns {string} A ocorrência formatada.
+ */
+const formatOccurrenceKey = (key) => {
+  const [year, month, day] = key.split('-');
+  const monthYear = `${String(parseInt(month, 10) + 1).padStart(2, '0')}/${year}`;
+  return day ? `${day.padStart(2, '0')}/${monthYear}` : monthYear;
+};
+
+/**
+ * Formata o valor de um campo para exibição.
+ * @param {string} field - Nome do campo.
+ * @param {any} value - Valor salvo.
+ * @param {Object<string, object>} categoriesById - Categorias por ID, para exibir o nome da categoria.
+ * @returns {string} O valor formatado.
+ */
+const formatFieldValue = (field, value, categoriesById) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (CENTS_FIELDS.includes(field)) return `R$ ${formatCents(value)}`;
+  if (DATE_FIELDS.includes(field)) return new Date(value).toLocaleDateString('pt-BR');
+  if (field === 'status') return STATUS_LABELS[value] || value;
+  if (field === 'categoryId') return categoriesById[value] ? getCategoryLabel(categoriesById[value], categoriesById) : String(value);
+  if (field === 'month' || field === 'startMonth') return String(value + 1).padStart(2, '0');
+  if (field === 'monthlyStatus') {
+    const paid = value.filter(entry => entry.status === 'paid').map(entry => formatOccurrenceKey(entry.monthYear));
+    const amounts = value.filter(entry => entry.amount != null)
+      .map(entry => `${formatOccurrenceKey(entry.monthYear)} R$ ${formatCents(entry.amount)}`);
+    const paidText = paid.length > 0 ? `pagos: ${paid.join(', ')}` : 'nenhum mês pago';
+    return amounts.length > 0 ? `${paidText}; valores reais: ${amounts.join(', ')}` : paidText;
+  }
+  if (field === 'occurrenceOverrides') {
+    const keys = Object.keys(value);
+    return keys.length > 0 ? keys.map(formatOccurrenceKey).join(', ') : 'nenhuma';
+  }
+  if (field === 'clearedMonths') return value.length > 0 ? value.map(cleared => cleared.month).join(', ') : 'nenhum';
+  if (field === 'excludedOccurrences') return value.length > 0 ? value.map(formatOccurrenceKey).join(', ') : 'nenhuma';
+  if (field === 'recurrence') return describeRecurrence(value);
+  if (field === 'recurrenceEnd') return describeRecurrenceEnd(value);
+  if (field === 'variableAmount' || field === 'isDownPayment' || field === 'isPayoff') return value ? 'sim' : 'não';
+  if (field === 'settledBy') return 'sim';
+  if (field === 'financing') return describeFinancing(value);
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'nenhum';
+  return String(value);
+};
+
+/**
+ * Descreve quem fez uma alteração.
+ * @param {import('../utils/auditLog').AuditActor|undefined} actor - O autor da entrada.
+ * @param {Object<string, string>} profileNames - Nomes dos perfis, por ID.
+ * @returns {string} A descrição (ex: " • perfil Ana"), ou '' se não há autor registrado.
+ */
+const describeActor = (actor, profileNames) => {
+  if (!actor) return '';
+  if (actor.profileId) {
+    return ` • perfil ${profileNames[actor.profileId] || actor.profileId}`;
+  }
+  const device = actor.deviceId ? `aparelho ${actor.deviceId.slice(0, 6)}` : '';
+  return [actor.userEmail, device].filter(Boolean).map(part => ` • ${part}`).join('');
+};
+
+/**
+ * Modal com o histórico de um registro ou de um grupo de parcelas.
+ * @param {object} props
+ * @param {boolean} props.visible - Se o modal está aberto.
+ * @param {function(): void} props.onClose - Chamado ao fechar o modal.
+ * @param {string} props.collection - Chave da coleção (valor de `ASYNC_STORAGE_KEYS`).
+ * @param {string} [props.recordId] - ID do registro.
+ * @param {string} [props.groupId] - ID do grupo de parcelas (`originalExpenseId`).
+ * @param {string} props.title - Nome do registro, exibido abaixo do título.
+ */
+export default function RecordHistoryModal({ visible, onClose, collection, recordId, groupId, title }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [profileNames, setProfileNames] = useState({});
+  const { data: categories } = useCategories();
+  const categoriesById = useMemo(() => indexCategories(categories), [categories]);
+
+  // Recarrega o histórico sempre que o modal é aberto
+  useEffect(() => {
+    if (!visible) return;
+    setLoading(true);
+    loadProfiles()
+      .then(profiles => setProfileNames(Object.fromEntries(profiles.map(profile => [profile.id, profile.name]))))
+      .catch(error => console.error('RecordHistoryModal: Erro ao carregar perfis:', error));
+    getRecordHistory(collection, { recordId, groupId })
+      .then(setEntries)
+      .catch(error => {
+        console.error('RecordHistoryModal: Erro ao carregar histórico:', error);
+        Alert.alert('Erro', 'Não foi possível carregar o histórico.');
+      })
+      .finally(() => setLoading(false));
+  }, [visible, collection, recordId, groupId]);
+
+  /**
+   * Renderiza cada entrada do histórico com os campos alterados.
+   * @param {object} item - A entrada do histórico.
+   */
+  const renderEntry = ({ item }) => {
+    // Em grupos de parcelas, indica qual parcela foi alterada
+    const installment = groupId && item.recordId.includes('-') ? ` • Parcela ${item.recordId.split('-').pop()}` : '';
+    // Na criação, só mostra os campos preenchidos
+    const changes = item.action === 'create'
+      ? item.changes.filter(change => FIELD_LABELS[change.field] && change.field !== 'createdAt' && change.after !== null)
+      : item.changes.filter(change => FIELD_LABELS[change.field]);
+    return (
+      <View style={styles.entryItem}>
+        <Text style={styles.entryTitle}>{ACTION_LABELS[item.action] || item.action}{installment}</Text>
+        <Text style={styles.entryInfo}>
+          {new Date(item.at).toLocaleString('pt-BR')} • por {item.source}{describeActor(item.actor, profileNames)}
+        </Text>
+        {changes.map(change => (
+          <Text key={change.field} style={styles.changeText}>
+            <Text style={styles.changeField}>{FIELD_LABELS[change.field]}: </Text>
+            {item.action === 'create'
+              ? formatFieldValue(change.field, change.after, categoriesById)
+              : `${formatFieldValue(change.field, change.before, categoriesById)} → ${formatFieldValue(change.field, change.after, categoriesById)}`}
+          </Text>
+        ))}
+      </View>
+    );
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={commonStyles.centeredView}>
+        <View style={[commonStyles.modalView, styles.modalView]}>
+          <Text style={commonStyles.modalTitle}>Histórico</Text>
+          <Text style={styles.subtitle} numberOfLines={2}>{title}</Text>
+
+          {loading ? (
+            <ActivityIndicator size="large" color="#007bff" />
+          ) : entries.length > 0 ? (
+            <FlatList
+              data={entries}
+              renderItem={renderEntry}
+              keyExtractor={item => item.id}
+              style={styles.list}
+            />
+          ) : (
+            <Text style={commonStyles.modalText}>Nenhuma alteração registrada para este item.</Text>
+          )}
+
+          <TouchableOpacity
+            style={[commonStyles.modalButton, commonStyles.buttonClose, styles.closeButton]}
+            onPress={onClose}
+          >
+            <Text style={commonStyles.buttonTextStyle}>Fechar</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Estilos de Layout
+  modalView: {
+    padding: 20,
+    maxHeight: '85%',
+    alignItems: 'stretch',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  closeButton: {
+    marginTop: 15,
+  },
+
+  // Estilos das Entradas do Histórico
+  entryItem: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    // Sombras
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  entryTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  entryInfo: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 3,
+    marginBottom: 6,
+  },
+  changeText: {
+    fontSize: 14,
+    color: '#333',
+    marginTop: 2,
+  },
+  changeField: {
+    fontWeight: 'bold',
+  },
+});
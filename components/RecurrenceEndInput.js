@@ -0,0 +1,91 @@
+// components/RecurrenceEndInput.js
+
+/**
+ * @file Campos do fim de uma recorrência: nunca, em um mês ("MM/AAAA") ou após uma quantidade
+ * de ocorrências. Usado nos formulários de despesas fixas e receitas fixas; os valores são
+ * validados ao salvar por `normalizeRecurrenceEnd` (ver utils/recurrence.js).
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity } from 'react-native';
+
+import commonStyles from '../utils/commonStyles';
+import { RECURRENCE_END_TYPES, RECURRENCE_END_TYPE_LABELS, MAX_RECURRENCE_COUNT } from '../utils/recurrence';
+
+/**
+ * Formata os dígitos digitados como "MM/AAAA".
+ * @param {string} text - O texto digitado.
+ * @returns {string} O texto formatado.
+ */
+const formatMonthYearInput = (text) => {
+  const digits = text.replace(/\D/g, '').slice(0, 6);
+  return digits.length > 2 ? `${digits.slice(0, 2)}/${digits.slice(2)}` : digits;
+};
+
+/**
+ * Campos do fim da recorrência.
+ * @param {object} props
+ * @param {{type: string, monthYear: string, count: string}} props.value - Os campos, como texto
+ *   (ver `getRecurrenceEndFields`).
+ * @param {function(object): void} props.onChange - Chamado com os campos alterados.
+ */
+export default function RecurrenceEndInput({ value, onChange }) {
+  return (
+    <View style={commonStyles.typeSelectionContainer}>
+      <Text style={commonStyles.pickerLabel}>Termina:</Text>
+      <View style={commonStyles.typeButtonsWrapper}>
+        {Object.entries(RECURRENCE_END_TYPE_LABELS).map(([type, label]) => (
+          <TouchableOpacity
+            key={type}
+            style={[
+              commonStyles.typeButton,
+              value.type === type ? commonStyles.typeButtonSelected : commonStyles.typeButtonUnselected
+            ]}
+            onPress={() => onChange({ ...value, type })}
+          >
+            <Text style={[
+              commonStyles.typeButtonText,
+              value.type === type ? commonStyles.typeButtonTextSelected : commonStyles.typeButtonTextUnselected
+            ]}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {value.type === RECURRENCE_END_TYPES.DATE && (
+        <View style={styles.fieldContainer}>
+          <Text style={commonStyles.pickerLabel}>Último mês (MM/AAAA):</Text>
+          <TextInput
+            style={commonStyles.input}
+            placeholder="12/2026"
+            placeholderTextColor="#bbb"
+            keyboardType="numeric"
+            value={value.monthYear}
+            onChangeText={text => onChange({ ...value, monthYear: formatMonthYearInput(text) })}
+            maxLength={7}
+          />
+        </View>
+      )}
+
+      {value.type === RECURRENCE_END_TYPES.COUNT && (
+        <View style={styles.fieldContainer}>
+          <Text style={commonStyles.pickerLabel}>Quantidade de vezes (até {MAX_RECURRENCE_COUNT}):</Text>
+          <TextInput
+            style={commonStyles.input}
+            placeholder="12"
+            placeholderTextColor="#bbb"
+            keyboardType="numeric"
+            value={value.count}
+            onChangeText={text => onChange({ ...value, count: text.replace(/\D/g, '') })}
+            maxLength={3}
+          />
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  fieldContainer: {
+    marginTop: 10,
+  },
+});
@@ -0,0 +1,131 @@
+// components/TagInput.js
+
+/**
+ * @file Campo de tags com sugestões das tags já usadas.
+ * A tag é adicionada ao confirmar o teclado, ao digitar uma vírgula ou ao tocar em uma
+ * sugestão; tocar em uma tag escolhida a remove. Usado nos formulários de receitas e despesas,
+ * cujo ScrollView deve usar `keyboardShouldPersistTaps="handled"` para que o toque na sugestão
+ * não seja consumido fechando o teclado.
+ */
+
+import React, { useState, useMemo } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import commonStyles from '../utils/commonStyles';
+import { normalizeTags, suggestTags, TAG_MAX_LENGTH } from '../utils/tags';
+
+/**
+ * Campo de tags.
+ * @param {object} props
+ * @param {string[]} props.tags - Tags escolhidas.
+ * @param {function(string[]): void} props.onChangeTags - Chamado com a nova lista de tags.
+ * @param {string[]} props.existingTags - Tags já usadas, sugeridas enquanto o usuário digita.
+ */
+export default function TagInput({ tags, onChangeTags, existingTags }) {
+  const [text, setText] = useState('');
+
+  // Sem texto digitado, sugere as tags mais usadas
+  const suggestions = useMemo(() => suggestTags(existingTags, text, tags), [existingTags, text, tags]);
+
+  /**
+   * Adiciona as tags (normalizadas) e limpa o texto digitado.
+   * @param {...string} values - Os textos das tags.
+   */
+  const addTag = (...values) => {
+    const next = normalizeTags([...tags, ...values]);
+    if (next.length !== tags.length) {
+      onChangeTags(next);
+    }
+    setText('');
+  };
+
+  /**
+   * Trata o texto digitado: a vírgula confirma a tag.
+   * @param {string} value - O texto do campo.
+   */
+  const handleChangeText = (value) => {
+    if (value.includes(',')) {
+      addTag(...value.split(','));
+    } else {
+      setText(value);
+    }
+  };
+
+  return (
+    <View>
+      {tags.length > 0 && (
+        <View style={styles.chipsRow}>
+          {tags.map(tag => (
+            <TouchableOpacity
+              key={tag}
+              style={[styles.chip, styles.selectedChip]}
+              onPress={() => onChangeTags(tags.filter(existing => existing !== tag))}
+              accessibilityLabel={`Remover tag ${tag}`}
+            >
+              <Text style={styles.selectedChipText}>#{tag}</Text>
+              <Ionicons name="close" size={14} color="#fff" style={styles.chipIcon} />
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      <TextInput
+        style={commonStyles.input}
+        placeholder="Ex: viagem-2026, reembolsável"
+        placeholderTextColor="#bbb"
+        value={text}
+        onChangeText={handleChangeText}
+        onSubmitEditing={() => addTag(text)}
+        onBlur={() => addTag(text)}
+        autoCapitalize="none"
+        autoCorrect={false}
+        blurOnSubmit={false}
+        returnKeyType="done"
+        maxLength={TAG_MAX_LENGTH}
+      />
+      {suggestions.length > 0 && (
+        <View style={styles.chipsRow}>
+          {suggestions.map(tag => (
+            <TouchableOpacity key={tag} style={styles.chip} onPress={() => addTag(tag)}>
+              <Ionicons name="add" size={14} color="#007bff" style={styles.chipIcon} />
+              <Text style={styles.chipText}>{tag}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chipsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#007bff',
+    borderRadius: 15,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    backgroundColor: '#007bff',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#007bff',
+  },
+  selectedChipText: {
+    fontSize: 13,
+    color: '#fff',
+  },
+  chipIcon: {
+    marginHorizontal: 2,
+  },
+});
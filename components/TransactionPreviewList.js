@@ -0,0 +1,137 @@
+// components/TransactionPreviewList.js
+
+/**
+ * @file Prévia de lançamentos importados (OFX, CSV), com seleção do que será salvo.
+ * Lançamentos já importados antes aparecem esmaecidos e não podem ser marcados.
+ */
+
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, FlatList, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { formatCents } from '../utils/money';
+
+/**
+ * Estado de seleção da prévia. Ao carregar novos lançamentos, marca todos os que não são duplicatas.
+ * @returns {{selectedIds: Set<string>, resetSelection: function(Array<object>): void, toggleSelection: function(string): void}}
+ */
+export const useTransactionSelection = () => {
+  const [selectedIds, setSelectedIds] = useState(new Set());
+
+  const resetSelection = useCallback((transactions) => {
+    setSelectedIds(new Set(transactions.filter(t => !t.duplicate).map(t => t.externalId)));
+  }, []);
+
+  const toggleSelection = useCallback((externalId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(externalId)) {
+        next.delete(externalId);
+      } else {
+        next.add(externalId);
+      }
+      return next;
+    });
+  }, []);
+
+  return { selectedIds, resetSelection, toggleSelection };
+};
+
+/**
+ * Lista de lançamentos com caixa de seleção.
+ * @param {object} props
+ * @param {Array<object>} props.transactions - Lançamentos (ver utils/importTransactions.js).
+ * @param {Set<string>} props.selectedIds - IDs externos marcados.
+ * @param {function(string): void} props.onToggle - Chamado ao tocar em um lançamento.
+ */
+export default function TransactionPreviewList({ transactions, selectedIds, onToggle }) {
+  const renderTransaction = ({ item }) => {
+    const selected = selectedIds.has(item.externalId);
+    return (
+      <TouchableOpacity
+        style={[styles.transactionItem, item.duplicate && styles.transactionDuplicate]}
+        onPress={() => onToggle(item.externalId)}
+        disabled={item.duplicate}
+      >
+        <Ionicons
+          name={selected ? 'checkbox' : 'square-outline'}
+          size={24}
+          color={item.duplicate ? '#bbb' : '#007bff'}
+          style={styles.checkbox}
+        />
+        <View style={styles.transactionDetails}>
+          <Text style={styles.transactionDescription} numberOfLines={2}>{item.description}</Text>
+          <Text style={styles.transactionInfo}>
+            {item.date.toLocaleDateString('pt-BR')} • {item.kind === 'expense' ? 'Despesa (Débito)' : 'Receita (Ganho)'}
+            {item.duplicate ? ' • Já importado' : ''}
+          </Text>
+        </View>
+        <Text style={[styles.transactionValue, item.kind === 'expense' ? styles.expenseValue : styles.incomeValue]}>
+          {item.kind === 'expense' ? '-' : '+'}{formatCents(item.value)}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <FlatList
+      data={transactions}
+      renderItem={renderTransaction}
+      keyExtractor={item => item.externalId}
+      extraData={selectedIds}
+      contentContainerStyle={styles.listContent}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  listContent: {
+    paddingBottom: 20,
+  },
+
+  // Estilos dos Itens da Prévia
+  transactionItem: {
+    backgroundColor: '#ffffff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    flexDirection: 'row',
+    alignItems: 'center',
+    // Sombras
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  transactionDuplicate: {
+    opacity: 0.5,
+  },
+  checkbox: {
+    marginRight: 10,
+  },
+  transactionDetails: {
+    flex: 1,
+  },
+  transactionDescription: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  transactionInfo: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 3,
+  },
+  transactionValue: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    marginLeft: 10,
+  },
+  expenseValue: {
+    color: '#dc3545',
+  },
+  incomeValue: {
+    color: '#28a745',
+  },
+});
@@ -0,0 +1,106 @@
+// components/UndoSnackbar.js
+
+/**
+ * @file Aviso temporário ("snackbar") com o botão "Desfazer" para a última ação registrada em
+ * utils/undoHistory.js. Fica visível por alguns segundos após cada ação e some sozinho.
+ * Renderizado uma única vez em App.js, acima da navegação, para aparecer em qualquer tela.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { subscribeUndoHistory, undoLast } from '../utils/undoHistory';
+
+// Tempo (ms) que o aviso fica visível
+const VISIBLE_DURATION = 5000;
+
+export default function UndoSnackbar() {
+  const insets = useSafeAreaInsets();
+
+  // Ação exibida no aviso (null quando oculto)
+  const [command, setCommand] = useState(null);
+  const hideTimer = useRef(null);
+  // ID da ação mais recente já vista, para só exibir o aviso quando uma ação nova é registrada
+  const lastCommandId = useRef(null);
+
+  useEffect(() => {
+    const unsubscribe = subscribeUndoHistory((history) => {
+      const latest = history[history.length - 1] || null;
+      if (latest && latest.id !== lastCommandId.current) {
+        lastCommandId.current = latest.id;
+        setCommand(latest);
+        clearTimeout(hideTimer.current);
+        hideTimer.current = setTimeout(() => setCommand(null), VISIBLE_DURATION);
+      } else if (!latest) {
+        setCommand(null);
+      }
+    });
+    return () => {
+      unsubscribe();
+      clearTimeout(hideTimer.current);
+    };
+  }, []);
+
+  /**
+   * Desfaz a ação exibida e esconde o aviso.
+   */
+  const handleUndo = async () => {
+    clearTimeout(hideTimer.current);
+    setCommand(null);
+    try {
+      await undoLast();
+    } catch (error) {
+      console.error('UndoSnackbar: Erro ao desfazer ação:', error);
+      Alert.alert('Erro', 'Não foi possível desfazer a ação.');
+    }
+  };
+
+  if (!command) {
+    return null;
+  }
+
+  return (
+    // Fica acima da barra de abas (60 de altura + área segura inferior)
+    <View style={[styles.snackbar, { bottom: 70 + insets.bottom }]} pointerEvents="box-none">
+      <Text style={styles.snackbarText} numberOfLines={2}>{command.label}</Text>
+      <TouchableOpacity onPress={handleUndo} style={styles.undoButton}>
+        <Text style={styles.undoButtonText}>DESFAZER</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  snackbar: {
+    position: 'absolute',
+    left: 15,
+    right: 15,
+    backgroundColor: '#323232',
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 15,
+    flexDirection: 'row',
+    alignItems: 'center',
+    // Sombras
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    elevation: 6,
+  },
+  snackbarText: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 14,
+  },
+  undoButton: {
+    marginLeft: 15,
+    paddingVertical: 5,
+  },
+  undoButtonText: {
+    color: '#4fc3f7',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
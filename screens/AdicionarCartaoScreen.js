@@ -2,13 +2,15 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, TextInput, TouchableOpacity, Alert, ActivityIndicator, ScrollView } from 'react-native';
 import { Picker } from '@react-native-picker/picker';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useSafeAreaInsets } from 'react-native-safe-area-context'; // Importar useSafeAreaInsets
 
 // Importa os estilos comuns para reutilização
 import commonStyles from '../utils/commonStyles';
-// Importa as chaves de AsyncStorage como constantes
+// Acesso centralizado aos dados de cartões
+import { saveCard } from '../utils/financeRepository';
 import { ASYNC_STORAGE_KEYS } from '../utils/constants';
+import { runUndoable } from '../utils/undoHistory';
+import RecordHistoryModal from '../components/RecordHistoryModal';
 
 
 export default function AdicionarCartaoScreen({ navigation, route }) {
@@ -21,6 +23,7 @@ export default function AdicionarCartaoScreen({ navigation, route }) {
   // Estados de controle
   const [savingCard, setSavingCard] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
+  const [showHistoryModal, setShowHistoryModal] = useState(false);
   
   // Estados de dados do cartão
   const [currentCardId, setCurrentCardId] = useState(null);
@@ -93,34 +96,24 @@ export default function AdicionarCartaoScreen({ navigation, route }) {
     setSavingCard(true); // Ativa o indicador de carregamento
 
     try {
-      const storedCardsJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.CARDS);
-      let cards = storedCardsJson ? JSON.parse(storedCardsJson) : [];
-      
       const cardData = prepareCardData();
 
+      // Insere o cartão novo ou substitui o existente com o mesmo ID.
+      // Edições podem ser desfeitas; a confirmação aparece no aviso com "Desfazer"
       if (isEditing) {
-        const index = cards.findIndex(c => c.id === currentCardId);
-        if (index !== -1) {
-          cards[index] = cardData;
-        } else {
-          console.warn("Cartão a ser editado não encontrado. Adicionando como novo.");
-          cards.push(cardData);
-        }
-        Alert.alert('Sucesso', 'Cartão atualizado com sucesso!');
+        await runUndoable(`Cartão "${cardData.alias}" atualizado`, [ASYNC_STORAGE_KEYS.CARDS], () => saveCard(cardData));
       } else {
-        cards.push(cardData);
+        await saveCard(cardData);
         Alert.alert('Sucesso', 'Cartão adicionado com sucesso!');
       }
-
-      await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.CARDS, JSON.stringify(cards));
-      console.log(`Cartão ${isEditing ? 'atualizado' : 'adicionado'} no AsyncStorage:`, cardData);
+      console.log(`Cartão ${isEditing ? 'atualizado' : 'adicionado'}:`, cardData);
       
       // Limpa o formulário e navega de volta
       resetForm();
       navigation.goBack();
 
     } catch (error) {
-      console.error("AdicionarCartaoScreen: Erro ao salvar cartão no AsyncStorage:", error);
+      console.error("AdicionarCartaoScreen: Erro ao salvar cartão:", error);
       Alert.alert('Erro', `Ocorreu um erro ao salvar o cartão: ${error.message}.`);
     } finally {
       setSavingCard(false); // Desativa o indicador de carregamento
@@ -192,7 +185,25 @@ export default function AdicionarCartaoScreen({ navigation, route }) {
             <Text style={commonStyles.buttonText}>{isEditing ? "Salvar Alterações" : "Adicionar Cartão"}</Text>
           )}
         </TouchableOpacity>
+
+        {/* Botão para ver o histórico de alterações (aparece apenas em modo de edição) */}
+        {isEditing && (
+          <TouchableOpacity style={commonStyles.historyButton} onPress={() => setShowHistoryModal(true)}>
+            <Text style={commonStyles.buttonText}>Ver Histórico</Text>
+          </TouchableOpacity>
+        )}
       </ScrollView>
+
+      {/* Modal de Histórico */}
+      {isEditing && (
+        <RecordHistoryModal
+          visible={showHistoryModal}
+          onClose={() => setShowHistoryModal(false)}
+          collection={ASYNC_STORAGE_KEYS.CARDS}
+          recordId={currentCardId}
+          title={cardAlias}
+        />
+      )}
     </View>
   );
 }
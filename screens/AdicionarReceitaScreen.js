@@ -1,14 +1,22 @@
 // screens/AdicionarReceitaScreen.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { View, Text, StyleSheet, TextInput, TouchableOpacity, Platform, Alert, ActivityIndicator, ScrollView } from 'react-native';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useSafeAreaInsets } from 'react-native-safe-area-context'; // Importar useSafeAreaInsets
 
 
-// Importa os estilos comuns e as constantes para reutilização
+// Importa os estilos comuns e o acesso centralizado aos dados de receitas
 import commonStyles from '../utils/commonStyles';
+import { saveIncome } from '../utils/financeRepository';
+import { formatCents, parseCurrencyInput } from '../utils/money';
 import { ASYNC_STORAGE_KEYS } from '../utils/constants';
+import { runUndoable } from '../utils/undoHistory';
+import { useIncomes, useExpenses } from '../utils/useFinanceData';
+import { collectTags } from '../utils/tags';
+import { getRecurrenceEndFields, normalizeRecurrenceEnd } from '../utils/recurrence';
+import RecordHistoryModal from '../components/RecordHistoryModal';
+import TagInput from '../components/TagInput';
+import RecurrenceEndInput from '../components/RecurrenceEndInput';
 
 
 export default function AdicionarReceitaScreen({ navigation, route }) {
@@ -20,6 +28,9 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
   const [incomeValue, setIncomeValue] = useState(''); // Estado para o valor da receita (string para input)
   const [incomeType, setIncomeType] = useState('Fixo'); // Estado para o tipo da receita ('Fixo' ou 'Ganho')
   const [selectedDate, setSelectedDate] = useState(new Date()); // Estado para a data selecionada (para receitas 'Ganho')
+  const [tags, setTags] = useState([]); // Tags livres da receita
+  // Fim opcional da receita fixa: último mês ou quantidade de meses (ver utils/recurrence.js)
+  const [recurrenceEndFields, setRecurrenceEndFields] = useState(() => getRecurrenceEndFields(null));
   const [showDatePicker, setShowDatePicker] = useState(Platform.OS === 'ios'); // Controla a visibilidade do DatePicker
   const [savingIncome, setSavingIncome] = useState(false); // Estado para controlar o salvamento da receita
 
@@ -28,6 +39,12 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
   // Novos estados para armazenar o status e deletedAt de uma receita em edição
   const [currentIncomeStatus, setCurrentIncomeStatus] = useState(null);
   const [currentIncomeDeletedAt, setCurrentIncomeDeletedAt] = useState(null);
+  const [showHistoryModal, setShowHistoryModal] = useState(false); // Controla o modal de histórico de alterações
+
+  // Tags já usadas em receitas e despesas, sugeridas no campo de tags
+  const { data: allIncomes } = useIncomes();
+  const { data: allExpenses } = useExpenses();
+  const existingTags = useMemo(() => collectTags(allIncomes, allExpenses), [allIncomes, allExpenses]);
 
   /**
    * useEffect para preencher o formulário se a tela for acessada para edição de uma receita.
@@ -39,13 +56,15 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
       setIsEditing(true); // Define o modo de edição
       setCurrentIncomeId(income.id); // Armazena o ID da receita
       setIncomeName(income.name); // Preenche o nome
-      setIncomeValue(income.value.toFixed(2).replace('.', ',')); // Preenche o valor (formatado)
+      setIncomeValue(formatCents(income.value)); // Preenche o valor (formatado a partir dos centavos)
       setIncomeType(income.type); // Preenche o tipo
+      setTags(income.tags || []); // Preenche as tags
+      setRecurrenceEndFields(getRecurrenceEndFields(income.recurrenceEnd)); // Preenche o fim da receita fixa
       setCurrentIncomeStatus(income.status || 'active'); // Mantém o status existente ou define como 'active'
       setCurrentIncomeDeletedAt(income.deletedAt || null); // Carrega deletedAt se existir
 
       // Para receitas do tipo 'Ganho', define a data do DatePicker com base no mês/ano salvo
-      if (income.type === 'Ganho' && income.month !== undefined && income.year !== undefined) {
+      if (income.type === 'Ganho') {
         setSelectedDate(new Date(income.year, income.month, 1));
       } else {
         setSelectedDate(new Date()); // Se não for 'Ganho' ou dados ausentes, define a data atual
@@ -57,6 +76,8 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
       setIncomeName('');
       setIncomeValue('');
       setIncomeType('Fixo'); // Padrão para nova receita é 'Fixo'
+      setTags([]);
+      setRecurrenceEndFields(getRecurrenceEndFields(null));
       setSelectedDate(new Date());
       setCurrentIncomeStatus('active'); // Nova receita sempre inicia como ativa
       setCurrentIncomeDeletedAt(null);
@@ -85,7 +106,7 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
   };
 
   /**
-   * Lida com o salvamento ou atualização de uma receita no AsyncStorage.
+   * Lida com o salvamento ou atualização de uma receita pelo repositório de dados.
    */
   const handleSaveIncome = async () => {
     console.log("handleSaveIncome iniciado. savingIncome:", savingIncome);
@@ -95,25 +116,33 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
       return;
     }
     // Converte e valida o valor numérico
-    const value = parseFloat(incomeValue.replace(',', '.')); // Substitui ',' por '.' para parsing
+    const value = parseCurrencyInput(incomeValue); // Valor em centavos
     if (isNaN(value) || value <= 0) {
       Alert.alert('Erro', 'Por favor, insira um valor válido para a receita.');
       return;
     }
+    // Valida o fim da receita fixa, que começa no mês de criação
+    let recurrenceEnd = null;
+    if (incomeType === 'Fixo') {
+      try {
+        const createdAt = isEditing ? new Date(route.params.incomeToEdit.createdAt) : new Date();
+        recurrenceEnd = normalizeRecurrenceEnd(recurrenceEndFields, createdAt);
+      } catch (error) {
+        Alert.alert('Erro', error.message);
+        return;
+      }
+    }
 
     setSavingIncome(true); // Ativa o estado de salvamento (mostra ActivityIndicator)
     console.log("savingIncome ativado.");
 
     try {
-      // Carrega as receitas existentes do AsyncStorage
-      const existingIncomesJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.INCOMES);
-      let incomes = existingIncomesJson ? JSON.parse(existingIncomesJson) : [];
-
       // Prepara os dados da receita a ser salva/atualizada
       let incomeData = {
         name: incomeName.trim(),
         value: value,
         type: incomeType,
+        tags: tags,
         status: currentIncomeStatus || 'active', // Mantém o status existente ou define como 'active'
         deletedAt: currentIncomeDeletedAt || null, // Mantém a data de exclusão existente ou null
       };
@@ -126,47 +155,32 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
         // Se mudar de 'Ganho' para 'Fixo', remove as propriedades de mês/ano para evitar inconsistência
         delete incomeData.month;
         delete incomeData.year;
+        incomeData.recurrenceEnd = recurrenceEnd; // null = repete até ser excluída
       }
 
       if (isEditing && currentIncomeId) {
         // --- Lógica para EDIÇÃO de Receita ---
         incomeData.id = currentIncomeId; // Mantém o mesmo ID para atualização
         incomeData.createdAt = route.params.incomeToEdit.createdAt; // Mantém a data de criação original
+        incomeData.excludedMonths = route.params.incomeToEdit.excludedMonths || []; // Mantém os meses excluídos
         
-        // Encontra o índice da receita a ser editada no array
-        const index = incomes.findIndex(inc => inc.id === currentIncomeId);
-        if (index !== -1) {
-          incomes[index] = incomeData; // Atualiza o item no array
-        } else {
-          // Caso a receita a ser editada não seja encontrada (situação improvável, mas para segurança)
-          console.warn("Receita a ser editada não encontrada. Adicionando como nova.");
-          incomes.push({ ...incomeData, id: Date.now().toString(), createdAt: new Date().toISOString() });
-        }
-        await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.INCOMES, JSON.stringify(incomes)); // Salva no AsyncStorage
-        console.log("Receita atualizada com sucesso no AsyncStorage.");
-
-        Alert.alert('Sucesso', 'Receita atualizada com sucesso!', [
-          {
-            text: "OK",
-            onPress: () => {
-              // Navega de volta para a tela anterior (Lista de Receitas)
-              setTimeout(() => {
-                navigation.goBack();
-                console.log("Navegando de volta para a lista de receitas após edição.");
-              }, 100); // Pequeno delay para garantir que o alerta feche primeiro
-            }
-          }
-        ]);
+        // Substitui a receita com o mesmo ID (ou a insere, caso não seja encontrada);
+        // a confirmação aparece no aviso com "Desfazer"
+        await runUndoable(`Receita "${incomeData.name}" atualizada`, [ASYNC_STORAGE_KEYS.INCOMES], () => saveIncome(incomeData));
+        console.log("Receita atualizada com sucesso.");
+
+        // Volta para a tela anterior (Lista de Receitas)
+        navigation.goBack();
 
       } else {
         // --- Lógica para ADIÇÃO de Nova Receita ---
         incomeData.id = Date.now().toString(); // Gera um ID único baseado no timestamp
         incomeData.createdAt = new Date().toISOString(); // Registra a data/hora de criação
         incomeData.status = 'active'; // Novas receitas são sempre ativas
+        incomeData.excludedMonths = []; // Nenhum mês excluído ainda
 
-        incomes.push(incomeData); // Adiciona a nova receita ao array
-        await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.INCOMES, JSON.stringify(incomes)); // Salva no AsyncStorage
-        console.log("Receita adicionada com sucesso no AsyncStorage.");
+        await saveIncome(incomeData); // Adiciona a nova receita
+        console.log("Receita adicionada com sucesso.");
 
         Alert.alert('Sucesso', 'Receita adicionada com sucesso!', [
           {
@@ -186,12 +200,14 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
       setIncomeName('');
       setIncomeValue('');
       setIncomeType('Fixo');
+      setTags([]);
+      setRecurrenceEndFields(getRecurrenceEndFields(null));
       setSelectedDate(new Date());
       setCurrentIncomeStatus('active');
       setCurrentIncomeDeletedAt(null);
 
     } catch (error) {
-      console.error("AdicionarReceitaScreen: Erro ao salvar receita no AsyncStorage:", error);
+      console.error("AdicionarReceitaScreen: Erro ao salvar receita:", error);
       Alert.alert('Erro', `Ocorreu um erro ao salvar a receita: ${error.message}. Tente novamente.`);
     } finally {
       setSavingIncome(false); // Desativa o estado de salvamento
@@ -212,7 +228,7 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
   return (
     // Aplica o padding superior para respeitar a barra de notificação do dispositivo
     <View style={[styles.container, { paddingTop: insets.top }]}>
-      <ScrollView contentContainerStyle={styles.scrollContent}>
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
         {/* Título da tela, dinâmico para edição ou adição */}
         <Text style={commonStyles.title}>{isEditing ? "Editar Receita" : "Adicionar Nova Receita"}</Text>
 
@@ -243,12 +259,9 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
               // Remove tudo exceto números
               const numbers = text.replace(/\D/g, '');
               
-              // Converte para centavos (divide por 100 para ter 2 casas decimais)
-              const amount = (parseInt(numbers || '0') / 100).toFixed(2);
-              
-              // Formata sem o prefixo R$ para o estado
+              // Os dígitos digitados já são os centavos; formata sem o prefixo R$ para o estado
               if (numbers) {
-                setIncomeValue(amount.replace('.', ','));
+                setIncomeValue(formatCents(parseInt(numbers, 10)));
               } else {
                 setIncomeValue('');
               }
@@ -289,6 +302,11 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
         </View>
       </View>
 
+      {/* Fim opcional da receita fixa */}
+      {incomeType === 'Fixo' && (
+        <RecurrenceEndInput value={recurrenceEndFields} onChange={setRecurrenceEndFields} />
+      )}
+
       {/* Seção do seletor de data, visível apenas se o tipo for 'Ganho' */}
       {incomeType === 'Ganho' && (
         <View style={commonStyles.datePickerSection}>
@@ -311,6 +329,12 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
         </View>
       )}
 
+      {/* Campo de tags, com sugestões das tags já usadas */}
+      <View style={commonStyles.inputContainer}>
+        <Text style={commonStyles.pickerLabel}>Tags:</Text>
+        <TagInput tags={tags} onChangeTags={setTags} existingTags={existingTags} />
+      </View>
+
       {/* Botão para Salvar/Adicionar Receita */}
       <TouchableOpacity
         style={commonStyles.addButton} // Usa o estilo comum de botão
@@ -323,7 +347,25 @@ export default function AdicionarReceitaScreen({ navigation, route }) {
           <Text style={commonStyles.buttonText}>{isEditing ? "Salvar Alterações" : "Adicionar Receita"}</Text>
         )}
       </TouchableOpacity>
+
+      {/* Botão para ver o histórico de alterações (aparece apenas em modo de edição) */}
+      {isEditing && (
+        <TouchableOpacity style={commonStyles.historyButton} onPress={() => setShowHistoryModal(true)}>
+          <Text style={commonStyles.buttonText}>Ver Histórico</Text>
+        </TouchableOpacity>
+      )}
       </ScrollView>
+
+      {/* Modal de Histórico */}
+      {isEditing && (
+        <RecordHistoryModal
+          visible={showHistoryModal}
+          onClose={() => setShowHistoryModal(false)}
+          collection={ASYNC_STORAGE_KEYS.INCOMES}
+          recordId={currentIncomeId}
+          title={incomeName}
+        />
+      )}
     </View>
   );
 }
@@ -0,0 +1,555 @@
+// screens/AjustesScreen.js
+
+/**
+ * @file Tela de ajustes do aplicativo.
+ * Reúne as operações sobre os dados que não pertencem a uma única tela:
+ * o perfil em uso (editar, trocar ou excluir), backup completo (exportar e restaurar um arquivo JSON), exportação dos
+ * lançamentos de um mês ou intervalo de meses em CSV, importação de extratos OFX e planilhas CSV,
+ * acesso à lixeira, com o prazo de exclusão automática dos itens, a sincronização na nuvem e o bloqueio por PIN.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Picker } from '@react-native-picker/picker';
+
+// Importa os estilos comuns entre as telas
+import commonStyles from '../utils/commonStyles';
+import { exportBackup, pickBackupFile, restoreBackup } from '../utils/backup';
+import { exportTransactionsCsv } from '../utils/csvExport';
+import { TRASH_RETENTION_OPTIONS, getTrashRetentionDays, setTrashRetentionDays } from '../utils/trash';
+import { LOCK_TIMEOUT_OPTIONS, getLockTimeoutMinutes, setLockTimeoutMinutes, hasPin } from '../utils/appLock';
+import { getActiveProfile, leaveProfile, deleteActiveProfile } from '../utils/profiles';
+import ChangePinModal from '../components/ChangePinModal';
+import EditProfileModal from '../components/EditProfileModal';
+import ProfileAvatar from '../components/ProfileAvatar';
+
+// Opções dos seletores de mês (0-11) e de ano (5 anos antes e depois do atual)
+const MONTH_OPTIONS = Array.from({ length: 12 }, (_, month) => ({
+  value: String(month),
+  label: new Date(2000, month, 1).toLocaleDateString('pt-BR', { month: 'long' }),
+}));
+const YEAR_OPTIONS = Array.from({ length: 11 }, (_, index) => String(new Date().getFullYear() - 5 + index));
+
+/**
+ * Par de seletores de mês e ano.
+ * @param {object} props
+ * @param {string} props.label - Rótulo exibido acima dos seletores.
+ * @param {{month: string, year: string}} props.value - Mês (0-11) e ano selecionados.
+ * @param {function({month: string, year: string}): void} props.onChange - Chamado com a nova seleção.
+ */
+function MonthYearPicker({ label, value, onChange }) {
+  return (
+    <View style={commonStyles.pickerContainer}>
+      <Text style={commonStyles.pickerLabel}>{label}</Text>
+      <View style={styles.monthYearRow}>
+        <Picker
+          selectedValue={value.month}
+          onValueChange={(month) => onChange({ ...value, month: String(month) })}
+          style={[commonStyles.picker, styles.monthPicker]}
+        >
+          {MONTH_OPTIONS.map(option => (
+            <Picker.Item key={option.value} label={option.label} value={option.value} />
+          ))}
+        </Picker>
+        <Picker
+          selectedValue={value.year}
+          onValueChange={(year) => onChange({ ...value, year: String(year) })}
+          style={[commonStyles.picker, styles.yearPicker]}
+        >
+          {YEAR_OPTIONS.map(year => (
+            <Picker.Item key={year} label={year} value={year} />
+          ))}
+        </Picker>
+      </View>
+    </View>
+  );
+}
+
+export default function AjustesScreen({ navigation }) {
+  const insets = useSafeAreaInsets();
+
+  // Indica uma operação em andamento (bloqueia os botões e mostra o indicador)
+  const [busy, setBusy] = useState(false);
+
+  // Intervalo da exportação CSV; por padrão, apenas o mês atual
+  const [csvStart, setCsvStart] = useState(() => ({
+    month: String(new Date().getMonth()),
+    year: String(new Date().getFullYear()),
+  }));
+  const [csvEnd, setCsvEnd] = useState(csvStart);
+
+  // Prazo (em dias) para os itens da lixeira serem excluídos automaticamente; 0 = nunca
+  const [trashRetentionDays, setTrashRetentionDaysState] = useState(null);
+
+  // Minutos em segundo plano antes de pedir o PIN de novo; 0 = imediatamente
+  const [lockTimeoutMinutes, setLockTimeoutMinutesState] = useState(null);
+  const [showChangePinModal, setShowChangePinModal] = useState(false);
+  // Se o perfil tem PIN (sem PIN, a opção passa a ser "Definir PIN")
+  const [pinDefined, setPinDefined] = useState(true);
+
+  // Perfil em uso
+  const [profile, setProfile] = useState(null);
+  const [showEditProfileModal, setShowEditProfileModal] = useState(false);
+
+  useEffect(() => {
+    getActiveProfile()
+      .then(setProfile)
+      .catch(error => console.error('AjustesScreen: Erro ao carregar perfil:', error));
+    hasPin()
+      .then(setPinDefined)
+      .catch(error => console.error('AjustesScreen: Erro ao verificar PIN:', error));
+    getTrashRetentionDays()
+      .then(setTrashRetentionDaysState)
+      .catch(error => console.error('AjustesScreen: Erro ao carregar prazo da lixeira:', error));
+    getLockTimeoutMinutes()
+      .then(setLockTimeoutMinutesState)
+      .catch(error => console.error('AjustesScreen: Erro ao carregar tempo de bloqueio:', error));
+  }, []);
+
+  /**
+   * Volta para a tela de login (a lista de perfis), descartando as telas abertas.
+   * A tela de login fica no navegador principal (App.js), acima das abas.
+   */
+  const goToProfileList = () => {
+    navigation.getParent().getParent().reset({ index: 0, routes: [{ name: 'Login', params: { chooseProfile: true } }] });
+  };
+
+  /**
+   * Sai do perfil atual e volta para a lista de perfis.
+   */
+  const handleSwitchProfile = async () => {
+    setBusy(true);
+    try {
+      await leaveProfile();
+      goToProfileList();
+    } catch (error) {
+      console.error('AjustesScreen: Erro ao sair do perfil:', error);
+      Alert.alert('Erro', 'Não foi possível trocar de perfil.');
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Pergunta se o perfil atual deve ser excluído com todos os seus dados.
+   */
+  const handleDeleteProfile = () => {
+    Alert.alert(
+      'Excluir Perfil',
+      `O perfil "${profile.name}" e todos os seus dados (receitas, despesas, cartões e preferências) serão apagados deste aparelho. ` +
+      'Esta ação não pode ser desfeita. Deseja continuar?',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Excluir',
+          style: 'destructive',
+          onPress: async () => {
+            setBusy(true);
+            try {
+              await deleteActiveProfile();
+              goToProfileList();
+            } catch (error) {
+              console.error('AjustesScreen: Erro ao excluir perfil:', error);
+              Alert.alert('Erro', 'Não foi possível excluir o perfil.');
+              setBusy(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Fecha o modal de PIN e atualiza a opção exibida (um PIN pode ter sido definido).
+   */
+  const handleCloseChangePin = () => {
+    setShowChangePinModal(false);
+    hasPin()
+      .then(setPinDefined)
+      .catch(error => console.error('AjustesScreen: Erro ao verificar PIN:', error));
+  };
+
+  /**
+   * Gera o arquivo de backup e abre a folha de compartilhamento.
+   */
+  const handleExportBackup = async () => {
+    setBusy(true);
+    try {
+      await exportBackup();
+    } catch (error) {
+      console.error('AjustesScreen: Erro ao exportar backup:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível exportar o backup.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Aplica o backup escolhido no modo indicado e avisa o usuário.
+   * @param {object} backup - Backup validado.
+   * @param {'replace'|'merge'} mode - Modo de restauração.
+   */
+  const applyBackup = async (backup, mode) => {
+    setBusy(true);
+    try {
+      await restoreBackup(backup, mode);
+      Alert.alert('Sucesso', mode === 'replace' ? 'Dados substituídos pelo backup.' : 'Backup mesclado com os dados atuais.');
+    } catch (error) {
+      console.error('AjustesScreen: Erro ao restaurar backup:', error);
+      Alert.alert('Erro', 'Não foi possível restaurar o backup.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Lê um arquivo de backup e pergunta se ele deve substituir ou ser mesclado aos dados atuais.
+   */
+  const handleImportBackup = async () => {
+    let backup;
+    setBusy(true);
+    try {
+      backup = await pickBackupFile();
+    } catch (error) {
+      console.error('AjustesScreen: Erro ao ler backup:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível ler o arquivo de backup.');
+      return;
+    } finally {
+      setBusy(false);
+    }
+    if (!backup) return; // Usuário cancelou a seleção do arquivo
+
+    const { incomes, expenses, cards } = backup.data;
+    const exportedAt = new Date(backup.exportedAt).toLocaleString('pt-BR');
+    Alert.alert(
+      'Restaurar Backup',
+      `Backup de ${exportedAt} com ${incomes.length} receita(s), ${expenses.length} despesa(s) e ${cards.length} cartão(ões).\n\n` +
+      'Mesclar mantém os dados atuais e adiciona os do backup. Substituir apaga os dados atuais.',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        { text: 'Mesclar', onPress: () => applyBackup(backup, 'merge') },
+        {
+          text: 'Substituir',
+          style: 'destructive',
+          onPress: () => Alert.alert(
+            'Confirmar Substituição',
+            'Todos os dados atuais serão substituídos pelo backup. Deseja continuar?',
+            [
+              { text: 'Cancelar', style: 'cancel' },
+              { text: 'Substituir', style: 'destructive', onPress: () => applyBackup(backup, 'replace') },
+            ]
+          ),
+        },
+      ]
+    );
+  };
+
+  /**
+   * Gera o CSV dos lançamentos do intervalo selecionado e abre a folha de compartilhamento.
+   */
+  const handleExportCsv = async () => {
+    const startMonth = new Date(parseInt(csvStart.year, 10), parseInt(csvStart.month, 10), 1);
+    const endMonth = new Date(parseInt(csvEnd.year, 10), parseInt(csvEnd.month, 10), 1);
+    if (endMonth < startMonth) {
+      Alert.alert('Erro', 'O mês final deve ser igual ou posterior ao mês inicial.');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      await exportTransactionsCsv(startMonth, endMonth);
+    } catch (error) {
+      console.error('AjustesScreen: Erro ao exportar CSV:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível exportar o CSV.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Salva o novo prazo de exclusão automática da lixeira.
+   * @param {number} days - Prazo em dias (0 = nunca).
+   */
+  const handleChangeTrashRetention = async (days) => {
+    const previous = trashRetentionDays;
+    setTrashRetentionDaysState(days);
+    try {
+      await setTrashRetentionDays(days);
+    } catch (error) {
+      console.error('AjustesScreen: Erro ao salvar prazo da lixeira:', error);
+      setTrashRetentionDaysState(previous);
+      Alert.alert('Erro', 'Não foi possível salvar o prazo da lixeira.');
+    }
+  };
+
+  /**
+   * Salva o novo tempo em segundo plano antes de pedir o PIN de novo.
+   * @param {number} minutes - Tempo em minutos (0 = imediatamente).
+   */
+  const handleChangeLockTimeout = async (minutes) => {
+    const previous = lockTimeoutMinutes;
+    setLockTimeoutMinutesState(minutes);
+    try {
+      await setLockTimeoutMinutes(minutes);
+    } catch (error) {
+      console.error('AjustesScreen: Erro ao salvar tempo de bloqueio:', error);
+      setLockTimeoutMinutesState(previous);
+      Alert.alert('Erro', 'Não foi possível salvar o tempo de bloqueio.');
+    }
+  };
+
+  return (
+    <View style={[commonStyles.container, { paddingTop: insets.top }]}>
+      <ScrollView contentContainerStyle={commonStyles.scrollContent}>
+        <Text style={commonStyles.title}>Ajustes</Text>
+
+        {/* Seção do Perfil */}
+        <Text style={styles.sectionTitle}>Perfil</Text>
+        <Text style={styles.sectionDescription}>
+          Cada perfil tem os seus próprios dados e preferências. Troque de perfil para que outra pessoa use o app.
+        </Text>
+
+        {profile && (
+          <View style={styles.profileRow}>
+            <ProfileAvatar name={profile.name} color={profile.color} />
+            <Text style={styles.profileName}>{profile.name}</Text>
+          </View>
+        )}
+
+        <TouchableOpacity style={styles.optionItem} onPress={() => setShowEditProfileModal(true)} disabled={busy || !profile}>
+          <Ionicons name="create-outline" size={24} color="#007bff" style={styles.optionIcon} />
+          <Text style={styles.optionText}>Editar nome e cor</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.optionItem} onPress={handleSwitchProfile} disabled={busy}>
+          <Ionicons name="people-outline" size={24} color="#007bff" style={styles.optionIcon} />
+          <Text style={styles.optionText}>Trocar de perfil</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.optionItem} onPress={handleDeleteProfile} disabled={busy || !profile}>
+          <Ionicons name="person-remove-outline" size={24} color="#dc3545" style={styles.optionIcon} />
+          <Text style={[styles.optionText, styles.dangerText]}>Excluir este perfil</Text>
+        </TouchableOpacity>
+
+        {/* Seção de Categorias */}
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Categorias</Text>
+        <Text style={styles.sectionDescription}>
+          Organize as despesas em categorias e subcategorias. Crie, edite, mescle ou arquive categorias.
+        </Text>
+
+        <TouchableOpacity style={styles.optionItem} onPress={() => navigation.navigate('Categorias')} disabled={busy}>
+          <Ionicons name="pricetags-outline" size={24} color="#007bff" style={styles.optionIcon} />
+          <Text style={styles.optionText}>Gerenciar categorias</Text>
+        </TouchableOpacity>
+
+        {/* Seção de Orçamentos */}
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Orçamentos</Text>
+        <Text style={styles.sectionDescription}>
+          Defina limites de gastos por mês, gerais ou para um método de pagamento, cartão ou tipo de despesa.
+        </Text>
+
+        <TouchableOpacity style={styles.optionItem} onPress={() => navigation.navigate('Orcamentos')} disabled={busy}>
+          <Ionicons name="speedometer-outline" size={24} color="#007bff" style={styles.optionIcon} />
+          <Text style={styles.optionText}>Gerenciar orçamentos</Text>
+        </TouchableOpacity>
+
+        {/* Seção de Backup */}
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Backup</Text>
+        <Text style={styles.sectionDescription}>
+          Salve uma cópia de receitas, despesas, cartões, categorias, orçamentos e preferências em um arquivo, ou restaure uma cópia salva.
+        </Text>
+
+        <TouchableOpacity style={styles.optionItem} onPress={handleExportBackup} disabled={busy}>
+          <Ionicons name="cloud-upload-outline" size={24} color="#007bff" style={styles.optionIcon} />
+          <Text style={styles.optionText}>Exportar backup (JSON)</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.optionItem} onPress={handleImportBackup} disabled={busy}>
+          <Ionicons name="cloud-download-outline" size={24} color="#007bff" style={styles.optionIcon} />
+          <Text style={styles.optionText}>Restaurar backup</Text>
+        </TouchableOpacity>
+
+        {/* Seção de Exportação CSV */}
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Exportar Lançamentos (CSV)</Text>
+        <Text style={styles.sectionDescription}>
+          Gera uma planilha com as receitas e despesas de cada mês do intervalo. Itens fixos aparecem uma vez por mês.
+        </Text>
+
+        <MonthYearPicker label="De:" value={csvStart} onChange={setCsvStart} />
+        <MonthYearPicker label="Até:" value={csvEnd} onChange={setCsvEnd} />
+
+        <TouchableOpacity style={styles.optionItem} onPress={handleExportCsv} disabled={busy}>
+          <Ionicons name="document-text-outline" size={24} color="#007bff" style={styles.optionIcon} />
+          <Text style={styles.optionText}>Exportar CSV</Text>
+        </TouchableOpacity>
+
+        {/* Seção de Importação */}
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Importar Lançamentos</Text>
+        <Text style={styles.sectionDescription}>
+          Traga lançamentos de extratos bancários (OFX) ou de planilhas de outros apps (CSV). Saídas viram despesas de débito e entradas viram ganhos.
+        </Text>
+
+        <TouchableOpacity style={styles.optionItem} onPress={() => navigation.navigate('ImportarOfx')} disabled={busy}>
+          <Ionicons name="document-attach-outline" size={24} color="#007bff" style={styles.optionIcon} />
+          <Text style={styles.optionText}>Importar extrato OFX</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.optionItem} onPress={() => navigation.navigate('ImportarCsv')} disabled={busy}>
+          <Ionicons name="grid-outline" size={24} color="#007bff" style={styles.optionIcon} />
+          <Text style={styles.optionText}>Importar planilha CSV</Text>
+        </TouchableOpacity>
+
+        {/* Seção da Lixeira */}
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Lixeira</Text>
+        <Text style={styles.sectionDescription}>
+          Itens excluídos ficam na lixeira, onde podem ser restaurados ou apagados de vez.
+        </Text>
+
+        <TouchableOpacity style={styles.optionItem} onPress={() => navigation.navigate('Lixeira')} disabled={busy}>
+          <Ionicons name="trash-outline" size={24} color="#007bff" style={styles.optionIcon} />
+          <Text style={styles.optionText}>Abrir lixeira</Text>
+        </TouchableOpacity>
+
+        {trashRetentionDays !== null && (
+          <View style={commonStyles.pickerContainer}>
+            <Text style={commonStyles.pickerLabel}>Apagar itens da lixeira automaticamente após:</Text>
+            <Picker
+              selectedValue={trashRetentionDays}
+              onValueChange={handleChangeTrashRetention}
+              style={commonStyles.picker}
+            >
+              {TRASH_RETENTION_OPTIONS.map(days => (
+                <Picker.Item key={days} label={days === 0 ? 'Nunca' : `${days} dias`} value={days} />
+              ))}
+            </Picker>
+          </View>
+        )}
+
+        {/* Seção de Sincronização */}
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Sincronização</Text>
+        <Text style={styles.sectionDescription}>
+          Entre com uma conta para usar os mesmos dados em mais de um aparelho. É opcional.
+        </Text>
+
+        <TouchableOpacity style={styles.optionItem} onPress={() => navigation.navigate('Sincronizacao')} disabled={busy}>
+          <Ionicons name="cloud-outline" size={24} color="#007bff" style={styles.optionIcon} />
+          <Text style={styles.optionText}>Sincronização na nuvem</Text>
+        </TouchableOpacity>
+
+        {/* Seção de Segurança */}
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Segurança</Text>
+        <Text style={styles.sectionDescription}>
+          O PIN é pedido ao abrir o app e quando ele volta do segundo plano depois do tempo escolhido.
+        </Text>
+
+        <TouchableOpacity style={styles.optionItem} onPress={() => setShowChangePinModal(true)} disabled={busy}>
+          <Ionicons name="lock-closed-outline" size={24} color="#007bff" style={styles.optionIcon} />
+          <Text style={styles.optionText}>{pinDefined ? 'Alterar PIN' : 'Definir PIN'}</Text>
+        </TouchableOpacity>
+
+        {pinDefined && lockTimeoutMinutes !== null && (
+          <View style={commonStyles.pickerContainer}>
+            <Text style={commonStyles.pickerLabel}>Pedir o PIN ao voltar do segundo plano:</Text>
+            <Picker
+              selectedValue={lockTimeoutMinutes}
+              onValueChange={handleChangeLockTimeout}
+              style={commonStyles.picker}
+            >
+              {LOCK_TIMEOUT_OPTIONS.map(minutes => (
+                <Picker.Item
+                  key={minutes}
+                  label={minutes === 0 ? 'Imediatamente' : `Após ${minutes} minuto(s)`}
+                  value={minutes}
+                />
+              ))}
+            </Picker>
+          </View>
+        )}
+
+        {busy && <ActivityIndicator size="large" color="#007bff" style={styles.busyIndicator} />}
+      </ScrollView>
+
+      <ChangePinModal visible={showChangePinModal} onClose={handleCloseChangePin} hasCurrentPin={pinDefined} />
+      <EditProfileModal
+        visible={showEditProfileModal}
+        profile={profile}
+        onClose={(updated) => {
+          setShowEditProfileModal(false);
+          if (updated) setProfile(updated);
+        }}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Estilos de Seção
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 5,
+  },
+  sectionDescription: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  sectionSpacing: {
+    marginTop: 20,
+  },
+
+  // Estilos do Seletor de Mês/Ano
+  monthYearRow: {
+    flexDirection: 'row',
+  },
+  monthPicker: {
+    flex: 3,
+  },
+  yearPicker: {
+    flex: 2,
+  },
+
+  // Estilos dos Itens de Opção
+  optionItem: {
+    backgroundColor: '#ffffff',
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+    // Sombras
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  optionIcon: {
+    marginRight: 15,
+  },
+  optionText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  dangerText: {
+    color: '#dc3545',
+  },
+
+  // Estilos do Perfil
+  profileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  profileName: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginLeft: 15,
+  },
+  busyIndicator: {
+    marginTop: 20,
+  },
+});
@@ -16,70 +16,47 @@
  * O botão de adição flutuante agora é redondo, como em ReceitaScreen.
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { View, Text, StyleSheet, FlatList, ActivityIndicator, TouchableOpacity, Alert, Modal, Pressable } from 'react-native';
 import { Ionicons } from '@expo/vector-icons'; // Para os ícones
-import AsyncStorage from '@react-native-async-storage/async-storage'; // Para armazenamento local
-import { useFocusEffect } from '@react-navigation/native'; // Hook para recarregar dados ao focar na tela
 import { useSafeAreaInsets } from 'react-native-safe-area-context'; // Para lidar com a área segura
 
 // Importa os estilos comuns para reutilização
 import commonStyles from '../utils/commonStyles';
-// Importa as chaves de AsyncStorage como constantes
+// Acesso centralizado aos dados de cartões
+import { softDeleteCard } from '../utils/financeRepository';
+import { useCards } from '../utils/useFinanceData';
 import { ASYNC_STORAGE_KEYS } from '../utils/constants';
+import { runUndoable } from '../utils/undoHistory';
 
 
 export default function CartaoScreen({ navigation }) {
   const insets = useSafeAreaInsets();
 
-  // Estados relacionados a dados
-  const [cards, setCards] = useState([]); // Lista de cartões
-  const [loadingApp, setLoadingApp] = useState(true); // Estado de carregamento
+  // Cartões armazenados, mantidos atualizados pelo repositório
+  const { data: storedCards, loading: loadingApp, error: loadError } = useCards();
   
   // Estados relacionados ao modal
   const [isActionModalVisible, setIsActionModalVisible] = useState(false);
   const [selectedCard, setSelectedCard] = useState(null);
 
   /**
-   * Função para carregar os cartões do AsyncStorage.
-   * Filtra apenas os cartões com status 'active'.
+   * Cartões exibidos na lista: apenas os ativos, ordenados por apelido.
+   * Recalculado sempre que o repositório notifica uma mudança nos cartões.
    */
-  const loadCards = useCallback(async () => {
-    setLoadingApp(true); // Ativa o estado de carregamento
-    try {
-      // Tenta obter os cartões armazenados no AsyncStorage
-      const storedCardsJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.CARDS);
-      // Se houver dados, faz o parse; caso contrário, inicializa um array vazio
-      const storedCards = storedCardsJson ? JSON.parse(storedCardsJson) : [];
-      
-      // Filtra para exibir apenas cartões ativos (status diferente de 'inactive')
-      const activeCards = storedCards.filter(card => card.status !== 'inactive');
-
-      // Opcional: ordenar cartões por apelido para uma lista mais organizada
-      const sortedCards = activeCards.sort((a, b) => a.alias.localeCompare(b.alias));
+  const cards = useMemo(() => {
+    // Filtra para exibir apenas cartões ativos (status diferente de 'inactive')
+    const activeCards = storedCards.filter(card => card.status !== 'inactive');
+    // Ordena os cartões por apelido para uma lista mais organizada
+    return [...activeCards].sort((a, b) => a.alias.localeCompare(b.alias));
+  }, [storedCards]);
 
-      setCards(sortedCards); // Atualiza o estado com os cartões filtrados e ordenados
-      console.log("Cartões carregados (ativas) do AsyncStorage. Total:", sortedCards.length);
-    } catch (error) {
-      console.error("Erro ao carregar cartões do AsyncStorage:", error);
+  // Avisa o usuário se os cartões não puderam ser carregados
+  useEffect(() => {
+    if (loadError) {
       Alert.alert('Erro', 'Não foi possível carregar seus cartões.');
-    } finally {
-      setLoadingApp(false); // Finaliza o estado de carregamento
     }
-  }, []); // Dependências vazias garantem que a função só seja recriada uma vez
-
-  /**
-   * Hook para recarregar os dados da tela sempre que ela entra em foco.
-   * Garante que a lista de cartões esteja sempre atualizada (ex: após adicionar/editar um cartão).
-   */
-  useFocusEffect(
-    useCallback(() => {
-      loadCards(); // Chama a função de carregamento
-      return () => {
-        // Lógica de limpeza se necessário ao desfocar a tela (ex: listeners de dados)
-      };
-    }, [loadCards]) // Garante que o efeito seja reexecutado se 'loadCards' mudar
-  );
+  }, [loadError]);
 
   /**
    * Lida com o toque longo em um item do cartão, abrindo o modal de ações.
@@ -119,31 +96,16 @@ export default function CartaoScreen({ navigation }) {
           text: "Excluir",
           onPress: async () => {
             try {
-              // Obtém todos os cartões existentes do AsyncStorage
-              const existingCardsJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.CARDS);
-              let cardsArray = existingCardsJson ? JSON.parse(existingCardsJson) : [];
-              
-              // Mapeia o array de cartões, atualizando o status e deletedAt do cartão selecionado
-              const updatedCardsArray = cardsArray.map(card => {
-                if (card.id === selectedCard.id) {
-                  return {
-                    ...card,
-                    status: 'inactive', // Marca o cartão como inativo
-                    deletedAt: new Date().toISOString(), // Registra a data/hora da exclusão
-                  };
-                }
-                return card; // Retorna os outros cartões inalterados
-              });
-
-              // Salva o array atualizado de volta no AsyncStorage
-              await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.CARDS, JSON.stringify(updatedCardsArray));
-              loadCards(); // Recarrega a lista de cartões (filtrará os inativos para exibição)
+              // Marca o cartão como inativo; a lista é atualizada pela notificação do repositório
+              // e a confirmação aparece no aviso com "Desfazer"
+              await runUndoable(`Cartão "${selectedCard.alias}" excluído`, [ASYNC_STORAGE_KEYS.CARDS], () =>
+                softDeleteCard(selectedCard.id)
+              );
               setIsActionModalVisible(false); // Fecha o modal de ações
               setSelectedCard(null); // Limpa o cartão selecionado
-              Alert.alert('Sucesso', 'Cartão excluído com sucesso! (Marcado como inativo)');
-              console.log("Cartão marcado como inativo no AsyncStorage.");
+              console.log("Cartão marcado como inativo.");
             } catch (error) {
-              console.error("Erro ao excluir cartão do AsyncStorage:", error);
+              console.error("Erro ao excluir cartão:", error);
               Alert.alert('Erro', 'Não foi possível excluir o cartão.');
             }
           }
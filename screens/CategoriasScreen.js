@@ -0,0 +1,177 @@
+// screens/CategoriasScreen.js
+
+/**
+ * @file Tela de gerenciamento das categorias de despesas.
+ * Lista as categorias ativas (cada principal seguida das suas subcategorias) e as arquivadas,
+ * com a quantidade de despesas de cada uma. Tocar em uma categoria abre a edição, onde ela
+ * também pode ser mesclada, arquivada ou reativada.
+ */
+
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, SectionList, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+// Importa os estilos comuns entre as telas
+import commonStyles from '../utils/commonStyles';
+import { useCategories, useExpenses } from '../utils/useFinanceData';
+import { buildCategoryTree, isCategoryActive } from '../utils/categories';
+import CategoryIcon from '../components/CategoryIcon';
+
+/**
+ * Transforma a árvore de categorias em linhas da lista.
+ * @param {Array<object>} tree - Resultado de `buildCategoryTree`.
+ * @returns {{category: object, isChild: boolean}[]} As linhas.
+ */
+const flattenTree = (tree) => tree.flatMap(root => [
+  { category: root, isChild: false },
+  ...root.children.map(child => ({ category: child, isChild: true })),
+]);
+
+export default function CategoriasScreen({ navigation }) {
+  const insets = useSafeAreaInsets();
+
+  const { data: categories, loading } = useCategories();
+  const { data: expenses } = useExpenses();
+
+  // Quantidade de despesas ativas de cada categoria
+  const expenseCounts = useMemo(() => {
+    const counts = {};
+    expenses.forEach(expense => {
+      if (expense.categoryId && expense.status !== 'inactive') {
+        counts[expense.categoryId] = (counts[expense.categoryId] || 0) + 1;
+      }
+    });
+    return counts;
+  }, [expenses]);
+
+  // Seções da lista: ativas e, se houver, arquivadas
+  const sections = useMemo(() => {
+    const active = flattenTree(buildCategoryTree(categories.filter(isCategoryActive)));
+    const archived = flattenTree(buildCategoryTree(categories.filter(category => !isCategoryActive(category))));
+    return [
+      { title: 'Ativas', data: active },
+      { title: 'Arquivadas', data: archived },
+    ].filter(section => section.data.length > 0);
+  }, [categories]);
+
+  /**
+   * Renderiza uma categoria da lista.
+   * @param {{item: {category: object, isChild: boolean}}} param0
+   */
+  const renderCategoryItem = ({ item }) => {
+    const count = expenseCounts[item.category.id] || 0;
+    return (
+      <TouchableOpacity
+        style={[styles.categoryItem, item.isChild && styles.childItem]}
+        onPress={() => navigation.navigate('EditarCategoria', { categoryId: item.category.id })}
+      >
+        <CategoryIcon category={item.category} size={item.isChild ? 30 : 36} />
+        <View style={styles.categoryDetails}>
+          <Text style={[styles.categoryName, item.isChild && styles.childName]} numberOfLines={1}>
+            {item.category.name}
+          </Text>
+          <Text style={styles.categoryInfo}>
+            {count === 1 ? '1 despesa' : `${count} despesas`}
+          </Text>
+        </View>
+        <Ionicons name="chevron-forward" size={20} color="#adb5bd" />
+      </TouchableOpacity>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={commonStyles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007bff" />
+        <Text>Carregando as categorias...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[commonStyles.container, styles.container, { paddingTop: insets.top }]}>
+      <Text style={commonStyles.title}>Categorias</Text>
+
+      {sections.length > 0 ? (
+        <SectionList
+          sections={sections}
+          renderItem={renderCategoryItem}
+          renderSectionHeader={({ section }) => <Text style={styles.sectionTitle}>{section.title}</Text>}
+          keyExtractor={item => item.category.id}
+          contentContainerStyle={commonStyles.listContent}
+          stickySectionHeadersEnabled={false}
+        />
+      ) : (
+        <Text style={commonStyles.noItemsText}>Nenhuma categoria cadastrada.</Text>
+      )}
+
+      {/* Botão flutuante para criar uma categoria */}
+      <TouchableOpacity style={styles.addButton} onPress={() => navigation.navigate('EditarCategoria')}>
+        <Ionicons name="add" size={30} color="#fff" />
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Estilos de Layout
+  container: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 10,
+    marginBottom: 8,
+  },
+
+  // Estilos dos Itens da Lista
+  categoryItem: {
+    backgroundColor: '#ffffff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    flexDirection: 'row',
+    alignItems: 'center',
+    // Sombras
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  childItem: {
+    marginLeft: 24,
+  },
+  categoryDetails: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  categoryName: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  childName: {
+    fontWeight: 'normal',
+  },
+  categoryInfo: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 3,
+  },
+
+  // Estilos de Botões
+  addButton: {
+    ...commonStyles.addButton,
+    position: 'absolute',
+    bottom: 20,
+    right: 20,
+    width: 60,
+    height: 60,
+    borderRadius: 30,
+  },
+});
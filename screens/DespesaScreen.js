@@ -4,20 +4,52 @@
  * @file Tela para adicionar ou editar despesas.
  * Este componente React Native funciona como um formulário dinâmico,
  * permitindo ao usuário registrar novas despesas ou modificar existentes.
- * Ele gerencia despesas de Débito, Crédito (com parcelamento) e Fixas,
+ * Ele gerencia despesas de Débito, Crédito (com parcelamento) e Fixas, além de Pix, Dinheiro,
+ * Boleto (com vencimento próprio) e Transferência (ver utils/paymentMethods.js),
  * com lógica de data inteligente e funcionalidade de exclusão suave.
+ * Cada despesa pode ser classificada em uma categoria (ver utils/categories.js) e receber tags livres
+ * (ver utils/tags.js). Despesas fixas têm uma regra de recorrência: mensal (ou a cada N meses),
+ * semanal, quinzenal, anual ou em meses específicos (ver utils/recurrence.js), e um fim opcional:
+ * um último mês ou uma quantidade de ocorrências. Ao salvar ou excluir uma ocorrência de despesa
+ * fixa, o usuário escolhe o alcance: só ela, ela e as próximas, ou a série inteira
+ * (ver utils/fixedExpenses.js). Contas fixas de valor variável (luz, água) guardam o valor como
+ * estimativa; o valor real de cada mês é informado na tela inicial.
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { View, Text, StyleSheet, TextInput, TouchableOpacity, Platform, Alert, ActivityIndicator, ScrollView, Modal, Pressable } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Picker } from '@react-native-picker/picker';
 
-// Importa os estilos comuns e as chaves de armazenamento como constantes para reutilização
+// Importa os estilos comuns e o acesso centralizado aos dados para reutilização
 import commonStyles from '../utils/commonStyles';
+import { addExpenses, updateExpense, replaceExpenseInstallments, softDeleteExpense } from '../utils/financeRepository';
+import { useCards, useCategories, useIncomes, useExpenses } from '../utils/useFinanceData';
+import { indexCategories, getCategoryLabel } from '../utils/categories';
+import { collectTags } from '../utils/tags';
+import {
+  RECURRENCE_FREQUENCIES, RECURRENCE_FREQUENCY_LABELS, MONTH_ABBREVIATIONS, DEFAULT_RECURRENCE,
+  getRecurrence, getRecurrenceStartDate, usesStartDate, normalizeRecurrence,
+  getRecurrenceEndFields, normalizeRecurrenceEnd,
+} from '../utils/recurrence';
+import { FIXED_EDIT_SCOPES, updateFixedExpense, deleteFixedExpense, getSeriesOnlyChanges } from '../utils/fixedExpenses';
+import {
+  mergeInstallmentPlan, describeInstallmentConflicts, buildInstallmentPlan, getFinancingFields, normalizeFinancing,
+  hasEarlyPayoff,
+} from '../utils/installments';
+import { PAYMENT_METHOD_LIST, getPaymentMethodIcon, isSinglePaymentMethod, hasSeparateDueDate } from '../utils/paymentMethods';
+import { formatCents, parseCurrencyInput } from '../utils/money';
 import { ASYNC_STORAGE_KEYS } from '../utils/constants';
+import { runUndoable } from '../utils/undoHistory';
+import RecordHistoryModal from '../components/RecordHistoryModal';
+import InstallmentPlanInput from '../components/InstallmentPlanInput';
+import CategoryPickerModal from '../components/CategoryPickerModal';
+import CategoryIcon from '../components/CategoryIcon';
+import TagInput from '../components/TagInput';
+import RecurrenceEndInput from '../components/RecurrenceEndInput';
+import FixedScopeModal from '../components/FixedScopeModal';
 
 // Importa useFocusEffect para reagir ao foco da tela (navegação)
 import { useFocusEffect } from '@react-navigation/native';
@@ -101,18 +133,38 @@ export default function DespesaScreen({ navigation, route }) {
   const [expenseName, setExpenseName] = useState('');
   const [expenseValue, setExpenseValue] = useState('');
   const [purchaseDate, setPurchaseDate] = useState(new Date());
+  const [dueDate, setDueDate] = useState(new Date()); // Vencimento próprio (Boleto)
   const [paymentMethod, setPaymentMethod] = useState('Débito');
+  const [categoryId, setCategoryId] = useState(null); // Categoria da despesa (null = sem categoria)
+  const [tags, setTags] = useState([]); // Tags livres da despesa
   
   // Estados para gerenciamento de cartões de crédito e parcelas
-  const [cards, setCards] = useState([]);
+  const { data: storedCards } = useCards();
   const [selectedCardId, setSelectedCardId] = useState('');
   const [numInstallments, setNumInstallments] = useState('1');
+  // Entrada e juros da compra no crédito (campos como texto; ver components/InstallmentPlanInput.js)
+  const [financingFields, setFinancingFields] = useState(() => getFinancingFields(null));
 
   // Estado para o dia de vencimento de despesas fixas
   const [fixedExpenseDueDay, setFixedExpenseDueDay] = useState('1');
+  // Regra de recorrência das despesas fixas (intervalo em meses como texto, para o campo)
+  const [recurrenceFrequency, setRecurrenceFrequency] = useState(DEFAULT_RECURRENCE.frequency);
+  const [recurrenceInterval, setRecurrenceInterval] = useState('1');
+  const [recurrenceMonths, setRecurrenceMonths] = useState([]);
+  // Fim opcional da recorrência (campos como texto; ver components/RecurrenceEndInput.js)
+  const [recurrenceEndFields, setRecurrenceEndFields] = useState(() => getRecurrenceEndFields(null));
+  // Se o valor da despesa fixa é só uma estimativa (conta que muda a cada mês)
+  const [variableAmount, setVariableAmount] = useState(false);
+  // Regras com data de referência completa usam a data escolhida como primeiro vencimento
+  const fixedUsesStartDate = usesStartDate({
+    frequency: recurrenceFrequency,
+    interval: parseInt(recurrenceInterval, 10) || 1,
+    months: recurrenceMonths,
+  });
 
   // Estados de UI e controle
   const [showDatePicker, setShowDatePicker] = useState(Platform.OS === 'ios');
+  const [showDueDatePicker, setShowDueDatePicker] = useState(Platform.OS === 'ios');
   const [savingExpense, setSavingExpense] = useState(false); // Indicador de carregamento/salvamento
 
   // Estados para controle de edição de despesas
@@ -121,39 +173,46 @@ export default function DespesaScreen({ navigation, route }) {
   const [currentExpenseDeletedAt, setCurrentExpenseDeletedAt] = useState(null); // Timestamp se a despesa foi excluída suavemente
   
   const [showDeleteModal, setShowDeleteModal] = useState(false); // Estado para o modal de confirmação de exclusão
+  // Ocorrência de despesa fixa em edição (data) e a ação que aguarda a escolha do alcance
+  const [fixedOccurrenceDate, setFixedOccurrenceDate] = useState(null);
+  const [scopeModalAction, setScopeModalAction] = useState(null); // null, 'save' ou 'delete'
+  const [seriesOnlyChanges, setSeriesOnlyChanges] = useState([]); // Campos da série alterados, que a ocorrência não aceita
   const [isInstallmentsEditable, setIsInstallmentsEditable] = useState(true); // Controla se o campo de parcelas pode ser editado
   const [showInstallmentsModal, setShowInstallmentsModal] = useState(false); // Estado para o modal de parcelas personalizado
   const [customInstallments, setCustomInstallments] = useState(''); // Estado para armazenar o valor personalizado de parcelas
+  const [showHistoryModal, setShowHistoryModal] = useState(false); // Estado para o modal de histórico de alterações
+  const [showCategoryModal, setShowCategoryModal] = useState(false); // Estado para o seletor de categoria
+
+  // Categorias (incluindo arquivadas, para exibir a categoria de despesas antigas)
+  const { data: categories } = useCategories();
+  const categoriesById = useMemo(() => indexCategories(categories), [categories]);
+
+  // Tags já usadas em receitas e despesas, sugeridas no campo de tags
+  const { data: allIncomes } = useIncomes();
+  const { data: allExpenses } = useExpenses();
+  const existingTags = useMemo(() => collectTags(allIncomes, allExpenses), [allIncomes, allExpenses]);
+
+  // Cartões ativos disponíveis no Picker, atualizados pelas notificações do repositório
+  const cards = useMemo(
+    () => storedCards.filter(card => card.status !== 'inactive'),
+    [storedCards]
+  );
 
   /**
-   * Carrega os cartões ativos do AsyncStorage para exibição no Picker.
-   * Seleciona o primeiro cartão ativo ou mantém o `selectedCardId` se ainda for válido.
+   * Mantém o `selectedCardId` válido quando a lista de cartões ativos muda ou a seleção é limpa.
+   * Seleciona o primeiro cartão ativo ou mantém a seleção atual se ela ainda for válida.
    */
-  const loadCards = useCallback(async () => {
-    try {
-      const storedCardsJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.CARDS);
-      const storedCards = storedCardsJson ? JSON.parse(storedCardsJson) : [];
-      const activeCards = storedCards.filter(card => card.status !== 'inactive');
-      setCards(activeCards);
-      
-      console.log("DespesaScreen: Cartões ativos carregados:", activeCards.map(c => ({id: c.id, alias: c.alias, dueDayOfMonth: c.dueDayOfMonth})));
-
-      setSelectedCardId(prevSelectedCardId => {
-        // Se já existe um cartão selecionado e ele ainda é ativo, mantém.
-        if (prevSelectedCardId && activeCards.some(card => card.id === prevSelectedCardId)) {
-          return prevSelectedCardId;
-        } else if (activeCards.length > 0) {
-          // Caso contrário, seleciona o primeiro cartão ativo.
-          return activeCards[0].id;
-        } else {
-          // Se não há cartões ativos, limpa a seleção.
-          return '';
-        }
-      });
-    } catch (error) {
-      console.error("DespesaScreen: Erro ao carregar cartões do AsyncStorage:", error);
+  useEffect(() => {
+    // Se já existe um cartão selecionado e ele ainda é ativo, mantém.
+    if (selectedCardId && cards.some(card => card.id === selectedCardId)) {
+      return;
+    }
+    // Caso contrário, seleciona o primeiro cartão ativo (ou limpa a seleção se não houver nenhum).
+    const fallbackCardId = cards.length > 0 ? cards[0].id : '';
+    if (fallbackCardId !== selectedCardId) {
+      setSelectedCardId(fallbackCardId);
     }
-  }, []); // Dependências vazias para que `loadCards` não mude e cause loops indesejados
+  }, [cards, selectedCardId]);
 
   /**
    * Hook para inicializar/resetar o estado da tela ao focar nela (navegação).
@@ -161,8 +220,6 @@ export default function DespesaScreen({ navigation, route }) {
    */
   useFocusEffect(
     useCallback(() => {
-      loadCards(); // Recarrega os cartões sempre que a tela ganha foco
-
       if (route.params?.expenseToEdit) {
         // Modo de edição: preenche o formulário com os dados da despesa
         const expense = route.params.expenseToEdit;
@@ -179,32 +236,51 @@ export default function DespesaScreen({ navigation, route }) {
         setCurrentExpenseId(baseId);
         setExpenseName(expense.description);
         
-        // Ajusta o valor para despesas de crédito (exibe o total se for parcelado)
+        // Ajusta o valor para despesas de crédito (exibe o total da compra se for parcelado)
         if (expense.paymentMethod === 'Crédito') {
-          const valorTotal = expense.value * (expense.totalInstallments || 1);
-          setExpenseValue(valorTotal.toFixed(2).replace('.', ','));
+          setExpenseValue(formatCents(expense.totalValue));
+        } else if (expense.paymentMethod === 'Fixa') {
+          // Nas ocorrências com valor real informado, o formulário edita a estimativa
+          setExpenseValue(formatCents(expense.estimatedValue ?? expense.value));
         } else {
-          setExpenseValue(expense.value.toFixed(2).replace('.', ','));
+          setExpenseValue(formatCents(expense.value));
         }
 
         setPaymentMethod(expense.paymentMethod || 'Débito');
+        setCategoryId(expense.categoryId || null);
+        setTags(expense.tags || []);
         setIsInstallmentsEditable(true); // Permite editar parcelas em modo de edição
 
         // Define estados específicos para cada método de pagamento
-        if (expense.paymentMethod === 'Débito') {
+        if (isSinglePaymentMethod(expense.paymentMethod)) {
           setPurchaseDate(new Date(expense.purchaseDate || expense.createdAt));
+          setDueDate(new Date(expense.dueDate || expense.purchaseDate || expense.createdAt));
+          setFinancingFields(getFinancingFields(null));
           setFixedExpenseDueDay('1'); // Reseta para o padrão
         } else if (expense.paymentMethod === 'Crédito') {
           setPurchaseDate(new Date(expense.purchaseDate || expense.createdAt));
           setSelectedCardId(expense.cardId || '');
           setNumInstallments(String(expense.totalInstallments || '1'));
+          setFinancingFields(getFinancingFields(expense.financing));
           setFixedExpenseDueDay('1'); // Reseta para o padrão
         } else if (expense.paymentMethod === 'Fixa') {
-          setPurchaseDate(new Date()); // Data atual como padrão
+          const recurrence = getRecurrence(expense);
+          // Nas regras com data de referência, a data exibida é o primeiro vencimento
+          setPurchaseDate(usesStartDate(recurrence) ? getRecurrenceStartDate(expense) : new Date());
           setSelectedCardId(''); // Limpa seleção de cartão
           setNumInstallments('1'); // Reseta para o padrão
+          setFinancingFields(getFinancingFields(null));
           setFixedExpenseDueDay(String(expense.dueDayOfMonth || '1'));
+          setRecurrenceFrequency(recurrence.frequency);
+          setRecurrenceInterval(String(recurrence.interval));
+          setRecurrenceMonths(recurrence.months);
+          setRecurrenceEndFields(getRecurrenceEndFields(expense.recurrenceEnd));
+          setVariableAmount(Boolean(expense.variableAmount));
         }
+        // A tela inicial abre a ocorrência do mês ("ID-ANO-MES"), com o vencimento dela em `dueDate`
+        setFixedOccurrenceDate(expense.paymentMethod === 'Fixa' && expense.id.includes('-') && expense.dueDate
+          ? new Date(expense.dueDate)
+          : null);
 
         setCurrentExpenseDeletedAt(expense.deletedAt || null);
 
@@ -215,11 +291,21 @@ export default function DespesaScreen({ navigation, route }) {
         setExpenseName('');
         setExpenseValue('');
         setPurchaseDate(new Date());
+        setDueDate(new Date());
         setPaymentMethod('Débito');
+        setCategoryId(null);
+        setTags([]);
         setSelectedCardId(''); 
         setNumInstallments('1');
+        setFinancingFields(getFinancingFields(null));
         setFixedExpenseDueDay('1');
+        setRecurrenceFrequency(DEFAULT_RECURRENCE.frequency);
+        setRecurrenceInterval('1');
+        setRecurrenceMonths([]);
+        setRecurrenceEndFields(getRecurrenceEndFields(null));
+        setVariableAmount(false);
         setCurrentExpenseDeletedAt(null);
+        setFixedOccurrenceDate(null);
         setIsInstallmentsEditable(true);
       }
 
@@ -227,7 +313,7 @@ export default function DespesaScreen({ navigation, route }) {
       return () => {
         navigation.setParams({ expenseToEdit: undefined });
       };
-    }, [navigation, route.params?.expenseToEdit, loadCards])
+    }, [navigation, route.params?.expenseToEdit])
   );
 
   /**
@@ -247,11 +333,27 @@ export default function DespesaScreen({ navigation, route }) {
     setShowDatePicker(true);
   };
 
+  /**
+   * Handler para a mudança do vencimento do boleto.
+   * @param {object} event - O evento do DateTimePicker.
+   * @param {Date} selectedDate - A data selecionada.
+   */
+  const handleDueDateChange = (event, selectedDate) => {
+    setShowDueDatePicker(Platform.OS === 'ios'); // Fecha o picker no iOS após seleção
+    if (selectedDate) {
+      setDueDate(selectedDate);
+    }
+  };
+
   /**
    * Handler principal para salvar ou atualizar uma despesa.
-   * Realiza validações e persistência dos dados no AsyncStorage.
+   * Realiza validações e persiste os dados pelo repositório central.
+   * Na edição de uma ocorrência de despesa fixa, pede o alcance antes de salvar; na edição de uma
+   * compra no crédito, avisa quando o novo plano de parcelas altera ou remove parcelas já pagas.
+   * @param {string|null} [fixedScope] - Alcance escolhido (`FIXED_EDIT_SCOPES`), na edição de despesa fixa.
+   * @param {boolean} [conflictsConfirmed] - Se o usuário já confirmou os conflitos com parcelas pagas.
    */
-  const handleSaveExpense = async () => {
+  const handleSaveExpense = async (fixedScope = null, conflictsConfirmed = false) => {
     console.log('Estado atual ao salvar:', {
       isEditing,
       currentExpenseId,
@@ -264,13 +366,14 @@ export default function DespesaScreen({ navigation, route }) {
       Alert.alert('Erro', 'Por favor, preencha a descrição e o valor da despesa.');
       return;
     }
-    const value = parseFloat(expenseValue.replace(',', '.'));
+    const value = parseCurrencyInput(expenseValue); // Valor em centavos
     if (isNaN(value) || value <= 0) {
       Alert.alert('Erro', 'Por favor, insira um valor válido para a despesa.');
       return;
     }
 
     // --- Validações Específicas para Crédito ---
+    let financing = null; // Entrada e juros da compra (null = sem entrada e sem juros)
     if (paymentMethod === 'Crédito') {
       if (!selectedCardId) {
         Alert.alert('Erro', 'Por favor, selecione um cartão para despesas de crédito.');
@@ -281,27 +384,74 @@ export default function DespesaScreen({ navigation, route }) {
         Alert.alert('Erro', 'Por favor, insira um número válido de parcelas (mínimo 1).');
         return;
       }
+      try {
+        financing = normalizeFinancing(financingFields, value, numParcelas);
+      } catch (error) {
+        Alert.alert('Erro', error.message);
+        return;
+      }
     }
 
+    // --- Validações Específicas para Boleto ---
+    if (hasSeparateDueDate(paymentMethod)) {
+      const purchaseDay = new Date(purchaseDate.getFullYear(), purchaseDate.getMonth(), purchaseDate.getDate());
+      if (dueDate < purchaseDay) {
+        Alert.alert('Erro', 'O vencimento do boleto não pode ser anterior à data da compra.');
+        return;
+      }
+    }
+    // Vencimento das despesas únicas: o do boleto ou a própria data da compra
+    const singleDueDate = hasSeparateDueDate(paymentMethod) ? dueDate : purchaseDate;
+
     // --- Validações Específicas para Fixa ---
+    let recurrence = null;
+    let recurrenceEnd = null;
     if (paymentMethod === 'Fixa') {
+      try {
+        recurrence = normalizeRecurrence({
+          frequency: recurrenceFrequency,
+          interval: parseInt(recurrenceInterval, 10),
+          months: recurrenceMonths,
+        });
+        // O último mês é comparado ao início: o primeiro vencimento escolhido, o início
+        // já gravado da despesa em edição ou, para uma nova despesa, o mês atual
+        const expenseToEdit = route.params?.expenseToEdit;
+        let recurrenceStart = new Date();
+        if (usesStartDate(recurrence)) {
+          recurrenceStart = purchaseDate;
+        } else if (isEditing && expenseToEdit?.startYear !== undefined) {
+          recurrenceStart = new Date(expenseToEdit.startYear, expenseToEdit.startMonth, 1);
+        }
+        recurrenceEnd = normalizeRecurrenceEnd(recurrenceEndFields, recurrenceStart);
+      } catch (error) {
+        Alert.alert('Erro', error.message);
+        return;
+      }
       const day = parseInt(fixedExpenseDueDay, 10);
-      if (isNaN(day) || day < 1 || day > 31) {
+      if (!usesStartDate(recurrence) && (isNaN(day) || day < 1 || day > 31)) {
         Alert.alert('Erro', 'Para despesas fixas, por favor, selecione um dia de pagamento válido (entre 1 e 31).');
         return;
       }
+      // Com os campos válidos, pergunta o alcance da alteração da ocorrência
+      if (isEditing && fixedOccurrenceDate && !fixedScope) {
+        const version = allExpenses.find(expense => expense.id === currentExpenseId);
+        setSeriesOnlyChanges(version
+          ? getSeriesOnlyChanges(version, { recurrence, recurrenceEnd, variableAmount, startDate: purchaseDate, dueDayOfMonth: day })
+          : []);
+        setScopeModalAction('save');
+        return;
+      }
     }
 
     setSavingExpense(true); // Inicia o indicador de carregamento
 
     try {
-      const existingExpensesJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.EXPENSES);
-      let expenses = existingExpensesJson ? JSON.parse(existingExpensesJson) : [];
-
       // Template básico para os dados da despesa
       let expenseDataTemplate = {
         description: expenseName.trim(),
         value: value,
+        categoryId: categoryId,
+        tags: tags,
         paymentMethod: isEditing ? route.params?.expenseToEdit?.paymentMethod : paymentMethod, // Mantém o método original em edição
         deletedAt: currentExpenseDeletedAt,
         status: 'pending', // Define o status como pendente por padrão
@@ -321,8 +471,14 @@ export default function DespesaScreen({ navigation, route }) {
 
         // --- Edição de Despesa de Crédito ---
         if (paymentMethod === 'Crédito') {
+            // Depois da antecipação, o plano original fica só como histórico
+            if (hasEarlyPayoff(allExpenses, expenseToEdit.originalExpenseId)) {
+                Alert.alert('Compra Antecipada', 'As parcelas restantes desta compra foram quitadas por antecipação, então o plano não pode mais ser alterado.');
+                return;
+            }
             const novoNumParcelas = parseInt(numInstallments, 10);
-            const valorParcela = value / novoNumParcelas;
+            // Entrada e valor de cada parcela (com os juros, se houver); `value` é o preço à vista
+            const plano = buildInstallmentPlan(value, novoNumParcelas, financing);
             const now = new Date().toISOString();
 
             const selectedCard = cards.find(card => card.id === selectedCardId);
@@ -333,18 +489,20 @@ export default function DespesaScreen({ navigation, route }) {
             }
             const dueDayOfMonthCard = selectedCard.dueDayOfMonth;
 
-            // Remove todas as parcelas antigas desta despesa (usando originalExpenseId)
-            expenses = expenses.filter(e => e.originalExpenseId !== expenseToEdit.originalExpenseId);
-            
             // Recalcula a primeira data de vencimento com base na `purchaseDate` do estado atual
             let currentDueDate = getFirstCreditDueDate(purchaseDate, dueDayOfMonthCard);
 
             // Cria novas parcelas com o número correto e as datas de vencimento ajustadas
+            const novasParcelas = [];
             for (let i = 1; i <= novoNumParcelas; i++) {
-                const novaParcela = {
+                novasParcelas.push({
                     id: `${expenseToEdit.originalExpenseId}-${i}`, // Mantém o ID base original
                     description: expenseName.trim(),
-                    value: valorParcela,
+                    categoryId: categoryId,
+                    tags: tags,
+                    value: plano.installmentValues[i - 1],
+                    totalValue: value,
+                    financing: financing,
                     paymentMethod: 'Crédito',
                     purchaseDate: purchaseDate.toISOString(), // Usa a nova data de compra
                     dueDate: currentDueDate.toISOString(),
@@ -354,96 +512,109 @@ export default function DespesaScreen({ navigation, route }) {
                     originalExpenseId: expenseToEdit.originalExpenseId,
                     createdAt: expenseToEdit.createdAt, // Mantém o createdAt original
                     modifiedAt: now,
-                    status: 'pending', // Assume novas parcelas como pendentes
+                    status: 'pending', // Parcelas que já existiam mantêm o status gravado (ver utils/installments.js)
                     paidAt: null
-                };
-
-                expenses.push(novaParcela);
+                });
                 
                 // Calcula a data da próxima parcela
                 currentDueDate = getNextInstallmentDueDate(currentDueDate, dueDayOfMonthCard);
             }
-        
-            Alert.alert('Sucesso', 'Despesa de crédito atualizada com sucesso!');
+            // A entrada é a parcela 0, com vencimento na data da compra
+            if (plano.downPayment > 0) {
+                novasParcelas.unshift({
+                    ...novasParcelas[0],
+                    id: `${expenseToEdit.originalExpenseId}-0`,
+                    value: plano.downPayment,
+                    dueDate: purchaseDate.toISOString(),
+                    installmentNumber: 0,
+                    isDownPayment: true,
+                });
+            }
+
+            // Avisa antes de salvar um plano que altera ou remove parcelas já pagas
+            const storedInstallments = allExpenses.filter(expense => expense.originalExpenseId === expenseToEdit.originalExpenseId);
+            const { conflicts } = mergeInstallmentPlan(storedInstallments, novasParcelas);
+            if (conflicts.length > 0 && !conflictsConfirmed) {
+                Alert.alert('Parcelas Pagas', describeInstallmentConflicts(conflicts), [
+                    { text: 'Cancelar', style: 'cancel' },
+                    { text: 'Salvar Mesmo Assim', onPress: () => handleSaveExpense(fixedScope, true) },
+                ]);
+                return;
+            }
+
+            // Aplica o novo plano sobre as parcelas desta despesa (usando originalExpenseId),
+            // mantendo o status das parcelas pagas; a confirmação aparece no aviso com "Desfazer"
+            await runUndoable(`Despesa "${expenseName.trim()}" atualizada`, [ASYNC_STORAGE_KEYS.EXPENSES], () =>
+              replaceExpenseInstallments(expenseToEdit.originalExpenseId, novasParcelas)
+            );
+
+        } else if (paymentMethod === 'Fixa') {
+            // --- Edição de Despesa Fixa, no alcance escolhido (a série inteira sem ocorrência) ---
+            const fixedFields = {
+                description: expenseName.trim(),
+                value: value,
+                categoryId: categoryId,
+                tags: tags,
+                variableAmount: variableAmount,
+                recurrence: recurrence,
+                recurrenceEnd: recurrenceEnd,
+                startDate: purchaseDate,
+                dueDayOfMonth: parseInt(fixedExpenseDueDay, 10),
+            };
+            await runUndoable(`Despesa "${expenseName.trim()}" atualizada`, [ASYNC_STORAGE_KEYS.EXPENSES], () =>
+              updateFixedExpense(currentExpenseId, fixedFields, fixedScope || FIXED_EDIT_SCOPES.ALL, fixedOccurrenceDate)
+            );
 
         } else {
-            // --- Edição de Despesa de Débito e Fixa (atualiza a despesa única) ---
-            const expenseToUpdate = expenses.find(exp => exp.id === currentExpenseId);
-            if (expenseToUpdate) {
-                const now = new Date().toISOString();
+            // --- Edição de Despesa Única: Débito, Pix, Dinheiro, Boleto ou Transferência ---
+            // A função de atualização recebe a versão mais recente da despesa armazenada;
+            // a confirmação aparece no aviso com "Desfazer"
+            await runUndoable(`Despesa "${expenseName.trim()}" atualizada`, [ASYNC_STORAGE_KEYS.EXPENSES], () => updateExpense(currentExpenseId, (expenseToUpdate) => {
                 let updatedExpense = {
                     ...expenseToUpdate,
                     description: expenseName.trim(),
+                    categoryId: categoryId,
+                    tags: tags,
                     value: value,
-                    modifiedAt: now
+                    modifiedAt: new Date().toISOString()
                 };
 
-                if (paymentMethod === 'Débito') {
+                if (isSinglePaymentMethod(paymentMethod)) {
                     updatedExpense.purchaseDate = purchaseDate.toISOString();
-                    updatedExpense.dueDate = purchaseDate.toISOString();
+                    updatedExpense.dueDate = singleDueDate.toISOString();
                     // Limpa campos específicos de crédito/fixa
                     delete updatedExpense.cardId;
                     delete updatedExpense.installmentNumber;
                     delete updatedExpense.totalInstallments;
+                    delete updatedExpense.totalValue;
+                    delete updatedExpense.financing;
+                    delete updatedExpense.isDownPayment;
                     delete updatedExpense.originalExpenseId;
                     delete updatedExpense.dueDayOfMonth;
-                } else if (paymentMethod === 'Fixa') {
-                    let dayForFixedExpense = parseInt(fixedExpenseDueDay, 10);
-                    const currentMonth = new Date().getMonth();
-                    const currentYear = new Date().getFullYear();
-                    const lastDayOfCurrentMonth = getLastDayOfMonth(currentYear, currentMonth);
-                    if (dayForFixedExpense > lastDayOfCurrentMonth) {
-                        dayForFixedExpense = lastDayOfCurrentMonth;
-                    }
-                    updatedExpense.dueDayOfMonth = dayForFixedExpense;
-                    // Limpa campos específicos de débito/crédito
-                    delete updatedExpense.purchaseDate;
-                    delete updatedExpense.cardId;
-                    delete updatedExpense.installmentNumber;
-                    delete updatedExpense.totalInstallments;
-                    delete updatedExpense.originalExpenseId;
-                    delete updatedExpense.dueDate;
-                }
-                // Encontra e atualiza a despesa no array
-                const index = expenses.findIndex(e => e.id === currentExpenseId);
-                if (index !== -1) {
-                    expenses[index] = updatedExpense;
                 }
-            }
-            Alert.alert('Sucesso', 'Despesa atualizada com sucesso!');
-        }
-        
-        // Salva todas as alterações no AsyncStorage
-        try {
-          await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.EXPENSES, JSON.stringify(expenses));
-          await AsyncStorage.setItem('LAST_UPDATE', new Date().toISOString());
-          navigation.navigate('Home', {
-            refresh: true,
-            timestamp: Date.now() // Força um refresh na tela Home
-          });
-        } catch (error) {
-          console.error("DespesaScreen: Erro ao salvar despesa no AsyncStorage:", error);
-          Alert.alert('Erro', 'Houve um erro ao salvar a despesa. Por favor, tente novamente.');
+                return updatedExpense;
+            }));
         }
 
       } else {
         // --- Lógica para Adicionar Nova Despesa ---
         expenseDataTemplate.createdAt = new Date().toISOString(); // Define o timestamp de criação
 
-        if (paymentMethod === 'Débito') {
+        if (isSinglePaymentMethod(paymentMethod)) {
           const newExpense = {
             ...expenseDataTemplate,
             id: Date.now().toString(), // ID único
             purchaseDate: purchaseDate.toISOString(),
-            dueDate: purchaseDate.toISOString(), // Para débito, data de compra = data de vencimento
+            dueDate: singleDueDate.toISOString(), // Data da compra, exceto no boleto
           };
-          expenses.push(newExpense);
-          Alert.alert('Sucesso', 'Despesa de débito adicionada com sucesso!');
-          console.log("Nova despesa de débito adicionada:", newExpense);
+          await addExpenses([newExpense]);
+          Alert.alert('Sucesso', `Despesa (${paymentMethod}) adicionada com sucesso!`);
+          console.log("Nova despesa única adicionada:", newExpense);
 
         } else if (paymentMethod === 'Crédito') {
           const totalNumInstallments = parseInt(numInstallments, 10);
-          const installmentValue = value / totalNumInstallments;
+          // Entrada e valor de cada parcela (com os juros, se houver); `value` é o preço à vista
+          const plan = buildInstallmentPlan(value, totalNumInstallments, financing);
           const originalExpenseUniqueId = Date.now().toString(); // ID base para todas as parcelas
 
           const selectedCreditCard = cards.find(card => card.id === selectedCardId);
@@ -457,11 +628,14 @@ export default function DespesaScreen({ navigation, route }) {
           // Calcula a primeira data de vencimento da parcela
           let currentDueDate = getFirstCreditDueDate(purchaseDate, dueDayOfMonthCard);
 
+          const installments = [];
           for (let i = 1; i <= totalNumInstallments; i++) {
-            const installmentData = {
+            installments.push({
               ...expenseDataTemplate,
               id: `${originalExpenseUniqueId}-${i}`, // ID da parcela
-              value: installmentValue,
+              value: plan.installmentValues[i - 1],
+              totalValue: value,
+              financing: financing,
               paymentMethod: 'Crédito',
               cardId: selectedCardId,
               installmentNumber: i,
@@ -470,14 +644,27 @@ export default function DespesaScreen({ navigation, route }) {
               dueDate: currentDueDate.toISOString(),
               purchaseDate: purchaseDate.toISOString(),
               status: 'pending', // Novas parcelas são sempre pendentes
-            };
-            expenses.push(installmentData);
+            });
             if (i < totalNumInstallments) {
                 // Calcula a data da próxima parcela
                 currentDueDate = getNextInstallmentDueDate(currentDueDate, dueDayOfMonthCard);
             }
           }
-          Alert.alert('Sucesso', `${totalNumInstallments} parcelas de crédito adicionadas com sucesso!`);
+          // A entrada é a parcela 0, com vencimento na data da compra
+          if (plan.downPayment > 0) {
+            installments.unshift({
+              ...installments[0],
+              id: `${originalExpenseUniqueId}-0`,
+              value: plan.downPayment,
+              dueDate: purchaseDate.toISOString(),
+              installmentNumber: 0,
+              isDownPayment: true,
+            });
+          }
+          await addExpenses(installments);
+          Alert.alert('Sucesso', plan.downPayment > 0
+            ? `Entrada e ${totalNumInstallments} parcelas de crédito adicionadas com sucesso!`
+            : `${totalNumInstallments} parcelas de crédito adicionadas com sucesso!`);
           console.log("Parcelas de crédito adicionadas, originalExpenseId:", originalExpenseUniqueId);
         } else if (paymentMethod === 'Fixa') {
           let dayForFixedExpense = parseInt(fixedExpenseDueDay, 10);
@@ -485,8 +672,13 @@ export default function DespesaScreen({ navigation, route }) {
           let startMonth = today.getMonth();
           let startYear = today.getFullYear();
 
-          // Se o dia escolhido for menor que o dia atual, começa no próximo mês
-          if (dayForFixedExpense <= today.getDate()) {
+          if (usesStartDate(recurrence)) {
+            // O primeiro vencimento escolhido é a referência da regra
+            dayForFixedExpense = purchaseDate.getDate();
+            startMonth = purchaseDate.getMonth();
+            startYear = purchaseDate.getFullYear();
+          } else if (dayForFixedExpense <= today.getDate()) {
+            // Se o dia escolhido for menor que o dia atual, começa no próximo mês
             startMonth += 1;
             if (startMonth > 11) {
               startMonth = 0;
@@ -507,35 +699,46 @@ export default function DespesaScreen({ navigation, route }) {
             dueDayOfMonth: dayForFixedExpense, // Dia de vencimento fixo mensal
             startMonth: startMonth,    // Adiciona mês inicial
             startYear: startYear,      // Adiciona ano inicial
+            recurrence: recurrence,    // Regra de recorrência (ver utils/recurrence.js)
+            recurrenceEnd: recurrenceEnd, // Último mês ou quantidade de ocorrências (null = sem fim)
+            variableAmount: variableAmount, // Valor é só a estimativa; o real é informado a cada mês
+            monthlyStatus: [],         // Status de pagamento e valor real de cada ocorrência
+            excludedMonths: [],        // Meses ("MM/AAAA") em que a despesa não conta
           };
-          expenses.push(newExpense);
+          await addExpenses([newExpense]);
           Alert.alert('Sucesso', 'Despesa fixa adicionada com sucesso!');
           console.log("Nova despesa fixa adicionada:", newExpense);
         }
       }
 
-      await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.EXPENSES, JSON.stringify(expenses)); // Persiste no AsyncStorage
-      await AsyncStorage.setItem('LAST_UPDATE', new Date().toISOString()); // Atualiza o timestamp de última modificação
-      
       // Reseta o formulário após salvar com sucesso
       setExpenseName('');
       setExpenseValue('');
       setPaymentMethod('Débito');
+      setCategoryId(null);
+      setTags([]);
       setPurchaseDate(new Date());
+      setDueDate(new Date());
       setSelectedCardId(''); 
       setNumInstallments('1');
+      setFinancingFields(getFinancingFields(null));
       setFixedExpenseDueDay('1');
+      setRecurrenceFrequency(DEFAULT_RECURRENCE.frequency);
+      setRecurrenceInterval('1');
+      setRecurrenceMonths([]);
+      setRecurrenceEndFields(getRecurrenceEndFields(null));
+      setVariableAmount(false);
       setIsEditing(false);
       setCurrentExpenseId(null);
       setCurrentExpenseDeletedAt(null); 
+      setFixedOccurrenceDate(null);
       setIsInstallmentsEditable(true);
 
       setTimeout(() => {
         navigation.goBack(); // Volta para a tela anterior
       }, 100);
-
     } catch (error) {
-      console.error("DespesaScreen: Erro ao salvar despesa no AsyncStorage:", error);
+      console.error("DespesaScreen: Erro ao salvar despesa:", error);
       Alert.alert('Erro', `Ocorreu um erro ao salvar a despesa: ${error.message}. Tente novamente.`);
     } finally {
       setSavingExpense(false); // Finaliza o indicador de carregamento
@@ -546,8 +749,10 @@ export default function DespesaScreen({ navigation, route }) {
    * Função para lidar com a exclusão suave (soft delete) de uma despesa.
    * Marca a despesa como inativa e adiciona um timestamp de exclusão.
    * Para despesas de crédito, inativa todas as parcelas relacionadas.
+   * Para ocorrências de despesas fixas, exclui no alcance escolhido (ver utils/fixedExpenses.js).
+   * @param {string|null} [fixedScope] - Alcance escolhido (`FIXED_EDIT_SCOPES`), na exclusão de despesa fixa.
    */
-  const handleDeleteExpense = async () => {
+  const handleDeleteExpense = async (fixedScope = null) => {
     if (!currentExpenseId) {
       console.warn('Tentativa de excluir despesa sem ID.');
       return;
@@ -557,67 +762,15 @@ export default function DespesaScreen({ navigation, route }) {
     setShowDeleteModal(false); // Fecha o modal de confirmação
 
     try {
-      const baseId = currentExpenseId.split('-')[0]; // Extrai o ID base
-      console.log('Tentando excluir despesa - ID base:', baseId, 'ID completo:', currentExpenseId);
-      
-      let expenses = JSON.parse(await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.EXPENSES)) || [];
-      console.log('Total de despesas encontradas:', expenses.length);
-      console.log('IDs das despesas disponíveis:', expenses.map(e => e.id));
-      
-      // Encontra a despesa original ou qualquer parcela relacionada para determinar o tipo
-      const currentExpense = expenses.find(exp => 
-        exp.id === baseId || 
-        exp.id.startsWith(baseId + '-') || 
-        exp.originalExpenseId === baseId
-      );
-      
-      if (!currentExpense) {
-        console.error('Despesa não encontrada. ID procurado:', currentExpenseId);
-        throw new Error('Despesa não encontrada.');
-      }
-
-      console.log('Excluindo despesa:', currentExpense);
-      
-      // Processa todas as despesas para marcar as corretas como excluídas
-      const now = new Date().toISOString();
-      const updatedExpenses = expenses.map(exp => {
-        // Para despesas de Crédito, exclui todas as parcelas relacionadas
-        if (currentExpense.paymentMethod === 'Crédito' &&
-            (exp.originalExpenseId === baseId || // Parcelas da despesa
-             exp.id === baseId || // Despesa principal
-             exp.id.startsWith(baseId + '-'))) { // Parcelas pelo ID
-          console.log(`Excluindo parcela de crédito: ${exp.id}`);
-          return {
-            ...exp,
-            status: 'inactive',
-            deletedAt: now
-          };
-        }
-        // Para despesas Fixas, adiciona o mês atual à lista de meses excluídos
-        else if (exp.id === currentExpenseId && exp.paymentMethod === 'Fixa') {
-          console.log(`Excluindo despesa fixa: ${exp.id}`);
-          return {
-            ...exp,
-            status: 'inactive',
-            deletedAt: now,
-            excludedMonths: [...(exp.excludedMonths || []), new Date().toISOString().substring(0, 7)]
-          };
-        }
-        // Para despesas de Débito, exclui apenas a específica
-        else if (exp.id === currentExpenseId) {
-          console.log(`Excluindo despesa única: ${exp.id}`);
-          return {
-            ...exp,
-            status: 'inactive',
-            deletedAt: now
-          };
-        }
-        
-        return exp; // Retorna despesas inalteradas
-      });
-
-      await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.EXPENSES, JSON.stringify(updatedExpenses));
-      Alert.alert('Sucesso', 'Despesa excluída com sucesso (marcada como inativa)!');
+      console.log('Tentando excluir despesa - ID:', currentExpenseId);
+
+      // Sem alcance escolhido, o repositório decide o alcance da exclusão pelo tipo da despesa
+      // (todas as parcelas no crédito, a série na fixa, apenas a despesa no débito)
+      // A confirmação aparece no aviso com "Desfazer"
+      await runUndoable(`Despesa "${expenseName.trim()}" excluída`, [ASYNC_STORAGE_KEYS.EXPENSES], () => (fixedScope
+        ? deleteFixedExpense(currentExpenseId, fixedScope, fixedOccurrenceDate)
+        : softDeleteExpense(currentExpenseId)
+      ));
       navigation.goBack(); // Volta para a tela anterior
     } catch (error) {
       console.error('Erro ao excluir despesa:', error);
@@ -632,7 +785,7 @@ export default function DespesaScreen({ navigation, route }) {
 
   return (
     <View style={[styles.container, { paddingTop: insets.top }]}>
-      <ScrollView contentContainerStyle={styles.scrollContent}>
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
         <Text style={commonStyles.title}>{isEditing ? "Editar Despesa" : "Adicionar Nova Despesa"}</Text>
 
         <View style={commonStyles.inputContainer}>
@@ -646,8 +799,28 @@ export default function DespesaScreen({ navigation, route }) {
           />
         </View>
 
+        {/* Seletor de categoria */}
         <View style={commonStyles.inputContainer}>
-          <Text style={commonStyles.pickerLabel}>Valor da Despesa:</Text>
+          <Text style={commonStyles.pickerLabel}>Categoria:</Text>
+          <TouchableOpacity style={[commonStyles.input, styles.categoryButton]} onPress={() => setShowCategoryModal(true)}>
+            <CategoryIcon category={categoriesById[categoryId]} size={28} />
+            <Text style={styles.categoryButtonText} numberOfLines={1}>
+              {getCategoryLabel(categoriesById[categoryId], categoriesById)}
+            </Text>
+            <Ionicons name="chevron-down" size={20} color="#666" />
+          </TouchableOpacity>
+        </View>
+
+        {/* Campo de tags, com sugestões das tags já usadas */}
+        <View style={commonStyles.inputContainer}>
+          <Text style={commonStyles.pickerLabel}>Tags:</Text>
+          <TagInput tags={tags} onChangeTags={setTags} existingTags={existingTags} />
+        </View>
+
+        <View style={commonStyles.inputContainer}>
+          <Text style={commonStyles.pickerLabel}>
+            {paymentMethod === 'Fixa' && variableAmount ? 'Valor Estimado por Mês:' : paymentMethod === 'Crédito' ? 'Valor à Vista:' : 'Valor da Despesa:'}
+          </Text>
           <View style={styles.currencyInputContainer}>
             <Text style={styles.currencySymbol}>R$</Text>
             <TextInput
@@ -659,8 +832,8 @@ export default function DespesaScreen({ navigation, route }) {
               onChangeText={text => {
                 const numbers = text.replace(/[^\d]/g, '');
                 if (numbers) {
-                  const amount = (parseFloat(numbers) / 100).toFixed(2);
-                  setExpenseValue(amount.replace('.', ','));
+                  // Os dígitos digitados já são os centavos
+                  setExpenseValue(formatCents(parseInt(numbers, 10)));
                 } else {
                   setExpenseValue('');
                 }
@@ -675,59 +848,43 @@ export default function DespesaScreen({ navigation, route }) {
           {isEditing ? (
             // Em modo de edição, apenas exibe o método atual (não editável)
             <View style={[commonStyles.typeButtonsWrapper, { opacity: 0.7 }]}>
-              <View style={[commonStyles.typeButton, commonStyles.typeButtonSelected]}>
-                <Text style={[commonStyles.typeButtonText, commonStyles.typeButtonTextSelected]}>
+              <View style={[commonStyles.typeButton, commonStyles.typeButtonSelected, styles.paymentMethodButton]}>
+                <Ionicons name={getPaymentMethodIcon(paymentMethod)} size={18} color="#fff" />
+                <Text style={[commonStyles.typeButtonText, styles.paymentMethodText, commonStyles.typeButtonTextSelected]}>
                   {paymentMethod}
                 </Text>
               </View>
             </View>
           ) : (
             // Em modo de adição, permite selecionar o método de pagamento
-            <View style={commonStyles.typeButtonsWrapper}>
-              <TouchableOpacity
-                style={[
-                  commonStyles.typeButton,
-                  paymentMethod === 'Débito' ? commonStyles.typeButtonSelected : commonStyles.typeButtonUnselected
-                ]}
-                onPress={() => setPaymentMethod('Débito')}
-              >
-                <Text style={[
-                  commonStyles.typeButtonText,
-                  paymentMethod === 'Débito' ? commonStyles.typeButtonTextSelected : commonStyles.typeButtonTextUnselected
-                ]}>Débito</Text>
-              </TouchableOpacity>
-
-              <TouchableOpacity
-                style={[
-                  commonStyles.typeButton,
-                  paymentMethod === 'Crédito' ? commonStyles.typeButtonSelected : commonStyles.typeButtonUnselected
-                ]}
-                onPress={() => setPaymentMethod('Crédito')}
-              >
-                <Text style={[
-                  commonStyles.typeButtonText,
-                  paymentMethod === 'Crédito' ? commonStyles.typeButtonTextSelected : commonStyles.typeButtonTextUnselected
-                ]}>Crédito</Text>
-              </TouchableOpacity>
-
-              <TouchableOpacity
-                style={[
-                  commonStyles.typeButton,
-                  paymentMethod === 'Fixa' ? commonStyles.typeButtonSelected : commonStyles.typeButtonUnselected
-                ]}
-                onPress={() => setPaymentMethod('Fixa')}
-              >
-                <Text style={[
-                  commonStyles.typeButtonText,
-                  paymentMethod === 'Fixa' ? commonStyles.typeButtonTextSelected : commonStyles.typeButtonTextUnselected
-                ]}>Fixa</Text>
-              </TouchableOpacity>
+            <View style={[commonStyles.typeButtonsWrapper, styles.paymentMethodGrid]}>
+              {PAYMENT_METHOD_LIST.map(method => {
+                const selected = paymentMethod === method;
+                return (
+                  <TouchableOpacity
+                    key={method}
+                    style={[
+                      commonStyles.typeButton,
+                      styles.paymentMethodButton,
+                      selected ? commonStyles.typeButtonSelected : commonStyles.typeButtonUnselected
+                    ]}
+                    onPress={() => setPaymentMethod(method)}
+                  >
+                    <Ionicons name={getPaymentMethodIcon(method)} size={18} color={selected ? '#fff' : '#555'} />
+                    <Text style={[
+                      commonStyles.typeButtonText,
+                      styles.paymentMethodText,
+                      selected ? commonStyles.typeButtonTextSelected : commonStyles.typeButtonTextUnselected
+                    ]} numberOfLines={1}>{method}</Text>
+                  </TouchableOpacity>
+                );
+              })}
             </View>
           )}
         </View>
 
-        {/* Campos de Data da Compra (exibidos para Débito e Crédito) */}
-        {(paymentMethod === 'Débito' || paymentMethod === 'Crédito') && (
+        {/* Campos de Data da Compra (exibidos para Crédito e as despesas únicas) */}
+        {(isSinglePaymentMethod(paymentMethod) || paymentMethod === 'Crédito') && (
           <>
             <View style={commonStyles.datePickerSection}>
               <Text style={commonStyles.pickerLabel}>Data da Compra:</Text>
@@ -746,6 +903,26 @@ export default function DespesaScreen({ navigation, route }) {
                 />
               )}
             </View>
+            {/* Vencimento próprio do boleto */}
+            {hasSeparateDueDate(paymentMethod) && (
+              <View style={commonStyles.datePickerSection}>
+                <Text style={commonStyles.pickerLabel}>Vencimento do Boleto:</Text>
+                <TouchableOpacity onPress={() => setShowDueDatePicker(true)} style={commonStyles.dateDisplayButton}>
+                  <Text style={commonStyles.dateDisplayText}>
+                    {dueDate.toLocaleDateString('pt-BR')}
+                  </Text>
+                </TouchableOpacity>
+                {showDueDatePicker && (
+                  <DateTimePicker
+                    testID="boletoDueDatePicker"
+                    value={dueDate}
+                    mode="date"
+                    display="spinner"
+                    onChange={handleDueDateChange}
+                  />
+                )}
+              </View>
+            )}
           </>
         )}
 
@@ -753,53 +930,63 @@ export default function DespesaScreen({ navigation, route }) {
         {paymentMethod === 'Crédito' && (
           <View style={styles.creditOptionsContainer}>
             {cards.length > 0 ? (
-              // Se há cartões cadastrados, exibe o seletor de cartão e o input de parcelas
-              <View style={styles.creditFieldsRow}>
-                {/* Campo de Seleção do Cartão */}
-                <View style={[styles.creditFieldColumn, { flex: 2 }]}>
-                  <Text style={commonStyles.label}>Selecione o Cartão:</Text>
-                  <View style={[commonStyles.input, styles.pickerWrapper]}>
-                    <Picker
-                      selectedValue={selectedCardId}
-                      onValueChange={(itemValue) => setSelectedCardId(itemValue)}
-                      style={styles.picker}
-                    >
-                      {cards.map(card => (
-                        <Picker.Item 
-                          key={card.id} 
-                          label={String(card.alias || '')} 
-                          value={card.id}
-                          style={styles.pickerItem}
-                        />
-                      ))}
-                    </Picker>
+              // Se há cartões cadastrados, exibe o seletor de cartão, o input de parcelas e o financiamento
+              <>
+                <View style={styles.creditFieldsRow}>
+                  {/* Campo de Seleção do Cartão */}
+                  <View style={[styles.creditFieldColumn, { flex: 2 }]}>
+                    <Text style={commonStyles.label}>Selecione o Cartão:</Text>
+                    <View style={[commonStyles.input, styles.pickerWrapper]}>
+                      <Picker
+                        selectedValue={selectedCardId}
+                        onValueChange={(itemValue) => setSelectedCardId(itemValue)}
+                        style={styles.picker}
+                      >
+                        {cards.map(card => (
+                          <Picker.Item 
+                            key={card.id} 
+                            label={String(card.alias || '')} 
+                            value={card.id}
+                            style={styles.pickerItem}
+                          />
+                        ))}
+                      </Picker>
+                    </View>
                   </View>
-                </View>
 
-                {/* Campo de Número de Parcelas */}
-                <View style={[styles.creditFieldColumn, { flex: 1 }]}>
-                  <Text style={commonStyles.label}>Parcelas:</Text>
-                  <View style={[commonStyles.input, styles.pickerWrapper]}>
-                    <Picker
-                      selectedValue={numInstallments}
-                      onValueChange={(itemValue) => {
-                        if (itemValue === 'outro') {
-                          setShowInstallmentsModal(true);
-                        } else {
-                          setNumInstallments(itemValue);
-                        }
-                      }}
-                      style={styles.picker}
-                      enabled={isInstallmentsEditable}
-                    >
-                      {[...Array(12)].map((_, i) => (
-                        <Picker.Item key={i + 1} label={String(i + 1)} value={String(i + 1)} />
-                      ))}
-                      <Picker.Item key="outro" label="Outro valor..." value="outro" />
-                    </Picker>
+                  {/* Campo de Número de Parcelas */}
+                  <View style={[styles.creditFieldColumn, { flex: 1 }]}>
+                    <Text style={commonStyles.label}>Parcelas:</Text>
+                    <View style={[commonStyles.input, styles.pickerWrapper]}>
+                      <Picker
+                        selectedValue={numInstallments}
+                        onValueChange={(itemValue) => {
+                          if (itemValue === 'outro') {
+                            setShowInstallmentsModal(true);
+                          } else {
+                            setNumInstallments(itemValue);
+                          }
+                        }}
+                        style={styles.picker}
+                        enabled={isInstallmentsEditable}
+                      >
+                        {[...Array(12)].map((_, i) => (
+                          <Picker.Item key={i + 1} label={String(i + 1)} value={String(i + 1)} />
+                        ))}
+                        <Picker.Item key="outro" label="Outro valor..." value="outro" />
+                      </Picker>
+                    </View>
                   </View>
                 </View>
-              </View>
+
+                {/* Entrada e juros da compra */}
+                <InstallmentPlanInput
+                  value={financingFields}
+                  onChange={setFinancingFields}
+                  cashPrice={parseCurrencyInput(expenseValue)}
+                  count={parseInt(numInstallments, 10)}
+                />
+              </>
             ) : (
               // Mensagem se não houver cartões cadastrados
               <View style={styles.noCardsMessageContainer}>
@@ -817,26 +1004,130 @@ export default function DespesaScreen({ navigation, route }) {
 
         {/* Campos específicos para Despesa Fixa */}
         {paymentMethod === 'Fixa' && (
-          <View style={styles.fixedExpenseDayContainer}>
-            <Text style={commonStyles.pickerLabel}>Dia do Pagamento (1-31):</Text>
-            <View style={commonStyles.pickerContainer}>
-              <Picker
-                selectedValue={fixedExpenseDueDay}
-                onValueChange={(itemValue) => setFixedExpenseDueDay(itemValue)}
-                style={commonStyles.picker}
-              >
-                {daysInMonth.map(day => (
-                  <Picker.Item key={day} label={day} value={day} />
+          <>
+            {/* Regra de recorrência */}
+            <View style={styles.fixedExpenseDayContainer}>
+              <Text style={commonStyles.pickerLabel}>Repetição:</Text>
+              <View style={commonStyles.pickerContainer}>
+                <Picker
+                  selectedValue={recurrenceFrequency}
+                  onValueChange={(itemValue) => setRecurrenceFrequency(itemValue)}
+                  style={commonStyles.picker}
+                >
+                  {Object.entries(RECURRENCE_FREQUENCY_LABELS).map(([frequency, label]) => (
+                    <Picker.Item key={frequency} label={label} value={frequency} />
+                  ))}
+                </Picker>
+              </View>
+            </View>
+
+            {recurrenceFrequency === RECURRENCE_FREQUENCIES.MONTHLY && (
+              <View style={commonStyles.inputContainer}>
+                <Text style={commonStyles.pickerLabel}>Repetir a cada quantos meses:</Text>
+                <TextInput
+                  style={commonStyles.input}
+                  keyboardType="numeric"
+                  value={recurrenceInterval}
+                  onChangeText={text => setRecurrenceInterval(text.replace(/[^\d]/g, ''))}
+                  maxLength={2}
+                />
+              </View>
+            )}
+
+            {recurrenceFrequency === RECURRENCE_FREQUENCIES.SPECIFIC_MONTHS && (
+              <View style={styles.fixedExpenseDayContainer}>
+                <Text style={commonStyles.pickerLabel}>Meses do Pagamento:</Text>
+                <View style={styles.monthGrid}>
+                  {MONTH_ABBREVIATIONS.map((label, month) => {
+                    const selected = recurrenceMonths.includes(month);
+                    return (
+                      <TouchableOpacity
+                        key={label}
+                        style={[styles.monthOption, selected && styles.monthOptionSelected]}
+                        onPress={() => setRecurrenceMonths(current => (
+                          selected ? current.filter(existing => existing !== month) : [...current, month]
+                        ))}
+                      >
+                        <Text style={[styles.monthOptionText, selected && styles.monthOptionTextSelected]}>{label}</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            )}
+
+            {fixedUsesStartDate ? (
+              // Semanal, quinzenal, anual e a cada N meses: a data do primeiro vencimento define a regra
+              <View style={commonStyles.datePickerSection}>
+                <Text style={commonStyles.pickerLabel}>Primeiro Vencimento:</Text>
+                <TouchableOpacity onPress={showDatepicker} style={commonStyles.dateDisplayButton}>
+                  <Text style={commonStyles.dateDisplayText}>
+                    {purchaseDate.toLocaleDateString('pt-BR')}
+                  </Text>
+                </TouchableOpacity>
+                {showDatePicker && (
+                  <DateTimePicker
+                    testID="recurrenceStartDatePicker"
+                    value={purchaseDate}
+                    mode="date"
+                    display="spinner"
+                    onChange={handleDateChange}
+                  />
+                )}
+              </View>
+            ) : (
+              <View style={styles.fixedExpenseDayContainer}>
+                <Text style={commonStyles.pickerLabel}>Dia do Pagamento (1-31):</Text>
+                <View style={commonStyles.pickerContainer}>
+                  <Picker
+                    selectedValue={fixedExpenseDueDay}
+                    onValueChange={(itemValue) => setFixedExpenseDueDay(itemValue)}
+                    style={commonStyles.picker}
+                  >
+                    {daysInMonth.map(day => (
+                      <Picker.Item key={day} label={day} value={day} />
+                    ))}
+                  </Picker>
+                </View>
+              </View>
+            )}
+
+            {/* Fim opcional da recorrência */}
+            <RecurrenceEndInput value={recurrenceEndFields} onChange={setRecurrenceEndFields} />
+
+            {/* Valor fixo ou estimado (contas de consumo, com o valor real informado a cada mês) */}
+            <View style={commonStyles.typeSelectionContainer}>
+              <Text style={commonStyles.pickerLabel}>Valor:</Text>
+              <View style={commonStyles.typeButtonsWrapper}>
+                {[[false, 'Igual todo mês'], [true, 'Varia (estimativa)']].map(([isVariable, label]) => (
+                  <TouchableOpacity
+                    key={label}
+                    style={[
+                      commonStyles.typeButton,
+                      variableAmount === isVariable ? commonStyles.typeButtonSelected : commonStyles.typeButtonUnselected
+                    ]}
+                    onPress={() => setVariableAmount(isVariable)}
+                  >
+                    <Text style={[
+                      commonStyles.typeButtonText,
+                      variableAmount === isVariable ? commonStyles.typeButtonTextSelected : commonStyles.typeButtonTextUnselected
+                    ]}>{label}</Text>
+                  </TouchableOpacity>
                 ))}
-              </Picker>
+              </View>
+              {variableAmount && (
+                <Text style={styles.variableAmountHint}>
+                  O valor da despesa é usado como estimativa. Informe o valor real de cada mês tocando no valor na tela inicial.
+                </Text>
+              )}
             </View>
-          </View>
+          </>
         )}
 
         {/* Botão para Salvar/Adicionar Despesa */}
         <TouchableOpacity
           style={commonStyles.addButton}
-          onPress={handleSaveExpense}
+          onPress={() => handleSaveExpense()}
           disabled={savingExpense}
         >
           {savingExpense ? (
@@ -850,14 +1141,65 @@ export default function DespesaScreen({ navigation, route }) {
         {isEditing && (
           <TouchableOpacity
             style={commonStyles.deleteButton} // Estilo para o botão de exclusão
-            onPress={() => setShowDeleteModal(true)} // Abre o modal de confirmação
+            // Abre o modal de confirmação (ou, na ocorrência de uma despesa fixa, a escolha do alcance)
+            onPress={() => (fixedOccurrenceDate ? setScopeModalAction('delete') : setShowDeleteModal(true))}
             disabled={savingExpense} // Desabilita enquanto salva/exclui
           >
             <Text style={commonStyles.buttonText}>Excluir Despesa</Text>
           </TouchableOpacity>
         )}
+
+        {/* Botão para ver o histórico de alterações (aparece apenas em modo de edição) */}
+        {isEditing && (
+          <TouchableOpacity style={commonStyles.historyButton} onPress={() => setShowHistoryModal(true)}>
+            <Text style={commonStyles.buttonText}>Ver Histórico</Text>
+          </TouchableOpacity>
+        )}
       </ScrollView>
 
+      {/* Seletor de categoria */}
+      <CategoryPickerModal
+        visible={showCategoryModal}
+        categories={categories}
+        selectedId={categoryId}
+        noneLabel="Sem categoria"
+        onSelect={(id) => {
+          setCategoryId(id);
+          setShowCategoryModal(false);
+        }}
+        onClose={() => setShowCategoryModal(false)}
+      />
+
+      {/* Modal de Histórico (no crédito, reúne todas as parcelas da compra) */}
+      {isEditing && (
+        <RecordHistoryModal
+          visible={showHistoryModal}
+          onClose={() => setShowHistoryModal(false)}
+          collection={ASYNC_STORAGE_KEYS.EXPENSES}
+          recordId={paymentMethod === 'Crédito' ? undefined : currentExpenseId}
+          groupId={paymentMethod === 'Crédito' ? currentExpenseId : undefined}
+          title={expenseName}
+        />
+      )}
+
+      {/* Escolha do alcance ao salvar ou excluir uma ocorrência de despesa fixa */}
+      <FixedScopeModal
+        visible={scopeModalAction !== null}
+        action={scopeModalAction}
+        occurrenceLabel={fixedOccurrenceDate ? fixedOccurrenceDate.toLocaleDateString('pt-BR') : ''}
+        seriesOnlyChanges={seriesOnlyChanges}
+        onSelect={(scope) => {
+          const action = scopeModalAction;
+          setScopeModalAction(null);
+          if (action === 'delete') {
+            handleDeleteExpense(scope);
+          } else {
+            handleSaveExpense(scope);
+          }
+        }}
+        onClose={() => setScopeModalAction(null)}
+      />
+
       {/* Modal de Confirmação de Exclusão */}
       <Modal
         animationType="slide"
@@ -875,7 +1217,7 @@ export default function DespesaScreen({ navigation, route }) {
             <View style={commonStyles.modalActionButtonsContainer}>
               <TouchableOpacity
                 style={[commonStyles.modalButton, commonStyles.buttonDanger]}
-                onPress={handleDeleteExpense}
+                onPress={() => handleDeleteExpense()}
               >
                 <Text style={commonStyles.buttonTextStyle}>Excluir</Text>
               </TouchableOpacity>
@@ -979,6 +1321,17 @@ const styles = StyleSheet.create({
     fontSize: 16,
     height: 50,
   },
+  // Estilos do seletor de categoria
+  categoryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  categoryButtonText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 10,
+  },
   creditOptionsContainer: {
     marginBottom: 15,
   },
@@ -996,6 +1349,50 @@ const styles = StyleSheet.create({
   fixedExpenseDayContainer: {
     marginBottom: 15,
   },
+  monthGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  monthOption: {
+    width: '23%',
+    marginRight: '2%',
+    marginBottom: 8,
+    paddingVertical: 10,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    backgroundColor: '#fff',
+    alignItems: 'center',
+  },
+  monthOptionSelected: {
+    backgroundColor: '#007bff',
+    borderColor: '#007bff',
+  },
+  monthOptionText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  monthOptionTextSelected: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  paymentMethodGrid: {
+    flexWrap: 'wrap',
+  },
+  paymentMethodButton: {
+    flexBasis: '31%',
+    flexDirection: 'row',
+    paddingVertical: 12,
+  },
+  paymentMethodText: {
+    fontSize: 13,
+    marginLeft: 4,
+  },
+  variableAmountHint: {
+    marginTop: 8,
+    fontSize: 13,
+    color: '#666',
+  },
   currencyInputContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,393 @@
+// screens/EditarCategoriaScreen.js
+
+/**
+ * @file Tela para criar ou editar uma categoria de despesas.
+ * Define nome, ícone, cor e categoria principal (para subcategorias). Na edição, permite
+ * também mesclar a categoria em outra, arquivá-la (movendo ou não as suas despesas) e
+ * reativá-la se estiver arquivada.
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { View, Text, StyleSheet, ScrollView, TextInput, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+// Importa os estilos comuns entre as telas
+import commonStyles from '../utils/commonStyles';
+import { ASYNC_STORAGE_KEYS } from '../utils/constants';
+import { useCategories } from '../utils/useFinanceData';
+import {
+  CATEGORY_ICONS, CATEGORY_COLORS, CATEGORY_NAME_MAX_LENGTH,
+  indexCategories, getCategoryLabel, isCategoryActive,
+  createCategory, updateCategory, mergeCategories, archiveCategory, unarchiveCategory,
+} from '../utils/categories';
+import { runUndoable } from '../utils/undoHistory';
+import CategoryIcon from '../components/CategoryIcon';
+import CategoryPickerModal from '../components/CategoryPickerModal';
+
+// Títulos do seletor de categoria em cada uso
+const PICKER_TITLES = {
+  parent: 'Categoria Principal',
+  merge: 'Mesclar com',
+  archive: 'Mover Despesas para',
+};
+
+export default function EditarCategoriaScreen({ navigation, route }) {
+  const insets = useSafeAreaInsets();
+  const categoryId = route.params?.categoryId || null;
+
+  const { data: categories, loading } = useCategories();
+  const categoriesById = useMemo(() => indexCategories(categories), [categories]);
+  const category = categoryId ? categoriesById[categoryId] : null;
+  // Subcategorias ativas desta categoria (uma categoria com filhas não pode virar subcategoria)
+  const activeChildren = useMemo(
+    () => categories.filter(existing => existing.parentId === categoryId && isCategoryActive(existing)),
+    [categories, categoryId]
+  );
+
+  // Campos do formulário
+  const [name, setName] = useState('');
+  const [icon, setIcon] = useState(CATEGORY_ICONS[0]);
+  const [color, setColor] = useState(CATEGORY_COLORS[0]);
+  const [parentId, setParentId] = useState(null);
+
+  // Uso atual do seletor de categoria ('parent', 'merge' ou 'archive'), ou null se fechado
+  const [pickerMode, setPickerMode] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Preenche o formulário ao abrir a tela (a categoria pode chegar depois, com o carregamento).
+  // Só uma vez por categoria: alterações gravadas depois não sobrescrevem o que está sendo digitado.
+  const filledCategoryIdRef = useRef(null);
+  useEffect(() => {
+    if (!category || filledCategoryIdRef.current === category.id) return;
+    filledCategoryIdRef.current = category.id;
+    setName(category.name);
+    setIcon(category.icon);
+    setColor(category.color);
+    setParentId(category.parentId || null);
+  }, [category]);
+
+  /**
+   * Executa uma ação sobre a categoria e volta para a lista.
+   * @param {string} label - Descrição exibida no aviso com "Desfazer".
+   * @param {string[]} keys - Coleções alteradas pela ação.
+   * @param {function(): Promise<any>} action - A ação.
+   */
+  const runAndGoBack = async (label, keys, action) => {
+    setSaving(true);
+    try {
+      await runUndoable(label, keys, action);
+      navigation.goBack();
+    } catch (error) {
+      console.error('EditarCategoriaScreen: Erro ao alterar categoria:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível alterar a categoria.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Valida os campos e cria ou atualiza a categoria.
+   */
+  const handleSave = async () => {
+    const fields = { name, icon, color, parentId };
+    if (category) {
+      await runAndGoBack(`Categoria "${name.trim()}" atualizada`, [ASYNC_STORAGE_KEYS.CATEGORIES], () =>
+        updateCategory(category.id, fields)
+      );
+      return;
+    }
+    setSaving(true);
+    try {
+      await createCategory(fields);
+      Alert.alert('Sucesso', 'Categoria criada com sucesso!');
+      navigation.goBack();
+    } catch (error) {
+      console.error('EditarCategoriaScreen: Erro ao criar categoria:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível criar a categoria.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Confirma a mesclagem desta categoria com a categoria escolhida.
+   * @param {string} targetId - Categoria que recebe as despesas.
+   */
+  const confirmMerge = (targetId) => {
+    const targetLabel = getCategoryLabel(categoriesById[targetId], categoriesById);
+    Alert.alert(
+      'Mesclar Categorias',
+      `As despesas de "${category.name}" passarão para "${targetLabel}"` +
+        (activeChildren.length > 0 ? ', junto com as suas subcategorias,' : '') +
+        ` e "${category.name}" deixará de existir. Deseja continuar?`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Mesclar',
+          style: 'destructive',
+          onPress: () => runAndGoBack(
+            `Categoria "${category.name}" mesclada`,
+            [ASYNC_STORAGE_KEYS.EXPENSES, ASYNC_STORAGE_KEYS.CATEGORIES],
+            () => mergeCategories(category.id, targetId)
+          ),
+        },
+      ]
+    );
+  };
+
+  /**
+   * Arquiva a categoria (e as suas subcategorias).
+   * @param {string|null} reassignToId - Categoria que recebe as despesas; null mantém as despesas nela.
+   */
+  const archive = (reassignToId) => runAndGoBack(
+    `Categoria "${category.name}" arquivada`,
+    [ASYNC_STORAGE_KEYS.EXPENSES, ASYNC_STORAGE_KEYS.CATEGORIES],
+    () => archiveCategory(category.id, reassignToId)
+  );
+
+  /**
+   * Pergunta o que fazer com as despesas antes de arquivar a categoria.
+   */
+  const handleArchive = () => {
+    Alert.alert(
+      'Arquivar Categoria',
+      `"${category.name}"` +
+        (activeChildren.length > 0 ? ' e as suas subcategorias deixarão' : ' deixará') +
+        ' de aparecer na escolha de categoria das despesas. O que fazer com as despesas já classificadas?',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        { text: 'Manter nesta categoria', onPress: () => archive(null) },
+        { text: 'Mover para outra', onPress: () => setPickerMode('archive') },
+      ]
+    );
+  };
+
+  /**
+   * Reativa a categoria arquivada.
+   */
+  const handleUnarchive = () => runAndGoBack(
+    `Categoria "${category.name}" reativada`,
+    [ASYNC_STORAGE_KEYS.CATEGORIES],
+    () => unarchiveCategory(category.id)
+  );
+
+  /**
+   * Trata a categoria escolhida no seletor, conforme o uso atual.
+   * @param {string|null} selectedId - A categoria escolhida.
+   */
+  const handlePickCategory = (selectedId) => {
+    const mode = pickerMode;
+    setPickerMode(null);
+    if (mode === 'parent') {
+      setParentId(selectedId);
+    } else if (mode === 'merge') {
+      confirmMerge(selectedId);
+    } else if (mode === 'archive') {
+      archive(selectedId);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={commonStyles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007bff" />
+      </View>
+    );
+  }
+
+  // A categoria foi aberta para edição, mas não existe mais (mesclada em outro aparelho, por exemplo)
+  if (categoryId && !category) {
+    return (
+      <View style={[commonStyles.container, { paddingTop: insets.top }]}>
+        <Text style={commonStyles.noItemsText}>Esta categoria não existe mais.</Text>
+      </View>
+    );
+  }
+
+  const archived = category && !isCategoryActive(category);
+  // Categorias que não podem receber as despesas desta (ela mesma e as suas subcategorias)
+  const ownIds = category ? [category.id, ...activeChildren.map(child => child.id)] : [];
+
+  return (
+    <View style={[commonStyles.container, { paddingTop: insets.top }]}>
+      <ScrollView contentContainerStyle={commonStyles.scrollContent} keyboardShouldPersistTaps="handled">
+        <Text style={commonStyles.title}>{category ? 'Editar Categoria' : 'Nova Categoria'}</Text>
+
+        {archived && (
+          <Text style={styles.archivedText}>
+            Categoria arquivada em {new Date(category.archivedAt).toLocaleDateString('pt-BR')}.
+          </Text>
+        )}
+
+        <View style={styles.previewRow}>
+          <CategoryIcon category={{ icon, color }} size={48} />
+          <Text style={styles.previewName} numberOfLines={1}>{name.trim() || 'Nova categoria'}</Text>
+        </View>
+
+        <View style={commonStyles.inputContainer}>
+          <Text style={commonStyles.pickerLabel}>Nome:</Text>
+          <TextInput
+            style={commonStyles.input}
+            placeholder="Ex: Academia"
+            placeholderTextColor="#bbb"
+            value={name}
+            onChangeText={setName}
+            maxLength={CATEGORY_NAME_MAX_LENGTH}
+          />
+        </View>
+
+        <View style={commonStyles.inputContainer}>
+          <Text style={commonStyles.pickerLabel}>Categoria principal:</Text>
+          <TouchableOpacity
+            style={[commonStyles.input, styles.parentButton]}
+            onPress={() => setPickerMode('parent')}
+            disabled={activeChildren.length > 0}
+          >
+            <Text style={styles.parentButtonText} numberOfLines={1}>
+              {parentId && categoriesById[parentId] ? categoriesById[parentId].name : 'Nenhuma (categoria principal)'}
+            </Text>
+            <Ionicons name="chevron-down" size={20} color="#666" />
+          </TouchableOpacity>
+          {activeChildren.length > 0 && (
+            <Text style={styles.hintText}>Esta categoria tem subcategorias, então não pode virar subcategoria.</Text>
+          )}
+        </View>
+
+        <Text style={commonStyles.pickerLabel}>Ícone:</Text>
+        <View style={styles.optionGrid}>
+          {CATEGORY_ICONS.map(option => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.iconOption, option === icon && { borderColor: color, backgroundColor: `${color}22` }]}
+              onPress={() => setIcon(option)}
+              accessibilityLabel={`Ícone ${option}`}
+            >
+              <Ionicons name={option} size={22} color={option === icon ? color : '#666'} />
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <Text style={commonStyles.pickerLabel}>Cor:</Text>
+        <View style={styles.optionGrid}>
+          {CATEGORY_COLORS.map(option => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.colorOption, { backgroundColor: option }]}
+              onPress={() => setColor(option)}
+              accessibilityLabel={`Cor ${option}`}
+            >
+              {option === color && <Ionicons name="checkmark" size={20} color="#fff" />}
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <TouchableOpacity style={commonStyles.addButton} onPress={handleSave} disabled={saving}>
+          {saving ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={commonStyles.buttonText}>{category ? 'Salvar Alterações' : 'Criar Categoria'}</Text>
+          )}
+        </TouchableOpacity>
+
+        {category && (
+          <TouchableOpacity style={[commonStyles.addButton, styles.secondaryButton]} onPress={() => setPickerMode('merge')} disabled={saving}>
+            <Text style={commonStyles.buttonText}>Mesclar com Outra Categoria</Text>
+          </TouchableOpacity>
+        )}
+
+        {category && (archived ? (
+          <TouchableOpacity style={[commonStyles.addButton, styles.secondaryButton]} onPress={handleUnarchive} disabled={saving}>
+            <Text style={commonStyles.buttonText}>Reativar Categoria</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity style={commonStyles.deleteButton} onPress={handleArchive} disabled={saving}>
+            <Text style={commonStyles.buttonText}>Arquivar Categoria</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      <CategoryPickerModal
+        visible={pickerMode !== null}
+        title={PICKER_TITLES[pickerMode]}
+        categories={categories}
+        selectedId={pickerMode === 'parent' ? parentId : null}
+        noneLabel={pickerMode === 'parent' ? 'Nenhuma (categoria principal)' : undefined}
+        excludeIds={pickerMode === 'parent' ? (category ? [category.id] : []) : ownIds}
+        rootsOnly={pickerMode === 'parent' || (pickerMode === 'merge' && activeChildren.length > 0)}
+        onSelect={handlePickCategory}
+        onClose={() => setPickerMode(null)}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Estilos de Texto
+  archivedText: {
+    fontSize: 14,
+    color: '#dc3545',
+    marginBottom: 15,
+    textAlign: 'center',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: -5,
+  },
+
+  // Estilos da Prévia
+  previewRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  previewName: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginLeft: 15,
+  },
+
+  // Estilos do Seletor de Categoria Principal
+  parentButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  parentButtonText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+  },
+
+  // Estilos das Grades de Ícones e Cores
+  optionGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 15,
+  },
+  iconOption: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    alignItems: 'center',
+    justifyContent: 'center',
+    margin: 3,
+  },
+  colorOption: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    margin: 5,
+  },
+
+  // Estilos de Botões
+  secondaryButton: {
+    backgroundColor: '#6c757d',
+  },
+});
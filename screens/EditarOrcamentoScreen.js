@@ -0,0 +1,418 @@
+// screens/EditarOrcamentoScreen.js
+
+/**
+ * @file Tela para criar ou editar um orçamento mensal de gastos.
+ * Define o nome, quais despesas contam (todas, um método de pagamento, um cartão ou palavras
+ * da descrição), o limite e se a sobra passa para o mês seguinte. A tela é aberta em um mês:
+ * um orçamento novo vale a partir dele e, na edição, o limite pode mudar só nesse mês ou em
+ * todos os meses sem limite próprio.
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { View, Text, StyleSheet, ScrollView, TextInput, TouchableOpacity, Switch, Alert, ActivityIndicator } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+// Importa os estilos comuns entre as telas
+import commonStyles from '../utils/commonStyles';
+import { ASYNC_STORAGE_KEYS } from '../utils/constants';
+import { useBudgets, useCards } from '../utils/useFinanceData';
+import {
+  BUDGET_SCOPES, BUDGET_PAYMENT_METHODS, BUDGET_NAME_MAX_LENGTH,
+  getBudgetMonthKey, parseBudgetKeywords,
+  createBudget, updateBudget, clearBudgetMonthAmount, deleteBudget,
+} from '../utils/budgets';
+import { formatMonthYearForExclusion } from '../utils/monthlyEntries';
+import { formatCents, parseCurrencyInput } from '../utils/money';
+import { runUndoable } from '../utils/undoHistory';
+
+// Opções de escopo, na ordem exibida
+const SCOPE_OPTIONS = [
+  { value: BUDGET_SCOPES.ALL, label: 'Geral' },
+  { value: BUDGET_SCOPES.PAYMENT_METHOD, label: 'Método' },
+  { value: BUDGET_SCOPES.CARD, label: 'Cartão' },
+  { value: BUDGET_SCOPES.KEYWORDS, label: 'Palavras' },
+];
+
+/**
+ * Linha de botões de escolha única, no estilo dos seletores de tipo do app.
+ * @param {object} props
+ * @param {{value: string, label: string}[]} props.options - As opções.
+ * @param {string} props.selected - Valor escolhido.
+ * @param {function(string): void} props.onSelect - Chamado com o valor tocado.
+ * @param {boolean} [props.wrap] - Quebra as opções em linhas de três (para listas longas).
+ */
+const ChoiceButtons = ({ options, selected, onSelect, wrap = false }) => (
+  <View style={[commonStyles.typeButtonsWrapper, wrap && styles.choiceGrid]}>
+    {options.map(option => (
+      <TouchableOpacity
+        key={option.value}
+        style={[
+          commonStyles.typeButton,
+          wrap && styles.choiceGridButton,
+          selected === option.value ? commonStyles.typeButtonSelected : commonStyles.typeButtonUnselected
+        ]}
+        onPress={() => onSelect(option.value)}
+      >
+        <Text
+          style={[
+            commonStyles.typeButtonText,
+            styles.choiceText,
+            selected === option.value ? commonStyles.typeButtonTextSelected : commonStyles.typeButtonTextUnselected
+          ]}
+          numberOfLines={1}
+        >
+          {option.label}
+        </Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+export default function EditarOrcamentoScreen({ navigation, route }) {
+  const insets = useSafeAreaInsets();
+  const budgetId = route.params?.budgetId || null;
+  // Mês em que a tela foi aberta
+  const monthDate = useMemo(() => {
+    const today = new Date();
+    return new Date(route.params?.year ?? today.getFullYear(), route.params?.month ?? today.getMonth(), 1);
+  }, [route.params?.year, route.params?.month]);
+  const monthLabel = formatMonthYearForExclusion(monthDate);
+
+  const { data: budgets, loading } = useBudgets();
+  const { data: cards } = useCards();
+  const activeCards = useMemo(() => cards.filter(card => card.status !== 'inactive'), [cards]);
+  const budget = budgetId ? budgets.find(existing => existing.id === budgetId) : null;
+  const hasMonthAmount = Boolean(budget) && getBudgetMonthKey(monthDate) in budget.monthlyAmounts;
+
+  // Campos do formulário
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState(BUDGET_SCOPES.ALL);
+  const [paymentMethod, setPaymentMethod] = useState(BUDGET_PAYMENT_METHODS[0]);
+  const [cardId, setCardId] = useState(null);
+  const [keywordsText, setKeywordsText] = useState('');
+  const [amountText, setAmountText] = useState('');
+  const [rollover, setRollover] = useState(false);
+  // Na edição: o limite vale só para o mês aberto ('month') ou para todos os meses ('all')
+  const [applyTo, setApplyTo] = useState('all');
+  const [saving, setSaving] = useState(false);
+
+  // Preenche o formulário ao abrir a tela (o orçamento pode chegar depois, com o carregamento).
+  // Só uma vez por orçamento: alterações gravadas depois não sobrescrevem o que está sendo digitado.
+  const filledBudgetIdRef = useRef(null);
+  useEffect(() => {
+    if (!budget || filledBudgetIdRef.current === budget.id) return;
+    filledBudgetIdRef.current = budget.id;
+    const monthAmount = budget.monthlyAmounts[getBudgetMonthKey(monthDate)];
+    setName(budget.name);
+    setScope(budget.scope);
+    setPaymentMethod(budget.paymentMethod || BUDGET_PAYMENT_METHODS[0]);
+    setCardId(budget.cardId);
+    setKeywordsText(budget.keywords.join(', '));
+    setAmountText(formatCents(monthAmount ?? budget.amount));
+    setRollover(budget.rollover);
+    setApplyTo(monthAmount !== undefined ? 'month' : 'all');
+  }, [budget, monthDate]);
+
+  /**
+   * Executa uma ação sobre o orçamento e volta para a lista.
+   * @param {string} label - Descrição exibida no aviso com "Desfazer".
+   * @param {function(): Promise<any>} action - A ação.
+   */
+  const runAndGoBack = async (label, action) => {
+    setSaving(true);
+    try {
+      await runUndoable(label, [ASYNC_STORAGE_KEYS.BUDGETS], action);
+      navigation.goBack();
+    } catch (error) {
+      console.error('EditarOrcamentoScreen: Erro ao alterar orçamento:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível alterar o orçamento.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Valida os campos e cria ou atualiza o orçamento.
+   */
+  const handleSave = async () => {
+    const amount = parseCurrencyInput(amountText);
+    if (isNaN(amount)) {
+      Alert.alert('Erro', 'Informe um limite válido.');
+      return;
+    }
+    const fields = { name, scope, paymentMethod, cardId, keywords: parseBudgetKeywords(keywordsText), amount, rollover };
+    if (budget) {
+      await runAndGoBack(`Orçamento "${name.trim()}" atualizado`, () =>
+        updateBudget(budget.id, fields, applyTo === 'month' ? monthDate : null)
+      );
+      return;
+    }
+    setSaving(true);
+    try {
+      await createBudget(fields, monthDate);
+      Alert.alert('Sucesso', 'Orçamento criado com sucesso!');
+      navigation.goBack();
+    } catch (error) {
+      console.error('EditarOrcamentoScreen: Erro ao criar orçamento:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível criar o orçamento.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Volta o mês aberto para o limite padrão do orçamento.
+   */
+  const handleClearMonthAmount = () => runAndGoBack(
+    `Limite de ${monthLabel} removido`,
+    () => clearBudgetMonthAmount(budget.id, monthDate)
+  );
+
+  /**
+   * Confirma e exclui o orçamento.
+   */
+  const handleDelete = () => {
+    Alert.alert(
+      'Excluir Orçamento',
+      `Deseja excluir o orçamento "${budget.name}"? As despesas não serão alteradas.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Excluir',
+          style: 'destructive',
+          onPress: () => runAndGoBack(`Orçamento "${budget.name}" excluído`, () => deleteBudget(budget.id)),
+        },
+      ]
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={commonStyles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007bff" />
+      </View>
+    );
+  }
+
+  // O orçamento foi aberto para edição, mas não existe mais (excluído em outro aparelho, por exemplo)
+  if (budgetId && !budget) {
+    return (
+      <View style={[commonStyles.container, { paddingTop: insets.top }]}>
+        <Text style={commonStyles.noItemsText}>Este orçamento não existe mais.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[commonStyles.container, { paddingTop: insets.top }]}>
+      <ScrollView contentContainerStyle={commonStyles.scrollContent} keyboardShouldPersistTaps="handled">
+        <Text style={commonStyles.title}>{budget ? 'Editar Orçamento' : 'Novo Orçamento'}</Text>
+        {!budget && <Text style={styles.hintText}>O orçamento vale a partir de {monthLabel}.</Text>}
+
+        <View style={commonStyles.inputContainer}>
+          <Text style={commonStyles.pickerLabel}>Nome:</Text>
+          <TextInput
+            style={commonStyles.input}
+            placeholder="Ex: Mercado, Transporte"
+            placeholderTextColor="#bbb"
+            value={name}
+            onChangeText={setName}
+            maxLength={BUDGET_NAME_MAX_LENGTH}
+          />
+        </View>
+
+        <View style={commonStyles.typeSelectionContainer}>
+          <Text style={commonStyles.pickerLabel}>Despesas que contam:</Text>
+          <ChoiceButtons options={SCOPE_OPTIONS} selected={scope} onSelect={setScope} />
+        </View>
+
+        {scope === BUDGET_SCOPES.PAYMENT_METHOD && (
+          <View style={commonStyles.typeSelectionContainer}>
+            <Text style={commonStyles.pickerLabel}>Método de pagamento:</Text>
+            <ChoiceButtons
+              options={BUDGET_PAYMENT_METHODS.map(method => ({ value: method, label: method }))}
+              selected={paymentMethod}
+              onSelect={setPaymentMethod}
+              wrap
+            />
+          </View>
+        )}
+
+        {scope === BUDGET_SCOPES.CARD && (
+          <View style={commonStyles.typeSelectionContainer}>
+            <Text style={commonStyles.pickerLabel}>Cartão:</Text>
+            {activeCards.length > 0 ? (
+              <View style={styles.cardList}>
+                {activeCards.map(card => (
+                  <TouchableOpacity
+                    key={card.id}
+                    style={[styles.cardOption, card.id === cardId && styles.cardOptionSelected]}
+                    onPress={() => setCardId(card.id)}
+                  >
+                    <Text style={[styles.cardOptionText, card.id === cardId && styles.cardOptionTextSelected]}>
+                      {card.alias}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            ) : (
+              <Text style={styles.hintText}>Nenhum cartão cadastrado.</Text>
+            )}
+          </View>
+        )}
+
+        {scope === BUDGET_SCOPES.KEYWORDS && (
+          <View style={commonStyles.inputContainer}>
+            <Text style={commonStyles.pickerLabel}>Palavras na descrição (separadas por vírgula):</Text>
+            <TextInput
+              style={commonStyles.input}
+              placeholder="Ex: uber, 99, combustível"
+              placeholderTextColor="#bbb"
+              value={keywordsText}
+              onChangeText={setKeywordsText}
+              autoCapitalize="none"
+            />
+          </View>
+        )}
+
+        <View style={commonStyles.inputContainer}>
+          <Text style={commonStyles.pickerLabel}>Limite mensal:</Text>
+          <View style={styles.currencyInputContainer}>
+            <Text style={styles.currencySymbol}>R$</Text>
+            <TextInput
+              style={styles.currencyInput}
+              placeholder="0,00"
+              placeholderTextColor="#bbb"
+              keyboardType="numeric"
+              value={amountText}
+              onChangeText={text => {
+                const numbers = text.replace(/[^\d]/g, '');
+                // Os dígitos digitados já são os centavos
+                setAmountText(numbers ? formatCents(parseInt(numbers, 10)) : '');
+              }}
+            />
+          </View>
+        </View>
+
+        {budget && (
+          <View style={commonStyles.typeSelectionContainer}>
+            <Text style={commonStyles.pickerLabel}>Aplicar o limite em:</Text>
+            <ChoiceButtons
+              options={[{ value: 'month', label: `Só ${monthLabel}` }, { value: 'all', label: 'Todos os meses' }]}
+              selected={applyTo}
+              onSelect={setApplyTo}
+            />
+            {applyTo === 'all' && hasMonthAmount && (
+              <Text style={styles.hintText}>{monthLabel} continua com o limite próprio até ele ser removido.</Text>
+            )}
+          </View>
+        )}
+
+        <View style={commonStyles.statusToggleContainer}>
+          <Text style={commonStyles.statusToggleLabel}>Acumular a sobra para o mês seguinte</Text>
+          <Switch value={rollover} onValueChange={setRollover} />
+        </View>
+
+        <TouchableOpacity style={commonStyles.addButton} onPress={handleSave} disabled={saving}>
+          {saving ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={commonStyles.buttonText}>{budget ? 'Salvar Alterações' : 'Criar Orçamento'}</Text>
+          )}
+        </TouchableOpacity>
+
+        {hasMonthAmount && (
+          <TouchableOpacity style={[commonStyles.addButton, styles.secondaryButton]} onPress={handleClearMonthAmount} disabled={saving}>
+            <Text style={commonStyles.buttonText}>Usar o Limite Padrão em {monthLabel}</Text>
+          </TouchableOpacity>
+        )}
+
+        {budget && (
+          <TouchableOpacity style={commonStyles.deleteButton} onPress={handleDelete} disabled={saving}>
+            <Text style={commonStyles.buttonText}>Excluir Orçamento</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Estilos de Texto
+  hintText: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 15,
+    textAlign: 'center',
+  },
+  choiceText: {
+    fontSize: 14,
+  },
+  choiceGrid: {
+    flexWrap: 'wrap',
+  },
+  choiceGridButton: {
+    flexBasis: '31%',
+  },
+
+  // Estilos do Campo de Valor
+  currencyInputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.41,
+    elevation: 2,
+  },
+  currencySymbol: {
+    fontSize: 24,
+    color: '#333',
+    marginRight: 8,
+    fontWeight: 'bold',
+  },
+  currencyInput: {
+    flex: 1,
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'left',
+    padding: 0,
+  },
+
+  // Estilos da Escolha de Cartão
+  cardList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  cardOption: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    backgroundColor: '#fff',
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  cardOptionSelected: {
+    backgroundColor: '#007bff',
+    borderColor: '#007bff',
+  },
+  cardOptionText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  cardOptionTextSelected: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+
+  // Estilos de Botões
+  secondaryButton: {
+    backgroundColor: '#6c757d',
+  },
+});
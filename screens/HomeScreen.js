@@ -9,17 +9,19 @@
  * Principais funcionalidades:
  * - Exibição paginada de despesas e receitas por mês, permitindo navegar entre eles.
  * - Cálculo e exibição da receita total e valor final para o mês atualmente visível.
- * - Gerenciamento de despesas de Débito, Crédito (com parcelamento) e Fixas, incluindo status de pago/pendente.
+ * - Gerenciamento de despesas de Débito, Crédito (com parcelamento), Fixas, Pix, Dinheiro, Boleto e Transferência,
+ *   com o ícone do método em cada linha e status de pago/pendente.
  * - Suporte a toque longo para edição de despesas e toque simples para alternar status de pagamento.
- * - Sincronização e persistência de dados de receitas, despesas e cartões com AsyncStorage.
+ * - Valor real do mês nas despesas fixas (toque no valor), com as contas variáveis ainda sem ele marcadas como estimativa.
+ * - Filtro por tags e por método de pagamento: mostra apenas os lançamentos escolhidos, com os totais do mês.
+ * - Progresso dos orçamentos do mês exibido no resumo, com atalho para a tela de orçamentos.
+ * - Dados de receitas e despesas lidos do repositório central, com atualização automática a cada mudança.
  * - Modais para geração de despesas aleatórias e limpeza de dados (geral ou por mês específico).
  */
 
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useAppContext } from '../AppContext';
 import { View, Text, StyleSheet, FlatList, Dimensions, ActivityIndicator, Alert, ScrollView, TouchableOpacity, Modal, Pressable } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { useFocusEffect } from '@react-navigation/native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useScrollOptimizer } from '../utils/useScrollOptimizer';
 import { Picker } from '@react-native-picker/picker';
@@ -29,6 +31,24 @@ import { Ionicons } from '@expo/vector-icons'; // Importa Ionicons para os ícon
 import commonStyles from '../utils/commonStyles';
 // Importa as chaves de AsyncStorage como constantes, para evitar "magic strings"
 import { ASYNC_STORAGE_KEYS } from '../utils/constants';
+// Acesso centralizado aos dados financeiros e hooks que reagem às suas mudanças
+import { addExpenses, updateExpense, updateExpenses, updateIncomes, clearCollection, clearAllData } from '../utils/financeRepository';
+import { useIncomes, useExpenses, useCategories, useBudgets } from '../utils/useFinanceData';
+import { indexCategories, getCategoryLabel } from '../utils/categories';
+import { collectTags, matchesTags } from '../utils/tags';
+import { PAYMENT_METHOD_LIST, getPaymentMethodIcon, isSinglePaymentMethod, matchesPaymentMethods } from '../utils/paymentMethods';
+import { getBudgetProgress, sortBudgets } from '../utils/budgets';
+import { getRecurrence, getOccurrencesInMonth, describeRecurrenceDetails, usesStartDate } from '../utils/recurrence';
+import BudgetProgressBar from '../components/BudgetProgressBar';
+import OccurrenceAmountModal from '../components/OccurrenceAmountModal';
+import EarlyPayoffModal from '../components/EarlyPayoffModal';
+import { getRemainingInstallments, hasEarlyPayoff, applyEarlyPayoff } from '../utils/installments';
+import { formatCents, sumCents } from '../utils/money';
+import { formatMonthYearForExclusion, getExpensesForMonth, getIncomesForMonth, isFixedIncomeInMonth } from '../utils/monthlyEntries';
+// Registra as ações que podem ser desfeitas pelo aviso "Desfazer"
+import { runUndoable, clearUndoHistory } from '../utils/undoHistory';
+import { clearFixedMonth } from '../utils/trash';
+import { signOutFromCloud } from '../utils/cloudSync';
 
 // Obtém a largura da tela do dispositivo para configurar a rolagem paginada do FlatList
 const { width } = Dimensions.get('window');
@@ -88,39 +108,20 @@ const getMonthName = (date) => {
   }
 };
 
-/**
- * Formata um objeto Date para o formato "MM/YYYY" (usado para `excludedMonths`).
- * @param {Date} date - O objeto Date.
- * @returns {string} A data formatada como string "MM/YYYY".
- */
-const formatMonthYearForExclusion = (date) => {
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const year = date.getFullYear();
-  return `${month}/${year}`;
-};
 
 /**
  * Gera uma lista de objetos Date representando os meses a serem considerados na aplicação.
  * Inclui o mês atual, um número configurável de meses anteriores e posteriores.
  * Esta lista é a base para a FlatList e a geração de despesas aleatórias.
+ * @param {Array<object>} allExpenses - Todas as despesas armazenadas.
  * @returns {Date[]} Um array de objetos Date, cada um representando o primeiro dia de um mês.
  */
-const generateMonthsToDisplay = async () => {
-  let storedExpenses = [];
-  try {
-    const expensesJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.EXPENSES);
-    if (expensesJson) {
-      const allExpenses = JSON.parse(expensesJson);
-      // Filtra apenas despesas não deletadas e ativas
-      storedExpenses = allExpenses.filter(expense => {
-        const isDeleted = expense.deletedAt || expense.status === 'inactive';
-        return !isDeleted;
-      });
-    }
-  } catch (error) {
-    console.error('Erro ao carregar despesas:', error);
-    return [new Date()];
-  }
+const generateMonthsToDisplay = (allExpenses) => {
+  // Filtra apenas despesas não deletadas e ativas
+  const storedExpenses = allExpenses.filter(expense => {
+    const isDeleted = expense.deletedAt || expense.status === 'inactive';
+    return !isDeleted;
+  });
 
   const today = new Date();
   // Armazenamos meses como chaves "YYYY-M" (mês 0-indexado) para evitar chamadas a toISOString()
@@ -138,10 +139,11 @@ const generateMonthsToDisplay = async () => {
       const purchaseDate = new Date(expense.purchaseDate);
       if (purchaseDate < earliestDate) earliestDate = new Date(purchaseDate);
       if (dueDate > latestDate) latestDate = new Date(dueDate);
-    } else if (expense.paymentMethod === 'Débito' && expense.purchaseDate) {
+    } else if (isSinglePaymentMethod(expense.paymentMethod) && expense.purchaseDate) {
       const purchaseDate = new Date(expense.purchaseDate);
+      const dueDate = new Date(expense.dueDate || expense.purchaseDate); // Boletos vencem depois da compra
       if (purchaseDate < earliestDate) earliestDate = new Date(purchaseDate);
-      if (purchaseDate > latestDate) latestDate = new Date(purchaseDate);
+      if (dueDate > latestDate) latestDate = new Date(dueDate);
     }
   });
 
@@ -170,25 +172,30 @@ const generateMonthsToDisplay = async () => {
   const absoluteMaxMonths = 99;
   const effectiveMaxMonths = Math.min(maxFutureMonths, absoluteMaxMonths);
 
+  // (apenas os meses em que a regra de recorrência tem alguma ocorrência)
   storedExpenses.forEach(expense => {
     if (expense.paymentMethod === 'Fixa') {
       let currentDate = new Date(earliestDate.getFullYear(), earliestDate.getMonth(), 1);
       let endDate = new Date(today.getFullYear(), today.getMonth() + effectiveMaxMonths, 1);
       let safety = 0;
       while (currentDate <= endDate && safety < 120) {
-        monthsToShow.add(`${currentDate.getFullYear()}-${currentDate.getMonth()}`);
+        if (getOccurrencesInMonth(expense, currentDate.getFullYear(), currentDate.getMonth()).length > 0) {
+          monthsToShow.add(`${currentDate.getFullYear()}-${currentDate.getMonth()}`);
+        }
         currentDate = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1);
         safety++;
       }
     }
   });
 
-  // Por fim, processamos as despesas de débito
+  // Por fim, processamos as despesas únicas (débito, pix, dinheiro, boleto e transferência),
+  // no mês da compra e no mês do vencimento
   storedExpenses.forEach(expense => {
-    if (expense.paymentMethod === 'Débito' && expense.purchaseDate) {
-      const purchaseDate = new Date(expense.purchaseDate);
-      const monthDate = new Date(purchaseDate.getFullYear(), purchaseDate.getMonth(), 1);
-      monthsToShow.add(`${monthDate.getFullYear()}-${monthDate.getMonth()}`);
+    if (isSinglePaymentMethod(expense.paymentMethod) && expense.purchaseDate) {
+      [expense.purchaseDate, expense.dueDate || expense.purchaseDate].forEach(date => {
+        const monthDate = new Date(new Date(date).getFullYear(), new Date(date).getMonth(), 1);
+        monthsToShow.add(`${monthDate.getFullYear()}-${monthDate.getMonth()}`);
+      });
     }
   });
 
@@ -242,6 +249,76 @@ const generateMonthsToDisplay = async () => {
   return sortedMonths;
 };
 
+/**
+ * Alterna o status de pagamento (pago/pendente) de uma despesa armazenada, sem mutar o original.
+ * Para despesas fixas, o status é registrado por mês em `monthlyStatus`.
+ * @param {object} expense - A despesa armazenada.
+ * @param {string[]} suffixes - Sufixos do ID exibido (["ANO", "MES"] ou ["ANO", "MES", "DIA"] para as
+ *   ocorrências de despesas fixas; ver `getOccurrenceKey` em utils/recurrence.js).
+ * @returns {object} A despesa com o status alternado.
+ */
+const toggleExpensePaidStatus = (expense, suffixes) => {
+  // Se for uma despesa fixa com sufixo de mês/ano (indicando uma ocorrência da regra)
+  if (expense.paymentMethod === 'Fixa' && suffixes.length >= 2) {
+    const monthYearKey = suffixes.join('-');
+    const { monthlyStatus } = expense;
+    // Procura se já existe um status para este mês/ano específico
+    const existingStatus = monthlyStatus.find(status => status.monthYear === monthYearKey);
+
+    if (existingStatus) {
+      // Se já existe, alterna o status e a data de pagamento
+      const wasPaid = existingStatus.status === 'paid';
+      return {
+        ...expense,
+        monthlyStatus: monthlyStatus.map(status => status.monthYear === monthYearKey
+          ? { ...status, status: wasPaid ? 'pending' : 'paid', paidAt: wasPaid ? null : new Date().toISOString() } // Mantém o valor real
+          : status
+        ),
+      };
+    }
+    // Se não existe, adiciona um novo status 'paid'
+    return {
+      ...expense,
+      monthlyStatus: [...monthlyStatus, { monthYear: monthYearKey, status: 'paid', paidAt: new Date().toISOString() }],
+    };
+  }
+
+  // Para despesas de crédito (parcela específica) e débito, alterna o status e a data de pagamento
+  if (expense.status === 'pending') {
+    return { ...expense, status: 'paid', paidAt: new Date().toISOString() };
+  }
+  return { ...expense, status: 'pending', paidAt: null };
+};
+
+/**
+ * Registra (ou remove) o valor real de uma ocorrência de despesa fixa em `monthlyStatus`, sem mutar
+ * o original. Sem status registrado, a ocorrência fica pendente.
+ * @param {object} expense - A despesa fixa armazenada.
+ * @param {string} monthYearKey - Chave da ocorrência (ver `getOccurrenceKey` em utils/recurrence.js).
+ * @param {number|null} amount - Valor real em centavos, ou null para voltar à estimativa.
+ * @returns {object} A despesa com o valor da ocorrência alterado.
+ */
+const setOccurrenceAmount = (expense, monthYearKey, amount) => {
+  const { monthlyStatus } = expense;
+  const existingStatus = monthlyStatus.find(status => status.monthYear === monthYearKey);
+  if (!existingStatus) {
+    return amount === null ? expense : {
+      ...expense,
+      monthlyStatus: [...monthlyStatus, { monthYear: monthYearKey, status: 'pending', paidAt: null, amount }],
+    };
+  }
+  return {
+    ...expense,
+    monthlyStatus: monthlyStatus.map(status => {
+      if (status.monthYear !== monthYearKey) {
+        return status;
+      }
+      const { amount: previousAmount, ...rest } = status;
+      return amount === null ? rest : { ...rest, amount };
+    }),
+  };
+};
+
 /**
  * Gera um conjunto de despesas aleatórias para fins de demonstração/teste.
  * Esta função é agora chamada manualmente por um botão na tela.
@@ -291,8 +368,8 @@ const generateRandomExpensesData = (monthsToConsider) => {
       const maxDaysInMonth = new Date(year, month + 1, 0).getDate();
       const day = Math.floor(Math.random() * maxDaysInMonth) + 1;
       
-      // Gera um valor aleatório entre R$ 20 e R$ 500
-      const value = parseFloat((Math.random() * 480 + 20).toFixed(2));
+      // Gera um valor aleatório entre R$ 20 e R$ 500, em centavos
+      const value = Math.round(Math.random() * 48000) + 2000;
       
       // Seleciona uma descrição aleatória
       const description = expenseDescriptions[Math.floor(Math.random() * expenseDescriptions.length)];
@@ -332,12 +409,32 @@ export default function HomeScreen({ navigation }) {
   const insets = useSafeAreaInsets(); // Hook para obter os insets da área segura da tela
   const { mostrarBotoesTeste } = useAppContext(); // Obtém o estado do modo de desenvolvedor do contexto
 
-  // Estado para controlar o carregamento inicial da aplicação
-  const [loadingApp, setLoadingApp] = useState(true);
-  // Estado para armazenar todas as receitas carregadas
-  const [allIncomes, setAllIncomes] = useState([]);
-  // Estado para armazenar todas as despesas carregadas
-  const [allExpenses, setAllExpenses] = useState([]);
+  // Estado para indicar operações em andamento (geração de dados de teste, limpeza)
+  const [loadingApp, setLoadingApp] = useState(false);
+  // Todas as receitas e despesas, mantidas atualizadas pelas notificações do repositório
+  const { data: allIncomes, loading: loadingIncomes, error: incomesError } = useIncomes();
+  const { data: allExpenses, loading: loadingExpenses, error: expensesError } = useExpenses();
+  // Categorias das despesas, indexadas pelo ID para exibição nas linhas
+  const { data: allCategories } = useCategories();
+  const categoriesById = useMemo(() => indexCategories(allCategories), [allCategories]);
+  const { data: allBudgets } = useBudgets();
+  // Tags escolhidas no filtro (vazio = sem filtro) e tags existentes para escolher
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [isTagFilterModalVisible, setIsTagFilterModalVisible] = useState(false);
+  // Ocorrência de despesa fixa cujo valor real está sendo informado (null = modal fechado)
+  const [amountExpense, setAmountExpense] = useState(null);
+  // Parcela de crédito cuja compra está sendo antecipada (null = modal fechado) e as parcelas restantes
+  const [payoffExpense, setPayoffExpense] = useState(null);
+  const payoffInstallments = useMemo(
+    () => (payoffExpense ? getRemainingInstallments(allExpenses, payoffExpense.originalExpenseId) : []),
+    [payoffExpense, allExpenses]
+  );
+  const availableTags = useMemo(() => collectTags(allIncomes, allExpenses), [allIncomes, allExpenses]);
+  // Métodos de pagamento escolhidos no filtro (vazio = sem filtro; vale só para as despesas)
+  const [selectedPaymentMethods, setSelectedPaymentMethods] = useState([]);
+  const [isMethodFilterModalVisible, setIsMethodFilterModalVisible] = useState(false);
+  // Verdadeiro até que receitas e despesas tenham sido carregadas pela primeira vez
+  const loadingData = loadingIncomes || loadingExpenses;
   
   // Estados para controlar a ordenação das despesas
   const [activeFilter, setActiveFilter] = useState('date'); // Começa ordenando por data
@@ -366,52 +463,19 @@ export default function HomeScreen({ navigation }) {
   const [pickerMonth, setPickerMonth] = useState(String(new Date().getMonth() + 1).padStart(2, '0'));
   const [pickerYear, setPickerYear] = useState(String(new Date().getFullYear()));
 
-  // Estado para armazenar a lista de meses (inicializado com o mês atual)
+  // Data do primeiro dia do mês atual do sistema
   const today = new Date();
   const initialMonthDate = useMemo(() => new Date(today.getFullYear(), today.getMonth(), 1), []);
-  const [monthsToDisplay, setMonthsToDisplay] = useState([initialMonthDate]);
 
-  // useEffect para o carregamento inicial e atualizações
-  useEffect(() => {
-    const loadData = async () => {
-      try {
-        setLoadingApp(true);
-        console.log('=== Carregando dados iniciais e atualizando meses ===');
-        
-        // Carrega as despesas
-        const storedExpensesJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.EXPENSES);
-        const currentExpenses = storedExpensesJson ? JSON.parse(storedExpensesJson) : [];
-        setAllExpenses(currentExpenses);
-        
-        // Carrega as receitas
-        const storedIncomesJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.INCOMES);
-        const currentIncomes = storedIncomesJson ? JSON.parse(storedIncomesJson) : [];
-        setAllIncomes(currentIncomes);
-        
-        // Gera os meses com base nas despesas carregadas
-        const months = await generateMonthsToDisplay();
-        setMonthsToDisplay(months);
-      } catch (error) {
-        console.error('Erro ao carregar dados:', error);
-      } finally {
-        setLoadingApp(false);
-      }
-    };
-    
-    loadData();
-  }, []); // Executa apenas na montagem inicial do componente
+  // Lista de meses a considerar, recalculada sempre que as despesas mudam
+  const monthsToDisplay = useMemo(() => generateMonthsToDisplay(allExpenses), [allExpenses]);
 
-  // useEffect para atualizar os meses quando houver mudanças nas despesas ou receitas
+  // Avisa o usuário se os dados não puderam ser carregados
   useEffect(() => {
-    const updateMonths = async () => {
-      if (!loadingApp) { // Evita executar durante o carregamento inicial
-        console.log('=== Atualizando meses devido a mudanças em despesas/receitas ===');
-        const months = await generateMonthsToDisplay();
-        setMonthsToDisplay(months);
-      }
-    };
-    updateMonths();
-  }, [allExpenses, allIncomes, loadingApp]);
+    if (incomesError || expensesError) {
+      Alert.alert('Erro de Carregamento', 'Não foi possível carregar os dados de finanças do armazenamento local.');
+    }
+  }, [incomesError, expensesError]);
 
   // Estado para o índice do mês atualmente visível na FlatList
   const [currentMonthIndex, setCurrentMonthIndex] = useState(0);
@@ -447,163 +511,6 @@ export default function HomeScreen({ navigation }) {
     }
   }, []);
 
-  /**
-   * Função auxiliar para obter o último dia de um determinado mês e ano.
-   * @param {number} year - O ano.
-   * @param {number} month - O mês (0-indexado).
-   * @returns {number} O último dia do mês.
-   */
-  const getLastDayOfMonth = (year, month) => {
-    return new Date(year, month + 1, 0).getDate();
-  };
-
-  /**
-   * Filtra e processa as despesas para um mês específico.
-   * Considera despesas fixas (com seus meses de exclusão) e despesas de débito/crédito.
-   * @param {Date} monthDate - O objeto Date representando o mês alvo.
-   * @param {Array<object>} expensesData - Array de todas as despesas.
-   * @param {boolean} onlyActive - Se deve retornar apenas despesas ativas (não soft-deleted).
-   * @returns {Array<object>} Array de despesas filtradas e processadas para o mês.
-   */
-  const getExpensesForMonth = useCallback((monthDate, expensesData, onlyActive = false) => {
-    const targetMonth = monthDate.getMonth();
-    const targetYear = monthDate.getFullYear();
-    const displayMonthStartTimestamp = new Date(targetYear, targetMonth, 1).getTime();
-    const currentMonthYearString = formatMonthYearForExclusion(monthDate);
-    
-    let expensesForThisMonth = [];
-
-    expensesData.forEach(item => {
-      // Primeiro verifica se o item está deletado ou inativo
-      if (item.deletedAt || (onlyActive && item.status === 'inactive')) {
-        console.log(`Ignorando despesa ${item.id} pois está deletada ou inativa`);
-        return;
-      }
-
-      // Lógica específica para despesas fixas
-      if (item.paymentMethod === 'Fixa') {
-        // Verifica se o mês/ano atual está na lista de meses excluídos para essa despesa fixa
-        if (item.excludedMonths && item.excludedMonths.includes(currentMonthYearString)) {
-          return;
-        }
-
-        // Verifica se a despesa fixa já deve começar a ser exibida
-        const startDate = new Date(item.startYear || item.createdAt.getFullYear(), 
-                                 item.startMonth || item.createdAt.getMonth(), 1);
-        const targetDate = new Date(targetYear, targetMonth, 1);
-
-        // Só exibe a despesa fixa se o mês/ano alvo for igual ou posterior ao mês/ano inicial
-        if (targetDate.getTime() >= startDate.getTime()) {
-          let dayForFixedExpense = item.dueDayOfMonth || 1;
-          const lastDayOfTargetMonth = getLastDayOfMonth(targetYear, targetMonth);
-          
-          // Ajusta o dia de vencimento se for maior que o número de dias do mês alvo
-          if (dayForFixedExpense > lastDayOfTargetMonth) {
-            dayForFixedExpense = lastDayOfTargetMonth;
-          }
-
-          const fixedDueDate = new Date(targetYear, targetMonth, dayForFixedExpense);
-          
-          // Define se a despesa está atrasada baseado na data atual
-          const today = new Date();
-          const isDueDateBeforeToday = fixedDueDate < today;
-
-          // Encontra o status específico para este mês/ano (se houver um status mensal)
-          const monthYearKey = `${targetYear}-${targetMonth}`;
-          const monthStatus = item.monthlyStatus?.find(
-            status => status.monthYear === monthYearKey
-          );
-
-          expensesForThisMonth.push({
-            ...item,
-            dueDate: fixedDueDate.toISOString(), // Define a data de vencimento ajustada para o mês
-            id: `${item.id}-${targetYear}-${targetMonth}`, // ID único por mês para despesas fixas
-            originalId: item.id, // Referência ao ID original da despesa fixa
-            description: item.description, // Descrição original (o "(Fixa)" é adicionado na renderização)
-            status: monthStatus?.status || 'pending', // Usa o status mensal ou 'pending'
-            paidAt: monthStatus?.paidAt || null
-          });
-        }
-      }
-      // Lógica para despesas de Débito e Crédito
-      else {
-        if (item.dueDate) {
-          const itemDueDate = new Date(item.dueDate);
-          // Inclui a despesa se a data de vencimento for no mês/ano atual
-          if (itemDueDate.getMonth() === targetMonth && itemDueDate.getFullYear() === targetYear) {
-            // Para despesas de crédito, garante que o ID e número da parcela sejam mantidos
-            if (item.paymentMethod === 'Crédito') {
-              expensesForThisMonth.push({
-                ...item,
-                id: item.id,
-                installmentNumber: item.installmentNumber
-              });
-            } else {
-              expensesForThisMonth.push(item);
-            }
-          }
-        }
-      }
-    });    
-    // Ordena as despesas pela data de vencimento ou criação para exibição consistente
-    return expensesForThisMonth.sort((a, b) => {
-      const dateA = new Date(a.dueDate || a.createdAt); 
-      const dateB = new Date(b.dueDate || b.createdAt);
-      return dateA.getTime() - dateB.getTime();
-    });
-  }, []); // Depende apenas de si mesmo para evitar recriação desnecessária
-
-  /**
-   * Filtra e processa as receitas para um mês específico.
-   * Considera receitas fixas (com seus meses de exclusão) e receitas de ganho.
-   * @param {Date} monthDate - O objeto Date representando o mês alvo.
-   * @param {Array<object>} incomesData - Array de todas as receitas.
-   * @param {boolean} onlyActive - Se deve retornar apenas receitas ativas (não soft-deleted).
-   * @returns {Array<object>} Array de receitas filtradas e processadas para o mês.
-   */
-  const getIncomesForMonth = useCallback((monthDate, incomesData, onlyActive = false) => {
-    const targetMonth = monthDate.getMonth();
-    const targetYear = monthDate.getFullYear();
-    const displayMonthStartTimestamp = new Date(targetYear, targetMonth, 1).getTime();
-    const currentMonthYearString = formatMonthYearForExclusion(monthDate);
-
-    let incomesForThisMonth = [];
-
-    incomesData.forEach(item => {
-      // Ignora itens marcados para exclusão suave
-      if (item.deletedAt) {
-        return;
-      }
-
-      // Se `onlyActive` é true, ignora itens com status 'inactive'
-      if (onlyActive && item.status === 'inactive') {
-        return;
-      }
-
-      // Lógica específica para receitas fixas
-      if (item.type === 'Fixo') {
-        // Verifica se o mês/ano atual está na lista de meses excluídos para essa receita fixa
-        if (item.excludedMonths && item.excludedMonths.includes(currentMonthYearString)) {
-          return;
-        }
-
-        const createdAtDate = new Date(item.createdAt);
-        const createdAtMonthStart = new Date(createdAtDate.getFullYear(), createdAtDate.getMonth(), 1).getTime();
-        // A receita fixa só aparece se foi criada antes ou no mês atual de exibição
-        if (createdAtMonthStart <= displayMonthStartTimestamp) {
-          incomesForThisMonth.push(item);
-        }
-      }
-      // Lógica para receitas de ganho (receitas pontuais)
-      else if (item.type === 'Ganho') {
-        // Inclui a receita se o mês e ano da receita corresponderem ao mês/ano atual
-        if (item.month === targetMonth && item.year === targetYear) {
-          incomesForThisMonth.push(item);
-        }
-      }
-    });    
-    return incomesForThisMonth;
-  }, []); // Depende apenas de si mesmo
 
   /**
    * Função auxiliar para validar se uma data é válida
@@ -709,7 +616,7 @@ export default function HomeScreen({ navigation }) {
 
     return validated;
 
-  }, [monthsToDisplay, initialMonthDate, allExpenses, allIncomes, getExpensesForMonth, getIncomesForMonth]);
+  }, [monthsToDisplay, initialMonthDate, allExpenses, allIncomes]);
 
   /**
    * `useMemo` para gerar as opções de meses para o Picker no modal de limpeza de dados.
@@ -731,64 +638,36 @@ export default function HomeScreen({ navigation }) {
     return Array.from(uniqueYears).sort();
   }, [filteredMonthsToDisplay]);
 
+  // Indica se o índice inicial (mês atual do sistema) já foi aplicado após o primeiro carregamento
+  const initialIndexApplied = useRef(false);
+
   /**
-   * Carrega os dados de receitas e despesas do AsyncStorage.
-   * Calcula o índice do mês atual para a rolagem inicial da FlatList.
-   * É um `useCallback` para evitar recriações desnecessárias.
+   * Ao terminar o primeiro carregamento dos dados, posiciona a FlatList no mês atual do sistema.
+   * Atualizações posteriores (vindas do repositório) mantêm o mês que o usuário está vendo.
    */
-  const loadData = useCallback(async () => {
-    setLoadingApp(true); // Inicia o indicador de carregamento
-    try {
-      // Carrega receitas
-      const storedIncomesJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.INCOMES);
-      const storedIncomes = storedIncomesJson ? JSON.parse(storedIncomesJson) : [];
-      setAllIncomes(storedIncomes);
-      
-      // Carrega despesas
-      const storedExpensesJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.EXPENSES);
-      const currentExpenses = storedExpensesJson ? JSON.parse(storedExpensesJson) : [];
-      setAllExpenses(currentExpenses);
-
-      // --- Lógica para determinar o `initialScrollIndex` ---
-      // Recria a lista de meses filtrados temporariamente para encontrar o índice correto
-      const tempFilteredMonths = monthsToDisplay.filter(monthDate => {
-        const activeExpensesForMonth = getExpensesForMonth(monthDate, currentExpenses, true);
-        const hasActiveExpenses = activeExpensesForMonth.length > 0;
-        return hasActiveExpenses;
-      });
-      
-      // Se não houver nenhum mês com despesas ativas, mostra apenas o mês atual
-      if (tempFilteredMonths.length === 0) {
-        tempFilteredMonths.push(initialMonthDate);
-      }
-      tempFilteredMonths.sort((a, b) => a.getTime() - b.getTime()); // Re-ordena
+  useEffect(() => {
+    if (loadingData || initialIndexApplied.current) return;
 
-      // Encontra o índice do mês atual na lista filtrada para a rolagem
-      const targetIndex = tempFilteredMonths.findIndex(monthDate =>
-        monthDate.getMonth() === initialMonthDate.getMonth() &&
-        monthDate.getFullYear() === initialMonthDate.getFullYear()
-      );
-      
-      if (targetIndex !== -1) {
-        setCurrentMonthIndex(targetIndex);
-        console.log(`[DEBUG - loadData]: Índice inicial do mês atual calculado: ${targetIndex}`);
-      } else {
-        setCurrentMonthIndex(0); // Fallback para índice 0
-        console.warn(`[DEBUG - loadData]: Mês atual do sistema não encontrado na lista filtrada, padrão para índice 0.`);
-      }
+    // Encontra o índice do mês atual na lista filtrada para a rolagem
+    const targetIndex = filteredMonthsToDisplay.findIndex(monthDate =>
+      monthDate.getMonth() === initialMonthDate.getMonth() &&
+      monthDate.getFullYear() === initialMonthDate.getFullYear()
+    );
 
-    } catch (error) {
-      console.error("HomeScreen: Erro ao carregar dados do AsyncStorage:", error);
-      Alert.alert('Erro de Carregamento', 'Não foi possível carregar os dados de finanças do armazenamento local.');
-    } finally {
-      setLoadingApp(false); // Finaliza o indicador de carregamento
-      scrollAttempted.current = false; // Reseta a flag de rolagem para permitir um novo scroll
+    if (targetIndex !== -1) {
+      setCurrentMonthIndex(targetIndex);
+      console.log(`[DEBUG - initialMonth]: Índice inicial do mês atual calculado: ${targetIndex}`);
+    } else {
+      setCurrentMonthIndex(0); // Fallback para índice 0
+      console.warn(`[DEBUG - initialMonth]: Mês atual do sistema não encontrado na lista filtrada, padrão para índice 0.`);
     }
-  }, [initialMonthDate, getExpensesForMonth, getIncomesForMonth]); // Depende dessas funções/variáveis
+    initialIndexApplied.current = true;
+    scrollAttempted.current = false; // Reseta a flag de rolagem para permitir um novo scroll
+  }, [loadingData, filteredMonthsToDisplay, initialMonthDate]);
 
   /**
    * Função para gerar despesas aleatórias para fins de teste e demonstração.
-   * Adiciona essas despesas às existentes no AsyncStorage.
+   * Adiciona essas despesas às existentes pelo repositório central.
    * É um `useCallback` para evitar recriações desnecessárias.
    */
   const handleGenerateRandomExpenses = useCallback(async () => {
@@ -810,24 +689,9 @@ export default function HomeScreen({ navigation }) {
       const generated = generateRandomExpensesData(mesesParaGerar);
       console.log("[DEBUG] Despesas geradas:", generated);
 
-      const storedExpensesJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.EXPENSES);
-      const existingExpenses = storedExpensesJson ? JSON.parse(storedExpensesJson) : [];
-      console.log("[DEBUG] Despesas existentes:", existingExpenses);
-      
-      const combinedExpenses = [...existingExpenses, ...generated]; // Combina as despesas
-      console.log("[DEBUG] Total de despesas após combinação:", combinedExpenses.length);
-
-      await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.EXPENSES, JSON.stringify(combinedExpenses));
-      console.log("[DEBUG] Despesas salvas no AsyncStorage");
-
-      // Primeiro atualiza as despesas no estado
-      setAllExpenses(combinedExpenses);
-      console.log("[DEBUG] Estado de allExpenses atualizado");
-
-      // Força a atualização da lista de meses
-      const newMonths = await generateMonthsToDisplay();
-      setMonthsToDisplay(newMonths);
-      console.log("[DEBUG] Lista de meses atualizada:", newMonths.map(d => `${d.getMonth() + 1}/${d.getFullYear()}`));
+      // Adiciona as despesas geradas; a lista de meses é recalculada pela notificação do repositório
+      await addExpenses(generated);
+      console.log("[DEBUG] Despesas aleatórias salvas");
 
       Alert.alert('Sucesso', `${generated.length} despesas aleatórias geradas e adicionadas!`);
     } catch (error) {
@@ -836,23 +700,7 @@ export default function HomeScreen({ navigation }) {
     } finally {
       setLoadingApp(false);
     }
-  }, [loadData]); // Depende apenas de loadData
-
-  /**
-   * `useFocusEffect` para garantir que os dados sejam recarregados e a tela seja atualizada
-   * sempre que a `HomeScreen` for focada (ex: ao navegar de volta para ela).
-   */
-  useFocusEffect(
-    useCallback(() => {
-      scrollAttempted.current = false; // Reseta a flag para permitir rolagem no foco
-      const fetchData = async () => {
-        console.log("HomeScreen: Recarregando dados após foco");
-        await loadData();
-      };
-      fetchData();
-      return () => {}; // Cleanup function
-    }, [loadData]) // Depende de `loadData`
-  );
+  }, []);
 
   /**
    * `useEffect` para corrigir a rolagem da FlatList para o mês atual.
@@ -922,18 +770,15 @@ export default function HomeScreen({ navigation }) {
     const displayMonthStart = new Date(targetYear, targetMonth, 1);
     const currentMonthYearString = formatMonthYearForExclusion(monthDate);
     
-    allIncomes.forEach(income => {
+    allIncomes.filter(income => matchesTags(income, selectedTags)).forEach(income => {
       // Ignora receitas fixas que foram excluídas para este mês específico
-      if (income.type === 'Fixo' && income.excludedMonths && income.excludedMonths.includes(currentMonthYearString)) {
+      if (income.type === 'Fixo' && income.excludedMonths.includes(currentMonthYearString)) {
         return;
       }
 
-      const incomeCreationDate = new Date(income.createdAt);
-      const creationMonthStart = new Date(incomeCreationDate.getFullYear(), incomeCreationDate.getMonth(), 1);
-
-      // Lógica para receitas fixas
+      // Lógica para receitas fixas (criadas até o mês e ainda não encerradas)
       if (income.type === 'Fixo') {
-        const isCreatedBeforeOrInDisplayMonth = creationMonthStart.getTime() <= displayMonthStart.getTime();
+        const isRepeatingInDisplayMonth = isFixedIncomeInMonth(income, monthDate);
         
         let isActiveInDisplayMonth = true;
         // Verifica se a receita fixa foi desativada (soft deleted) antes ou no mês de exibição
@@ -946,23 +791,13 @@ export default function HomeScreen({ navigation }) {
           }
         }
 
-        if (isCreatedBeforeOrInDisplayMonth && isActiveInDisplayMonth) {
+        if (isRepeatingInDisplayMonth && isActiveInDisplayMonth) {
           totalIncome += income.value;
         }
       } 
-      // Lógica para receitas de ganho
+      // Lógica para receitas de ganho (um ganho excluído não conta, qualquer que seja a data da exclusão)
       else if (income.type === 'Ganho' && income.month === targetMonth && income.year === targetYear) {
-        let isActiveInDisplayMonth = true;
-        // Verifica se a receita de ganho foi desativada (soft deleted) antes ou no mês de exibição
-        if (income.status === 'inactive' && income.deletedAt) {
-          const deletionDate = new Date(income.deletedAt);
-          const deletionMonthStart = new Date(deletionDate.getFullYear(), deletionDate.getMonth(), 1);
-
-          if (deletionMonthStart.getTime() <= displayMonthStart.getTime()) {
-              isActiveInDisplayMonth = false;
-          }
-        }
-        if (isActiveInDisplayMonth) {
+        if (income.status !== 'inactive' && !income.deletedAt) {
           totalIncome += income.value;
         }
       }
@@ -976,11 +811,21 @@ export default function HomeScreen({ navigation }) {
   // Calcula a receita total para o mês atualmente exibido
   const currentMonthTotalIncome = calculateTotalIncomeForMonth(currentDisplayedMonthDate);
 
-  // Obtém as despesas ativas para o mês atualmente exibido
-  const currentDisplayedMonthExpenses = getExpensesForMonth(currentDisplayedMonthDate, allExpenses, true);
+  // Obtém as despesas ativas para o mês atualmente exibido (apenas as com as tags e os métodos do filtro, se houver)
+  const currentDisplayedMonthExpenses = getExpensesForMonth(currentDisplayedMonthDate, allExpenses, true)
+    .filter(expense => matchesTags(expense, selectedTags) && matchesPaymentMethods(expense, selectedPaymentMethods));
   
-  // Calcula o total das despesas do mês atualmente exibido
-  const currentMonthTotalExpense = currentDisplayedMonthExpenses.reduce((sum, item) => sum + item.value, 0);
+  // Calcula o total das despesas do mês atualmente exibido (em centavos)
+  const currentMonthTotalExpense = sumCents(currentDisplayedMonthExpenses);
+  // Contas variáveis do mês ainda sem o valor real (o total usa a estimativa delas)
+  const currentMonthEstimateCount = currentDisplayedMonthExpenses.filter(expense => expense.isEstimate).length;
+
+  // Situação dos orçamentos no mês exibido (sempre sobre todas as despesas, sem o filtro de tags)
+  const currentDisplayedMonthTime = currentDisplayedMonthDate.getTime();
+  const currentMonthBudgets = useMemo(() => sortBudgets(allBudgets)
+    .map(budget => ({ budget, progress: getBudgetProgress(budget, new Date(currentDisplayedMonthTime), allExpenses) }))
+    .filter(({ progress }) => progress !== null),
+  [allBudgets, allExpenses, currentDisplayedMonthTime]);
 
   // Calcula o valor final (Receita Total - Despesa Total) para o mês atualmente exibido
   const valorFinalDisplayedMonth = currentMonthTotalIncome - currentMonthTotalExpense;
@@ -1016,9 +861,66 @@ export default function HomeScreen({ navigation }) {
     });
   };
 
+  /**
+   * Salva o valor real da ocorrência aberta no modal de valor do mês.
+   * @param {number|null} amount - Valor em centavos, ou null para voltar à estimativa.
+   */
+  const handleSaveOccurrenceAmount = async (amount) => {
+    const expense = amountExpense;
+    setAmountExpense(null);
+    const monthYearKey = expense.id.slice(`${expense.originalId}-`.length);
+    try {
+      await runUndoable(
+        `Valor de "${expense.description}" alterado`,
+        [ASYNC_STORAGE_KEYS.EXPENSES],
+        () => updateExpense(expense.originalId, latestExpense => setOccurrenceAmount(latestExpense, monthYearKey, amount))
+      );
+    } catch (error) {
+      console.error('HomeScreen: Erro ao salvar valor da ocorrência:', error);
+      Alert.alert('Erro', 'Ocorreu um erro ao salvar o valor do mês. Tente novamente.');
+    }
+  };
+
+  /**
+   * Abre a antecipação da compra de uma parcela de crédito, se ela ainda não foi antecipada e
+   * houver parcelas pendentes.
+   * @param {object} expense - A parcela tocada.
+   */
+  const handleOpenEarlyPayoff = (expense) => {
+    if (hasEarlyPayoff(allExpenses, expense.originalExpenseId)) {
+      Alert.alert('Antecipar Parcelas', 'As parcelas desta compra já foram antecipadas.');
+      return;
+    }
+    if (getRemainingInstallments(allExpenses, expense.originalExpenseId).length === 0) {
+      Alert.alert('Antecipar Parcelas', 'Não há parcelas pendentes para antecipar nesta compra.');
+      return;
+    }
+    setPayoffExpense(expense);
+  };
+
+  /**
+   * Quita as parcelas restantes da compra aberta no modal de antecipação com um pagamento único.
+   * As parcelas quitadas continuam gravadas com o plano original (ver utils/installments.js).
+   * @param {{amount: number, dueDate: string}} payoff - Valor em centavos e vencimento da fatura escolhida.
+   */
+  const handleSaveEarlyPayoff = async (payoff) => {
+    const expense = payoffExpense;
+    setPayoffExpense(null);
+    try {
+      await runUndoable(
+        `Parcelas de "${expense.description}" antecipadas`,
+        [ASYNC_STORAGE_KEYS.EXPENSES],
+        () => updateExpenses(expenses => applyEarlyPayoff(expenses, expense.originalExpenseId, payoff))
+      );
+    } catch (error) {
+      console.error('HomeScreen: Erro ao antecipar parcelas:', error);
+      Alert.alert('Erro', 'Ocorreu um erro ao antecipar as parcelas. Tente novamente.');
+    }
+  };
+
   /**
    * Handler para alternar o status de uma despesa entre 'paga' e 'pendente'.
-   * Atualiza o estado local e persiste a mudança no AsyncStorage.
+   * Persiste a mudança pelo repositório central.
    * @param {string} expenseId - O ID da despesa a ser atualizada.
    */
   const handleTogglePaidStatus = useCallback(async (expenseId) => {
@@ -1030,15 +932,13 @@ export default function HomeScreen({ navigation }) {
     // Extrai o ID base e quaisquer sufixos do ID completo (ex: "ID_BASE-ANO-MES")
     const [baseId, ...suffixes] = expenseId.split('-');
     
-    let expenseIndex = -1;
     // Busca a despesa correspondente no array `allExpenses`
-    const originalExpense = allExpenses.find((exp, index) => {
+    const originalExpense = allExpenses.find(exp => {
       // Para despesas de crédito, procura pela parcela específica
       if (exp.paymentMethod === 'Crédito') {
         const isMatch = exp.id === expenseId || // ID exato da parcela
                        (exp.originalExpenseId === baseId && exp.installmentNumber === parseInt(suffixes[0], 10)); // ID base e número da parcela
         if (isMatch) {
-          expenseIndex = index;
           return true;
         }
       }
@@ -1046,7 +946,6 @@ export default function HomeScreen({ navigation }) {
       else if (exp.paymentMethod === 'Fixa') {
         const isMatch = exp.id === baseId;
         if (isMatch) {
-          expenseIndex = index;
           return true;
         }
       }
@@ -1054,7 +953,6 @@ export default function HomeScreen({ navigation }) {
       else {
         const isMatch = exp.id === expenseId;
         if (isMatch) {
-          expenseIndex = index;
           return true;
         }
       }
@@ -1076,95 +974,18 @@ export default function HomeScreen({ navigation }) {
       valor: originalExpense.value
     });
 
-    if (expenseIndex === -1) {
-      console.warn(`[DEBUG - handleTogglePaidStatus]: Índice da despesa não encontrado para ID ${expenseId}`);
-      return;
-    }
-
-    const updatedExpenses = [...allExpenses];
-    const expenseToUpdate = { ...updatedExpenses[expenseIndex] };
-
-    // --- Lógica para alternar status de acordo com o tipo de despesa ---
-    // Se for uma despesa fixa com sufixo de mês/ano (indicando uma instância mensal)
-    if (expenseToUpdate.paymentMethod === 'Fixa' && suffixes.length === 2) {
-      const [year, month] = suffixes;
-      // Inicializa o array `monthlyStatus` se não existir
-      if (!expenseToUpdate.monthlyStatus) {
-        expenseToUpdate.monthlyStatus = [];
-      }
-
-      const monthYearKey = `${year}-${month}`;
-      // Procura se já existe um status para este mês/ano específico
-      const existingStatusIndex = expenseToUpdate.monthlyStatus.findIndex(
-        status => status.monthYear === monthYearKey
+    // Persiste a mudança pelo repositório; a alternância é aplicada sobre a versão mais recente
+    // da despesa e a tela é atualizada pela notificação do repositório
+    try {
+      const updatedExpense = await runUndoable(
+        `Status de "${originalExpense.description}" alterado`,
+        [ASYNC_STORAGE_KEYS.EXPENSES],
+        () => updateExpense(originalExpense.id, latestExpense => toggleExpensePaidStatus(latestExpense, suffixes))
       );
-
-      if (existingStatusIndex >= 0) {
-        // Se já existe, alterna o status e a data de pagamento
-        const currentStatus = expenseToUpdate.monthlyStatus[existingStatusIndex].status;
-        expenseToUpdate.monthlyStatus[existingStatusIndex] = {
-          monthYear: monthYearKey,
-          status: currentStatus === 'paid' ? 'pending' : 'paid',
-          paidAt: currentStatus === 'paid' ? null : new Date().toISOString()
-        };
-      } else {
-        // Se não existe, adiciona um novo status 'paid'
-        expenseToUpdate.monthlyStatus.push({
-          monthYear: monthYearKey,
-          status: 'paid',
-          paidAt: new Date().toISOString()
-        });
-      }
-    }
-    // Se for uma despesa de crédito
-    else if (expenseToUpdate.paymentMethod === 'Crédito') {
-      // Alterna o status e a data de pagamento para a parcela específica
-      if (expenseToUpdate.status === 'pending') {
-        expenseToUpdate.status = 'paid';
-        expenseToUpdate.paidAt = new Date().toISOString();
-      } else {
-        expenseToUpdate.status = 'pending';
-        expenseToUpdate.paidAt = null;
+      console.log(`[DEBUG - handleTogglePaidStatus]: Despesa ${expenseId} atualizada para status: ${updatedExpense.status}`);
+      if (currentMonthKey) {
+        restoreMonthScrollPosition(currentMonthKey);
       }
-      console.log(`[DEBUG - handleTogglePaidStatus]: Atualizando parcela de crédito:`, {
-        parcela: expenseToUpdate.installmentNumber,
-        total: expenseToUpdate.totalInstallments,
-        novoStatus: expenseToUpdate.status,
-        valor: expenseToUpdate.value,
-        pago: expenseToUpdate.paidAt ? 'Sim' : 'Não'
-      });
-    }
-    // Para despesas normais (débito)
-    else {
-      // Alterna o status e a data de pagamento
-      const statusAnterior = expenseToUpdate.status;
-      if (expenseToUpdate.status === 'pending') {
-        expenseToUpdate.status = 'paid';
-        expenseToUpdate.paidAt = new Date().toISOString();
-      } else {
-        expenseToUpdate.status = 'pending';
-        expenseToUpdate.paidAt = null;
-      }
-      console.log(`[DEBUG - handleTogglePaidStatus]: Atualizando despesa de ${expenseToUpdate.paymentMethod}:`, {
-        descricao: expenseToUpdate.description,
-        statusAnterior,
-        novoStatus: expenseToUpdate.status,
-        valor: expenseToUpdate.value,
-        data: expenseToUpdate.dueDate
-      });
-    }
-
-    updatedExpenses[expenseIndex] = expenseToUpdate; // Atualiza a despesa no array
-    setAllExpenses(updatedExpenses); // Atualiza o estado local com as despesas modificadas
-    if (currentMonthKey) {
-      restoreMonthScrollPosition(currentMonthKey);
-    }
-    console.log('[DEBUG - handleTogglePaidStatus]: Estado local atualizado com sucesso');
-
-    // Persiste a mudança no AsyncStorage
-    try {
-      await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.EXPENSES, JSON.stringify(updatedExpenses));
-      console.log(`[DEBUG - handleTogglePaidStatus]: Despesa ${expenseId} atualizada para status: ${expenseToUpdate.status}`);
     } catch (error) {
       console.error('Erro ao salvar status da despesa:', error);
       Alert.alert('Erro', 'Ocorreu um erro ao atualizar o status da despesa. Tente novamente.');
@@ -1236,9 +1057,12 @@ export default function HomeScreen({ navigation }) {
       const today = new Date();
       today.setHours(0, 0, 0, 0);
 
-      // Se for uma despesa fixa, verifica se estamos no mês inicial
-      if (expense.paymentMethod === 'Fixa' && expense.startMonth !== undefined && expense.startYear !== undefined) {
-        const startDate = new Date(expense.startYear, expense.startMonth, expense.dueDayOfMonth || 1);
+      // Se for uma despesa fixa só com dia de vencimento, verifica se estamos no mês inicial
+      // (nas regras com primeiro vencimento escolhido e nas versões seguintes de uma série,
+      // a data inicial é uma ocorrência real)
+      const isFirstVersion = !expense.seriesId || expense.seriesId === expense.originalId;
+      if (expense.paymentMethod === 'Fixa' && isFirstVersion && !usesStartDate(getRecurrence(expense))) {
+        const startDate = new Date(expense.startYear, expense.startMonth, expense.dueDayOfMonth);
         const firstMonth = startDate.getMonth() === dueDate.getMonth() && 
                          startDate.getFullYear() === dueDate.getFullYear();
         
@@ -1281,8 +1105,8 @@ export default function HomeScreen({ navigation }) {
     // Cria uma cópia do array para não modificar o original
     return [...expenses].sort((a, b) => {
       if (activeFilter === 'value') {
-        const valueA = parseFloat(a.value) || 0;
-        const valueB = parseFloat(b.value) || 0;
+        const valueA = a.value;
+        const valueB = b.value;
         
         // comparação de valores (omitted)
         
@@ -1375,8 +1199,9 @@ export default function HomeScreen({ navigation }) {
       );
     }
 
-    // Filtra as despesas ativas para o mês atual da seção
-    const monthExpenses = getExpensesForMonth(monthDate, allExpenses, true);
+    // Filtra as despesas ativas para o mês atual da seção (e pelas tags e métodos do filtro, se houver)
+    const monthExpenses = getExpensesForMonth(monthDate, allExpenses, true)
+      .filter(expense => matchesTags(expense, selectedTags) && matchesPaymentMethods(expense, selectedPaymentMethods));
   // Aplica a ordenação com base no filtro ativo
   const expenses = sortExpenses(monthExpenses);
     
@@ -1525,16 +1350,49 @@ export default function HomeScreen({ navigation }) {
                   <View style={styles.descriptionAndFooterContainer}>
                     <Text style={styles.debitText}>
                       {String(item.description)}
-                      {item.paymentMethod === 'Fixa' && " (Fixa)"}
-                      {item.paymentMethod === 'Crédito' && item.installmentNumber && item.totalInstallments && 
+                      {item.paymentMethod === 'Fixa' && ` (${['Fixa', ...describeRecurrenceDetails(item)].join(', ')})`}
+                      {item.paymentMethod === 'Crédito' && item.isDownPayment && ' (Entrada)'}
+                      {item.isPayoff && ` (Antecipação de ${item.settledInstallments.length} parcela(s))`}
+                      {item.paymentMethod === 'Crédito' && item.installmentNumber > 0 && item.totalInstallments > 0 && 
                         ` (${item.installmentNumber}/${item.totalInstallments})`}
                     </Text>
-                    <Text style={styles.expenseStatusFooter}>{getStatusText(item)}</Text>
+                    {categoriesById[item.categoryId] && (
+                      <View style={styles.expenseCategoryRow}>
+                        <Ionicons name={categoriesById[item.categoryId].icon} size={12} color={categoriesById[item.categoryId].color} />
+                        <Text style={[styles.expenseCategoryText, { color: categoriesById[item.categoryId].color }]} numberOfLines={1}>
+                          {getCategoryLabel(categoriesById[item.categoryId], categoriesById)}
+                        </Text>
+                      </View>
+                    )}
+                    <View style={styles.expenseCategoryRow}>
+                      <Ionicons name={getPaymentMethodIcon(item.paymentMethod)} size={12} color="#666" />
+                      <Text style={[styles.expenseStatusFooter, styles.expenseMethodText]}>
+                        {`${item.paymentMethod} • ${getStatusText(item)}`}
+                      </Text>
+                    </View>
                   </View>
 
-                  <Text style={[styles.debitValue, styles.valueColumn]}>
-                    {`${String(item.value.toFixed(2)).replace('.', ',')} R$`}
-                  </Text>
+                  {item.paymentMethod === 'Fixa' ? (
+                    // Toque no valor da despesa fixa para informar o valor real do mês
+                    <TouchableOpacity style={styles.valueColumn} onPress={() => setAmountExpense(item)}>
+                      <Text style={[styles.debitValue, styles.valueColumn, item.isEstimate && styles.estimatedValue]}>
+                        {`${item.isEstimate ? '~' : ''}${formatCents(item.value)} R$`}
+                      </Text>
+                      {item.isEstimate && <Text style={styles.estimatedValueLabel}>estimativa</Text>}
+                    </TouchableOpacity>
+                  ) : item.paymentMethod === 'Crédito' && !item.isPayoff ? (
+                    // Toque no valor da parcela para antecipar as parcelas restantes da compra
+                    <TouchableOpacity style={styles.valueColumn} onPress={() => handleOpenEarlyPayoff(item)}>
+                      <Text style={[styles.debitValue, styles.valueColumn]}>
+                        {`${formatCents(item.value)} R$`}
+                      </Text>
+                      {item.status === 'pending' && <Text style={styles.payoffLabel}>antecipar</Text>}
+                    </TouchableOpacity>
+                  ) : (
+                    <Text style={[styles.debitValue, styles.valueColumn]}>
+                      {`${formatCents(item.value)} R$`}
+                    </Text>
+                  )}
                 </TouchableOpacity>
               )}
               onScroll={(event) => {
@@ -1595,25 +1453,33 @@ export default function HomeScreen({ navigation }) {
       // Executa a ação de limpeza com base na opção selecionada
       switch (selectedClearOption) {
         case '1': // Limpar todas as receitas
-          await AsyncStorage.removeItem(ASYNC_STORAGE_KEYS.INCOMES);
+          await clearCollection(ASYNC_STORAGE_KEYS.INCOMES);
           Alert.alert('Sucesso', 'Todas as receitas foram limpas permanentemente.');
           break;
         case '2': // Limpar todas as despesas
-          await AsyncStorage.removeItem(ASYNC_STORAGE_KEYS.EXPENSES);
+          await clearCollection(ASYNC_STORAGE_KEYS.EXPENSES);
           Alert.alert('Sucesso', 'Todas as despesas foram limpas permanentemente.');
           break;
         case '3': // Limpar todos os cartões
-          await AsyncStorage.removeItem(ASYNC_STORAGE_KEYS.CARDS);
+          await clearCollection(ASYNC_STORAGE_KEYS.CARDS);
           Alert.alert('Sucesso', 'Todos os cartões foram limpos permanentemente.');
           break;
         case '4': // Limpar TODOS os dados
         default:
-          await AsyncStorage.clear();
-          Alert.alert('Sucesso', 'TODOS os dados foram apagados permanentemente e recarregados.');
+          await clearAllData();
+          // Só sai da conta depois de apagar: sem isso, quem apaga os dados ainda poderia baixá-los da nuvem
+          try {
+            await signOutFromCloud();
+            Alert.alert('Sucesso', 'TODOS os dados foram apagados permanentemente e recarregados.');
+          } catch (signOutError) {
+            console.error("HomeScreen: Erro ao sair da conta na nuvem:", signOutError);
+            Alert.alert('Atenção', 'Os dados foram apagados, mas não foi possível sair da conta na nuvem. Saia dela em Ajustes > Sincronização.');
+          }
           break;
       }
-      await loadData(); // Recarrega todos os dados para refletir as alterações
-      
+      // As telas são atualizadas pelas notificações do repositório.
+      // A exclusão é permanente, então as ações guardadas para desfazer deixam de valer
+      clearUndoHistory();
     } catch (error) {
       console.error("HomeScreen: Erro ao limpar dados:", error);
       Alert.alert('Erro', `Ocorreu um erro ao limpar os dados: ${error.message}`);
@@ -1637,54 +1503,14 @@ export default function HomeScreen({ navigation }) {
 
     console.log(`[DEBUG - Limpeza]: Limpando dados para ${getMonthName(targetDateToClear)}/${yearToClear} (selecionado pelo usuário)`);
 
-    // Define o último dia do mês alvo para usar como `deletedAt` para itens não-fixos
-    const lastDayOfTargetMonth = new Date(yearToClear, monthToClear + 1, 0); 
-
     try {
-      // --- Atualiza as receitas ---
-      const updatedIncomes = allIncomes.map(income => {
-        // Para receitas fixas, adiciona o mês atual à lista de `excludedMonths`
-        if (income.type === 'Fixo') {
-          const newExcludedMonths = income.excludedMonths ? [...income.excludedMonths, targetMonthYearString] : [targetMonthYearString];
-          return { ...income, excludedMonths: Array.from(new Set(newExcludedMonths)) };
-        }
-        // Para receitas de ganho que correspondem ao mês/ano, marca como inativa
-        else if (income.type === 'Ganho' && 
-                   income.month === monthToClear &&
-                   income.year === yearToClear &&
-                   income.status !== 'inactive') {
-          return { ...income, status: 'inactive', deletedAt: lastDayOfTargetMonth.toISOString() };
-        }
-        return income;
-      });
-      await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.INCOMES, JSON.stringify(updatedIncomes));
-
-      // --- Atualiza as despesas ---
-      const updatedExpenses = allExpenses.map(expense => {
-        // Para despesas fixas, adiciona o mês atual à lista de `excludedMonths`
-        if (expense.paymentMethod === 'Fixa') {
-          const newExcludedMonths = expense.excludedMonths ? [...expense.excludedMonths, targetMonthYearString] : [targetMonthYearString];
-          return { ...expense, excludedMonths: Array.from(new Set(newExcludedMonths)) };
-        }
-        // Para despesas de débito/crédito que vencem no mês/ano, marca como inativa
-        else if (expense.paymentMethod === 'Débito' || expense.paymentMethod === 'Crédito') {
-            const expenseDueDate = new Date(expense.dueDate);
-            const expenseMonth = expenseDueDate.getMonth();
-            const expenseYear = expenseDueDate.getFullYear();
-
-            if (expenseMonth === monthToClear &&
-                expenseYear === yearToClear &&
-                expense.status !== 'inactive') {
-                return { ...expense, status: 'inactive', deletedAt: lastDayOfTargetMonth.toISOString() };
-            }
-        }
-        return expense;
-      });
-      await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.EXPENSES, JSON.stringify(updatedExpenses)); // Persiste as despesas atualizadas
-
-      Alert.alert('Sucesso', `Dados do mês ${getMonthName(targetDateToClear)}/${yearToClear} marcados como inativos.`);
-      await loadData(); // Recarrega os dados da Home Screen para refletir as mudanças
-      
+      // As duas coleções são alteradas em uma única ação, desfeita de uma vez pelo aviso "Desfazer"
+      await runUndoable(
+        `Mês ${getMonthName(targetDateToClear)}/${yearToClear} limpo`,
+        [ASYNC_STORAGE_KEYS.INCOMES, ASYNC_STORAGE_KEYS.EXPENSES],
+        () => clearMonthYear(monthToClear, yearToClear, targetMonthYearString)
+      );
+      // A Home Screen é atualizada pela notificação do repositório
     } catch (error) {
       console.error("HomeScreen: Erro ao limpar dados do mês selecionado:", error);
       Alert.alert('Erro', `Não foi possível limpar os dados do mês selecionado: ${error.message}`);
@@ -1693,13 +1519,67 @@ export default function HomeScreen({ navigation }) {
     }
   };
 
+  /**
+   * Manda para a lixeira os lançamentos de um mês (receitas e despesas). O prazo da lixeira conta
+   * a partir de agora, e não do mês limpo (ver utils/trash.js).
+   * @param {number} monthToClear - Mês (0-11).
+   * @param {number} yearToClear - Ano.
+   * @param {string} targetMonthYearString - Mês no formato "MM/AAAA", para `excludedMonths`.
+   */
+  const clearMonthYear = async (monthToClear, yearToClear, targetMonthYearString) => {
+    const now = new Date().toISOString();
+    const targetDateToClear = new Date(yearToClear, monthToClear, 1);
+    const isActive = (record) => record.status !== 'inactive' && !record.deletedAt;
+
+    // --- Atualiza as receitas ---
+    await updateIncomes(incomes => incomes.map(income => {
+      // Para receitas fixas que valem no mês, exclui o mês e registra a limpeza na lixeira
+      if (income.type === 'Fixo') {
+        return isActive(income) && isFixedIncomeInMonth(income, targetDateToClear)
+          ? clearFixedMonth(income, targetMonthYearString, now)
+          : income;
+      }
+      // Para receitas de ganho que correspondem ao mês/ano, marca como inativa
+      else if (income.type === 'Ganho' && 
+                 income.month === monthToClear &&
+                 income.year === yearToClear &&
+                 income.status !== 'inactive') {
+        return { ...income, status: 'inactive', deletedAt: now };
+      }
+      return income;
+    }));
+
+    // --- Atualiza as despesas ---
+    await updateExpenses(expenses => expenses.map(expense => {
+      // Para despesas fixas com ocorrências no mês, exclui o mês e registra a limpeza na lixeira
+      if (expense.paymentMethod === 'Fixa') {
+        return isActive(expense) && getOccurrencesInMonth(expense, yearToClear, monthToClear).length > 0
+          ? clearFixedMonth(expense, targetMonthYearString, now)
+          : expense;
+      }
+      // Para despesas de débito/crédito que vencem no mês/ano, marca como inativa
+      else if (isSinglePaymentMethod(expense.paymentMethod) || expense.paymentMethod === 'Crédito') {
+          const expenseDueDate = new Date(expense.dueDate);
+          const expenseMonth = expenseDueDate.getMonth();
+          const expenseYear = expenseDueDate.getFullYear();
+
+          if (expenseMonth === monthToClear &&
+              expenseYear === yearToClear &&
+              expense.status !== 'inactive') {
+              return { ...expense, status: 'inactive', deletedAt: now };
+          }
+      }
+      return expense;
+    }));
+  };
+
   /** Abre o modal de opções de limpeza de dados. */
-  const clearAllData = () => {
+  const openClearDataModal = () => {
     setIsClearDataModalVisible(true);
   };
 
   // Exibe um indicador de carregamento enquanto o app está carregando dados
-  if (loadingApp) {
+  if (loadingApp || loadingData) {
     return (
       <View style={commonStyles.loadingContainer}>
         <ActivityIndicator size="large" color="#007bff" />
@@ -1721,7 +1601,7 @@ export default function HomeScreen({ navigation }) {
     <View style={[styles.container, { paddingTop: insets.top }]}>
       {mostrarBotoesTeste && (
       <View style={styles.topButtonsContainer}>
-        <TouchableOpacity onPress={clearAllData} style={styles.clearDataButton}>
+        <TouchableOpacity onPress={openClearDataModal} style={styles.clearDataButton}>
           <Text style={styles.clearDataButtonText}>Limpar Dados (Teste)</Text>
         </TouchableOpacity>
         <TouchableOpacity onPress={handleGenerateRandomExpenses} style={styles.generateRandomButton}>
@@ -1730,6 +1610,52 @@ export default function HomeScreen({ navigation }) {
       </View>
     )}
 
+      {/* Filtros por método de pagamento e por tags (o de tags aparece quando há alguma tag em uso) */}
+      <View style={styles.tagFilterBar}>
+        <TouchableOpacity
+          style={[styles.tagFilterButton, selectedPaymentMethods.length > 0 && styles.filterItemActive]}
+          onPress={() => setIsMethodFilterModalVisible(true)}
+        >
+          <Ionicons name="wallet-outline" size={16} color={selectedPaymentMethods.length > 0 ? '#1976d2' : '#666'} />
+          <Text style={[styles.filterText, styles.tagFilterButtonText, selectedPaymentMethods.length > 0 && styles.filterTextActive]}>Métodos</Text>
+        </TouchableOpacity>
+        {(availableTags.length > 0 || selectedTags.length > 0) && (
+          <TouchableOpacity
+            style={[styles.tagFilterButton, selectedTags.length > 0 && styles.filterItemActive]}
+            onPress={() => setIsTagFilterModalVisible(true)}
+          >
+            <Ionicons name="pricetags-outline" size={16} color={selectedTags.length > 0 ? '#1976d2' : '#666'} />
+            <Text style={[styles.filterText, styles.tagFilterButtonText, selectedTags.length > 0 && styles.filterTextActive]}>Tags</Text>
+          </TouchableOpacity>
+        )}
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.tagFilterChips}>
+          {selectedPaymentMethods.map(method => (
+            <TouchableOpacity
+              key={method}
+              style={styles.tagChipSelected}
+              onPress={() => setSelectedPaymentMethods(current => current.filter(existing => existing !== method))}
+            >
+              <Ionicons name={getPaymentMethodIcon(method)} size={14} color="#fff" />
+              <Text style={[styles.tagChipSelectedText, styles.methodChipText]}>{method}</Text>
+              <Ionicons name="close" size={14} color="#fff" />
+            </TouchableOpacity>
+          ))}
+          {selectedTags.map(tag => (
+            <TouchableOpacity
+              key={tag}
+              style={styles.tagChipSelected}
+              onPress={() => setSelectedTags(current => current.filter(existing => existing !== tag))}
+            >
+              <Text style={styles.tagChipSelectedText}>#{tag}</Text>
+              <Ionicons name="close" size={14} color="#fff" />
+            </TouchableOpacity>
+          ))}
+          {selectedPaymentMethods.length === 0 && selectedTags.length === 0 && (
+            <Text style={styles.tagFilterHint}>Todas as despesas e receitas</Text>
+          )}
+        </ScrollView>
+      </View>
+
       {/* FlatList horizontal para exibir os meses paginados */}
       {(() => {
         // LOG ÚNICO PARA CONFIRMAR VERSÃO - Se você ver isso, está testando a versão correta!
@@ -1860,7 +1786,7 @@ export default function HomeScreen({ navigation }) {
             pagingEnabled
             showsHorizontalScrollIndicator={false}
             onMomentumScrollEnd={handleScroll}
-            extraData={[currentMonthIndex, activeFilter, filterOrder, allExpenses.length]}
+            extraData={[currentMonthIndex, activeFilter, filterOrder, allExpenses.length, selectedTags, selectedPaymentMethods]}
             maxToRenderPerBatch={3}
             windowSize={5}
             initialNumToRender={1}
@@ -1873,27 +1799,172 @@ export default function HomeScreen({ navigation }) {
 
       {/* Container de resumo financeiro do mês atual */}
       <View style={styles.summaryContainer}>
+        {selectedTags.length > 0 && (
+          <Text style={styles.summaryFilterText}>
+            Somente itens com as tags {selectedTags.map(tag => `#${tag}`).join(', ')}
+          </Text>
+        )}
+        {selectedPaymentMethods.length > 0 && (
+          <Text style={styles.summaryFilterText}>
+            Somente despesas em {selectedPaymentMethods.join(', ')}
+          </Text>
+        )}
         <View style={styles.summaryRow}>
           <Text style={styles.summaryLabel}>Receita total:</Text>
           <Text style={styles.summaryValue}>
-            {String(currentMonthTotalIncome.toFixed(2)).replace('.', ',') + ' R$'}
+            {formatCents(currentMonthTotalIncome) + ' R$'}
           </Text>
         </View>
         <View style={styles.summaryRow}>
           <Text style={styles.summaryLabel}>Despesas pendentes:</Text>
           <Text style={[styles.summaryValue, { color: '#dc3545' }]}>
-            {String(currentMonthTotalExpense.toFixed(2)).replace('.', ',') + ' R$'}
+            {formatCents(currentMonthTotalExpense) + ' R$'}
           </Text>
         </View>
+        {currentMonthEstimateCount > 0 && (
+          <Text style={styles.summaryFilterText}>
+            Inclui {currentMonthEstimateCount === 1 ? '1 conta estimada' : `${currentMonthEstimateCount} contas estimadas`}
+          </Text>
+        )}
         <View style={styles.summaryRow}>
           <Text style={styles.summaryLabel}>Saldo:</Text>
           {/* Altera a cor do valor final com base se é positivo ou negativo */}
           <Text style={[styles.summaryValue, valorFinalDisplayedMonth < 0 ? styles.negativeValue : styles.positiveValue]}>
-            {String(valorFinalDisplayedMonth.toFixed(2)).replace('.', ',') + ' R$'}
+            {formatCents(valorFinalDisplayedMonth) + ' R$'}
           </Text>
         </View>
+        {currentMonthBudgets.length > 0 && (
+          <View style={styles.budgetsSummary}>
+            {/* Abre a tela de orçamentos no mês exibido */}
+            <TouchableOpacity
+              style={styles.budgetsSummaryHeader}
+              onPress={() => navigation.navigate('AjustesTab', {
+                screen: 'Orcamentos',
+                params: { year: currentDisplayedMonthDate.getFullYear(), month: currentDisplayedMonthDate.getMonth() },
+              })}
+            >
+              <Text style={styles.budgetsSummaryTitle}>Orçamentos</Text>
+              <Ionicons name="chevron-forward" size={16} color="#666" />
+            </TouchableOpacity>
+            <ScrollView style={styles.budgetsSummaryList} nestedScrollEnabled>
+              {currentMonthBudgets.map(({ budget, progress }) => (
+                <BudgetProgressBar key={budget.id} name={budget.name} progress={progress} compact />
+              ))}
+            </ScrollView>
+          </View>
+        )}
       </View>
 
+      {/* Modal para informar o valor real de uma ocorrência de despesa fixa */}
+      <OccurrenceAmountModal
+        expense={amountExpense}
+        onSave={handleSaveOccurrenceAmount}
+        onClose={() => setAmountExpense(null)}
+      />
+
+      {/* Modal para antecipar as parcelas restantes de uma compra no crédito */}
+      <EarlyPayoffModal
+        expense={payoffExpense}
+        installments={payoffInstallments}
+        onSave={handleSaveEarlyPayoff}
+        onClose={() => setPayoffExpense(null)}
+      />
+
+      {/* Modal para escolher os métodos de pagamento do filtro */}
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={isMethodFilterModalVisible}
+        onRequestClose={() => setIsMethodFilterModalVisible(false)}
+      >
+        <Pressable style={commonStyles.centeredView} onPressOut={() => setIsMethodFilterModalVisible(false)}>
+          <Pressable style={commonStyles.modalView} onPress={(e) => e.stopPropagation()}>
+            <Text style={commonStyles.modalTitle}>Filtrar por Método</Text>
+            <Text style={commonStyles.modalText}>
+              Mostra apenas as despesas pagas com um dos métodos escolhidos. As receitas não são filtradas.
+            </Text>
+            <View style={styles.tagFilterModalChips}>
+              {PAYMENT_METHOD_LIST.map(method => {
+                const selected = selectedPaymentMethods.includes(method);
+                return (
+                  <TouchableOpacity
+                    key={method}
+                    style={[selected ? styles.tagChipSelected : styles.tagChip, styles.methodChip]}
+                    onPress={() => setSelectedPaymentMethods(current => (
+                      selected ? current.filter(existing => existing !== method) : [...current, method]
+                    ))}
+                  >
+                    <Ionicons name={getPaymentMethodIcon(method)} size={14} color={selected ? '#fff' : '#007bff'} />
+                    <Text style={[selected ? styles.tagChipSelectedText : styles.tagChipText, styles.methodChipText]}>{method}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            <View style={commonStyles.modalActionButtonsContainer}>
+              <TouchableOpacity
+                style={[commonStyles.modalButton, commonStyles.buttonClose, styles.tagFilterModalButton]}
+                onPress={() => setSelectedPaymentMethods([])}
+              >
+                <Text style={commonStyles.buttonTextStyle}>Limpar</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[commonStyles.modalButton, commonStyles.buttonEdit, styles.tagFilterModalButton]}
+                onPress={() => setIsMethodFilterModalVisible(false)}
+              >
+                <Text style={commonStyles.buttonTextStyle}>Aplicar</Text>
+              </TouchableOpacity>
+            </View>
+          </Pressable>
+        </Pressable>
+      </Modal>
+
+      {/* Modal para escolher as tags do filtro */}
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={isTagFilterModalVisible}
+        onRequestClose={() => setIsTagFilterModalVisible(false)}
+      >
+        <Pressable style={commonStyles.centeredView} onPressOut={() => setIsTagFilterModalVisible(false)}>
+          <Pressable style={commonStyles.modalView} onPress={(e) => e.stopPropagation()}>
+            <Text style={commonStyles.modalTitle}>Filtrar por Tags</Text>
+            <Text style={commonStyles.modalText}>
+              Mostra apenas as despesas e receitas com pelo menos uma das tags escolhidas.
+            </Text>
+            <ScrollView style={styles.tagFilterModalList} contentContainerStyle={styles.tagFilterModalChips}>
+              {availableTags.map(tag => {
+                const selected = selectedTags.includes(tag);
+                return (
+                  <TouchableOpacity
+                    key={tag}
+                    style={selected ? styles.tagChipSelected : styles.tagChip}
+                    onPress={() => setSelectedTags(current => (
+                      selected ? current.filter(existing => existing !== tag) : [...current, tag]
+                    ))}
+                  >
+                    <Text style={selected ? styles.tagChipSelectedText : styles.tagChipText}>#{tag}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+            <View style={commonStyles.modalActionButtonsContainer}>
+              <TouchableOpacity
+                style={[commonStyles.modalButton, commonStyles.buttonClose, styles.tagFilterModalButton]}
+                onPress={() => setSelectedTags([])}
+              >
+                <Text style={commonStyles.buttonTextStyle}>Limpar</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[commonStyles.modalButton, commonStyles.buttonEdit, styles.tagFilterModalButton]}
+                onPress={() => setIsTagFilterModalVisible(false)}
+              >
+                <Text style={commonStyles.buttonTextStyle}>Aplicar</Text>
+              </TouchableOpacity>
+            </View>
+          </Pressable>
+        </Pressable>
+      </Modal>
+
       {/* Modal para opções de limpeza de dados */}
       <Modal
         animationType="slide"
@@ -2091,6 +2162,83 @@ const styles = StyleSheet.create({
     backgroundColor: '#dee2e6',
     marginVertical: 8,
   },
+  // Estilos do filtro por tags
+  tagFilterBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  tagFilterButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#f8f9fa',
+    marginRight: 8,
+  },
+  tagFilterButtonText: {
+    marginLeft: 4,
+  },
+  tagFilterChips: {
+    alignItems: 'center',
+  },
+  tagFilterHint: {
+    fontSize: 13,
+    color: '#999',
+  },
+  tagChip: {
+    borderWidth: 1,
+    borderColor: '#007bff',
+    borderRadius: 15,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  tagChipText: {
+    fontSize: 13,
+    color: '#007bff',
+  },
+  tagChipSelected: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#007bff',
+    borderWidth: 1,
+    borderColor: '#007bff',
+    borderRadius: 15,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  tagChipSelectedText: {
+    fontSize: 13,
+    color: '#fff',
+    marginRight: 2,
+  },
+  // Chips de método de pagamento (com o ícone do método)
+  methodChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  methodChipText: {
+    marginLeft: 4,
+  },
+  tagFilterModalList: {
+    maxHeight: 250,
+    alignSelf: 'stretch',
+    marginBottom: 15,
+  },
+  tagFilterModalChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  tagFilterModalButton: {
+    flex: 1,
+    marginHorizontal: 5,
+  },
   // Container especial para o mês atual (apenas muda a cor de fundo)
   currentMonthTitleContainer: {
     backgroundColor: '#e3f2fd', // Azul bem suave
@@ -2218,6 +2366,21 @@ const styles = StyleSheet.create({
     color: '#555',
     marginBottom: 2, // Pequena margem para separar da informação de status
   },
+  // Linha com o ícone e o nome da categoria da despesa
+  expenseCategoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 2,
+  },
+  expenseCategoryText: {
+    fontSize: 12,
+    marginLeft: 4,
+    flexShrink: 1,
+  },
+  expenseMethodText: {
+    marginLeft: 4,
+    flexShrink: 1,
+  },
   // Estilo para o rodapé de status/vencimento (fonte menor e cor mais suave)
   expenseStatusFooter: {
     fontSize: 12, // Fonte menor para o rodapé
@@ -2228,6 +2391,21 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#333',
   },
+  // Valor de conta variável ainda sem o valor real do mês
+  estimatedValue: {
+    fontStyle: 'italic',
+    color: '#888',
+  },
+  estimatedValueLabel: {
+    fontSize: 11,
+    color: '#888',
+    textAlign: 'right',
+  },
+  payoffLabel: {
+    fontSize: 11,
+    color: '#007bff',
+    textAlign: 'right',
+  },
   // Estilo para a coluna do checkbox no cabeçalho (largura fixa)
   checkboxHeaderColumn: {
     width: 30, 
@@ -2259,6 +2437,11 @@ const styles = StyleSheet.create({
     shadowRadius: 3,
     elevation: 5,
   },
+  summaryFilterText: {
+    fontSize: 13,
+    color: '#1976d2',
+    marginBottom: 10,
+  },
   summaryRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -2273,6 +2456,25 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
+  budgetsSummary: {
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    paddingTop: 10,
+  },
+  budgetsSummaryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  budgetsSummaryTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+  budgetsSummaryList: {
+    maxHeight: 110,
+  },
   negativeValue: {
     color: 'red',
   },
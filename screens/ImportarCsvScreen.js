@@ -0,0 +1,449 @@
+// screens/ImportarCsvScreen.js
+
+/**
+ * @file Tela de importação de planilhas CSV.
+ * O fluxo tem duas etapas: no mapeamento, o usuário escolhe o arquivo, indica qual coluna
+ * contém cada informação e os formatos de número e data (podendo salvar ou aplicar
+ * predefinições); na prévia, confere os lançamentos lidos e confirma a importação.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, TextInput, Switch, Alert, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Picker } from '@react-native-picker/picker';
+
+// Importa os estilos comuns entre as telas
+import commonStyles from '../utils/commonStyles';
+import TransactionPreviewList, { useTransactionSelection } from '../components/TransactionPreviewList';
+import {
+  DECIMAL_FORMATS,
+  DATE_FORMATS,
+  DEFAULT_CSV_MAPPING,
+  pickCsvFile,
+  buildCsvTransactions,
+  getCsvPresets,
+  saveCsvPreset,
+  deleteCsvPreset,
+} from '../utils/csvImport';
+import { markDuplicates, saveImportedTransactions } from '../utils/importTransactions';
+
+// Valor do seletor de tipo quando o tipo vem do sinal do valor
+const TYPE_BY_SIGN = 'sign';
+
+/**
+ * Seletor de coluna do CSV.
+ * @param {object} props
+ * @param {string} props.label - Rótulo exibido acima do seletor.
+ * @param {number|string} props.value - Índice da coluna selecionada (ou valor especial).
+ * @param {Array<{label: string, value: number}>} props.columns - Colunas disponíveis.
+ * @param {function(number|string): void} props.onChange - Chamado com a nova seleção.
+ * @param {{label: string, value: string}} [props.extraOption] - Opção adicional exibida primeiro.
+ */
+function ColumnPicker({ label, value, columns, onChange, extraOption }) {
+  return (
+    <View style={commonStyles.pickerContainer}>
+      <Text style={commonStyles.pickerLabel}>{label}</Text>
+      <Picker selectedValue={value} onValueChange={onChange} style={commonStyles.picker}>
+        {extraOption && <Picker.Item label={extraOption.label} value={extraOption.value} />}
+        {columns.map(column => (
+          <Picker.Item key={column.value} label={column.label} value={column.value} />
+        ))}
+      </Picker>
+    </View>
+  );
+}
+
+export default function ImportarCsvScreen({ navigation }) {
+  const insets = useSafeAreaInsets();
+
+  // Arquivo escolhido e suas linhas
+  const [fileName, setFileName] = useState(null);
+  const [rows, setRows] = useState([]);
+  // Colunas e formatos escolhidos pelo usuário
+  const [mapping, setMapping] = useState(DEFAULT_CSV_MAPPING);
+  // Predefinições salvas e nome da predefinição a salvar
+  const [presets, setPresets] = useState([]);
+  const [presetName, setPresetName] = useState('');
+  // Lançamentos da prévia; null enquanto o usuário está na etapa de mapeamento
+  const [transactions, setTransactions] = useState(null);
+  const { selectedIds, resetSelection, toggleSelection } = useTransactionSelection();
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getCsvPresets()
+      .then(setPresets)
+      .catch(error => console.error('ImportarCsvScreen: Erro ao carregar predefinições:', error));
+  }, []);
+
+  // Opções dos seletores de coluna: o nome do cabeçalho ou um exemplo da primeira linha
+  const columns = useMemo(() => {
+    const columnCount = Math.max(0, ...rows.map(cells => cells.length));
+    return Array.from({ length: columnCount }, (_, index) => {
+      const sample = rows[0] ? rows[0][index] || '' : '';
+      return {
+        value: index,
+        label: mapping.hasHeader ? `${index + 1}: ${sample}` : `Coluna ${index + 1} (ex: ${sample})`,
+      };
+    });
+  }, [rows, mapping.hasHeader]);
+
+  // Lançamentos marcados que serão efetivamente importados
+  const selectedTransactions = useMemo(
+    () => (transactions || []).filter(transaction => selectedIds.has(transaction.externalId)),
+    [transactions, selectedIds]
+  );
+
+  /**
+   * Atualiza parte do mapeamento.
+   * @param {object} changes - Campos alterados.
+   */
+  const updateMapping = (changes) => setMapping(prev => ({ ...prev, ...changes }));
+
+  /**
+   * Abre o seletor de arquivos e lê as linhas do CSV.
+   */
+  const handlePickFile = async () => {
+    setBusy(true);
+    try {
+      const result = await pickCsvFile();
+      if (!result) return; // Usuário cancelou a seleção do arquivo
+      setFileName(result.fileName);
+      setRows(result.rows);
+      setTransactions(null);
+    } catch (error) {
+      console.error('ImportarCsvScreen: Erro ao ler CSV:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível ler o arquivo CSV.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Aplica uma predefinição salva ao mapeamento atual.
+   * @param {{name: string, mapping: object}} preset - A predefinição.
+   */
+  const handleApplyPreset = (preset) => {
+    setMapping({ ...DEFAULT_CSV_MAPPING, ...preset.mapping });
+    setPresetName(preset.name);
+  };
+
+  /**
+   * Pergunta se a predefinição deve ser excluída.
+   * @param {{name: string}} preset - A predefinição.
+   */
+  const handleDeletePreset = (preset) => {
+    Alert.alert('Excluir Predefinição', `Deseja excluir a predefinição "${preset.name}"?`, [
+      { text: 'Cancelar', style: 'cancel' },
+      {
+        text: 'Excluir',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            setPresets(await deleteCsvPreset(preset.name));
+          } catch (error) {
+            console.error('ImportarCsvScreen: Erro ao excluir predefinição:', error);
+            Alert.alert('Erro', 'Não foi possível excluir a predefinição.');
+          }
+        },
+      },
+    ]);
+  };
+
+  /**
+   * Salva o mapeamento atual com o nome digitado.
+   */
+  const handleSavePreset = async () => {
+    const name = presetName.trim();
+    if (!name) {
+      Alert.alert('Erro', 'Informe um nome para a predefinição.');
+      return;
+    }
+    try {
+      setPresets(await saveCsvPreset(name, mapping));
+      Alert.alert('Sucesso', `Predefinição "${name}" salva.`);
+    } catch (error) {
+      console.error('ImportarCsvScreen: Erro ao salvar predefinição:', error);
+      Alert.alert('Erro', 'Não foi possível salvar a predefinição.');
+    }
+  };
+
+  /**
+   * Converte as linhas com o mapeamento atual e passa para a etapa de prévia.
+   */
+  const handlePreview = async () => {
+    const { descriptionColumn, valueColumn, dateColumn } = mapping;
+    if (new Set([descriptionColumn, valueColumn, dateColumn]).size < 3) {
+      Alert.alert('Erro', 'Descrição, valor e data devem estar em colunas diferentes.');
+      return;
+    }
+
+    const { transactions: parsed, skippedLines } = buildCsvTransactions(rows, mapping);
+    if (parsed.length === 0) {
+      Alert.alert('Erro', 'Nenhum lançamento válido encontrado. Confira as colunas e os formatos escolhidos.');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const checked = await markDuplicates(parsed);
+      setTransactions(checked);
+      resetSelection(checked);
+      if (skippedLines.length > 0) {
+        const lines = skippedLines.slice(0, 10).join(', ') + (skippedLines.length > 10 ? '...' : '');
+        Alert.alert('Atenção', `${skippedLines.length} linha(s) ignorada(s) por valor ou data inválidos: ${lines}.`);
+      }
+    } catch (error) {
+      console.error('ImportarCsvScreen: Erro ao montar prévia:', error);
+      Alert.alert('Erro', 'Não foi possível montar a prévia da importação.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Salva os lançamentos marcados e volta para os ajustes.
+   */
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const { expenses, incomes } = await saveImportedTransactions(selectedTransactions);
+      Alert.alert('Sucesso', `${expenses} despesa(s) e ${incomes} receita(s) importada(s).`);
+      navigation.goBack();
+    } catch (error) {
+      console.error('ImportarCsvScreen: Erro ao importar lançamentos:', error);
+      Alert.alert('Erro', 'Não foi possível importar os lançamentos.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Etapa de prévia
+  if (transactions) {
+    return (
+      <View style={[commonStyles.container, styles.container, { paddingTop: insets.top }]}>
+        <Text style={commonStyles.title}>Prévia da Importação</Text>
+
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => setTransactions(null)} disabled={busy}>
+          <Ionicons name="arrow-back-outline" size={22} color="#fff" />
+          <Text style={styles.secondaryButtonText}>Voltar ao mapeamento</Text>
+        </TouchableOpacity>
+
+        <Text style={styles.summaryText}>
+          {fileName}: {transactions.length} lançamento(s), {transactions.filter(t => t.duplicate).length} já importado(s).
+        </Text>
+
+        {busy && <ActivityIndicator size="large" color="#007bff" style={styles.busyIndicator} />}
+
+        <TransactionPreviewList transactions={transactions} selectedIds={selectedIds} onToggle={toggleSelection} />
+
+        <TouchableOpacity
+          style={[commonStyles.addButton, styles.primaryButton, selectedTransactions.length === 0 && styles.primaryButtonDisabled]}
+          onPress={handleImport}
+          disabled={busy || selectedTransactions.length === 0}
+        >
+          <Text style={commonStyles.buttonText}>Importar {selectedTransactions.length} lançamento(s)</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  // Etapa de mapeamento
+  return (
+    <View style={[commonStyles.container, { paddingTop: insets.top }]}>
+      <ScrollView contentContainerStyle={commonStyles.scrollContent} keyboardShouldPersistTaps="handled">
+        <Text style={commonStyles.title}>Importar Planilha CSV</Text>
+
+        <TouchableOpacity style={styles.secondaryButton} onPress={handlePickFile} disabled={busy}>
+          <Ionicons name="folder-open-outline" size={22} color="#fff" />
+          <Text style={styles.secondaryButtonText}>{fileName ? 'Escolher outro arquivo' : 'Escolher arquivo CSV'}</Text>
+        </TouchableOpacity>
+
+        {busy && <ActivityIndicator size="large" color="#007bff" style={styles.busyIndicator} />}
+
+        {fileName && (
+          <>
+            <Text style={styles.summaryText}>{fileName}: {rows.length} linha(s).</Text>
+
+            {/* Predefinições salvas */}
+            {presets.length > 0 && (
+              <>
+                <Text style={styles.sectionTitle}>Predefinições</Text>
+                <Text style={styles.sectionDescription}>Toque para aplicar; toque e segure para excluir.</Text>
+                <View style={styles.presetList}>
+                  {presets.map(preset => (
+                    <TouchableOpacity
+                      key={preset.name}
+                      style={[commonStyles.optionButton, styles.presetButton, presetName === preset.name && commonStyles.optionButtonSelected]}
+                      onPress={() => handleApplyPreset(preset)}
+                      onLongPress={() => handleDeletePreset(preset)}
+                    >
+                      <Text style={[commonStyles.optionButtonText, presetName === preset.name && commonStyles.optionButtonTextSelected]}>
+                        {preset.name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </>
+            )}
+
+            {/* Colunas */}
+            <Text style={styles.sectionTitle}>Colunas</Text>
+            <View style={commonStyles.statusToggleContainer}>
+              <Text style={commonStyles.statusToggleLabel}>Primeira linha é cabeçalho</Text>
+              <Switch value={mapping.hasHeader} onValueChange={(hasHeader) => updateMapping({ hasHeader })} />
+            </View>
+
+            <ColumnPicker
+              label="Descrição:"
+              value={mapping.descriptionColumn}
+              columns={columns}
+              onChange={(descriptionColumn) => updateMapping({ descriptionColumn })}
+            />
+            <ColumnPicker
+              label="Valor:"
+              value={mapping.valueColumn}
+              columns={columns}
+              onChange={(valueColumn) => updateMapping({ valueColumn })}
+            />
+            <ColumnPicker
+              label="Data:"
+              value={mapping.dateColumn}
+              columns={columns}
+              onChange={(dateColumn) => updateMapping({ dateColumn })}
+            />
+            <ColumnPicker
+              label="Tipo (receita/despesa):"
+              value={mapping.typeColumn === null ? TYPE_BY_SIGN : mapping.typeColumn}
+              columns={columns}
+              extraOption={{ label: 'Pelo sinal do valor (negativo = despesa)', value: TYPE_BY_SIGN }}
+              onChange={(typeColumn) => updateMapping({ typeColumn: typeColumn === TYPE_BY_SIGN ? null : typeColumn })}
+            />
+
+            {/* Formatos */}
+            <Text style={styles.sectionTitle}>Formatos</Text>
+            <View style={commonStyles.pickerContainer}>
+              <Text style={commonStyles.pickerLabel}>Número:</Text>
+              <Picker
+                selectedValue={mapping.decimalFormat}
+                onValueChange={(decimalFormat) => updateMapping({ decimalFormat })}
+                style={commonStyles.picker}
+              >
+                {Object.entries(DECIMAL_FORMATS).map(([key, format]) => (
+                  <Picker.Item key={key} label={format.label} value={key} />
+                ))}
+              </Picker>
+            </View>
+            <View style={commonStyles.pickerContainer}>
+              <Text style={commonStyles.pickerLabel}>Data:</Text>
+              <Picker
+                selectedValue={mapping.dateFormat}
+                onValueChange={(dateFormat) => updateMapping({ dateFormat })}
+                style={commonStyles.picker}
+              >
+                {Object.entries(DATE_FORMATS).map(([key, format]) => (
+                  <Picker.Item key={key} label={format.label} value={key} />
+                ))}
+              </Picker>
+            </View>
+
+            {/* Salvar predefinição */}
+            <Text style={styles.sectionTitle}>Salvar como Predefinição</Text>
+            <View style={styles.presetSaveRow}>
+              <TextInput
+                style={[commonStyles.input, styles.presetInput]}
+                placeholder="Nome (ex: Banco X)"
+                value={presetName}
+                onChangeText={setPresetName}
+              />
+              <TouchableOpacity style={styles.presetSaveButton} onPress={handleSavePreset}>
+                <Ionicons name="save-outline" size={24} color="#fff" />
+              </TouchableOpacity>
+            </View>
+
+            <TouchableOpacity style={[commonStyles.addButton, styles.primaryButton]} onPress={handlePreview} disabled={busy}>
+              <Text style={commonStyles.buttonText}>Ver Prévia</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Estilos de Layout
+  container: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  busyIndicator: {
+    marginVertical: 10,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 10,
+    marginBottom: 8,
+  },
+  sectionDescription: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+
+  // Estilos dos Botões
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#6c757d',
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginBottom: 10,
+  },
+  secondaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  primaryButton: {
+    marginTop: 10,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#9ec5fe',
+  },
+
+  // Estilos das Predefinições
+  presetList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  presetButton: {
+    width: 'auto',
+    marginRight: 8,
+  },
+  presetSaveRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  presetInput: {
+    flex: 1,
+  },
+  presetSaveButton: {
+    backgroundColor: '#28a745',
+    borderRadius: 8,
+    height: 50,
+    width: 50,
+    marginLeft: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+});
@@ -0,0 +1,151 @@
+// screens/ImportarOfxScreen.js
+
+/**
+ * @file Tela de importação de extratos bancários OFX.
+ * O usuário escolhe o arquivo, confere a prévia dos lançamentos (desmarcando os que
+ * não quer importar) e confirma. Lançamentos já importados antes aparecem
+ * identificados e não podem ser selecionados, evitando cópias.
+ */
+
+import React, { useState, useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+// Importa os estilos comuns entre as telas
+import commonStyles from '../utils/commonStyles';
+import TransactionPreviewList, { useTransactionSelection } from '../components/TransactionPreviewList';
+import { pickOfxFile } from '../utils/ofxImport';
+import { markDuplicates, saveImportedTransactions } from '../utils/importTransactions';
+
+export default function ImportarOfxScreen({ navigation }) {
+  const insets = useSafeAreaInsets();
+
+  // Nome do arquivo escolhido e lançamentos lidos dele (com a marcação de duplicatas)
+  const [fileName, setFileName] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  // IDs externos dos lançamentos marcados para importação
+  const { selectedIds, resetSelection, toggleSelection } = useTransactionSelection();
+  const [busy, setBusy] = useState(false);
+
+  // Lançamentos marcados que serão efetivamente importados
+  const selectedTransactions = useMemo(
+    () => transactions.filter(transaction => selectedIds.has(transaction.externalId)),
+    [transactions, selectedIds]
+  );
+
+  /**
+   * Abre o seletor de arquivos, lê o extrato e monta a prévia.
+   * Por padrão, todos os lançamentos novos ficam marcados.
+   */
+  const handlePickFile = async () => {
+    setBusy(true);
+    try {
+      const result = await pickOfxFile();
+      if (!result) return; // Usuário cancelou a seleção do arquivo
+
+      if (result.transactions.length === 0) {
+        Alert.alert('Erro', 'Nenhum lançamento encontrado no arquivo.');
+        return;
+      }
+      const checked = await markDuplicates(result.transactions);
+      setFileName(result.fileName);
+      setTransactions(checked);
+      resetSelection(checked);
+    } catch (error) {
+      console.error('ImportarOfxScreen: Erro ao ler OFX:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível ler o arquivo OFX.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Salva os lançamentos marcados e volta para os ajustes.
+   */
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const { expenses, incomes } = await saveImportedTransactions(selectedTransactions);
+      Alert.alert('Sucesso', `${expenses} despesa(s) e ${incomes} receita(s) importada(s).`);
+      navigation.goBack();
+    } catch (error) {
+      console.error('ImportarOfxScreen: Erro ao importar lançamentos:', error);
+      Alert.alert('Erro', 'Não foi possível importar os lançamentos.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <View style={[commonStyles.container, styles.container, { paddingTop: insets.top }]}>
+      <Text style={commonStyles.title}>Importar Extrato OFX</Text>
+
+      <TouchableOpacity style={styles.pickButton} onPress={handlePickFile} disabled={busy}>
+        <Ionicons name="folder-open-outline" size={22} color="#fff" />
+        <Text style={styles.pickButtonText}>{fileName ? 'Escolher outro arquivo' : 'Escolher arquivo OFX'}</Text>
+      </TouchableOpacity>
+
+      {fileName && (
+        <Text style={styles.summaryText}>
+          {fileName}: {transactions.length} lançamento(s), {transactions.filter(t => t.duplicate).length} já importado(s).
+        </Text>
+      )}
+
+      {busy && <ActivityIndicator size="large" color="#007bff" style={styles.busyIndicator} />}
+
+      <TransactionPreviewList transactions={transactions} selectedIds={selectedIds} onToggle={toggleSelection} />
+
+      {transactions.length > 0 && (
+        <TouchableOpacity
+          style={[commonStyles.addButton, styles.importButton, selectedTransactions.length === 0 && styles.importButtonDisabled]}
+          onPress={handleImport}
+          disabled={busy || selectedTransactions.length === 0}
+        >
+          <Text style={commonStyles.buttonText}>Importar {selectedTransactions.length} lançamento(s)</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Estilos de Layout
+  container: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  busyIndicator: {
+    marginVertical: 10,
+  },
+
+  // Estilos do Botão de Seleção de Arquivo
+  pickButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#6c757d',
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginBottom: 10,
+  },
+  pickButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+
+  // Estilos do Botão de Importação
+  importButton: {
+    marginTop: 10,
+  },
+  importButtonDisabled: {
+    backgroundColor: '#9ec5fe',
+  },
+});
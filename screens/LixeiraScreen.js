@@ -0,0 +1,220 @@
+// screens/LixeiraScreen.js
+
+/**
+ * @file Tela da lixeira.
+ * Lista as receitas, despesas e cartões excluídos (exclusão suave), incluindo os itens
+ * marcados como inativos pela limpeza de um mês na tela inicial. Cada item pode ser
+ * restaurado ou excluído permanentemente; as parcelas de uma compra no crédito aparecem juntas.
+ */
+
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, SectionList, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+// Importa os estilos comuns entre as telas
+import commonStyles from '../utils/commonStyles';
+import { useIncomes, useExpenses, useCards } from '../utils/useFinanceData';
+import { getTrashItems, restoreTrashItem, purgeTrashItem, emptyTrash } from '../utils/trash';
+import { formatCents } from '../utils/money';
+
+// Ícone exibido para cada tipo de item
+const KIND_ICONS = {
+  income: 'add-circle-outline',
+  expense: 'remove-circle-outline',
+  card: 'card-outline',
+};
+
+export default function LixeiraScreen() {
+  const insets = useSafeAreaInsets();
+
+  // Coleções completas, mantidas atualizadas pelo repositório
+  const { data: incomes, loading: loadingIncomes } = useIncomes();
+  const { data: expenses, loading: loadingExpenses } = useExpenses();
+  const { data: cards, loading: loadingCards } = useCards();
+
+  // Seções da lista, apenas com as coleções que têm itens na lixeira
+  const sections = useMemo(() => {
+    const trash = getTrashItems(incomes, expenses, cards);
+    return [
+      { title: 'Receitas', data: trash.incomes },
+      { title: 'Despesas', data: trash.expenses },
+      { title: 'Cartões', data: trash.cards },
+    ].filter(section => section.data.length > 0);
+  }, [incomes, expenses, cards]);
+
+  /**
+   * Restaura um item da lixeira.
+   * @param {import('../utils/trash').TrashItem} item - O item a restaurar.
+   */
+  const handleRestore = async (item) => {
+    try {
+      await restoreTrashItem(item);
+      Alert.alert('Sucesso', `"${item.title}" foi restaurado.`);
+    } catch (error) {
+      console.error('LixeiraScreen: Erro ao restaurar item:', error);
+      Alert.alert('Erro', 'Não foi possível restaurar o item.');
+    }
+  };
+
+  /**
+   * Pergunta se o item deve ser excluído permanentemente.
+   * @param {import('../utils/trash').TrashItem} item - O item a excluir.
+   */
+  const handlePurge = (item) => {
+    const cardWarning = item.kind === 'card' ? '\n\nDespesas feitas com este cartão continuarão existindo.' : '';
+    Alert.alert(
+      'Excluir Permanentemente',
+      `"${item.title}" será apagado e não poderá ser restaurado.${cardWarning}`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Excluir',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await purgeTrashItem(item);
+            } catch (error) {
+              console.error('LixeiraScreen: Erro ao excluir item:', error);
+              Alert.alert('Erro', 'Não foi possível excluir o item.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Pergunta se todos os itens da lixeira devem ser excluídos permanentemente.
+   */
+  const handleEmptyTrash = () => {
+    Alert.alert(
+      'Esvaziar Lixeira',
+      'Todos os itens da lixeira serão apagados e não poderão ser restaurados. Deseja continuar?',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Esvaziar',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await emptyTrash();
+            } catch (error) {
+              console.error('LixeiraScreen: Erro ao esvaziar lixeira:', error);
+              Alert.alert('Erro', 'Não foi possível esvaziar a lixeira.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Renderiza cada item da lixeira, com as ações de restaurar e excluir.
+   * @param {object} item - O item da lixeira.
+   */
+  const renderTrashItem = ({ item }) => (
+    <View style={styles.trashItem}>
+      <Ionicons name={KIND_ICONS[item.kind]} size={24} color="#6c757d" style={styles.trashIcon} />
+      <View style={styles.trashDetails}>
+        <Text style={styles.trashTitle} numberOfLines={2}>{item.title}</Text>
+        <Text style={styles.trashInfo}>{item.details}</Text>
+        <Text style={styles.trashInfo}>
+          Excluído em {item.deletedAt ? new Date(item.deletedAt).toLocaleDateString('pt-BR') : '-'}
+          {item.value !== null ? ` • R$ ${formatCents(item.value)}` : ''}
+        </Text>
+      </View>
+      <TouchableOpacity style={styles.actionButton} onPress={() => handleRestore(item)}>
+        <Ionicons name="arrow-undo-outline" size={24} color="#28a745" />
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.actionButton} onPress={() => handlePurge(item)}>
+        <Ionicons name="trash-outline" size={24} color="#dc3545" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  // Exibe um indicador de carregamento enquanto os dados estão sendo carregados
+  if (loadingIncomes || loadingExpenses || loadingCards) {
+    return (
+      <View style={commonStyles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007bff" />
+        <Text>Carregando a lixeira...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[commonStyles.container, styles.container, { paddingTop: insets.top }]}>
+      <Text style={commonStyles.title}>Lixeira</Text>
+
+      {sections.length > 0 ? (
+        <>
+          <SectionList
+            sections={sections}
+            renderItem={renderTrashItem}
+            renderSectionHeader={({ section }) => <Text style={styles.sectionTitle}>{section.title}</Text>}
+            keyExtractor={item => item.key}
+            contentContainerStyle={commonStyles.listContent}
+            stickySectionHeadersEnabled={false}
+          />
+          <TouchableOpacity style={commonStyles.deleteButton} onPress={handleEmptyTrash}>
+            <Text style={commonStyles.buttonText}>Esvaziar Lixeira</Text>
+          </TouchableOpacity>
+        </>
+      ) : (
+        <Text style={commonStyles.noItemsText}>A lixeira está vazia.</Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Estilos de Layout
+  container: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 10,
+    marginBottom: 8,
+  },
+
+  // Estilos dos Itens da Lixeira
+  trashItem: {
+    backgroundColor: '#ffffff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    flexDirection: 'row',
+    alignItems: 'center',
+    // Sombras
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  trashIcon: {
+    marginRight: 10,
+  },
+  trashDetails: {
+    flex: 1,
+  },
+  trashTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  trashInfo: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 3,
+  },
+  actionButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+});
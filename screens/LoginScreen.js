@@ -1,33 +1,219 @@
 // screens/LoginScreen.js
 
 /**
- * @file Tela de Login simples do aplicativo.
- * Por enquanto, esta tela serve como um ponto de entrada básico,
- * navegando diretamente para a tela principal (Home) com um botão.
- * A funcionalidade de login real (com email/senha, Firebase, etc.)
- * está intencionalmente omitida nesta versão para manter a simplicidade e
- * focar no armazenamento local e outras funcionalidades principais.
+ * @file Tela de Login do aplicativo, com a escolha do perfil e o PIN local (ver utils/profiles.js
+ * e utils/appLock.js).
+ * Lista os perfis do aparelho (ou abre direto o único que existir) e permite criar outros, cada
+ * um com nome, cor e PIN opcional. Um perfil com PIN só entra na tela principal (Home) depois que
+ * o PIN correto é digitado; sem PIN, entra ao ser tocado. Se o PIN for esquecido, a única forma
+ * de criar outro é apagar os dados do perfil ou restaurar um backup, e a tela volta para a
+ * configuração do perfil.
+ *
+ * Os dados ficam cifrados até o desbloqueio, então só depois do login são aplicadas as
+ * migrações pendentes dos dados salvos e removidos da lixeira os itens excluídos há mais tempo
+ * que o prazo configurado. Em seguida começa a sincronização na nuvem, se houver uma conta
+ * conectada (ver utils/cloudSync.js).
+ *
+ * Parâmetros da rota:
+ * - `chooseProfile` (boolean): mostra a lista de perfis mesmo que só exista um (ao trocar de perfil).
  */
 
-import React from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert, TextInput, ActivityIndicator, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useAppContext } from '../AppContext'; // Importa o hook do contexto
 
 // Importa os estilos comuns entre as telas
 import commonStyles from '../utils/commonStyles';
+import {
+  PIN_MIN_LENGTH, PIN_MAX_LENGTH, isValidPin, setPin, setupWithoutPin, getLockMode, unlockWithoutPin, restorePendingBackup,
+} from '../utils/appLock';
+import { PROFILE_COLORS, loadProfiles, createProfile, updateProfile, selectProfile, leaveProfile } from '../utils/profiles';
+import { getActiveProfileId } from '../utils/encryptedStorage';
+import { runMigrations } from '../utils/migrations';
+import { purgeExpiredTrash } from '../utils/trash';
+import { startAutoSync } from '../utils/cloudSync';
+import PinUnlockForm from '../components/PinUnlockForm';
+import ProfileAvatar from '../components/ProfileAvatar';
+import ProfileFields from '../components/ProfileFields';
 
-export default function LoginScreen({ navigation }) {
+export default function LoginScreen({ navigation, route }) {
   // Obtém os insets da área segura do dispositivo
   const insets = useSafeAreaInsets(); 
 
+  // 'loading' enquanto carrega os perfis ou prepara os dados, 'select' para escolher o perfil,
+  // 'setup' para criar ou configurar um perfil e 'unlock' para digitar o PIN
+  const [mode, setMode] = useState('loading');
+  // Perfis do aparelho, com o modo de desbloqueio de cada um ('pin', 'none' ou null)
+  const [profiles, setProfiles] = useState([]);
+  // Perfil escolhido (ou em configuração); null ao criar um perfil novo
+  const [selectedProfile, setSelectedProfile] = useState(null);
+  const [profileName, setProfileName] = useState('');
+  const [profileColor, setProfileColor] = useState(PROFILE_COLORS[0]);
+  const [newPin, setNewPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [savingPin, setSavingPin] = useState(false);
+
   // Handlers
   /**
-   * Navega para a tela Home
-   * Futuramente pode incluir autenticação com Firebase, biometria, etc.
+   * Prepara os dados já liberados pelo PIN e entra na tela Home.
+   * Usa `replace` para que o botão "voltar" não retorne ao login.
+   */
+  const handleLogin = useCallback(async () => {
+    setMode('loading');
+    try {
+      await runMigrations();
+    } catch (error) {
+      console.error('LoginScreen: Erro ao migrar os dados salvos:', error);
+      Alert.alert('Erro', 'Não foi possível atualizar o formato dos dados salvos. Alguns registros podem não ser exibidos corretamente.');
+    }
+    try {
+      await purgeExpiredTrash();
+    } catch (error) {
+      // Falha na limpeza da lixeira não impede o uso do app; tenta de novo no próximo login
+      console.error('LoginScreen: Erro ao esvaziar itens antigos da lixeira:', error);
+    }
+    startAutoSync();
+    setMode('unlock');
+    navigation.replace('Home');
+  }, [navigation]);
+
+  /**
+   * Abre o formulário de criação de um perfil, ou de configuração de um perfil sem PIN definido.
+   * @param {object|null} profile - O perfil a configurar, ou null para criar um novo.
+   * @param {number} [profileCount=0] - Quantos perfis já existem (escolhe a cor sugerida ao perfil novo).
+   */
+  const openProfileSetup = useCallback((profile, profileCount = 0) => {
+    setSelectedProfile(profile);
+    setProfileName(profile ? profile.name : '');
+    setProfileColor(profile ? profile.color : PROFILE_COLORS[profileCount % PROFILE_COLORS.length]);
+    setNewPin('');
+    setConfirmPin('');
+    setMode('setup');
+  }, []);
+
+  /**
+   * Escolhe um perfil: pede o PIN, entra direto (perfil sem PIN) ou abre a configuração.
+   * @param {object} profile - O perfil tocado.
+   */
+  const handleChooseProfile = useCallback(async (profile) => {
+    try {
+      selectProfile(profile.id);
+      setSelectedProfile(profile);
+      const lockMode = await getLockMode(profile.id);
+      if (lockMode === 'pin') {
+        setMode('unlock');
+      } else if (lockMode === 'none' && await unlockWithoutPin()) {
+        handleLogin();
+      } else {
+        openProfileSetup(profile);
+      }
+    } catch (error) {
+      console.error('LoginScreen: Erro ao abrir perfil:', error);
+      Alert.alert('Erro', 'Não foi possível abrir o perfil.');
+      setMode('select');
+    }
+  }, [handleLogin, openProfileSetup]);
+
+  /**
+   * Carrega os perfis e decide o que mostrar: o perfil que já estava ativo (ex: após redefinir
+   * o PIN), o único perfil existente, a lista ou, sem perfis, a criação do primeiro.
+   * @param {boolean} openSingleProfile - Se um perfil único deve ser aberto direto.
+   */
+  const refreshProfiles = useCallback(async (openSingleProfile) => {
+    setMode('loading');
+    try {
+      const list = await loadProfiles();
+      const lockModes = await Promise.all(list.map(profile => getLockMode(profile.id)));
+      const withLockModes = list.map((profile, index) => ({ ...profile, lockMode: lockModes[index] }));
+      setProfiles(withLockModes);
+
+      const active = withLockModes.find(profile => profile.id === getActiveProfileId());
+      if (withLockModes.length === 0) {
+        openProfileSetup(null);
+      } else if (active || (openSingleProfile && withLockModes.length === 1)) {
+        await handleChooseProfile(active || withLockModes[0]);
+      } else {
+        setMode('select');
+      }
+    } catch (error) {
+      console.error('LoginScreen: Erro ao carregar perfis:', error);
+      Alert.alert('Erro', 'Não foi possível carregar os perfis.');
+      setMode('select');
+    }
+  }, [handleChooseProfile, openProfileSetup]);
+
+  // Carrega os perfis ao abrir a tela (e de novo se ela for reaberta pedindo a lista)
+  useEffect(() => {
+    refreshProfiles(!route.params?.chooseProfile);
+  }, [refreshProfiles, route.params?.chooseProfile]);
+
+  /**
+   * Volta para a lista de perfis.
+   */
+  const handleShowProfiles = async () => {
+    try {
+      await leaveProfile();
+    } catch (error) {
+      console.error('LoginScreen: Erro ao sair do perfil:', error);
+    }
+    refreshProfiles(false);
+  };
+
+  /**
+   * Valida e salva o perfil e o PIN (opcional) e entra nele.
+   */
+  const handleSaveProfile = async () => {
+    if (!profileName.trim()) {
+      Alert.alert('Erro', 'Informe o nome do perfil.');
+      return;
+    }
+    if ((newPin || confirmPin) && !isValidPin(newPin)) {
+      Alert.alert('Erro', `O PIN deve ter de ${PIN_MIN_LENGTH} a ${PIN_MAX_LENGTH} dígitos.`);
+      return;
+    }
+    if (newPin !== confirmPin) {
+      Alert.alert('Erro', 'Os PINs digitados não conferem.');
+      return;
+    }
+    setSavingPin(true);
+    try {
+      const fields = { name: profileName, color: profileColor };
+      const profile = selectedProfile
+        ? await updateProfile(selectedProfile.id, fields)
+        : await createProfile(fields);
+      selectProfile(profile.id);
+      if (newPin) {
+        await setPin(newPin);
+      } else {
+        await setupWithoutPin();
+      }
+      setNewPin('');
+      setConfirmPin('');
+    } catch (error) {
+      console.error('LoginScreen: Erro ao salvar perfil:', error);
+      Alert.alert('Erro', error.message || 'Não foi possível salvar o perfil.');
+      return;
+    } finally {
+      setSavingPin(false);
+    }
+    // Backup escolhido no caminho "Esqueci meu PIN": só pode ser gravado com a nova chave de dados
+    try {
+      await restorePendingBackup();
+    } catch (error) {
+      console.error('LoginScreen: Erro ao restaurar backup:', error);
+      Alert.alert('Erro', 'Não foi possível restaurar o backup. Tente de novo em Ajustes.');
+    }
+    handleLogin();
+  };
+
+  /**
+   * Após apagar os dados ou restaurar um backup, volta para a configuração do perfil.
    */
-  const handleLogin = () => {
-    navigation.navigate('Home');
+  const handlePinReset = () => {
+    openProfileSetup(selectedProfile);
+    Alert.alert('PIN Redefinido', 'Crie um novo PIN (ou deixe em branco) para continuar.');
   };
 
   /**
@@ -78,13 +264,89 @@ export default function LoginScreen({ navigation }) {
         </TouchableOpacity>
       </View>
       
-      {/* Seção de Botões */}
+      {/* Seção do perfil: escolha, criação e desbloqueio */}
       <View style={styles.buttonSection}>
-        <TouchableOpacity 
-          style={styles.loginButton} 
-          onPress={handleLogin}>
-          <Text style={styles.buttonText}>Entrar</Text>
-        </TouchableOpacity>
+        {mode === 'loading' && <ActivityIndicator size="large" color="#007bff" />}
+
+        {mode === 'select' && (
+          <ScrollView style={styles.profileList} contentContainerStyle={styles.profileListContent}>
+            <Text style={styles.setupText}>Quem está usando?</Text>
+            {profiles.map(profile => (
+              <TouchableOpacity key={profile.id} style={styles.profileItem} onPress={() => handleChooseProfile(profile)}>
+                <ProfileAvatar name={profile.name} color={profile.color} />
+                <Text style={styles.profileName}>{profile.name}</Text>
+                {profile.lockMode === 'pin' && <Ionicons name="lock-closed" size={18} color="#666" />}
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity style={styles.profileItem} onPress={() => openProfileSetup(null, profiles.length)}>
+              <Ionicons name="add-circle-outline" size={44} color="#007bff" />
+              <Text style={styles.profileName}>Novo perfil</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        )}
+
+        {mode === 'setup' && (
+          <View style={styles.setupForm}>
+            <Text style={styles.setupText}>
+              {selectedProfile ? 'Configure o perfil para continuar.' : 'Crie um perfil para guardar seus dados.'}
+            </Text>
+            <ProfileFields
+              name={profileName}
+              onChangeName={setProfileName}
+              color={profileColor}
+              onChangeColor={setProfileColor}
+            />
+            <Text style={styles.hintText}>
+              PIN de {PIN_MIN_LENGTH} a {PIN_MAX_LENGTH} dígitos (opcional). Sem PIN, qualquer pessoa com o aparelho abre o perfil.
+            </Text>
+            <TextInput
+              style={[commonStyles.input, styles.pinInput]}
+              placeholder="Novo PIN"
+              value={newPin}
+              onChangeText={text => setNewPin(text.replace(/\D/g, ''))}
+              keyboardType="number-pad"
+              secureTextEntry
+              maxLength={PIN_MAX_LENGTH}
+            />
+            <TextInput
+              style={[commonStyles.input, styles.pinInput]}
+              placeholder="Confirme o PIN"
+              value={confirmPin}
+              onChangeText={text => setConfirmPin(text.replace(/\D/g, ''))}
+              keyboardType="number-pad"
+              secureTextEntry
+              maxLength={PIN_MAX_LENGTH}
+              onSubmitEditing={handleSaveProfile}
+            />
+          </View>
+        )}
+        {mode === 'setup' && (
+          <TouchableOpacity 
+            style={styles.loginButton} 
+            onPress={handleSaveProfile}
+            disabled={savingPin}>
+            {savingPin ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>{selectedProfile ? 'Salvar e Entrar' : 'Criar Perfil e Entrar'}</Text>
+            )}
+          </TouchableOpacity>
+        )}
+
+        {mode === 'unlock' && selectedProfile && (
+          <View style={styles.selectedProfile}>
+            <ProfileAvatar name={selectedProfile.name} color={selectedProfile.color} />
+            <Text style={styles.selectedProfileName}>{selectedProfile.name}</Text>
+          </View>
+        )}
+        {mode === 'unlock' && <PinUnlockForm onUnlock={handleLogin} onReset={handlePinReset} />}
+
+        {/* Volta para a lista (não aparece na criação do primeiro perfil) */}
+        {(mode === 'unlock' || (mode === 'setup' && profiles.length > 0)) && (
+          <TouchableOpacity onPress={handleShowProfiles}>
+            <Text style={styles.linkText}>Trocar de perfil</Text>
+          </TouchableOpacity>
+        )}
       </View>
 
       {/* Indicador do modo desenvolvedor */}
@@ -116,6 +378,23 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     width: '100%',
   },
+  setupForm: {
+    width: '80%',
+    maxWidth: 300,
+  },
+  profileList: {
+    width: '80%',
+    maxWidth: 300,
+    maxHeight: 400,
+  },
+  profileListContent: {
+    paddingBottom: 10,
+  },
+  selectedProfile: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
 
   // Estilos de Texto
   titleText: {
@@ -132,6 +411,57 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
   },
+  setupText: {
+    fontSize: 16,
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  linkText: {
+    fontSize: 15,
+    color: '#007bff',
+    marginTop: 10,
+  },
+  profileName: {
+    flex: 1,
+    fontSize: 18,
+    color: '#333',
+    marginLeft: 15,
+  },
+  selectedProfileName: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginLeft: 10,
+  },
+
+  // Estilos da Lista de Perfis
+  profileItem: {
+    backgroundColor: '#ffffff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+
+  // Estilos dos Campos de PIN
+  pinInput: {
+    textAlign: 'center',
+    fontSize: 22,
+    letterSpacing: 8,
+  },
 
   // Estilos de Botões
   loginButton: {
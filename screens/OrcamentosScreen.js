@@ -0,0 +1,215 @@
+// screens/OrcamentosScreen.js
+
+/**
+ * @file Tela dos orçamentos mensais de gastos.
+ * Mostra, mês a mês, cada orçamento com o limite do mês, a sobra trazida do mês anterior
+ * (quando acumula) e uma barra com o quanto já foi gasto. Tocar em um orçamento abre a
+ * edição já no mês exibido, para mudar o limite só daquele mês ou de todos.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, Text, StyleSheet, FlatList, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+// Importa os estilos comuns entre as telas
+import commonStyles from '../utils/commonStyles';
+import { useBudgets, useExpenses, useCards } from '../utils/useFinanceData';
+import { getBudgetProgress, getBudgetMonthKey, describeBudgetScope, sortBudgets } from '../utils/budgets';
+import { formatMonthYearForExclusion } from '../utils/monthlyEntries';
+import { formatCents } from '../utils/money';
+import BudgetProgressBar from '../components/BudgetProgressBar';
+
+export default function OrcamentosScreen({ navigation, route }) {
+  const insets = useSafeAreaInsets();
+
+  const { data: budgets, loading } = useBudgets();
+  const { data: expenses } = useExpenses();
+  const { data: cards } = useCards();
+  const cardsById = useMemo(() => Object.fromEntries(cards.map(card => [card.id, card])), [cards]);
+
+  // Mês exibido (a tela inicial pode abrir direto no mês que estava mostrando)
+  const [monthDate, setMonthDate] = useState(() => {
+    const today = new Date();
+    return new Date(route.params?.year ?? today.getFullYear(), route.params?.month ?? today.getMonth(), 1);
+  });
+  // Acompanha o mês pedido quando a tela já estava aberta e é chamada de novo pela tela inicial
+  useEffect(() => {
+    if (route.params?.year !== undefined && route.params?.month !== undefined) {
+      setMonthDate(new Date(route.params.year, route.params.month, 1));
+    }
+  }, [route.params?.year, route.params?.month]);
+
+  /**
+   * Avança ou volta o mês exibido.
+   * @param {number} offset - Quantidade de meses (negativa para voltar).
+   */
+  const changeMonth = (offset) => {
+    setMonthDate(current => new Date(current.getFullYear(), current.getMonth() + offset, 1));
+  };
+
+  // Orçamentos com a situação no mês exibido (null nos que ainda não valem no mês)
+  const rows = useMemo(
+    () => sortBudgets(budgets).map(budget => ({ budget, progress: getBudgetProgress(budget, monthDate, expenses) })),
+    [budgets, monthDate, expenses]
+  );
+
+  /**
+   * Renderiza um orçamento da lista.
+   * @param {{item: {budget: object, progress: object|null}}} param0
+   */
+  const renderBudgetItem = ({ item: { budget, progress } }) => {
+    const hasMonthAmount = getBudgetMonthKey(monthDate) in budget.monthlyAmounts;
+    return (
+      <TouchableOpacity
+        style={styles.budgetItem}
+        onPress={() => navigation.navigate('EditarOrcamento', {
+          budgetId: budget.id,
+          year: monthDate.getFullYear(),
+          month: monthDate.getMonth(),
+        })}
+      >
+        <Text style={styles.scopeText} numberOfLines={1}>{describeBudgetScope(budget, cardsById)}</Text>
+        {progress ? (
+          <>
+            <BudgetProgressBar name={budget.name} progress={progress} />
+            <Text style={styles.detailText}>
+              Limite do mês: {formatCents(progress.limit)} R${hasMonthAmount ? ' (só neste mês)' : ''}
+              {progress.carried > 0 ? ` + sobra de ${formatCents(progress.carried)} R$` : ''}
+            </Text>
+            <Text style={[styles.detailText, progress.remaining < 0 && styles.exceededText]}>
+              {progress.remaining < 0
+                ? `Ultrapassado em ${formatCents(-progress.remaining)} R$`
+                : `Restam ${formatCents(progress.remaining)} R$`}
+            </Text>
+          </>
+        ) : (
+          <>
+            <Text style={styles.budgetName}>{budget.name}</Text>
+            <Text style={styles.detailText}>
+              Começa em {formatMonthYearForExclusion(new Date(budget.startYear, budget.startMonth, 1))}.
+            </Text>
+          </>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={commonStyles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007bff" />
+        <Text>Carregando os orçamentos...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[commonStyles.container, styles.container, { paddingTop: insets.top }]}>
+      <Text style={commonStyles.title}>Orçamentos</Text>
+
+      {/* Navegação entre os meses */}
+      <View style={styles.monthRow}>
+        <TouchableOpacity onPress={() => changeMonth(-1)} style={styles.monthArrow} accessibilityLabel="Mês anterior">
+          <Ionicons name="chevron-back" size={24} color="#007bff" />
+        </TouchableOpacity>
+        <Text style={styles.monthText}>
+          {monthDate.toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' })}
+        </Text>
+        <TouchableOpacity onPress={() => changeMonth(1)} style={styles.monthArrow} accessibilityLabel="Próximo mês">
+          <Ionicons name="chevron-forward" size={24} color="#007bff" />
+        </TouchableOpacity>
+      </View>
+
+      {rows.length > 0 ? (
+        <FlatList
+          data={rows}
+          renderItem={renderBudgetItem}
+          keyExtractor={item => item.budget.id}
+          contentContainerStyle={commonStyles.listContent}
+        />
+      ) : (
+        <Text style={commonStyles.noItemsText}>
+          Nenhum orçamento cadastrado. Toque em + para criar um limite de gastos mensal.
+        </Text>
+      )}
+
+      {/* Botão flutuante para criar um orçamento a partir do mês exibido */}
+      <TouchableOpacity
+        style={styles.addButton}
+        onPress={() => navigation.navigate('EditarOrcamento', { year: monthDate.getFullYear(), month: monthDate.getMonth() })}
+      >
+        <Ionicons name="add" size={30} color="#fff" />
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Estilos de Layout
+  container: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+
+  // Estilos da Navegação entre Meses
+  monthRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  monthArrow: {
+    padding: 8,
+  },
+  monthText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    textTransform: 'capitalize',
+  },
+
+  // Estilos dos Itens da Lista
+  budgetItem: {
+    backgroundColor: '#ffffff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+    // Sombras
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  budgetName: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 8,
+  },
+  scopeText: {
+    fontSize: 12,
+    color: '#999',
+  },
+  detailText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+  },
+  exceededText: {
+    color: '#dc3545',
+    fontWeight: 'bold',
+  },
+
+  // Estilos de Botões
+  addButton: {
+    ...commonStyles.addButton,
+    position: 'absolute',
+    bottom: 20,
+    right: 20,
+    width: 60,
+    height: 60,
+    borderRadius: 30,
+  },
+});
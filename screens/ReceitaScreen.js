@@ -1,71 +1,51 @@
 // screens/ReceitaScreen.js
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { View, Text, StyleSheet, FlatList, ActivityIndicator, TouchableOpacity, Alert, Modal, Pressable } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { useFocusEffect } from '@react-navigation/native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 
 // Importa os estilos comuns para reutilização
 import commonStyles from '../utils/commonStyles';
-// Importa as chaves de AsyncStorage como constantes
+// Acesso centralizado aos dados de receitas
+import { softDeleteIncome } from '../utils/financeRepository';
+import { useIncomes } from '../utils/useFinanceData';
+import { formatCents } from '../utils/money';
 import { ASYNC_STORAGE_KEYS } from '../utils/constants';
+import { runUndoable } from '../utils/undoHistory';
+import { describeRecurrenceEnd } from '../utils/recurrence';
 
 export default function ReceitaScreen({ navigation }) {
   const insets = useSafeAreaInsets(); // Obter os insets da área segura
 
-  // Estados relacionados a dados
-  const [incomes, setIncomes] = useState([]);
-  const [loadingApp, setLoadingApp] = useState(true);
+  // Receitas armazenadas, mantidas atualizadas pelo repositório
+  const { data: storedIncomes, loading: loadingApp, error: loadError } = useIncomes();
   
   // Estados relacionados ao modal de ações
   const [isActionModalVisible, setIsActionModalVisible] = useState(false);
   const [selectedIncome, setSelectedIncome] = useState(null); // Para guardar a receita selecionada
 
   /** 
-   * Função para carregar as receitas do AsyncStorage.
-   * Filtra apenas as receitas ativas para exibição na lista principal.
+   * Receitas exibidas na lista: apenas as ativas, da mais recente para a mais antiga.
+   * Recalculado sempre que o repositório notifica uma mudança nas receitas.
    */
-  const loadIncomes = useCallback(async () => {
-    setLoadingApp(true);
-    try {
-      // Tenta obter as receitas armazenadas
-      const storedIncomesJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.INCOMES);
-      // Se houver receitas, faz o parse; caso contrário, inicializa um array vazio
-      const storedIncomes = storedIncomesJson ? JSON.parse(storedIncomesJson) : [];
-      
-      // Filtra para exibir apenas receitas ativas na lista (status diferente de 'inactive')
-      const activeIncomes = storedIncomes.filter(income => income.status !== 'inactive');
+  const incomes = useMemo(() => {
+    // Filtra para exibir apenas receitas ativas na lista (status diferente de 'inactive')
+    const activeIncomes = storedIncomes.filter(income => income.status !== 'inactive');
 
-      // Ordena as receitas ativas pela data de criação, da mais recente para a mais antiga
-      const sortedIncomes = activeIncomes.sort((a, b) => {
-        const dateA = new Date(a.createdAt);
-        const dateB = new Date(b.createdAt);
-        return dateB.getTime() - dateA.getTime();
-      });
+    // Ordena as receitas ativas pela data de criação, da mais recente para a mais antiga
+    return [...activeIncomes].sort((a, b) => {
+      const dateA = new Date(a.createdAt);
+      const dateB = new Date(b.createdAt);
+      return dateB.getTime() - dateA.getTime();
+    });
+  }, [storedIncomes]);
 
-      setIncomes(sortedIncomes); // Atualiza o estado com as receitas filtradas e ordenadas
-      console.log("Receitas carregadas (ativas) do AsyncStorage. Total:", sortedIncomes.length);
-    } catch (error) {
-      console.error("Erro ao carregar receitas do AsyncStorage:", error);
+  // Avisa o usuário se as receitas não puderam ser carregadas
+  useEffect(() => {
+    if (loadError) {
       Alert.alert('Erro', 'Não foi possível carregar as receitas do armazenamento local.');
-    } finally {
-      setLoadingApp(false); // Finaliza o estado de carregamento
     }
-  }, []); // Dependências vazias garantem que a função só seja recriada uma vez
-
-  /**
-   * Hook para recarregar os dados da tela sempre que ela entra em foco.
-   * Garante que a lista de receitas esteja sempre atualizada.
-   */
-  useFocusEffect(
-    useCallback(() => {
-      loadIncomes(); // Chama a função de carregamento
-      return () => {
-        // Opcional: Lógica de limpeza se necessário ao desfocar a tela
-      };
-    }, [loadIncomes]) // Depende de loadIncomes para ser reexecutado se loadIncomes mudar
-  );
+  }, [loadError]);
 
   // Handlers do Modal
   /**
@@ -108,31 +88,16 @@ export default function ReceitaScreen({ navigation }) {
           text: "Excluir",
           onPress: async () => {
             try {
-              // Obtém todas as receitas existentes do AsyncStorage
-              const existingIncomesJson = await AsyncStorage.getItem(ASYNC_STORAGE_KEYS.INCOMES);
-              let incomesArray = existingIncomesJson ? JSON.parse(existingIncomesJson) : [];
-              
-              // Mapeia o array de receitas, atualizando o status e deletedAt da receita selecionada
-              const updatedIncomesArray = incomesArray.map(income => {
-                if (income.id === selectedIncome.id) {
-                  return {
-                    ...income,
-                    status: 'inactive', // Marca a receita como inativa
-                    deletedAt: new Date().toISOString(), // Registra a data/hora da exclusão
-                  };
-                }
-                return income; // Retorna as outras receitas inalteradas
-              });
-
-              // Salva o array atualizado de volta no AsyncStorage
-              await AsyncStorage.setItem(ASYNC_STORAGE_KEYS.INCOMES, JSON.stringify(updatedIncomesArray));
-              loadIncomes(); // Recarrega a lista de receitas (filtrará as inativas para exibição)
+              // Marca a receita como inativa; a lista é atualizada pela notificação do repositório
+              // e a confirmação aparece no aviso com "Desfazer"
+              await runUndoable(`Receita "${selectedIncome.name}" excluída`, [ASYNC_STORAGE_KEYS.INCOMES], () =>
+                softDeleteIncome(selectedIncome.id)
+              );
               setIsActionModalVisible(false); // Fecha o modal de ações
               setSelectedIncome(null); // Limpa a receita selecionada
-              Alert.alert('Sucesso', 'Receita excluída com sucesso! (Não aparecerá mais nos meses atuais/futuros)');
-              console.log("Receita marcada como inativa no AsyncStorage.");
+              console.log("Receita marcada como inativa.");
             } catch (error) {
-              console.error("Erro ao excluir receita do AsyncStorage:", error);
+              console.error("Erro ao excluir receita:", error);
               Alert.alert('Erro', 'Não foi possível excluir a receita.');
             }
           }
@@ -165,6 +130,9 @@ export default function ReceitaScreen({ navigation }) {
         <Text style={styles.incomeName}>{item.name}</Text>
         <View style={styles.incomeDetails}>
           <Text style={styles.incomeType}>{item.type === 'Fixo' ? 'Receita Fixa' : 'Ganho Pontual'}</Text>
+          {item.type === 'Fixo' && item.recurrenceEnd && (
+            <Text style={styles.incomeDate}> • {describeRecurrenceEnd(item.recurrenceEnd)}</Text>
+          )}
           {item.type === 'Ganho' && item.month !== undefined && item.year !== undefined && (
             <Text style={styles.incomeDate}>
               • {`${(item.month + 1).toString().padStart(2, '0')}/${item.year}`}
@@ -173,7 +141,7 @@ export default function ReceitaScreen({ navigation }) {
         </View>
       </View>
       <Text style={styles.incomeValue}>
-        R$ {item.value.toFixed(2).replace('.', ',')}
+        R$ {formatCents(item.value)}
       </Text>
     </TouchableOpacity>
   );
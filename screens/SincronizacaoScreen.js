@@ -0,0 +1,202 @@
+// screens/SincronizacaoScreen.js
+
+/**
+ * @file Tela da sincronização na nuvem.
+ * Permite entrar (ou criar) uma conta para manter receitas, despesas e cartões iguais em
+ * vários aparelhos. A conta é opcional: sem ela, o app continua usando só os dados locais.
+ * A criptografia com o PIN vale só para os dados deste aparelho: a cópia enviada à nuvem não é
+ * criptografada pelo app, e a tela avisa isso antes de o usuário entrar na conta.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, ScrollView, TextInput, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+// Importa os estilos comuns entre as telas
+import commonStyles from '../utils/commonStyles';
+import { subscribeSyncStatus, syncNow, signInToCloud, createCloudAccount, signOutFromCloud } from '../utils/cloudSync';
+
+export default function SincronizacaoScreen() {
+  const insets = useSafeAreaInsets();
+
+  // Estado da sincronização (conta conectada, andamento, último erro)
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  // Indica um login ou criação de conta em andamento
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => subscribeSyncStatus(setSyncStatus), []);
+
+  /**
+   * Entra na conta ou cria uma nova com o e-mail e a senha informados.
+   * @param {function(string, string): Promise<void>} action - `signInToCloud` ou `createCloudAccount`.
+   */
+  const handleAuth = async (action) => {
+    if (!email.trim() || !password) {
+      Alert.alert('Erro', 'Informe o e-mail e a senha.');
+      return;
+    }
+    setBusy(true);
+    try {
+      await action(email, password);
+      setPassword('');
+    } catch (error) {
+      console.error('SincronizacaoScreen: Erro ao entrar na conta:', error);
+      Alert.alert('Erro', error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Sincroniza imediatamente; o erro, se houver, aparece na própria tela.
+   */
+  const handleSyncNow = () => {
+    syncNow().catch(error => console.error('SincronizacaoScreen: Erro ao sincronizar:', error));
+  };
+
+  /**
+   * Pergunta se o usuário quer sair da conta.
+   */
+  const handleSignOut = () => {
+    Alert.alert(
+      'Sair da Conta',
+      'Os dados continuam neste aparelho, mas deixam de ser sincronizados. Deseja sair?',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Sair',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await signOutFromCloud();
+            } catch (error) {
+              console.error('SincronizacaoScreen: Erro ao sair da conta:', error);
+              Alert.alert('Erro', 'Não foi possível sair da conta.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (!syncStatus) {
+    return (
+      <View style={commonStyles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007bff" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={[commonStyles.container, { paddingTop: insets.top }]}>
+      <ScrollView contentContainerStyle={commonStyles.scrollContent} keyboardShouldPersistTaps="handled">
+        <Text style={commonStyles.title}>Sincronização</Text>
+
+        {!syncStatus.configured ? (
+          <Text style={styles.descriptionText}>
+            A sincronização na nuvem não está disponível nesta versão do app. Seus dados ficam apenas neste aparelho.
+          </Text>
+        ) : !syncStatus.user ? (
+          <>
+            <Text style={styles.descriptionText}>
+              Entre com uma conta para manter receitas, despesas e cartões iguais em todos os seus aparelhos.
+              O app continua funcionando sem internet; as alterações são enviadas quando a conexão voltar.
+            </Text>
+            <Text style={styles.warningText}>
+              Atenção: os dados deste aparelho são criptografados com o seu PIN, mas a cópia enviada para a nuvem
+              não é. Ela fica protegida apenas pela sua conta e pelas regras de acesso do servidor.
+            </Text>
+            <TextInput
+              style={commonStyles.input}
+              placeholder="E-mail"
+              value={email}
+              onChangeText={setEmail}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoComplete="email"
+            />
+            <TextInput
+              style={commonStyles.input}
+              placeholder="Senha"
+              value={password}
+              onChangeText={setPassword}
+              secureTextEntry
+            />
+            <TouchableOpacity style={commonStyles.addButton} onPress={() => handleAuth(signInToCloud)} disabled={busy}>
+              <Text style={commonStyles.buttonText}>Entrar</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[commonStyles.addButton, styles.secondaryButton]} onPress={() => handleAuth(createCloudAccount)} disabled={busy}>
+              <Text style={commonStyles.buttonText}>Criar conta</Text>
+            </TouchableOpacity>
+            {busy && <ActivityIndicator size="large" color="#007bff" style={styles.busyIndicator} />}
+          </>
+        ) : (
+          <>
+            <Text style={styles.descriptionText}>Conectado como</Text>
+            <Text style={styles.emailText}>{syncStatus.user.email}</Text>
+            <Text style={styles.warningText}>A cópia na nuvem não é criptografada com o seu PIN.</Text>
+
+            <Text style={styles.statusText}>
+              {syncStatus.syncing
+                ? 'Sincronizando...'
+                : syncStatus.lastSyncAt
+                  ? `Última sincronização: ${new Date(syncStatus.lastSyncAt).toLocaleString('pt-BR')}`
+                  : 'Ainda não sincronizado.'}
+            </Text>
+            {syncStatus.error && <Text style={styles.errorText}>{syncStatus.error}</Text>}
+
+            <TouchableOpacity style={commonStyles.addButton} onPress={handleSyncNow} disabled={syncStatus.syncing}>
+              <Text style={commonStyles.buttonText}>Sincronizar agora</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={commonStyles.deleteButton} onPress={handleSignOut}>
+              <Text style={commonStyles.buttonText}>Sair da conta</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Estilos de Texto
+  descriptionText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  emailText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 15,
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 10,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#dc3545',
+    marginBottom: 10,
+  },
+  warningText: {
+    fontSize: 13,
+    color: '#856404',
+    backgroundColor: '#fff3cd',
+    borderRadius: 5,
+    padding: 10,
+    marginBottom: 15,
+  },
+
+  // Estilos de Botões
+  secondaryButton: {
+    backgroundColor: '#6c757d',
+  },
+  busyIndicator: {
+    marginTop: 20,
+  },
+});
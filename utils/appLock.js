@@ -0,0 +1,371 @@
+// utils/appLock.js
+
+/**
+ * @file Bloqueio do aplicativo por PIN.
+ * O PIN nunca é salvo: o registro no SecureStore, separado dos dados financeiros, guarda apenas
+ * a chave de dados (ver utils/encryptedStorage.js) cifrada com uma chave derivada do PIN
+ * (PBKDF2). O PIN é conferido ao decifrá-la, pois a cifra é autenticada (AES-GCM) e recusa uma
+ * chave derivada de outro PIN.
+ *
+ * Quem copiar esse registro para fora do aparelho pode testar os PINs possíveis por conta
+ * própria, e um PIN de 4 a 8 dígitos tem poucas combinações. A proteção é o custo da derivação
+ * (`KEY_DERIVATION_ITERATIONS`) e, no app, o bloqueio após `MAX_FAILED_ATTEMPTS` erros seguidos,
+ * por um tempo que dobra a cada novo bloqueio.
+ *
+ * O PIN certo libera a chave de dados em memória; trocar o PIN apenas cifra de novo a chave de
+ * dados, em uma única gravação, sem regravar os dados.
+ *
+ * Não há como recuperar um PIN esquecido: para definir outro, é preciso apagar todos os dados
+ * ou substituí-los por um backup (`wipeDataAndResetPin` e `restoreBackupAndResetPin`).
+ *
+ * Cada perfil (ver utils/profiles.js) tem o seu registro, e as funções atuam sobre o perfil
+ * ativo. O PIN é opcional: um perfil sem PIN guarda a chave de dados no SecureStore sem
+ * cifrá-la, e entra direto ao ser escolhido (`unlockWithoutPin`).
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import { SECURE_STORE_KEYS } from './constants';
+import { getSettings, updateSettings } from './settings';
+import { clearAllData } from './financeRepository';
+import { restoreBackup } from './backup';
+import { clearUndoHistory } from './undoHistory';
+import { signOutFromCloud } from './cloudSync';
+import {
+  KEY_DERIVATION_ITERATIONS, bytesToHex, hexToBytes, generateKey, generateSalt, deriveKey, encryptString, decryptString,
+} from './encryption';
+import {
+  setDataKey, getDataKey, clearDataKey, encryptPlaintextItems, profileStorageKey, requireActiveProfileId,
+} from './encryptedStorage';
+
+/** Quantidade mínima e máxima de dígitos do PIN. */
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 8;
+
+/** Opções de tempo em segundo plano antes de pedir o PIN de novo, em minutos (0 = imediatamente). */
+export const LOCK_TIMEOUT_OPTIONS = [0, 1, 5, 15, 30];
+
+/** Tempo padrão em segundo plano antes de pedir o PIN de novo, em minutos. */
+export const DEFAULT_LOCK_TIMEOUT_MINUTES = 1;
+
+// Erros seguidos que causam um bloqueio temporário
+const MAX_FAILED_ATTEMPTS = 5;
+// Duração do primeiro bloqueio (ms); cada bloqueio seguinte dura o dobro, até o limite
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+// Backup escolhido no caminho "Esqueci meu PIN", aplicado depois que o novo PIN é criado
+let pendingRestore = null;
+
+/**
+ * @typedef {Object} PinRecord
+ * @property {string} keySalt - Salt da derivação da chave que cifra a chave de dados.
+ * @property {number} keyIterations - Iterações da derivação.
+ * @property {string} wrappedKey - Chave de dados cifrada com a chave derivada do PIN.
+ * @property {string} [dataKey] - Apenas em perfis sem PIN (sem os campos acima): a chave de
+ *   dados em hexadecimal.
+ */
+
+/**
+ * @typedef {Object} LockState
+ * @property {number} failedAttempts - Erros seguidos desde o último acerto.
+ * @property {number|null} lockedUntil - Timestamp até quando novas tentativas estão bloqueadas.
+ */
+
+/**
+ * Monta a chave do SecureStore de um perfil.
+ * @param {string} key - Chave de `SECURE_STORE_KEYS`.
+ * @param {string} [profileId] - ID do perfil (padrão: o perfil ativo).
+ * @returns {string} A chave com o prefixo do perfil.
+ */
+const secureKey = (key, profileId = requireActiveProfileId()) => profileStorageKey(profileId, key);
+
+/**
+ * Lê o registro do PIN de um perfil.
+ * @param {string} [profileId] - ID do perfil (padrão: o perfil ativo).
+ * @returns {Promise<PinRecord|null>} O registro, ou null se o perfil ainda não foi configurado.
+ */
+const getPinRecord = async (profileId) => {
+  const json = await SecureStore.getItemAsync(secureKey(SECURE_STORE_KEYS.APP_LOCK_PIN, profileId));
+  return json ? JSON.parse(json) : null;
+};
+
+/**
+ * Indica se o registro é de um perfil protegido por PIN.
+ * @param {PinRecord|null} record - O registro.
+ * @returns {boolean} true se o perfil exige PIN.
+ */
+const isPinRecord = (record) => Boolean(record && record.wrappedKey);
+
+/**
+ * @returns {Promise<LockState>} As tentativas erradas e o bloqueio atual.
+ */
+const getLockState = async () => {
+  const json = await SecureStore.getItemAsync(secureKey(SECURE_STORE_KEYS.APP_LOCK_STATE));
+  return json ? JSON.parse(json) : { failedAttempts: 0, lockedUntil: null };
+};
+
+/**
+ * @param {LockState} state - O novo estado das tentativas.
+ */
+const saveLockState = async (state) => {
+  await SecureStore.setItemAsync(secureKey(SECURE_STORE_KEYS.APP_LOCK_STATE), JSON.stringify(state));
+};
+
+/**
+ * Cifra a chave de dados com uma chave derivada do PIN.
+ * @param {string} pin - O PIN.
+ * @param {Uint8Array} dataKey - A chave de dados.
+ * @returns {Promise<{keySalt: string, keyIterations: number, wrappedKey: string}>} Os campos do registro do PIN.
+ */
+const wrapDataKey = async (pin, dataKey) => {
+  const keySalt = generateSalt();
+  const pinKey = await deriveKey(pin, keySalt, KEY_DERIVATION_ITERATIONS);
+  return { keySalt, keyIterations: KEY_DERIVATION_ITERATIONS, wrappedKey: encryptString(pinKey, bytesToHex(dataKey)) };
+};
+
+/**
+ * Confere o PIN decifrando a chave de dados.
+ * @param {string} pin - O PIN digitado.
+ * @param {PinRecord} record - O registro do PIN.
+ * @returns {Promise<Uint8Array|null>} A chave de dados, ou null se o PIN estiver errado.
+ */
+const unwrapDataKey = async (pin, record) => {
+  const pinKey = await deriveKey(pin, record.keySalt, record.keyIterations);
+  try {
+    return hexToBytes(decryptString(pinKey, record.wrappedKey));
+  } catch (error) {
+    // A etiqueta de autenticação não confere: a chave derivada é de outro PIN
+    return null;
+  }
+};
+
+/**
+ * Libera a chave de dados em memória depois de o PIN ser conferido. Os dados ainda em texto
+ * puro são cifrados.
+ * @param {Uint8Array} dataKey - A chave de dados decifrada.
+ */
+const openDataKey = async (dataKey) => {
+  setDataKey(dataKey);
+  await encryptPlaintextItems();
+};
+
+/**
+ * Indica se o texto é um PIN válido (apenas dígitos, entre o mínimo e o máximo).
+ * @param {string} pin - O texto digitado.
+ * @returns {boolean} true se o PIN é válido.
+ */
+export const isValidPin = (pin) => new RegExp(`^\\d{${PIN_MIN_LENGTH},${PIN_MAX_LENGTH}}$`).test(pin);
+
+/**
+ * @returns {Promise<boolean>} true se o perfil ativo é protegido por PIN.
+ */
+export const hasPin = async () => isPinRecord(await getPinRecord());
+
+/**
+ * Indica como um perfil é desbloqueado.
+ * @param {string} [profileId] - ID do perfil (padrão: o perfil ativo).
+ * @returns {Promise<'pin'|'none'|null>} 'pin' se exige PIN, 'none' se entra sem PIN ou null se
+ *   o perfil ainda não foi configurado (recém-criado ou com o PIN redefinido).
+ */
+export const getLockMode = async (profileId) => {
+  const record = await getPinRecord(profileId);
+  if (!record) return null;
+  return isPinRecord(record) ? 'pin' : 'none';
+};
+
+/**
+ * Configura o perfil ativo para entrar sem PIN. A chave de dados em memória (ou uma nova)
+ * fica no SecureStore sem cifrar e disponível em seguida.
+ */
+export const setupWithoutPin = async () => {
+  const dataKey = getDataKey() || generateKey();
+  await SecureStore.setItemAsync(secureKey(SECURE_STORE_KEYS.APP_LOCK_PIN), JSON.stringify({ dataKey: bytesToHex(dataKey) }));
+  setDataKey(dataKey);
+};
+
+/**
+ * Libera a chave de dados de um perfil sem PIN.
+ * @returns {Promise<boolean>} true se o perfil ativo não tem PIN e foi desbloqueado.
+ */
+export const unlockWithoutPin = async () => {
+  const record = await getPinRecord();
+  if (!record || isPinRecord(record) || !record.dataKey) return false;
+  setDataKey(hexToBytes(record.dataKey));
+  return true;
+};
+
+/**
+ * Define um novo PIN e zera as tentativas erradas. A chave de dados em memória (ou uma nova,
+ * no primeiro acesso) passa a ser liberada pelo novo PIN, e fica disponível em seguida.
+ * @param {string} pin - O novo PIN.
+ * @throws {Error} Se o PIN for inválido.
+ */
+export const setPin = async (pin) => {
+  if (!isValidPin(pin)) {
+    throw new Error(`O PIN deve ter de ${PIN_MIN_LENGTH} a ${PIN_MAX_LENGTH} dígitos.`);
+  }
+  const dataKey = getDataKey() || generateKey();
+  const wrapped = await wrapDataKey(pin, dataKey);
+  await SecureStore.setItemAsync(secureKey(SECURE_STORE_KEYS.APP_LOCK_PIN), JSON.stringify(wrapped));
+  await saveLockState({ failedAttempts: 0, lockedUntil: null });
+  setDataKey(dataKey);
+};
+
+/**
+ * @returns {Promise<number|null>} Timestamp até quando as tentativas estão bloqueadas, ou null.
+ */
+export const getLockedUntil = async () => {
+  const { lockedUntil } = await getLockState();
+  return lockedUntil && lockedUntil > Date.now() ? lockedUntil : null;
+};
+
+/**
+ * Confere um PIN digitado, contando os erros e aplicando o bloqueio temporário.
+ * Se o PIN estiver certo, libera a chave de dados para a leitura dos dados cifrados.
+ * @param {string} pin - O PIN digitado.
+ * @returns {Promise<{success: boolean, remainingAttempts: number, lockedUntil: number|null}>}
+ *   O resultado, as tentativas que restam antes do próximo bloqueio e o fim do bloqueio, se houver.
+ */
+export const verifyPin = async (pin) => {
+  const state = await getLockState();
+  if (state.lockedUntil && state.lockedUntil > Date.now()) {
+    return { success: false, remainingAttempts: 0, lockedUntil: state.lockedUntil };
+  }
+
+  const record = await getPinRecord();
+  if (!isPinRecord(record)) {
+    throw new Error('Nenhum PIN foi definido.');
+  }
+  const dataKey = await unwrapDataKey(pin, record);
+  if (dataKey) {
+    await saveLockState({ failedAttempts: 0, lockedUntil: null });
+    await openDataKey(dataKey);
+    return { success: true, remainingAttempts: MAX_FAILED_ATTEMPTS, lockedUntil: null };
+  }
+
+  const failedAttempts = state.failedAttempts + 1;
+  let lockedUntil = null;
+  if (failedAttempts % MAX_FAILED_ATTEMPTS === 0) {
+    const lockouts = failedAttempts / MAX_FAILED_ATTEMPTS;
+    lockedUntil = Date.now() + Math.min(BASE_LOCKOUT_MS * 2 ** (lockouts - 1), MAX_LOCKOUT_MS);
+  }
+  await saveLockState({ failedAttempts, lockedUntil });
+  return {
+    success: false,
+    remainingAttempts: lockedUntil ? 0 : MAX_FAILED_ATTEMPTS - (failedAttempts % MAX_FAILED_ATTEMPTS),
+    lockedUntil,
+  };
+};
+
+/**
+ * Troca o PIN, exigindo o PIN atual. Os dados não são regravados: só a chave de dados é
+ * cifrada de novo com o novo PIN.
+ * @param {string} currentPin - O PIN atual.
+ * @param {string} newPin - O novo PIN.
+ * @returns {Promise<{success: boolean, remainingAttempts: number, lockedUntil: number|null}>}
+ *   O resultado da conferência do PIN atual (o PIN só é trocado se ela der certo).
+ */
+export const changePin = async (currentPin, newPin) => {
+  if (!isValidPin(newPin)) {
+    throw new Error(`O PIN deve ter de ${PIN_MIN_LENGTH} a ${PIN_MAX_LENGTH} dígitos.`);
+  }
+  const result = await verifyPin(currentPin);
+  if (result.success) {
+    await setPin(newPin);
+  }
+  return result;
+};
+
+/**
+ * Remove o PIN, a chave de dados e as tentativas salvas. Uso interno dos caminhos de redefinição.
+ */
+const resetPin = async () => {
+  await removeProfileLock(requireActiveProfileId());
+  clearDataKey();
+};
+
+/**
+ * Remove o PIN (ou a chave de dados de um perfil sem PIN) e as tentativas salvas de um perfil.
+ * @param {string} profileId - ID do perfil.
+ */
+export const removeProfileLock = async (profileId) => {
+  await SecureStore.deleteItemAsync(secureKey(SECURE_STORE_KEYS.APP_LOCK_PIN, profileId));
+  await SecureStore.deleteItemAsync(secureKey(SECURE_STORE_KEYS.APP_LOCK_STATE, profileId));
+};
+
+/**
+ * @returns {Promise<boolean>} true se há um PIN salvo de antes de existirem perfis.
+ */
+export const hasLegacyLock = async () => Boolean(await SecureStore.getItemAsync(SECURE_STORE_KEYS.APP_LOCK_PIN));
+
+/**
+ * Passa para um perfil o PIN salvo de antes de existirem perfis. Pode ser repetida se o app
+ * fechar no meio: cada valor só é removido da chave antiga depois de copiado.
+ * @param {string} profileId - ID do perfil que recebe o PIN.
+ */
+export const adoptLegacyLock = async (profileId) => {
+  for (const key of Object.values(SECURE_STORE_KEYS)) {
+    const value = await SecureStore.getItemAsync(key);
+    if (value !== null) {
+      await SecureStore.setItemAsync(secureKey(key, profileId), value);
+      await SecureStore.deleteItemAsync(key);
+    }
+  }
+};
+
+/**
+ * Apaga todos os dados e o PIN do perfil ativo, para que um novo PIN seja criado.
+ * Sem o PIN, a chave de dados se perde, então os dados cifrados não teriam mais uso.
+ * @returns {Promise<void>}
+ */
+export const wipeDataAndResetPin = async () => {
+  pendingRestore = null;
+  try {
+    // Sem isso, quem não sabe o PIN poderia baixar os dados da conta conectada
+    await signOutFromCloud();
+  } catch (error) {
+    console.error('appLock: Erro ao sair da conta na nuvem:', error);
+  }
+  await clearAllData();
+  clearUndoHistory();
+  await resetPin();
+};
+
+/**
+ * Apaga todos os dados e o PIN e guarda o backup informado para ser restaurado depois que o
+ * novo PIN for criado (os dados restaurados são cifrados com a nova chave de dados).
+ * @param {import('./backup').Backup} backup - Backup validado.
+ * @returns {Promise<void>}
+ */
+export const restoreBackupAndResetPin = async (backup) => {
+  await wipeDataAndResetPin();
+  pendingRestore = backup;
+};
+
+/**
+ * Restaura o backup guardado por `restoreBackupAndResetPin`, se houver. Chamado depois que o
+ * novo PIN é criado.
+ * @returns {Promise<boolean>} true se um backup foi restaurado.
+ */
+export const restorePendingBackup = async () => {
+  if (!pendingRestore) return false;
+  await restoreBackup(pendingRestore, 'replace');
+  pendingRestore = null;
+  return true;
+};
+
+/**
+ * @returns {Promise<number>} Minutos em segundo plano antes de pedir o PIN de novo (0 = imediatamente).
+ */
+export const getLockTimeoutMinutes = async () => {
+  const { lockTimeoutMinutes } = await getSettings();
+  return lockTimeoutMinutes === undefined ? DEFAULT_LOCK_TIMEOUT_MINUTES : lockTimeoutMinutes;
+};
+
+/**
+ * Altera o tempo em segundo plano antes de pedir o PIN de novo.
+ * @param {number} minutes - Tempo em minutos (0 = imediatamente).
+ */
+export const setLockTimeoutMinutes = async (minutes) => {
+  await updateSettings({ lockTimeoutMinutes: minutes });
+};
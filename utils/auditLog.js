@@ -0,0 +1,208 @@
+// utils/auditLog.js
+
+/**
+ * @file Histórico de alterações de cada registro (receitas, despesas e cartões).
+ * A cada gravação, o `financeRepository` compara a coleção antes e depois e acrescenta aqui
+ * uma entrada por registro criado, editado, excluído, restaurado, removido ou com o status
+ * de pagamento alterado, com os valores anteriores e novos de cada campo alterado e quem fez a
+ * alteração (`actor`): o perfil, nas alterações feitas neste aparelho, ou o aparelho e a conta
+ * que enviaram a alteração, nas recebidas da nuvem (ver `syncedBy` em utils/cloudSync.js).
+ *
+ * As entradas nunca são editadas; só as mais antigas são descartadas quando o histórico
+ * passa de `MAX_AUDIT_ENTRIES` ou de `MAX_AUDIT_LOG_LENGTH` caracteres. O histórico inteiro é
+ * um único item do AsyncStorage, e o Android recusa itens com mais de ~2 MB.
+ */
+
+import * as storage from './encryptedStorage';
+import { ASYNC_STORAGE_KEYS } from './constants';
+
+// Quantidade máxima de entradas guardadas
+const MAX_AUDIT_ENTRIES = 5000;
+// Tamanho máximo do histórico em JSON; cifrado (base64), ele cresce cerca de um terço
+const MAX_AUDIT_LOG_LENGTH = 1000000;
+
+// Campos que mudam a cada gravação e não interessam no histórico
+const IGNORED_FIELDS = ['id', 'modifiedAt', 'syncedBy'];
+
+// Campos que, sozinhos, representam uma mudança de status de pagamento
+const STATUS_FIELDS = ['status', 'paidAt', 'monthlyStatus'];
+
+/** Origens possíveis de uma alteração. */
+export const AUDIT_SOURCES = {
+  USER: 'usuário',
+  IMPORT: 'importação',
+  BACKUP: 'backup',
+  MIGRATION: 'migração',
+  TRASH: 'lixeira',
+  UNDO: 'desfazer',
+  SYNC: 'sincronização',
+};
+
+/**
+ * @typedef {Object} AuditActor
+ * @property {string|null} [profileId] - Perfil que fez a alteração neste aparelho.
+ * @property {string|null} [deviceId] - Aparelho que enviou a alteração à nuvem (alterações recebidas).
+ * @property {string|null} [userEmail] - Conta que enviou a alteração à nuvem (alterações recebidas).
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} id - Identificador da entrada.
+ * @property {string} collection - Coleção do registro (valor de `ASYNC_STORAGE_KEYS`).
+ * @property {string} recordId - ID do registro alterado.
+ * @property {string|null} groupId - ID que agrupa registros relacionados (`originalExpenseId` das parcelas).
+ * @property {'create'|'update'|'status'|'delete'|'restore'|'purge'} action - Tipo da alteração.
+ * @property {string} source - Origem da alteração (um dos valores de `AUDIT_SOURCES`).
+ * @property {AuditActor} [actor] - Quem fez a alteração (ausente nas entradas antigas).
+ * @property {string} at - Data ISO da alteração.
+ * @property {Array<{field: string, before: any, after: any}>} changes - Campos alterados.
+ */
+
+/**
+ * Indica se um registro está excluído (exclusão suave).
+ * @param {object} record - O registro.
+ * @returns {boolean} true se o registro está na lixeira.
+ */
+const isDeleted = (record) => record.status === 'inactive' || Boolean(record.deletedAt);
+
+/**
+ * Autor de uma alteração: o perfil ativo ou, nas alterações recebidas da nuvem, o aparelho e a
+ * conta gravados no registro por quem o enviou.
+ * @param {object|null} record - O registro recebido (null quando não há, como nas remoções).
+ * @param {string} source - Origem da alteração.
+ * @returns {AuditActor} O autor.
+ */
+const getActor = (record, source) => {
+  if (source !== AUDIT_SOURCES.SYNC) {
+    return { profileId: storage.getActiveProfileId() };
+  }
+  const syncedBy = (record && record.syncedBy) || {};
+  return { deviceId: syncedBy.deviceId || null, userEmail: syncedBy.userEmail || null };
+};
+
+/**
+ * Lista os campos que diferem entre duas versões de um registro.
+ * @param {object|null} before - Versão anterior (null na criação).
+ * @param {object} after - Nova versão.
+ * @returns {Array<{field: string, before: any, after: any}>} Os campos alterados.
+ */
+const diffFields = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after)]);
+  const changes = [];
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    // Na criação, só os campos preenchidos
+    if (!before && (after[field] === null || after[field] === undefined)) return;
+    const previous = before ? before[field] : undefined;
+    if (JSON.stringify(previous) !== JSON.stringify(after[field])) {
+      changes.push({ field, before: previous ?? null, after: after[field] ?? null });
+    }
+  });
+  return changes;
+};
+
+/**
+ * Classifica a alteração de um registro que existia antes e depois da gravação.
+ * @param {object} before - Versão anterior.
+ * @param {object} after - Nova versão.
+ * @param {Array<{field: string}>} changes - Campos alterados.
+ * @returns {AuditEntry['action']} O tipo da alteração.
+ */
+const classifyUpdate = (before, after, changes) => {
+  if (!isDeleted(before) && isDeleted(after)) return 'delete';
+  if (isDeleted(before) && !isDeleted(after)) return 'restore';
+  if (changes.every(change => STATUS_FIELDS.includes(change.field))) return 'status';
+  return 'update';
+};
+
+/**
+ * Monta as entradas de histórico de uma gravação, comparando a coleção antes e depois.
+ * O repositório nunca muta os registros, então registros inalterados são os mesmos objetos.
+ * @param {string} collection - Chave da coleção.
+ * @param {Array<object>} beforeList - Lista antes da gravação.
+ * @param {Array<object>} afterList - Lista depois da gravação.
+ * @param {string} source - Origem da alteração.
+ * @returns {AuditEntry[]} As entradas (vazia se nada mudou).
+ */
+export const buildAuditEntries = (collection, beforeList, afterList, source) => {
+  const at = new Date().toISOString();
+  const beforeById = new Map(beforeList.map(record => [record.id, record]));
+  const afterIds = new Set();
+  const entries = [];
+
+  const pushEntry = (record, action, changes) => {
+    entries.push({
+      id: `${Date.now()}-${collection}-${record.id}`,
+      collection,
+      recordId: record.id,
+      groupId: record.originalExpenseId || null,
+      action,
+      source,
+      // Na remoção, o registro é a versão local, e não a enviada por quem o removeu
+      actor: getActor(action === 'purge' ? null : record, source),
+      at,
+      changes,
+    });
+  };
+
+  afterList.forEach(after => {
+    afterIds.add(after.id);
+    const before = beforeById.get(after.id);
+    if (before === after) return;
+    const changes = diffFields(before || null, after);
+    if (!before) {
+      pushEntry(after, 'create', changes);
+    } else if (changes.length > 0) {
+      pushEntry(after, classifyUpdate(before, after, changes), changes);
+    }
+  });
+  beforeList.forEach(before => {
+    if (!afterIds.has(before.id)) {
+      pushEntry(before, 'purge', []);
+    }
+  });
+  return entries;
+};
+
+/**
+ * Lê o histórico completo, da entrada mais antiga para a mais recente.
+ * @returns {Promise<AuditEntry[]>} As entradas.
+ */
+export const getAuditLog = async () => {
+  const json = await storage.getItem(ASYNC_STORAGE_KEYS.AUDIT_LOG);
+  return json ? JSON.parse(json) : [];
+};
+
+/**
+ * Acrescenta entradas ao histórico. Chamado pelo repositório dentro da sua fila de gravações,
+ * então não há gravações concorrentes do histórico.
+ * @param {AuditEntry[]} entries - As novas entradas.
+ */
+export const appendAuditEntries = async (entries) => {
+  if (entries.length === 0) return;
+  const log = [...(await getAuditLog()), ...entries].slice(-MAX_AUDIT_ENTRIES);
+  // Mantém as entradas mais recentes que cabem no limite de tamanho
+  const kept = [];
+  let length = 2; // Os colchetes da lista
+  for (let index = log.length - 1; index >= 0; index--) {
+    const json = JSON.stringify(log[index]);
+    length += json.length + 1;
+    if (length > MAX_AUDIT_LOG_LENGTH) break;
+    kept.push(json);
+  }
+  await storage.setItem(ASYNC_STORAGE_KEYS.AUDIT_LOG, `[${kept.reverse().join(',')}]`);
+};
+
+/**
+ * Lê o histórico de um registro (ou de um grupo de parcelas), da alteração mais recente para a mais antiga.
+ * @param {string} collection - Chave da coleção.
+ * @param {{recordId?: string, groupId?: string}} target - O registro ou o grupo de parcelas.
+ * @returns {Promise<AuditEntry[]>} As entradas do registro.
+ */
+export const getRecordHistory = async (collection, { recordId, groupId }) => {
+  const log = await getAuditLog();
+  return log
+    .filter(entry => entry.collection === collection &&
+      ((recordId && entry.recordId === recordId) || (groupId && entry.groupId === groupId)))
+    .reverse();
+};
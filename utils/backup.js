@@ -0,0 +1,171 @@
+// utils/backup.js
+
+/**
+ * @file Backup completo dos dados em um arquivo JSON versionado.
+ * - Exportação: grava receitas, despesas, cartões, categorias, orçamentos e preferências em um arquivo e
+ *   abre a folha de compartilhamento do sistema (salvar em arquivos, e-mail, nuvem...).
+ * - Importação: lê um arquivo escolhido pelo usuário, valida o conteúdo, traz os dados
+ *   para o formato atual (migrações) e substitui ou mescla com os dados existentes.
+ */
+
+import {
+  getIncomes, getExpenses, getCards, getCategories, getBudgets,
+  updateIncomes, updateExpenses, updateCards, updateCategories, updateBudgets,
+} from './financeRepository';
+import { getSettings, saveSettings } from './settings';
+import { CURRENT_SCHEMA_VERSION, migrateCollections } from './migrations';
+import { shareTextFile, pickFile, readTextFile } from './fileSharing';
+import { clearUndoHistory } from './undoHistory';
+import { AUDIT_SOURCES } from './auditLog';
+
+// Identifica os arquivos de backup deste aplicativo
+const BACKUP_FORMAT = 'app-financas-simples-backup';
+// Versão do envelope do arquivo (independente da versão do esquema dos registros)
+const BACKUP_VERSION = 1;
+
+/**
+ * @typedef {Object} Backup
+ * @property {string} format - Sempre `BACKUP_FORMAT`.
+ * @property {number} backupVersion - Versão do formato do arquivo.
+ * @property {number} schemaVersion - Versão do esquema dos registros (ver utils/migrations.js).
+ * @property {string} exportedAt - Data ISO da exportação.
+ * @property {{incomes: Array<object>, expenses: Array<object>, cards: Array<object>, categories: Array<object>, budgets: Array<object>}} data - As coleções.
+ *   `categories` e `budgets` não existem nos backups anteriores às categorias e aos orçamentos.
+ * @property {object} settings - Preferências do aplicativo.
+ */
+
+/**
+ * Monta o objeto de backup com todos os dados atuais.
+ * @returns {Promise<Backup>} O backup.
+ */
+export const createBackup = async () => ({
+  format: BACKUP_FORMAT,
+  backupVersion: BACKUP_VERSION,
+  schemaVersion: CURRENT_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: {
+    incomes: await getIncomes(),
+    expenses: await getExpenses(),
+    cards: await getCards(),
+    categories: await getCategories(),
+    budgets: await getBudgets(),
+  },
+  settings: await getSettings(),
+});
+
+/**
+ * Gera o arquivo de backup e abre a folha de compartilhamento do sistema.
+ * @returns {Promise<string>} Caminho do arquivo gerado.
+ */
+export const exportBackup = async () => {
+  const backup = await createBackup();
+  const fileName = `backup-financas-${backup.exportedAt.substring(0, 10)}.json`;
+  return shareTextFile(fileName, JSON.stringify(backup, null, 2), {
+    mimeType: 'application/json',
+    dialogTitle: 'Salvar backup',
+    UTI: 'public.json',
+  });
+};
+
+/**
+ * Valida o conteúdo de um arquivo de backup e o converte para o formato atual.
+ * @param {string} json - Conteúdo do arquivo.
+ * @returns {Backup} O backup validado, com os registros já migrados.
+ * @throws {Error} Com uma mensagem amigável quando o arquivo é inválido.
+ */
+export const parseBackup = (json) => {
+  let backup;
+  try {
+    backup = JSON.parse(json);
+  } catch (error) {
+    throw new Error('O arquivo não é um JSON válido.');
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('O arquivo não é um backup deste aplicativo.');
+  }
+  if (backup.backupVersion > BACKUP_VERSION || backup.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error('O backup foi criado por uma versão mais nova do aplicativo. Atualize o app para restaurá-lo.');
+  }
+
+  // Backups anteriores às categorias e aos orçamentos não têm as listas; a migração 3 cria as categorias padrão
+  const data = backup.data && { categories: [], budgets: [], ...backup.data };
+  ['incomes', 'expenses', 'cards', 'categories', 'budgets'].forEach(collection => {
+    const records = data?.[collection];
+    if (!Array.isArray(records) || records.some(record => !record || typeof record.id !== 'string')) {
+      throw new Error(`A lista "${collection}" do backup está ausente ou corrompida.`);
+    }
+  });
+
+  return {
+    ...backup,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    data: migrateCollections(data, backup.schemaVersion || 0),
+    settings: backup.settings && typeof backup.settings === 'object' ? backup.settings : {},
+  };
+};
+
+/**
+ * Abre o seletor de arquivos do sistema e lê o backup escolhido.
+ * @returns {Promise<Backup|null>} O backup validado, ou null se o usuário cancelar.
+ */
+export const pickBackupFile = async () => {
+  const file = await pickFile(['application/json', 'text/plain', '*/*']);
+  if (!file) {
+    return null;
+  }
+  return parseBackup(await readTextFile(file.uri));
+};
+
+/**
+ * Data de referência de um registro para decidir qual versão é mais recente na mesclagem.
+ * @param {object} record - O registro.
+ * @returns {number} Timestamp da última alteração conhecida.
+ */
+const lastChangeOf = (record) =>
+  new Date(record.modifiedAt || record.deletedAt || record.createdAt || 0).getTime();
+
+/**
+ * Mescla duas listas pelo `id`. Registros só existentes em uma das listas são mantidos;
+ * quando o mesmo `id` existe nas duas, fica a versão alterada mais recentemente.
+ * @param {Array<object>} current - Registros do dispositivo.
+ * @param {Array<object>} incoming - Registros do backup.
+ * @returns {Array<object>} Lista mesclada.
+ */
+const mergeById = (current, incoming) => {
+  const merged = new Map(current.map(record => [record.id, record]));
+  incoming.forEach(record => {
+    const existing = merged.get(record.id);
+    if (!existing || lastChangeOf(record) > lastChangeOf(existing)) {
+      merged.set(record.id, record);
+    }
+  });
+  return Array.from(merged.values());
+};
+
+/**
+ * Restaura um backup validado por `parseBackup`.
+ * @param {Backup} backup - O backup a restaurar.
+ * @param {'replace'|'merge'} mode - 'replace' apaga os dados atuais; 'merge' mantém ambos.
+ */
+export const restoreBackup = async (backup, mode) => {
+  const { incomes, expenses, cards, categories, budgets } = backup.data;
+  const options = { source: AUDIT_SOURCES.BACKUP };
+  if (mode === 'replace') {
+    await updateIncomes(() => incomes, options);
+    await updateExpenses(() => expenses, options);
+    await updateCards(() => cards, options);
+    await updateCategories(() => categories, options);
+    await updateBudgets(() => budgets, options);
+    await saveSettings(backup.settings);
+  } else {
+    await updateIncomes(current => mergeById(current, incomes), options);
+    await updateExpenses(current => mergeById(current, expenses), options);
+    await updateCards(current => mergeById(current, cards), options);
+    await updateCategories(current => mergeById(current, categories), options);
+    await updateBudgets(current => mergeById(current, budgets), options);
+    await saveSettings({ ...backup.settings, ...(await getSettings()) });
+  }
+  // As versões guardadas para desfazer ações anteriores não valem mais para os dados restaurados
+  clearUndoHistory();
+};
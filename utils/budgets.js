@@ -0,0 +1,315 @@
+// utils/budgets.js
+
+/**
+ * @file Orçamentos mensais de gastos: um limite geral e limites com nome para parte das despesas
+ * (um método de pagamento, um cartão ou despesas cuja descrição contém certas palavras).
+ * Os orçamentos ficam na coleção `ASYNC_STORAGE_KEYS.BUDGETS` do repositório.
+ *
+ * O gasto do mês é a soma das despesas ativas do mês (pagas ou não), obtidas por
+ * `getExpensesForMonth`: parcelas de crédito contam no mês do vencimento e despesas fixas
+ * em todos os meses. Cada orçamento tem um limite padrão, que pode ser trocado em meses
+ * específicos, e pode acumular a sobra (o que não foi gasto) de um mês para o seguinte.
+ */
+
+import { updateBudgets } from './financeRepository';
+import { getExpensesForMonth } from './monthlyEntries';
+import { sumCents } from './money';
+import { PAYMENT_METHOD_LIST } from './paymentMethods';
+
+/** Despesas que contam em cada tipo de orçamento. */
+export const BUDGET_SCOPES = {
+  ALL: 'all', // Todas as despesas (orçamento geral)
+  PAYMENT_METHOD: 'paymentMethod', // Despesas de um método de pagamento
+  CARD: 'card', // Despesas de um cartão de crédito
+  KEYWORDS: 'keywords', // Despesas cuja descrição contém alguma das palavras
+};
+
+/** Métodos de pagamento que podem ter orçamento próprio (todos; ver utils/paymentMethods.js). */
+export const BUDGET_PAYMENT_METHODS = PAYMENT_METHOD_LIST;
+
+/** Fração do limite a partir da qual o orçamento aparece como "perto do limite". */
+export const BUDGET_WARNING_RATIO = 0.8;
+
+/** Tamanho máximo do nome de um orçamento. */
+export const BUDGET_NAME_MAX_LENGTH = 30;
+
+/**
+ * @typedef {import('./financeRepository').Budget} Budget
+ */
+
+/**
+ * @typedef {Object} BudgetProgress
+ * @property {number} limit - Limite do mês, em centavos.
+ * @property {number} carried - Sobra trazida do mês anterior, em centavos (0 sem acúmulo).
+ * @property {number} available - Total disponível no mês (limite + sobra), em centavos.
+ * @property {number} spent - Total gasto no mês, em centavos.
+ * @property {number} remaining - Quanto ainda pode ser gasto (negativo se o limite foi ultrapassado).
+ * @property {number} ratio - Fração do disponível já gasta.
+ * @property {'ok'|'warning'|'exceeded'} level - Situação do orçamento no mês.
+ */
+
+/**
+ * Chave de um mês nos limites específicos (`monthlyAmounts`), no formato "AAAA-M" (mês 0-11),
+ * o mesmo de `monthlyStatus` das despesas fixas.
+ * @param {Date} monthDate - Uma data do mês.
+ * @returns {string} A chave do mês.
+ */
+export const getBudgetMonthKey = (monthDate) => `${monthDate.getFullYear()}-${monthDate.getMonth()}`;
+
+/**
+ * Normaliza um texto para comparação: minúsculas, sem acentos e sem espaços nas pontas.
+ * @param {string} text - O texto.
+ * @returns {string} O texto normalizado.
+ */
+const normalizeText = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+/**
+ * Separa as palavras-chave digitadas (separadas por vírgula), sem repetições.
+ * @param {string} text - As palavras digitadas.
+ * @returns {string[]} As palavras-chave.
+ */
+export const parseBudgetKeywords = (text) =>
+  [...new Set(String(text || '').split(',').map(keyword => keyword.trim()).filter(Boolean))];
+
+/**
+ * Verifica se uma despesa conta em um orçamento.
+ * @param {object} expense - A despesa (como devolvida por `getExpensesForMonth`).
+ * @param {Budget} budget - O orçamento.
+ * @returns {boolean} true se a despesa entra no gasto do orçamento.
+ */
+export const expenseMatchesBudget = (expense, budget) => {
+  switch (budget.scope) {
+    case BUDGET_SCOPES.PAYMENT_METHOD:
+      return expense.paymentMethod === budget.paymentMethod;
+    case BUDGET_SCOPES.CARD:
+      return expense.paymentMethod === 'Crédito' && expense.cardId === budget.cardId;
+    case BUDGET_SCOPES.KEYWORDS: {
+      const description = normalizeText(expense.description);
+      return budget.keywords.some(keyword => description.includes(normalizeText(keyword)));
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Descreve quais despesas contam em um orçamento (ex: "Cartão Nubank", "Contém: uber, 99").
+ * @param {Budget} budget - O orçamento.
+ * @param {Object<string, object>} cardsById - Os cartões, por ID.
+ * @returns {string} A descrição.
+ */
+export const describeBudgetScope = (budget, cardsById) => {
+  switch (budget.scope) {
+    case BUDGET_SCOPES.PAYMENT_METHOD:
+      return `Pagamentos em ${budget.paymentMethod}`;
+    case BUDGET_SCOPES.CARD:
+      return `Cartão ${cardsById[budget.cardId]?.alias || 'removido'}`;
+    case BUDGET_SCOPES.KEYWORDS:
+      return `Contém: ${budget.keywords.join(', ')}`;
+    default:
+      return 'Todas as despesas';
+  }
+};
+
+/**
+ * Verifica se o orçamento já vale no mês informado.
+ * @param {Budget} budget - O orçamento.
+ * @param {Date} monthDate - Uma data do mês.
+ * @returns {boolean} true se o mês é o inicial do orçamento ou posterior.
+ */
+export const isBudgetActiveInMonth = (budget, monthDate) =>
+  new Date(monthDate.getFullYear(), monthDate.getMonth(), 1).getTime() >=
+  new Date(budget.startYear, budget.startMonth, 1).getTime();
+
+/**
+ * Limite de um orçamento em um mês: o específico do mês, se houver, ou o padrão.
+ * @param {Budget} budget - O orçamento.
+ * @param {Date} monthDate - Uma data do mês.
+ * @returns {number} O limite, em centavos.
+ */
+export const getBudgetLimit = (budget, monthDate) =>
+  budget.monthlyAmounts[getBudgetMonthKey(monthDate)] ?? budget.amount;
+
+/**
+ * Total gasto em um orçamento em um mês.
+ * @param {Budget} budget - O orçamento.
+ * @param {Date} monthDate - Uma data do mês.
+ * @param {Array<object>} expenses - Todas as despesas armazenadas.
+ * @returns {number} O total, em centavos.
+ */
+export const getBudgetSpent = (budget, monthDate, expenses) =>
+  sumCents(getExpensesForMonth(monthDate, expenses, true).filter(expense => expenseMatchesBudget(expense, budget)));
+
+/**
+ * Calcula a situação de um orçamento em um mês. Com acúmulo, a sobra de cada mês desde o
+ * inicial passa para o seguinte; gastos acima do limite não diminuem o mês seguinte.
+ * @param {Budget} budget - O orçamento.
+ * @param {Date} monthDate - Uma data do mês.
+ * @param {Array<object>} expenses - Todas as despesas armazenadas.
+ * @returns {BudgetProgress|null} A situação, ou null se o orçamento ainda não vale no mês.
+ */
+export const getBudgetProgress = (budget, monthDate, expenses) => {
+  if (!isBudgetActiveInMonth(budget, monthDate)) {
+    return null;
+  }
+
+  let carried = 0;
+  if (budget.rollover) {
+    const target = new Date(monthDate.getFullYear(), monthDate.getMonth(), 1);
+    for (let month = new Date(budget.startYear, budget.startMonth, 1); month < target; month.setMonth(month.getMonth() + 1)) {
+      const leftover = getBudgetLimit(budget, month) + carried - getBudgetSpent(budget, month, expenses);
+      carried = Math.max(0, leftover);
+    }
+  }
+
+  const limit = getBudgetLimit(budget, monthDate);
+  const available = limit + carried;
+  const spent = getBudgetSpent(budget, monthDate, expenses);
+  const ratio = available > 0 ? spent / available : (spent > 0 ? Infinity : 0);
+  let level = 'ok';
+  if (spent > available) {
+    level = 'exceeded';
+  } else if (ratio >= BUDGET_WARNING_RATIO) {
+    level = 'warning';
+  }
+  return { limit, carried, available, spent, remaining: available - spent, ratio, level };
+};
+
+/**
+ * Ordena os orçamentos para exibição: o geral primeiro, depois os demais pelo nome.
+ * @param {Budget[]} budgets - Os orçamentos.
+ * @returns {Budget[]} Uma nova lista ordenada.
+ */
+export const sortBudgets = (budgets) => [...budgets].sort((a, b) =>
+  (a.scope === BUDGET_SCOPES.ALL ? 0 : 1) - (b.scope === BUDGET_SCOPES.ALL ? 0 : 1) ||
+  a.name.localeCompare(b.name, 'pt-BR'));
+
+/**
+ * Valida e normaliza os campos de um orçamento.
+ * @param {{name: string, scope: string, paymentMethod?: string, cardId?: string, keywords?: string[], amount: number, rollover: boolean}} fields - Os campos informados.
+ * @param {Budget[]} budgets - Os orçamentos existentes.
+ * @param {string} [ignoreId] - Orçamento ignorado nas verificações (o próprio, ao editar).
+ * @returns {object} Os campos normalizados.
+ * @throws {Error} Se algum campo for inválido.
+ */
+const validateBudgetFields = ({ name, scope, paymentMethod, cardId, keywords, amount, rollover }, budgets, ignoreId) => {
+  const trimmedName = (name || '').trim().slice(0, BUDGET_NAME_MAX_LENGTH);
+  if (!trimmedName) {
+    throw new Error('Informe o nome do orçamento.');
+  }
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error('Informe um limite maior que zero.');
+  }
+  if (!Object.values(BUDGET_SCOPES).includes(scope)) {
+    throw new Error('Escolha quais despesas contam no orçamento.');
+  }
+  if (scope === BUDGET_SCOPES.ALL && budgets.some(budget => budget.id !== ignoreId && budget.scope === BUDGET_SCOPES.ALL)) {
+    throw new Error('Já existe um orçamento geral. Edite o existente para mudar o limite.');
+  }
+  if (scope === BUDGET_SCOPES.PAYMENT_METHOD && !BUDGET_PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new Error('Escolha o método de pagamento.');
+  }
+  if (scope === BUDGET_SCOPES.CARD && !cardId) {
+    throw new Error('Escolha o cartão.');
+  }
+  const normalizedKeywords = scope === BUDGET_SCOPES.KEYWORDS ? (keywords || []).filter(Boolean) : [];
+  if (scope === BUDGET_SCOPES.KEYWORDS && normalizedKeywords.length === 0) {
+    throw new Error('Informe ao menos uma palavra da descrição.');
+  }
+  const nameInUse = budgets.some(budget =>
+    budget.id !== ignoreId && budget.name.toLowerCase() === trimmedName.toLowerCase());
+  if (nameInUse) {
+    throw new Error('Já existe um orçamento com este nome.');
+  }
+  return {
+    name: trimmedName,
+    scope,
+    paymentMethod: scope === BUDGET_SCOPES.PAYMENT_METHOD ? paymentMethod : null,
+    cardId: scope === BUDGET_SCOPES.CARD ? cardId : null,
+    keywords: normalizedKeywords,
+    amount,
+    rollover: Boolean(rollover),
+  };
+};
+
+/**
+ * Cria um orçamento, válido a partir do mês informado.
+ * @param {object} fields - Os campos (ver `validateBudgetFields`).
+ * @param {Date} startDate - Uma data do primeiro mês do orçamento.
+ * @returns {Promise<Budget>} O orçamento criado.
+ * @throws {Error} Se os campos forem inválidos.
+ */
+export const createBudget = async (fields, startDate) => {
+  let created = null;
+  await updateBudgets(budgets => {
+    created = {
+      id: Date.now().toString(),
+      ...validateBudgetFields(fields, budgets),
+      monthlyAmounts: {},
+      startMonth: startDate.getMonth(),
+      startYear: startDate.getFullYear(),
+      createdAt: new Date().toISOString(),
+    };
+    return [...budgets, created];
+  });
+  return created;
+};
+
+/**
+ * Altera um orçamento. O limite informado pode valer apenas para um mês (sem mudar o padrão)
+ * ou passar a ser o padrão de todos os meses sem limite específico.
+ * @param {string} budgetId - ID do orçamento.
+ * @param {object} fields - Os campos (ver `validateBudgetFields`).
+ * @param {Date|null} [onlyMonth] - Mês que recebe o limite; sem ele, o limite vira o padrão.
+ * @returns {Promise<Budget>} O orçamento atualizado.
+ * @throws {Error} Se o orçamento não existir ou os campos forem inválidos.
+ */
+export const updateBudget = async (budgetId, fields, onlyMonth = null) => {
+  let updated = null;
+  await updateBudgets(budgets => {
+    const existing = budgets.find(budget => budget.id === budgetId);
+    if (!existing) {
+      throw new Error('Orçamento não encontrado.');
+    }
+    const normalized = validateBudgetFields(fields, budgets, budgetId);
+    updated = onlyMonth
+      ? {
+        ...existing,
+        ...normalized,
+        amount: existing.amount,
+        monthlyAmounts: { ...existing.monthlyAmounts, [getBudgetMonthKey(onlyMonth)]: normalized.amount },
+      }
+      : { ...existing, ...normalized };
+    return budgets.map(budget => (budget.id === budgetId ? updated : budget));
+  });
+  return updated;
+};
+
+/**
+ * Remove o limite específico de um mês: o mês volta a usar o limite padrão.
+ * @param {string} budgetId - ID do orçamento.
+ * @param {Date} monthDate - Uma data do mês.
+ * @returns {Promise<void>}
+ */
+export const clearBudgetMonthAmount = async (budgetId, monthDate) => {
+  const key = getBudgetMonthKey(monthDate);
+  await updateBudgets(budgets => budgets.map(budget => {
+    if (budget.id !== budgetId || !(key in budget.monthlyAmounts)) return budget;
+    const { [key]: removed, ...monthlyAmounts } = budget.monthlyAmounts;
+    return { ...budget, monthlyAmounts };
+  }));
+};
+
+/**
+ * Exclui um orçamento. As despesas não são alteradas.
+ * @param {string} budgetId - ID do orçamento.
+ * @returns {Promise<void>}
+ */
+export const deleteBudget = async (budgetId) => {
+  await updateBudgets(budgets => {
+    if (!budgets.some(budget => budget.id === budgetId)) {
+      throw new Error('Orçamento não encontrado.');
+    }
+    return budgets.filter(budget => budget.id !== budgetId);
+  });
+};
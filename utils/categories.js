@@ -0,0 +1,262 @@
+// utils/categories.js
+
+/**
+ * @file Categorias das despesas: criação, edição, mescla e arquivamento.
+ * As categorias ficam na coleção `ASYNC_STORAGE_KEYS.CATEGORIES` do repositório e cada despesa
+ * guarda o ID da sua em `categoryId`. Há apenas um nível de subcategorias: uma categoria
+ * principal pode ter subcategorias, mas uma subcategoria não tem filhas.
+ *
+ * Categorias não são apagadas uma a uma: arquivadas, somem do seletor mas continuam
+ * identificando as despesas antigas; mescladas, as despesas passam para a outra categoria.
+ */
+
+import { getCategories, updateCategories, updateExpenses } from './financeRepository';
+
+/** Ícones (Ionicons) disponíveis para as categorias. */
+export const CATEGORY_ICONS = [
+  'home-outline', 'key-outline', 'business-outline', 'flash-outline', 'water-outline',
+  'restaurant-outline', 'cart-outline', 'cafe-outline', 'fast-food-outline', 'beer-outline',
+  'car-outline', 'speedometer-outline', 'bus-outline', 'airplane-outline', 'phone-portrait-outline',
+  'medkit-outline', 'bandage-outline', 'heart-outline', 'medical-outline', 'fitness-outline',
+  'school-outline', 'book-outline', 'game-controller-outline', 'film-outline', 'musical-notes-outline',
+  'bag-handle-outline', 'shirt-outline', 'gift-outline', 'wifi-outline', 'call-outline',
+  'tv-outline', 'receipt-outline', 'cash-outline', 'paw-outline', 'construct-outline',
+  'people-outline', 'happy-outline', 'pricetag-outline', 'ellipsis-horizontal-circle-outline',
+];
+
+/** Cores disponíveis para as categorias. */
+export const CATEGORY_COLORS = [
+  '#6f42c1', '#fd7e14', '#007bff', '#dc3545', '#20c997', '#e83e8c',
+  '#ffc107', '#17a2b8', '#6c757d', '#8d6e63', '#28a745', '#adb5bd',
+];
+
+/** Tamanho máximo do nome de uma categoria. */
+export const CATEGORY_NAME_MAX_LENGTH = 30;
+
+/**
+ * @typedef {import('./financeRepository').Category} Category
+ */
+
+/**
+ * @param {Category} category - A categoria.
+ * @returns {boolean} true se a categoria não está arquivada.
+ */
+export const isCategoryActive = (category) => !category.archivedAt;
+
+/**
+ * @param {Category} a
+ * @param {Category} b
+ * @returns {number} Ordem alfabética pelo nome.
+ */
+const compareByName = (a, b) => a.name.localeCompare(b.name, 'pt-BR');
+
+/**
+ * Organiza as categorias em árvore: as principais em ordem alfabética, cada uma com as suas
+ * subcategorias também em ordem alfabética. Subcategorias cuja principal não está na lista
+ * aparecem como principais.
+ * @param {Category[]} categories - As categorias (já filtradas, se for o caso).
+ * @returns {Array<Category & {children: Category[]}>} As categorias principais com as filhas.
+ */
+export const buildCategoryTree = (categories) => {
+  const ids = new Set(categories.map(category => category.id));
+  const isRoot = category => !category.parentId || !ids.has(category.parentId);
+  return categories
+    .filter(isRoot)
+    .sort(compareByName)
+    .map(root => ({
+      ...root,
+      children: categories.filter(category => !isRoot(category) && category.parentId === root.id).sort(compareByName),
+    }));
+};
+
+/**
+ * Indexa as categorias pelo ID.
+ * @param {Category[]} categories - As categorias.
+ * @returns {Object<string, Category>} As categorias por ID.
+ */
+export const indexCategories = (categories) =>
+  Object.fromEntries(categories.map(category => [category.id, category]));
+
+/**
+ * Nome completo de uma categoria, com a principal à frente nas subcategorias ("Alimentação › Delivery").
+ * @param {Category|undefined} category - A categoria.
+ * @param {Object<string, Category>} categoriesById - Todas as categorias, por ID.
+ * @returns {string} O nome para exibição ("Sem categoria" se não houver).
+ */
+export const getCategoryLabel = (category, categoriesById) => {
+  if (!category) return 'Sem categoria';
+  const parent = category.parentId && categoriesById[category.parentId];
+  return parent ? `${parent.name} › ${category.name}` : category.name;
+};
+
+/**
+ * Valida e normaliza os campos de uma categoria.
+ * @param {{name: string, icon: string, color: string, parentId: string|null}} fields - Os campos informados.
+ * @param {Category[]} categories - As categorias existentes.
+ * @param {string} [ignoreId] - Categoria ignorada nas verificações (a própria, ao editar).
+ * @returns {{name: string, icon: string, color: string, parentId: string|null}} Os campos normalizados.
+ * @throws {Error} Se o nome estiver vazio ou repetido, ou a categoria principal for inválida.
+ */
+const validateCategoryFields = ({ name, icon, color, parentId }, categories, ignoreId) => {
+  const trimmedName = (name || '').trim().slice(0, CATEGORY_NAME_MAX_LENGTH);
+  if (!trimmedName) {
+    throw new Error('Informe o nome da categoria.');
+  }
+  const normalizedParentId = parentId || null;
+  if (normalizedParentId) {
+    const parent = categories.find(category => category.id === normalizedParentId);
+    if (!parent || parent.id === ignoreId || parent.parentId || !isCategoryActive(parent)) {
+      throw new Error('Escolha uma categoria principal ativa.');
+    }
+    if (ignoreId && categories.some(category => category.parentId === ignoreId && isCategoryActive(category))) {
+      throw new Error('Uma categoria com subcategorias não pode virar subcategoria.');
+    }
+  }
+  const nameInUse = categories.some(category =>
+    category.id !== ignoreId &&
+    isCategoryActive(category) &&
+    (category.parentId || null) === normalizedParentId &&
+    category.name.toLowerCase() === trimmedName.toLowerCase());
+  if (nameInUse) {
+    throw new Error('Já existe uma categoria com este nome.');
+  }
+  return {
+    name: trimmedName,
+    icon: CATEGORY_ICONS.includes(icon) ? icon : CATEGORY_ICONS[CATEGORY_ICONS.length - 1],
+    color: CATEGORY_COLORS.includes(color) ? color : CATEGORY_COLORS[CATEGORY_COLORS.length - 1],
+    parentId: normalizedParentId,
+  };
+};
+
+/**
+ * Cria uma categoria.
+ * @param {{name: string, icon: string, color: string, parentId: string|null}} fields - Os campos.
+ * @returns {Promise<Category>} A categoria criada.
+ * @throws {Error} Se os campos forem inválidos.
+ */
+export const createCategory = async (fields) => {
+  let created = null;
+  await updateCategories(categories => {
+    created = {
+      id: Date.now().toString(),
+      ...validateCategoryFields(fields, categories),
+      archivedAt: null,
+      createdAt: new Date().toISOString(),
+    };
+    return [...categories, created];
+  });
+  return created;
+};
+
+/**
+ * Altera o nome, o ícone, a cor e a categoria principal de uma categoria.
+ * @param {string} categoryId - ID da categoria.
+ * @param {{name: string, icon: string, color: string, parentId: string|null}} fields - Os campos.
+ * @returns {Promise<Category>} A categoria atualizada.
+ * @throws {Error} Se a categoria não existir ou os campos forem inválidos.
+ */
+export const updateCategory = async (categoryId, fields) => {
+  let updated = null;
+  await updateCategories(categories => {
+    const existing = categories.find(category => category.id === categoryId);
+    if (!existing) {
+      throw new Error('Categoria não encontrada.');
+    }
+    updated = { ...existing, ...validateCategoryFields(fields, categories, categoryId) };
+    return categories.map(category => (category.id === categoryId ? updated : category));
+  });
+  return updated;
+};
+
+/**
+ * Move as despesas de um conjunto de categorias para outra.
+ * @param {string[]} fromIds - Categorias de origem.
+ * @param {string|null} toId - Categoria de destino (null deixa as despesas sem categoria).
+ * @returns {Promise<number>} Quantidade de despesas alteradas.
+ */
+const reassignExpenses = async (fromIds, toId) => {
+  const from = new Set(fromIds);
+  let count = 0;
+  await updateExpenses(expenses => expenses.map(expense => {
+    if (!from.has(expense.categoryId)) return expense;
+    count += 1;
+    return { ...expense, categoryId: toId };
+  }));
+  return count;
+};
+
+/**
+ * Mescla uma categoria em outra: as despesas passam para o destino, as subcategorias passam a
+ * ser filhas do destino e a categoria de origem é removida.
+ * @param {string} sourceId - Categoria que deixa de existir.
+ * @param {string} targetId - Categoria que recebe as despesas.
+ * @returns {Promise<number>} Quantidade de despesas movidas.
+ * @throws {Error} Se a mescla não for possível (mesma categoria, destino dentro da origem...).
+ */
+export const mergeCategories = async (sourceId, targetId) => {
+  const categories = await getCategories();
+  const source = categories.find(category => category.id === sourceId);
+  const target = categories.find(category => category.id === targetId);
+  if (!source || !target || sourceId === targetId) {
+    throw new Error('Escolha outra categoria para a mesclagem.');
+  }
+  if (target.parentId === sourceId) {
+    throw new Error('Não é possível mesclar uma categoria com uma das suas subcategorias.');
+  }
+  const hasChildren = categories.some(category => category.parentId === sourceId);
+  if (hasChildren && target.parentId) {
+    throw new Error('Uma categoria com subcategorias só pode ser mesclada com uma categoria principal.');
+  }
+
+  const moved = await reassignExpenses([sourceId], targetId);
+  await updateCategories(current => current
+    .filter(category => category.id !== sourceId)
+    .map(category => (category.parentId === sourceId ? { ...category, parentId: targetId } : category)));
+  return moved;
+};
+
+/**
+ * Arquiva uma categoria e as suas subcategorias. As despesas podem continuar nelas ou passar
+ * para outra categoria.
+ * @param {string} categoryId - ID da categoria.
+ * @param {string|null} [reassignToId] - Categoria que recebe as despesas; sem ela, as despesas não mudam.
+ * @returns {Promise<number>} Quantidade de despesas movidas.
+ */
+export const archiveCategory = async (categoryId, reassignToId = null) => {
+  const categories = await getCategories();
+  const archivedIds = [categoryId, ...categories.filter(c => c.parentId === categoryId).map(c => c.id)];
+  if (reassignToId && archivedIds.includes(reassignToId)) {
+    throw new Error('Escolha uma categoria que não será arquivada.');
+  }
+
+  const moved = reassignToId ? await reassignExpenses(archivedIds, reassignToId) : 0;
+  const archivedAt = new Date().toISOString();
+  await updateCategories(current => current.map(category => (
+    archivedIds.includes(category.id) && isCategoryActive(category) ? { ...category, archivedAt } : category
+  )));
+  return moved;
+};
+
+/**
+ * Reativa uma categoria arquivada, com as subcategorias arquivadas junto com ela.
+ * Uma subcategoria só pode ser reativada com a principal ativa.
+ * @param {string} categoryId - ID da categoria.
+ * @returns {Promise<void>}
+ * @throws {Error} Se a categoria principal estiver arquivada ou o nome já estiver em uso.
+ */
+export const unarchiveCategory = async (categoryId) => {
+  await updateCategories(categories => {
+    const category = categories.find(existing => existing.id === categoryId);
+    if (!category) {
+      throw new Error('Categoria não encontrada.');
+    }
+    const parent = category.parentId && categories.find(existing => existing.id === category.parentId);
+    if (parent && !isCategoryActive(parent)) {
+      throw new Error(`Reative primeiro a categoria "${parent.name}".`);
+    }
+    validateCategoryFields(category, categories, categoryId);
+    const archivedTogether = existing =>
+      existing.id === categoryId || (existing.parentId === categoryId && existing.archivedAt === category.archivedAt);
+    return categories.map(existing => (archivedTogether(existing) ? { ...existing, archivedAt: null } : existing));
+  });
+};
@@ -0,0 +1,416 @@
+// utils/cloudSync.js
+
+/**
+ * @file Sincronização opcional das receitas, despesas e cartões com o Firestore.
+ * Os dados locais continuam sendo a fonte principal (offline-first): o app funciona sem conta e
+ * sem internet, e a sincronização apenas troca com a nuvem o que mudou desde a última vez.
+ *
+ * - Cada registro vira um documento em `users/{uid}/{coleção}/{id}`, com `syncedAt` (horário
+ *   do servidor, usado para buscar só o que mudou) e `deleted` (marca de exclusão definitiva).
+ * - Conflitos: vence a versão com o `modifiedAt` mais recente (last-writer-wins por registro).
+ *   O envio confere a versão da nuvem dentro de uma transação, então uma edição mais nova feita
+ *   em outro aparelho nunca é sobrescrita.
+ * - Registros apagados de vez viram documentos com `deleted: true`, que removem o registro nos
+ *   demais aparelhos (ver utils/tombstones.js).
+ * - Cada documento enviado leva `syncedBy` (o aparelho e a conta que o enviaram), mantido no
+ *   registro recebido para o histórico de alterações mostrar quem fez a alteração.
+ * - Os documentos guardam os registros como estão, sem a criptografia dos dados locais (ver
+ *   utils/encryptedStorage.js): a proteção na nuvem é a da conta e das regras do Firestore.
+ *
+ * A sincronização roda ao entrar no app, quando ele volta do segundo plano e alguns segundos
+ * depois de cada alteração local, além do botão "Sincronizar agora". Cada perfil tem a sua
+ * conta (ver utils/firebase.js); ao sair de um perfil, `stopAutoSync` desliga tudo isso.
+ */
+
+import { AppState } from 'react-native';
+import { onAuthStateChanged, signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut } from 'firebase/auth';
+import {
+  collection, doc, query, where, orderBy, getDocs, runTransaction, serverTimestamp, Timestamp,
+} from 'firebase/firestore';
+import * as storage from './encryptedStorage';
+import { ASYNC_STORAGE_KEYS } from './constants';
+import { getFirebase, isFirebaseConfigured } from './firebase';
+import { generateSalt } from './encryption';
+import { getCollection, updateCollection, subscribe, acknowledgeTombstones } from './financeRepository';
+import { getTombstones } from './tombstones';
+import { AUDIT_SOURCES } from './auditLog';
+
+// Coleções sincronizadas (o nome da coleção no Firestore é a própria chave local)
+const SYNCED_KEYS = [
+  ASYNC_STORAGE_KEYS.INCOMES,
+  ASYNC_STORAGE_KEYS.EXPENSES,
+  ASYNC_STORAGE_KEYS.CARDS,
+  ASYNC_STORAGE_KEYS.CATEGORIES,
+  ASYNC_STORAGE_KEYS.BUDGETS,
+];
+// Espera (ms) após uma alteração local antes de sincronizar, para agrupar edições seguidas
+const AUTO_SYNC_DELAY = 5000;
+// Documentos conferidos e gravados por transação (o Firestore limita a 500 gravações)
+const TRANSACTION_CHUNK_SIZE = 100;
+// Mensagens para os erros de autenticação mais comuns
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'E-mail inválido.',
+  'auth/invalid-credential': 'E-mail ou senha incorretos.',
+  'auth/wrong-password': 'E-mail ou senha incorretos.',
+  'auth/user-not-found': 'E-mail ou senha incorretos.',
+  'auth/email-already-in-use': 'Já existe uma conta com este e-mail.',
+  'auth/weak-password': 'A senha deve ter pelo menos 6 caracteres.',
+  'auth/too-many-requests': 'Muitas tentativas. Tente de novo mais tarde.',
+  'auth/network-request-failed': 'Sem conexão com a internet.',
+};
+
+/**
+ * @typedef {Object} SyncStatus
+ * @property {boolean} configured - Se o Firebase está configurado neste build.
+ * @property {{uid: string, email: string}|null} user - Conta conectada.
+ * @property {boolean} syncing - Se há uma sincronização em andamento.
+ * @property {string|null} lastSyncAt - Data ISO da última sincronização concluída.
+ * @property {string|null} error - Mensagem do último erro de sincronização.
+ */
+
+/**
+ * @typedef {Object} SyncState
+ * @property {string} deviceId - Identificador aleatório deste aparelho (no perfil), gravado em `syncedBy`.
+ * @property {string} userId - Conta a que o progresso se refere.
+ * @property {number} pullCursor - Maior `syncedAt` (ms) já recebido da nuvem.
+ * @property {string} pushedUntil - Data ISO do início da última sincronização; registros
+ *   alterados a partir dela ainda precisam ser enviados.
+ * @property {string} lastSyncAt - Data ISO da última sincronização concluída.
+ */
+
+let status = { configured: isFirebaseConfigured(), user: null, syncing: false, lastSyncAt: null, error: null };
+let statusListeners = [];
+// Cancela o acompanhamento do login (null enquanto não foi iniciado)
+let authUnsubscribe = null;
+let autoSyncStarted = false;
+let autoSyncTimer = null;
+// Cancelam as assinaturas feitas por `startAutoSync`
+let autoSyncCleanups = [];
+// Sincronização em andamento (chamadas simultâneas aguardam a mesma)
+let currentSync = null;
+
+/**
+ * Atualiza o estado exibido e avisa os assinantes.
+ * @param {Partial<SyncStatus>} changes - Campos alterados.
+ */
+const setStatus = (changes) => {
+  status = { ...status, ...changes };
+  statusListeners.forEach(listener => {
+    try {
+      listener(status);
+    } catch (error) {
+      console.error('cloudSync: Erro em assinante:', error);
+    }
+  });
+};
+
+/**
+ * @returns {boolean} true se os dados locais podem ser lidos (app desbloqueado).
+ */
+const isStorageReady = () => storage.isStorageUnlocked();
+
+/**
+ * Acompanha o login do Firebase (a sessão salva é recuperada ao abrir o app).
+ */
+const startAuthListener = () => {
+  const firebase = getFirebase();
+  if (authUnsubscribe || !firebase) return;
+  authUnsubscribe = onAuthStateChanged(firebase.auth, (user) => {
+    setStatus({ user: user ? { uid: user.uid, email: user.email } : null });
+    if (user) scheduleSync(0);
+  });
+};
+
+/**
+ * @returns {Promise<SyncState|null>} O progresso salvo, ou null se nunca sincronizou.
+ */
+const getSyncState = async () => {
+  const json = await storage.getItem(ASYNC_STORAGE_KEYS.SYNC_STATE);
+  return json ? JSON.parse(json) : null;
+};
+
+/**
+ * Converte um registro local no documento gravado na nuvem.
+ * @param {object} record - O registro.
+ * @param {{deviceId: string, userEmail: string|null}} syncedBy - O aparelho e a conta que enviam.
+ * @returns {object} O documento.
+ */
+const toRemote = (record, syncedBy) => ({
+  ...JSON.parse(JSON.stringify(record)), // O Firestore não aceita campos `undefined`
+  syncedBy,
+  deleted: false,
+  syncedAt: serverTimestamp(),
+});
+
+/**
+ * Converte um documento da nuvem no registro local.
+ * @param {object} data - Os dados do documento.
+ * @returns {object} O registro.
+ */
+const fromRemote = ({ syncedAt, deleted, ...record }) => record;
+
+/**
+ * Aplica sobre a lista local os documentos recebidos, mantendo a versão mais recente de cada registro.
+ * @param {Array<object>} list - Lista local.
+ * @param {Array<object>} remoteDocs - Documentos recebidos.
+ * @param {Map<string, string>} localDeletions - Data da exclusão local ainda não enviada, por ID.
+ * @returns {Array<object>} A nova lista (a mesma, se nada mudou).
+ */
+const mergeRemote = (list, remoteDocs, localDeletions) => {
+  const indexById = new Map(list.map((record, index) => [record.id, index]));
+  const next = [...list];
+  const removed = new Set();
+  let changed = false;
+
+  remoteDocs.forEach(remote => {
+    const remoteModifiedAt = remote.modifiedAt || '';
+    const index = indexById.get(remote.id);
+    const local = index === undefined ? null : next[index];
+
+    if (remote.deleted) {
+      if (local && (local.modifiedAt || '') <= remoteModifiedAt) {
+        removed.add(remote.id);
+        changed = true;
+      }
+    } else if (!local) {
+      // Apagado aqui depois da última edição na nuvem: a exclusão local prevalece
+      if ((localDeletions.get(remote.id) || '') >= remoteModifiedAt) return;
+      indexById.set(remote.id, next.length);
+      next.push(fromRemote(remote));
+      changed = true;
+    } else if ((local.modifiedAt || '') < remoteModifiedAt) {
+      next[index] = fromRemote(remote);
+      changed = true;
+    }
+  });
+
+  if (!changed) return list;
+  return removed.size > 0 ? next.filter(record => !removed.has(record.id)) : next;
+};
+
+/**
+ * Busca na nuvem o que mudou em uma coleção e aplica localmente.
+ * @param {import('firebase/firestore').Firestore} db - O Firestore.
+ * @param {string} uid - A conta.
+ * @param {string} key - A coleção.
+ * @param {number} cursor - Maior `syncedAt` (ms) já recebido.
+ * @param {Map<string, string>} localDeletions - Exclusões locais ainda não enviadas.
+ * @returns {Promise<{cursor: number, receivedIds: Set<string>}>} O novo cursor e os IDs recebidos.
+ */
+const pullCollection = async (db, uid, key, cursor, localDeletions) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'users', uid, key),
+    where('syncedAt', '>', Timestamp.fromMillis(cursor)),
+    orderBy('syncedAt')
+  ));
+  const remoteDocs = snapshot.docs.map(snap => snap.data());
+  let nextCursor = cursor;
+  remoteDocs.forEach(remote => {
+    if (remote.syncedAt) nextCursor = Math.max(nextCursor, remote.syncedAt.toMillis());
+  });
+  if (remoteDocs.length > 0) {
+    await updateCollection(key, list => mergeRemote(list, remoteDocs, localDeletions), { source: AUDIT_SOURCES.SYNC });
+  }
+  return { cursor: nextCursor, receivedIds: new Set(remoteDocs.map(remote => remote.id)) };
+};
+
+/**
+ * Envia alterações de uma coleção. Cada documento só é gravado se a versão da nuvem for mais antiga.
+ * @param {import('firebase/firestore').Firestore} db - O Firestore.
+ * @param {string} uid - A conta.
+ * @param {string} key - A coleção.
+ * @param {Array<{id: string, modifiedAt: string, data: object}>} changes - As alterações.
+ */
+const pushChanges = async (db, uid, key, changes) => {
+  for (let start = 0; start < changes.length; start += TRANSACTION_CHUNK_SIZE) {
+    const chunk = changes.slice(start, start + TRANSACTION_CHUNK_SIZE);
+    await runTransaction(db, async (transaction) => {
+      const refs = chunk.map(change => doc(db, 'users', uid, key, change.id));
+      const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+      snapshots.forEach((snapshot, index) => {
+        const remote = snapshot.exists() ? snapshot.data() : null;
+        if (!remote || (remote.modifiedAt || '') < chunk[index].modifiedAt) {
+          transaction.set(refs[index], chunk[index].data);
+        }
+      });
+    });
+  }
+};
+
+/**
+ * Executa uma sincronização completa: recebe o que mudou na nuvem e envia o que mudou aqui.
+ * @param {import('firebase/firestore').Firestore} db - O Firestore.
+ * @param {string} uid - A conta.
+ */
+const runSync = async (db, uid) => {
+  const saved = await getSyncState();
+  // Outra conta (ou a primeira sincronização): recebe e envia tudo
+  const state = saved && saved.userId === uid ? saved : { userId: uid, pullCursor: 0, pushedUntil: '' };
+  const deviceId = (saved && saved.deviceId) || generateSalt();
+  const syncedBy = { deviceId, userEmail: status.user ? status.user.email : null };
+  const startedAt = new Date().toISOString();
+
+  const tombstones = await getTombstones();
+  let pullCursor = state.pullCursor;
+  for (const key of SYNCED_KEYS) {
+    const localDeletions = new Map(tombstones.filter(t => t.collection === key).map(t => [t.id, t.deletedAt]));
+    const { cursor, receivedIds } = await pullCollection(db, uid, key, state.pullCursor, localDeletions);
+    pullCursor = Math.max(pullCursor, cursor);
+
+    const records = (await getCollection(key))
+      .filter(record => (record.modifiedAt || '') >= state.pushedUntil && !receivedIds.has(record.id))
+      .map(record => ({ id: record.id, modifiedAt: record.modifiedAt || '', data: toRemote(record, syncedBy) }));
+    const deletions = tombstones
+      .filter(tombstone => tombstone.collection === key)
+      .map(tombstone => ({
+        id: tombstone.id,
+        modifiedAt: tombstone.deletedAt,
+        data: { id: tombstone.id, modifiedAt: tombstone.deletedAt, deleted: true, syncedBy, syncedAt: serverTimestamp() },
+      }));
+    await pushChanges(db, uid, key, [...records, ...deletions]);
+  }
+  await acknowledgeTombstones(tombstones);
+
+  const lastSyncAt = new Date().toISOString();
+  await storage.setItem(ASYNC_STORAGE_KEYS.SYNC_STATE, JSON.stringify({
+    deviceId,
+    userId: uid,
+    pullCursor,
+    pushedUntil: startedAt,
+    lastSyncAt,
+  }));
+  return lastSyncAt;
+};
+
+/**
+ * Registra um ouvinte para o estado da sincronização (conta conectada, andamento, erros).
+ * @param {function(SyncStatus): void} listener - Chamado com o estado atual e após cada mudança.
+ * @returns {function(): void} Função que cancela a assinatura.
+ */
+export const subscribeSyncStatus = (listener) => {
+  startAuthListener();
+  statusListeners = [...statusListeners, listener];
+  listener(status);
+  if (status.lastSyncAt === null && isStorageReady()) {
+    getSyncState()
+      .then(state => state && status.lastSyncAt === null && setStatus({ lastSyncAt: state.lastSyncAt }))
+      .catch(error => console.error('cloudSync: Erro ao ler progresso da sincronização:', error));
+  }
+  return () => {
+    statusListeners = statusListeners.filter(l => l !== listener);
+  };
+};
+
+/**
+ * Sincroniza agora com a nuvem. Sem conta conectada ou com o app bloqueado, não faz nada.
+ * @returns {Promise<void>}
+ * @throws {Error} Se a sincronização falhar (o erro também fica em `SyncStatus.error`).
+ */
+export const syncNow = () => {
+  if (currentSync) return currentSync;
+  const firebase = getFirebase();
+  const user = firebase && firebase.auth.currentUser;
+  if (!user || !isStorageReady()) return Promise.resolve();
+
+  setStatus({ syncing: true, error: null });
+  currentSync = runSync(firebase.db, user.uid)
+    .then(lastSyncAt => setStatus({ syncing: false, lastSyncAt }))
+    .catch(error => {
+      setStatus({ syncing: false, error: AUTH_ERROR_MESSAGES[error.code] || 'Não foi possível sincronizar. Tente de novo mais tarde.' });
+      throw error;
+    })
+    .finally(() => {
+      currentSync = null;
+    });
+  return currentSync;
+};
+
+/**
+ * Agenda uma sincronização automática; falhas ficam só no estado (sem interromper o usuário).
+ * @param {number} [delay] - Espera em ms.
+ */
+const scheduleSync = (delay = AUTO_SYNC_DELAY) => {
+  if (!autoSyncStarted) return;
+  clearTimeout(autoSyncTimer);
+  autoSyncTimer = setTimeout(() => {
+    syncNow().catch(error => console.error('cloudSync: Erro na sincronização automática:', error));
+  }, delay);
+};
+
+/**
+ * Liga a sincronização automática (após o login com PIN). Chamadas repetidas não têm efeito.
+ */
+export const startAutoSync = () => {
+  if (autoSyncStarted || !isFirebaseConfigured()) return;
+  autoSyncStarted = true;
+  startAuthListener();
+  const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+    if (nextState === 'active') scheduleSync(0);
+  });
+  autoSyncCleanups = [
+    ...SYNCED_KEYS.map(key => subscribe(key, () => scheduleSync())),
+    () => appStateSubscription.remove(),
+  ];
+  scheduleSync(0);
+};
+
+/**
+ * Desliga a sincronização automática e o acompanhamento do login, esperando a sincronização em
+ * andamento terminar. Chamado ao sair de um perfil, antes de os seus dados ficarem bloqueados.
+ * @returns {Promise<void>}
+ */
+export const stopAutoSync = async () => {
+  clearTimeout(autoSyncTimer);
+  autoSyncCleanups.forEach(cleanup => cleanup());
+  autoSyncCleanups = [];
+  autoSyncStarted = false;
+  if (authUnsubscribe) {
+    authUnsubscribe();
+    authUnsubscribe = null;
+  }
+  if (currentSync) {
+    await currentSync.catch(() => {});
+  }
+  setStatus({ user: null, syncing: false, lastSyncAt: null, error: null });
+};
+
+/**
+ * Entra com uma conta existente.
+ * @param {string} email - O e-mail.
+ * @param {string} password - A senha.
+ * @throws {Error} Com mensagem para o usuário, se o login falhar.
+ */
+export const signInToCloud = async (email, password) => {
+  const firebase = getFirebase();
+  try {
+    await signInWithEmailAndPassword(firebase.auth, email.trim(), password);
+  } catch (error) {
+    throw new Error(AUTH_ERROR_MESSAGES[error.code] || 'Não foi possível entrar na conta.');
+  }
+};
+
+/**
+ * Cria uma conta e entra nela. Os dados locais são enviados na primeira sincronização.
+ * @param {string} email - O e-mail.
+ * @param {string} password - A senha.
+ * @throws {Error} Com mensagem para o usuário, se a criação falhar.
+ */
+export const createCloudAccount = async (email, password) => {
+  const firebase = getFirebase();
+  try {
+    await createUserWithEmailAndPassword(firebase.auth, email.trim(), password);
+  } catch (error) {
+    throw new Error(AUTH_ERROR_MESSAGES[error.code] || 'Não foi possível criar a conta.');
+  }
+};
+
+/**
+ * Sai da conta. Os dados locais continuam no aparelho.
+ * @returns {Promise<void>}
+ */
+export const signOutFromCloud = async () => {
+  const firebase = getFirebase();
+  if (!firebase) return;
+  clearTimeout(autoSyncTimer);
+  await signOut(firebase.auth);
+};
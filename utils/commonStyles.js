@@ -89,6 +89,15 @@ const commonStyles = StyleSheet.create({
     shadowRadius: 5,
     elevation: 5,
   },
+  // Estilo para o botão que abre o histórico de alterações nas telas de edição.
+  historyButton: {
+    backgroundColor: '#6c757d', // Cinza para ação secundária
+    paddingVertical: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 10,
+  },
   // Estilo para o texto dentro dos botões principais.
   buttonText: {
     color: '#fff', // Texto branco
@@ -9,11 +9,33 @@
 /**
  * Chaves utilizadas para armazenar dados no AsyncStorage.
  * Usar constantes evita erros de digitação e centraliza as definições.
+ * Exceto `PROFILES`, cada chave é gravada separadamente para cada perfil, com o prefixo do
+ * perfil (ver `profileStorageKey` em utils/encryptedStorage.js). Exceto `SCHEMA_VERSION` e
+ * `PROFILES`, lidas antes do login e sem dados financeiros, todas são gravadas cifradas.
  */
 export const ASYNC_STORAGE_KEYS = {
   INCOMES: 'incomes', // Chave para armazenar a lista de receitas
   EXPENSES: 'expenses', // Chave para armazenar a lista de despesas (será usada futuramente)
   CARDS: 'cards', // Chave para armazenar a lista de cartões
+  CATEGORIES: 'categories', // Categorias das despesas (ver utils/categories.js)
+  BUDGETS: 'budgets', // Orçamentos mensais de gastos (ver utils/budgets.js)
+  SCHEMA_VERSION: 'schemaVersion', // Versão do formato dos dados salvos (ver utils/migrations.js)
+  SETTINGS: 'settings', // Preferências do aplicativo (ver utils/settings.js)
+  AUDIT_LOG: 'auditLog', // Histórico de alterações dos registros (ver utils/auditLog.js)
+  SYNC_TOMBSTONES: 'syncTombstones', // Registros apagados de vez, ainda não enviados à nuvem (ver utils/tombstones.js)
+  SYNC_STATE: 'syncState', // Progresso da sincronização na nuvem (ver utils/cloudSync.js)
+  IMPORTED_IDS: 'importedIds', // `externalId` dos lançamentos já importados (ver utils/importTransactions.js)
+  PROFILES: 'profiles', // Lista de perfis, compartilhada por todos (ver utils/profiles.js)
+};
+
+/**
+ * Chaves utilizadas no SecureStore (armazenamento criptografado do sistema), separado dos
+ * dados financeiros: apagar ou restaurar os dados não afeta o que fica aqui.
+ * Também são gravadas separadamente para cada perfil.
+ */
+export const SECURE_STORE_KEYS = {
+  APP_LOCK_PIN: 'appLock.pin', // Chave de dados cifrada com o PIN de bloqueio (ver utils/appLock.js)
+  APP_LOCK_STATE: 'appLock.state', // Tentativas erradas e bloqueio temporário do PIN
 };
 
 // Você pode adicionar outras constantes aqui no futuro, se necessário.
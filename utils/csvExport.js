@@ -0,0 +1,135 @@
+// utils/csvExport.js
+
+/**
+ * @file Exportação das receitas e despesas de um mês (ou intervalo de meses) em CSV,
+ * para conferência em planilhas. Usa a mesma expansão mensal da `HomeScreen`
+ * (`utils/monthlyEntries.js`): itens fixos aparecem uma vez em cada mês.
+ *
+ * O arquivo segue o padrão das planilhas em português: separador ";", vírgula
+ * decimal nos valores, datas "dd/mm/aaaa" e BOM UTF-8 para preservar os acentos.
+ */
+
+import { getIncomes, getExpenses, getCards } from './financeRepository';
+import { getExpensesForMonth, getIncomesForMonth, formatMonthYearForExclusion } from './monthlyEntries';
+import { formatCents } from './money';
+import { shareTextFile } from './fileSharing';
+
+const CSV_SEPARATOR = ';';
+
+const CSV_HEADER = [
+  'Tipo', 'Mês', 'Descrição', 'Valor', 'Método de Pagamento', 'Cartão',
+  'Parcela', 'Vencimento', 'Status', 'Pago em',
+];
+
+// Rótulos em português para os status armazenados
+const STATUS_LABELS = { paid: 'Pago', pending: 'Pendente' };
+
+/**
+ * Escapa um campo para CSV: envolve em aspas quando contém separador, aspas ou quebra de linha.
+ * @param {any} value - Valor do campo.
+ * @returns {string} Campo pronto para o CSV.
+ */
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formata uma data ISO como "dd/mm/aaaa".
+ * @param {string|null} isoDate - Data ISO.
+ * @returns {string} Data formatada, ou vazio se não houver data.
+ */
+const formatCsvDate = (isoDate) => {
+  if (!isoDate) return '';
+  const date = new Date(isoDate);
+  return `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+};
+
+/**
+ * Texto da coluna "Parcela" de uma despesa de crédito.
+ * @param {object} expense - A parcela, a entrada ou o pagamento da antecipação.
+ * @returns {string} "N/T", "Entrada" ou "Antecipação".
+ */
+const getInstallmentLabel = (expense) => {
+  if (expense.isDownPayment) return 'Entrada';
+  if (expense.isPayoff) return 'Antecipação';
+  return `${expense.installmentNumber}/${expense.totalInstallments}`;
+};
+
+/**
+ * Lista os meses (primeiro dia de cada um) entre dois meses, inclusive.
+ * @param {Date} startMonth - Mês inicial.
+ * @param {Date} endMonth - Mês final.
+ * @returns {Date[]} Os meses do intervalo, em ordem.
+ */
+export const listMonthsInRange = (startMonth, endMonth) => {
+  const months = [];
+  const cursor = new Date(startMonth.getFullYear(), startMonth.getMonth(), 1);
+  const last = new Date(endMonth.getFullYear(), endMonth.getMonth(), 1);
+  while (cursor.getTime() <= last.getTime()) {
+    months.push(new Date(cursor));
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  return months;
+};
+
+/**
+ * Monta o conteúdo CSV dos lançamentos do intervalo.
+ * @param {{startMonth: Date, endMonth: Date, incomes: Array<object>, expenses: Array<object>, cards: Array<object>}} params
+ * @returns {string} O conteúdo do arquivo CSV.
+ */
+export const buildTransactionsCsv = ({ startMonth, endMonth, incomes, expenses, cards }) => {
+  const cardAliases = Object.fromEntries(cards.map(card => [card.id, card.alias]));
+  const rows = [CSV_HEADER];
+
+  listMonthsInRange(startMonth, endMonth).forEach(monthDate => {
+    const monthLabel = formatMonthYearForExclusion(monthDate);
+
+    getIncomesForMonth(monthDate, incomes, true).forEach(income => {
+      rows.push([
+        'Receita', monthLabel, income.name, formatCents(income.value),
+        income.type === 'Fixo' ? 'Receita Fixa' : 'Ganho Pontual', '', '', '', '', '',
+      ]);
+    });
+
+    getExpensesForMonth(monthDate, expenses, true).forEach(expense => {
+      const isCredit = expense.paymentMethod === 'Crédito';
+      rows.push([
+        'Despesa', monthLabel, expense.description, formatCents(expense.value),
+        expense.paymentMethod,
+        isCredit ? cardAliases[expense.cardId] || '' : '',
+        isCredit ? getInstallmentLabel(expense) : '',
+        formatCsvDate(expense.dueDate),
+        STATUS_LABELS[expense.status] || expense.status,
+        formatCsvDate(expense.paidAt),
+      ]);
+    });
+  });
+
+  return '\uFEFF' + rows.map(row => row.map(escapeCsvField).join(CSV_SEPARATOR)).join('\r\n');
+};
+
+/**
+ * Gera o CSV do intervalo de meses e abre a folha de compartilhamento do sistema.
+ * @param {Date} startMonth - Mês inicial.
+ * @param {Date} endMonth - Mês final (igual ao inicial para exportar um único mês).
+ * @returns {Promise<string>} Caminho do arquivo gerado.
+ */
+export const exportTransactionsCsv = async (startMonth, endMonth) => {
+  const csv = buildTransactionsCsv({
+    startMonth,
+    endMonth,
+    incomes: await getIncomes(),
+    expenses: await getExpenses(),
+    cards: await getCards(),
+  });
+  const toFileLabel = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  const range = toFileLabel(startMonth) === toFileLabel(endMonth)
+    ? toFileLabel(startMonth)
+    : `${toFileLabel(startMonth)}_a_${toFileLabel(endMonth)}`;
+  return shareTextFile(`lancamentos-${range}.csv`, csv, {
+    mimeType: 'text/csv',
+    dialogTitle: 'Exportar lançamentos',
+    UTI: 'public.comma-separated-values-text',
+  });
+};
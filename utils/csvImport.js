@@ -0,0 +1,245 @@
+// utils/csvImport.js
+
+/**
+ * @file Importação genérica de planilhas CSV exportadas por bancos e outros apps.
+ * Como cada origem usa colunas e formatos diferentes, o usuário informa qual coluna
+ * contém a descrição, o valor, a data e (opcionalmente) o tipo, além dos formatos de
+ * número e data. Essas escolhas podem ser salvas como predefinições para reuso.
+ *
+ * As linhas viram `ImportedTransaction` (ver utils/importTransactions.js).
+ */
+
+import { pickFile, readTextFile } from './fileSharing';
+import { getSettings, updateSettings } from './settings';
+import { parseCurrencyInput } from './money';
+
+/** Formatos de número aceitos. */
+export const DECIMAL_FORMATS = {
+  comma: { label: '1.234,56', thousands: '.', decimal: ',' },
+  dot: { label: '1,234.56', thousands: ',', decimal: '.' },
+};
+
+/** Formatos de data aceitos (ordem dos campos dia, mês e ano). */
+export const DATE_FORMATS = {
+  'dd/mm/aaaa': { label: 'dd/mm/aaaa', order: ['day', 'month', 'year'] },
+  'mm/dd/aaaa': { label: 'mm/dd/aaaa', order: ['month', 'day', 'year'] },
+  'aaaa-mm-dd': { label: 'aaaa-mm-dd', order: ['year', 'month', 'day'] },
+};
+
+/**
+ * @typedef {Object} CsvMapping
+ * @property {boolean} hasHeader - Se a primeira linha contém os nomes das colunas.
+ * @property {number} descriptionColumn - Índice da coluna de descrição.
+ * @property {number} valueColumn - Índice da coluna de valor.
+ * @property {number} dateColumn - Índice da coluna de data.
+ * @property {number|null} typeColumn - Índice da coluna de tipo; null para usar o sinal do valor.
+ * @property {'comma'|'dot'} decimalFormat - Chave de `DECIMAL_FORMATS`.
+ * @property {string} dateFormat - Chave de `DATE_FORMATS`.
+ */
+
+/** Mapeamento inicial, no padrão mais comum em planilhas brasileiras. */
+export const DEFAULT_CSV_MAPPING = {
+  hasHeader: true,
+  descriptionColumn: 0,
+  valueColumn: 1,
+  dateColumn: 2,
+  typeColumn: null,
+  decimalFormat: 'comma',
+  dateFormat: 'dd/mm/aaaa',
+};
+
+// Valores da coluna de tipo que indicam entrada de dinheiro (comparados sem acentos e em minúsculas)
+const INCOME_TYPE_PATTERN = /^(c|cr|credito|receita|entrada|ganho|deposito)\b/;
+
+/**
+ * Descobre o separador mais provável olhando a primeira linha do arquivo.
+ * @param {string} content - Conteúdo do CSV.
+ * @returns {string} O separador (";", "," ou tabulação).
+ */
+const detectSeparator = (content) => {
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const counts = [';', ',', '\t'].map(separator => ({ separator, count: firstLine.split(separator).length }));
+  return counts.sort((a, b) => b.count - a.count)[0].separator;
+};
+
+/**
+ * Divide o conteúdo de um CSV em linhas e colunas, respeitando campos entre aspas.
+ * @param {string} content - Conteúdo do CSV.
+ * @returns {string[][]} As linhas não vazias, cada uma com suas colunas.
+ */
+export const parseCsv = (content) => {
+  const text = content.replace(/^\uFEFF/, '');
+  const separator = detectSeparator(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field.trim());
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+};
+
+/**
+ * Converte um valor da planilha para centavos com sinal, no formato de número escolhido.
+ * Aceita símbolo de moeda, sinal no início ou fim e parênteses para negativos.
+ * @param {string} text - Valor como está na planilha (ex: "-R$ 1.234,56").
+ * @param {'comma'|'dot'} decimalFormat - Chave de `DECIMAL_FORMATS`.
+ * @returns {number} Valor em centavos (NaN se inválido).
+ */
+export const parseCsvAmount = (text, decimalFormat) => {
+  const { thousands, decimal } = DECIMAL_FORMATS[decimalFormat];
+  const raw = String(text || '').trim();
+  const negative = /^\(.*\)$/.test(raw) || /^-|-$/.test(raw.replace(/[R$\s]/g, ''));
+  const digits = raw
+    .replace(/[^\d.,]/g, '')
+    .split(thousands).join('')
+    .replace(decimal, ',');
+  const cents = parseCurrencyInput(digits);
+  return negative ? -cents : cents;
+};
+
+/**
+ * Converte uma data da planilha no formato escolhido.
+ * @param {string} text - Data como está na planilha (ex: "05/01/2025").
+ * @param {string} dateFormat - Chave de `DATE_FORMATS`.
+ * @returns {Date|null} A data (ao meio-dia local), ou null se inválida.
+ */
+export const parseCsvDate = (text, dateFormat) => {
+  const parts = String(text || '').trim().split(/[^\d]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+  const { order } = DATE_FORMATS[dateFormat];
+  const values = {};
+  order.forEach((field, index) => { values[field] = parseInt(parts[index], 10); });
+  if (values.year < 100) values.year += 2000; // Aceita ano com dois dígitos
+
+  const date = new Date(values.year, values.month - 1, values.day, 12);
+  const isValid = date.getFullYear() === values.year && date.getMonth() === values.month - 1 && date.getDate() === values.day;
+  return isValid ? date : null;
+};
+
+/**
+ * Remove acentos e coloca em minúsculas, para comparar textos da coluna de tipo.
+ * @param {string} text - O texto.
+ * @returns {string} Texto normalizado.
+ */
+const normalizeText = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+/**
+ * Converte as linhas do CSV em lançamentos, usando o mapeamento informado.
+ * O `externalId` é derivado do conteúdo da linha (data, valor e descrição); linhas idênticas no
+ * mesmo arquivo recebem um contador, para que compras repetidas no mesmo dia sejam mantidas
+ * e reimportar o arquivo não gere cópias.
+ * @param {string[][]} rows - Linhas retornadas por `parseCsv`.
+ * @param {CsvMapping} mapping - Colunas e formatos.
+ * @returns {{transactions: import('./importTransactions').ImportedTransaction[], skippedLines: number[]}}
+ *   Os lançamentos e os números das linhas que não puderam ser lidas.
+ */
+export const buildCsvTransactions = (rows, mapping) => {
+  const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+  const firstLineNumber = mapping.hasHeader ? 2 : 1;
+  const occurrences = {};
+  const transactions = [];
+  const skippedLines = [];
+
+  dataRows.forEach((cells, index) => {
+    const description = cells[mapping.descriptionColumn] || '';
+    const amount = parseCsvAmount(cells[mapping.valueColumn], mapping.decimalFormat);
+    const date = parseCsvDate(cells[mapping.dateColumn], mapping.dateFormat);
+    if (!description || isNaN(amount) || amount === 0 || !date) {
+      skippedLines.push(firstLineNumber + index);
+      return;
+    }
+
+    let kind = amount < 0 ? 'expense' : 'income';
+    if (mapping.typeColumn !== null) {
+      kind = INCOME_TYPE_PATTERN.test(normalizeText(cells[mapping.typeColumn])) ? 'income' : 'expense';
+    }
+
+    const key = `${date.toISOString().substring(0, 10)}:${amount}:${normalizeText(description)}`;
+    occurrences[key] = (occurrences[key] || 0) + 1;
+    transactions.push({
+      externalId: `csv:${key}:${occurrences[key]}`,
+      kind,
+      date,
+      description,
+      value: Math.abs(amount),
+    });
+  });
+
+  return { transactions, skippedLines };
+};
+
+/**
+ * Abre o seletor de arquivos e lê as linhas do CSV escolhido.
+ * @returns {Promise<{fileName: string, rows: string[][]}|null>} O arquivo lido, ou null se o usuário cancelar.
+ */
+export const pickCsvFile = async () => {
+  const file = await pickFile(['text/csv', 'text/comma-separated-values', 'text/plain', '*/*']);
+  if (!file) {
+    return null;
+  }
+  const rows = parseCsv(await readTextFile(file.uri));
+  if (rows.length === 0) {
+    throw new Error('O arquivo está vazio.');
+  }
+  return { fileName: file.name, rows };
+};
+
+// --- Predefinições de mapeamento (salvas nas preferências) ---
+
+/**
+ * @returns {Promise<Array<{name: string, mapping: CsvMapping}>>} As predefinições salvas.
+ */
+export const getCsvPresets = async () => (await getSettings()).csvImportPresets || [];
+
+/**
+ * Salva (ou substitui, se o nome já existir) uma predefinição de mapeamento.
+ * @param {string} name - Nome da predefinição (ex: "Banco X").
+ * @param {CsvMapping} mapping - O mapeamento.
+ * @returns {Promise<Array<{name: string, mapping: CsvMapping}>>} As predefinições atualizadas.
+ */
+export const saveCsvPreset = async (name, mapping) => {
+  const presets = (await getCsvPresets()).filter(preset => preset.name !== name);
+  const next = [...presets, { name, mapping }].sort((a, b) => a.name.localeCompare(b.name));
+  await updateSettings({ csvImportPresets: next });
+  return next;
+};
+
+/**
+ * Remove uma predefinição de mapeamento.
+ * @param {string} name - Nome da predefinição.
+ * @returns {Promise<Array<{name: string, mapping: CsvMapping}>>} As predefinições atualizadas.
+ */
+export const deleteCsvPreset = async (name) => {
+  const next = (await getCsvPresets()).filter(preset => preset.name !== name);
+  await updateSettings({ csvImportPresets: next });
+  return next;
+};
@@ -0,0 +1,64 @@
+// utils/defaultCategories.js
+
+/**
+ * @file Conjunto padrão de categorias de despesas, criado em cada perfil pela migração 3
+ * (ver utils/migrations.js) e recriado ao apagar todos os dados.
+ *
+ * Os IDs são fixos ("cat-..."): dois aparelhos que criam as categorias padrão de forma
+ * independente geram os mesmos registros, e a sincronização não as duplica.
+ */
+
+/**
+ * Categorias principais e suas subcategorias: [id, nome, ícone, cor, subcategorias].
+ * As subcategorias herdam a cor da principal.
+ */
+const DEFAULT_CATEGORY_TREE = [
+  ['cat-moradia', 'Moradia', 'home-outline', '#6f42c1', [
+    ['cat-aluguel', 'Aluguel', 'key-outline'],
+    ['cat-condominio', 'Condomínio', 'business-outline'],
+    ['cat-contas-casa', 'Contas da casa', 'flash-outline'],
+  ]],
+  ['cat-alimentacao', 'Alimentação', 'restaurant-outline', '#fd7e14', [
+    ['cat-supermercado', 'Supermercado', 'cart-outline'],
+    ['cat-restaurantes', 'Restaurantes', 'cafe-outline'],
+    ['cat-delivery', 'Delivery', 'fast-food-outline'],
+  ]],
+  ['cat-transporte', 'Transporte', 'car-outline', '#007bff', [
+    ['cat-combustivel', 'Combustível', 'speedometer-outline'],
+    ['cat-transporte-publico', 'Transporte público', 'bus-outline'],
+    ['cat-aplicativos-transporte', 'Aplicativos de transporte', 'phone-portrait-outline'],
+  ]],
+  ['cat-saude', 'Saúde', 'medkit-outline', '#dc3545', [
+    ['cat-farmacia', 'Farmácia', 'bandage-outline'],
+    ['cat-plano-saude', 'Plano de saúde', 'heart-outline'],
+    ['cat-consultas', 'Consultas', 'medical-outline'],
+  ]],
+  ['cat-educacao', 'Educação', 'school-outline', '#20c997', []],
+  ['cat-lazer', 'Lazer', 'game-controller-outline', '#e83e8c', []],
+  ['cat-compras', 'Compras', 'bag-handle-outline', '#ffc107', [
+    ['cat-vestuario', 'Vestuário', 'shirt-outline'],
+  ]],
+  ['cat-servicos', 'Serviços e assinaturas', 'wifi-outline', '#17a2b8', [
+    ['cat-internet-telefone', 'Internet e telefone', 'call-outline'],
+    ['cat-streaming', 'Streaming', 'tv-outline'],
+  ]],
+  ['cat-impostos', 'Impostos e taxas', 'receipt-outline', '#6c757d', []],
+  ['cat-pets', 'Pets', 'paw-outline', '#8d6e63', []],
+  ['cat-outros', 'Outros', 'ellipsis-horizontal-circle-outline', '#adb5bd', []],
+];
+
+/**
+ * Cria as categorias padrão.
+ * @returns {import('./financeRepository').Category[]} As categorias, principais antes das subcategorias.
+ */
+export const createDefaultCategories = () => {
+  const createdAt = new Date().toISOString();
+  const toCategory = (id, name, icon, color, parentId) => ({
+    id, name, icon, color, parentId, archivedAt: null, createdAt,
+  });
+  return [
+    ...DEFAULT_CATEGORY_TREE.map(([id, name, icon, color]) => toCategory(id, name, icon, color, null)),
+    ...DEFAULT_CATEGORY_TREE.flatMap(([parentId, , , color, children]) =>
+      children.map(([id, name, icon]) => toCategory(id, name, icon, color, parentId))),
+  ];
+};
@@ -0,0 +1,210 @@
+// utils/encryptedStorage.js
+
+/**
+ * @file Camada sobre o AsyncStorage que cifra os dados financeiros salvos no aparelho.
+ * Receitas, despesas, cartões, preferências, o histórico de alterações e os controles da
+ * sincronização e da importação (que revelam IDs, datas de exclusão e identificadores do banco)
+ * são gravados cifrados com a chave de dados, que só fica em memória depois do login com o PIN
+ * (ver utils/appLock.js). Só a versão do esquema e a lista de perfis ficam em texto puro: são
+ * lidas antes do login e não contêm dados financeiros.
+ *
+ * Tem a mesma interface do AsyncStorage (`getItem`, `setItem`, `removeItem`, `clear`), então
+ * os módulos que gravam dados só trocam a importação. Ler ou gravar um dado cifrado antes do
+ * login lança um erro.
+ *
+ * Cada perfil (ver utils/profiles.js) tem os seus próprios dados: as chaves de
+ * `ASYNC_STORAGE_KEYS` são gravadas com o prefixo do perfil ativo (`profileStorageKey`), e
+ * `clear` apaga apenas os dados desse perfil. Só a lista de perfis é compartilhada.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ASYNC_STORAGE_KEYS } from './constants';
+import { isEncrypted, encryptString, decryptString } from './encryption';
+
+// Chaves gravadas cifradas
+const ENCRYPTED_KEYS = [
+  ASYNC_STORAGE_KEYS.INCOMES,
+  ASYNC_STORAGE_KEYS.EXPENSES,
+  ASYNC_STORAGE_KEYS.CARDS,
+  ASYNC_STORAGE_KEYS.CATEGORIES,
+  ASYNC_STORAGE_KEYS.BUDGETS,
+  ASYNC_STORAGE_KEYS.SETTINGS,
+  ASYNC_STORAGE_KEYS.AUDIT_LOG,
+  ASYNC_STORAGE_KEYS.SYNC_TOMBSTONES,
+  ASYNC_STORAGE_KEYS.SYNC_STATE,
+  ASYNC_STORAGE_KEYS.IMPORTED_IDS,
+];
+
+// Chaves compartilhadas por todos os perfis (gravadas sem prefixo)
+const GLOBAL_KEYS = [ASYNC_STORAGE_KEYS.PROFILES];
+
+// Chave de dados em memória (null enquanto o app está bloqueado)
+let dataKey = null;
+// Perfil cujos dados são lidos e gravados (null antes da escolha do perfil)
+let activeProfileId = null;
+
+/**
+ * Monta a chave em que um dado de um perfil é gravado.
+ * Também usada para as chaves do SecureStore (só letras, números, ".", "-" e "_").
+ * @param {string} profileId - ID do perfil.
+ * @param {string} key - Chave de `ASYNC_STORAGE_KEYS` ou `SECURE_STORE_KEYS`.
+ * @returns {string} A chave com o prefixo do perfil (ex: "profile.1712345678901.incomes").
+ */
+export const profileStorageKey = (profileId, key) => `profile.${profileId}.${key}`;
+
+/**
+ * Troca o perfil cujos dados são lidos e gravados. Chamado ao escolher o perfil no login
+ * (e com null ao sair dele), sempre com o app bloqueado.
+ * @param {string|null} profileId - ID do perfil.
+ */
+export const setActiveProfileId = (profileId) => {
+  activeProfileId = profileId;
+};
+
+/**
+ * @returns {string|null} O ID do perfil ativo, ou null se nenhum foi escolhido.
+ */
+export const getActiveProfileId = () => activeProfileId;
+
+/**
+ * Exige que um perfil tenha sido escolhido.
+ * @returns {string} O ID do perfil ativo.
+ * @throws {Error} Se nenhum perfil foi escolhido.
+ */
+export const requireActiveProfileId = () => {
+  if (!activeProfileId) {
+    throw new Error('Nenhum perfil selecionado.');
+  }
+  return activeProfileId;
+};
+
+/**
+ * Converte a chave usada pelo app na chave gravada no AsyncStorage.
+ * @param {string} key - A chave.
+ * @returns {string} A chave com o prefixo do perfil ativo (ou a própria, se for compartilhada).
+ * @throws {Error} Se nenhum perfil foi escolhido.
+ */
+const resolveKey = (key) => (GLOBAL_KEYS.includes(key) ? key : profileStorageKey(requireActiveProfileId(), key));
+
+/**
+ * Exige que a chave de dados esteja disponível.
+ * @throws {Error} Se o app ainda não foi desbloqueado.
+ */
+const requireDataKey = () => {
+  if (!dataKey) {
+    throw new Error('Os dados estão bloqueados. Entre com o PIN para acessá-los.');
+  }
+  return dataKey;
+};
+
+/**
+ * Define a chave de dados usada para cifrar e decifrar (chamado pelo login com PIN).
+ * @param {Uint8Array} key - A chave de dados.
+ */
+export const setDataKey = (key) => {
+  dataKey = key;
+};
+
+/**
+ * @returns {Uint8Array|null} A chave de dados em memória, ou null se o app está bloqueado.
+ */
+export const getDataKey = () => dataKey;
+
+/**
+ * Descarta a chave de dados da memória (ex: ao redefinir o PIN).
+ */
+export const clearDataKey = () => {
+  dataKey = null;
+};
+
+/**
+ * @returns {boolean} true se os dados cifrados podem ser lidos.
+ */
+export const isStorageUnlocked = () => dataKey !== null;
+
+/**
+ * Lê um valor salvo, decifrando-o se necessário.
+ * Valores gravados em texto puro antes da criptografia existir são devolvidos como estão.
+ * @param {string} key - A chave.
+ * @returns {Promise<string|null>} O valor, ou null se não existir.
+ */
+export const getItem = async (key) => {
+  const value = await AsyncStorage.getItem(resolveKey(key));
+  if (value === null || !isEncrypted(value)) {
+    return value;
+  }
+  return decryptString(requireDataKey(), value);
+};
+
+/**
+ * Grava um valor, cifrando-o se a chave for de dados financeiros.
+ * @param {string} key - A chave.
+ * @param {string} value - O valor.
+ */
+export const setItem = async (key, value) => {
+  const stored = ENCRYPTED_KEYS.includes(key) ? encryptString(requireDataKey(), value) : value;
+  await AsyncStorage.setItem(resolveKey(key), stored);
+};
+
+/**
+ * Remove um valor salvo.
+ * @param {string} key - A chave.
+ */
+export const removeItem = (key) => AsyncStorage.removeItem(resolveKey(key));
+
+/**
+ * Remove todos os valores salvos de um perfil.
+ * @param {string} profileId - ID do perfil.
+ */
+export const clearProfileItems = async (profileId) => {
+  const prefix = profileStorageKey(profileId, '');
+  const keys = (await AsyncStorage.getAllKeys()).filter(key => key.startsWith(prefix));
+  await AsyncStorage.multiRemove(keys);
+};
+
+/**
+ * Remove todos os valores salvos do perfil ativo. Os dados dos outros perfis não são afetados.
+ */
+export const clear = () => clearProfileItems(requireActiveProfileId());
+
+/**
+ * Lê os dados gravados sem prefixo, de antes de existirem perfis.
+ * @returns {Promise<Array<[string, string]>>} Pares [chave, valor] que ainda existem.
+ */
+const getLegacyEntries = async () => {
+  const legacyKeys = Object.values(ASYNC_STORAGE_KEYS).filter(key => !GLOBAL_KEYS.includes(key));
+  return (await AsyncStorage.multiGet(legacyKeys)).filter(([, value]) => value !== null);
+};
+
+/**
+ * @returns {Promise<boolean>} true se há dados de antes de existirem perfis.
+ */
+export const hasLegacyItems = async () => (await getLegacyEntries()).length > 0;
+
+/**
+ * Passa para um perfil os dados gravados sem prefixo, de antes de existirem perfis.
+ * Os valores são copiados como estão (cifrados ou não) e só então removidos das chaves antigas,
+ * então a operação pode ser repetida se o app fechar no meio.
+ * @param {string} profileId - ID do perfil que recebe os dados.
+ */
+export const adoptLegacyItems = async (profileId) => {
+  const entries = await getLegacyEntries();
+  if (entries.length === 0) return;
+  await AsyncStorage.multiSet(entries.map(([key, value]) => [profileStorageKey(profileId, key), value]));
+  await AsyncStorage.multiRemove(entries.map(([key]) => key));
+};
+
+/**
+ * Cifra os dados que ainda estão em texto puro (gravados antes da criptografia existir).
+ * Chamado no login, antes de qualquer tela ler os dados.
+ * @returns {Promise<void>}
+ */
+export const encryptPlaintextItems = async () => {
+  const key = requireDataKey();
+  for (const storageKey of ENCRYPTED_KEYS.map(resolveKey)) {
+    const value = await AsyncStorage.getItem(storageKey);
+    if (value !== null && !isEncrypted(value)) {
+      await AsyncStorage.setItem(storageKey, encryptString(key, value));
+    }
+  }
+};
@@ -0,0 +1,153 @@
+// utils/encryption.js
+
+/**
+ * @file Funções de criptografia usadas para proteger os dados salvos no aparelho.
+ * - AES-256-GCM para cifrar textos (o GCM também detecta textos adulterados ou chave errada);
+ * - PBKDF2-SHA256 para derivar uma chave a partir do PIN.
+ * Os bytes aleatórios (chaves, salts e nonces) vêm do gerador seguro do sistema (expo-crypto).
+ */
+
+import { gcm } from '@noble/ciphers/aes';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import * as Crypto from 'expo-crypto';
+
+// Prefixo dos textos cifrados, com a versão do formato
+const ENCRYPTED_PREFIX = 'enc:v1:';
+// Tamanho do nonce do AES-GCM, em bytes
+const NONCE_LENGTH = 12;
+// Tamanho das chaves, em bytes (AES-256)
+const KEY_LENGTH = 32;
+
+/** Iterações do PBKDF2 usadas em novas derivações de chave. */
+export const KEY_DERIVATION_ITERATIONS = 20000;
+
+/**
+ * Converte bytes para texto hexadecimal.
+ * @param {Uint8Array} bytes - Os bytes.
+ * @returns {string} O texto hexadecimal.
+ */
+export const bytesToHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Converte texto hexadecimal para bytes.
+ * @param {string} hex - O texto hexadecimal.
+ * @returns {Uint8Array} Os bytes.
+ */
+export const hexToBytes = (hex) => Uint8Array.from(hex.match(/.{2}/g) || [], pair => parseInt(pair, 16));
+
+/**
+ * Converte bytes para base64 (mais compacto que hexadecimal para os dados cifrados).
+ * @param {Uint8Array} bytes - Os bytes.
+ * @returns {string} O texto em base64.
+ */
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  // Em blocos, para não estourar o limite de argumentos de String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Converte base64 para bytes.
+ * @param {string} base64 - O texto em base64.
+ * @returns {Uint8Array} Os bytes.
+ */
+const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Decodifica bytes UTF-8 (o Hermes tem TextEncoder, mas não TextDecoder).
+ * @param {Uint8Array} bytes - Os bytes.
+ * @returns {string} O texto.
+ */
+const utf8Decode = (bytes) => {
+  const chunks = [];
+  let codes = [];
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i++];
+    let code;
+    if (byte < 0x80) {
+      code = byte;
+    } else if (byte < 0xe0) {
+      code = ((byte & 0x1f) << 6) | (bytes[i++] & 0x3f);
+    } else if (byte < 0xf0) {
+      code = ((byte & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else {
+      code = ((byte & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    }
+    codes.push(code);
+    if (codes.length >= 0x4000) {
+      chunks.push(String.fromCodePoint(...codes));
+      codes = [];
+    }
+  }
+  chunks.push(String.fromCodePoint(...codes));
+  return chunks.join('');
+};
+
+/**
+ * Gera uma nova chave aleatória.
+ * @returns {Uint8Array} A chave.
+ */
+export const generateKey = () => Crypto.getRandomBytes(KEY_LENGTH);
+
+/**
+ * Gera um salt aleatório para a derivação de chave.
+ * @returns {string} O salt em hexadecimal.
+ */
+export const generateSalt = () => bytesToHex(Crypto.getRandomBytes(16));
+
+/**
+ * Deriva uma chave a partir do PIN.
+ * @param {string} pin - O PIN.
+ * @param {string} salt - Salt em hexadecimal.
+ * @param {number} iterations - Iterações do PBKDF2.
+ * @returns {Promise<Uint8Array>} A chave derivada.
+ */
+export const deriveKey = (pin, salt, iterations) =>
+  pbkdf2Async(sha256, pin, hexToBytes(salt), { c: iterations, dkLen: KEY_LENGTH });
+
+/**
+ * Indica se um texto salvo está cifrado.
+ * @param {string} value - O texto salvo.
+ * @returns {boolean} true se o texto foi gerado por `encryptString`.
+ */
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * Cifra um texto.
+ * @param {Uint8Array} key - A chave.
+ * @param {string} text - O texto.
+ * @returns {string} O texto cifrado, com prefixo de formato.
+ */
+export const encryptString = (key, text) => {
+  const nonce = Crypto.getRandomBytes(NONCE_LENGTH);
+  const cipherBytes = gcm(key, nonce).encrypt(new TextEncoder().encode(text));
+  const payload = new Uint8Array(nonce.length + cipherBytes.length);
+  payload.set(nonce);
+  payload.set(cipherBytes, nonce.length);
+  return ENCRYPTED_PREFIX + bytesToBase64(payload);
+};
+
+/**
+ * Decifra um texto gerado por `encryptString`.
+ * @param {Uint8Array} key - A chave.
+ * @param {string} value - O texto cifrado.
+ * @returns {string} O texto original.
+ * @throws {Error} Se a chave estiver errada ou o texto tiver sido alterado.
+ */
+export const decryptString = (key, value) => {
+  const payload = base64ToBytes(value.slice(ENCRYPTED_PREFIX.length));
+  const nonce = payload.subarray(0, NONCE_LENGTH);
+  return utf8Decode(gcm(key, nonce).decrypt(payload.subarray(NONCE_LENGTH)));
+};
@@ -0,0 +1,62 @@
+// utils/fileSharing.js
+
+/**
+ * @file Troca de arquivos de texto com o sistema:
+ * - Gravação de arquivos gerados pelo app (backup, CSV) e envio para a folha de
+ *   compartilhamento, de onde o usuário salva ou envia o arquivo.
+ * - Seleção de um arquivo pelo usuário (backup, extratos) e leitura do seu conteúdo.
+ */
+
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+
+/**
+ * Grava um arquivo de texto no cache do app e abre a folha de compartilhamento.
+ * @param {string} fileName - Nome do arquivo (ex: "backup.json").
+ * @param {string} content - Conteúdo do arquivo.
+ * @param {{mimeType: string, UTI: string, dialogTitle: string}} options - Tipo do arquivo e título da folha.
+ * @returns {Promise<string>} Caminho do arquivo gerado.
+ */
+export const shareTextFile = async (fileName, content, options) => {
+  const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(fileUri, content);
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('O compartilhamento de arquivos não está disponível neste dispositivo.');
+  }
+  await Sharing.shareAsync(fileUri, options);
+  return fileUri;
+};
+
+/**
+ * Abre o seletor de arquivos do sistema e devolve o arquivo escolhido.
+ * @param {string[]} types - Tipos MIME aceitos.
+ * @returns {Promise<{uri: string, name: string}|null>} O arquivo (já copiado para o cache), ou null se o usuário cancelar.
+ */
+export const pickFile = async (types) => {
+  const result = await DocumentPicker.getDocumentAsync({ type: types, copyToCacheDirectory: true });
+  if (result.canceled) {
+    return null;
+  }
+  const { uri, name } = result.assets[0];
+  return { uri, name };
+};
+
+/**
+ * Lê um arquivo de texto em UTF-8.
+ * @param {string} uri - Caminho do arquivo.
+ * @returns {Promise<string>} O conteúdo do arquivo.
+ */
+export const readTextFile = (uri) => FileSystem.readAsStringAsync(uri);
+
+/**
+ * Lê um arquivo de texto em Latin-1 (ISO-8859-1 / Windows-1252), comum em extratos bancários.
+ * O arquivo é lido como base64 e cada byte vira um caractere.
+ * @param {string} uri - Caminho do arquivo.
+ * @returns {Promise<string>} O conteúdo do arquivo.
+ */
+export const readLatin1File = async (uri) => {
+  const base64 = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+  return atob(base64);
+};
@@ -0,0 +1,619 @@
+// utils/financeRepository.js
+
+/**
+ * @file Repositório central dos dados financeiros (receitas, despesas, cartões, categorias e orçamentos).
+ * Todas as telas leem e gravam por aqui, em vez de chamar o AsyncStorage diretamente.
+ * Os dados passam por utils/encryptedStorage.js, que os grava cifrados no aparelho.
+ *
+ * - Mantém um cache em memória de cada coleção, carregado sob demanda.
+ * - Serializa as gravações em uma fila única: cada alteração é aplicada sobre o estado
+ *   mais recente, então duas edições rápidas não sobrescrevem uma à outra.
+ * - Notifica os assinantes da coleção após cada gravação, para que as telas reajam
+ *   às mudanças sem recarregar tudo em `useFocusEffect`.
+ * - Registra no histórico de alterações (utils/auditLog.js) o que cada gravação mudou.
+ *   As funções de gravação em lote aceitam `{ source }` para indicar a origem da alteração
+ *   (importação, backup, migração...); o padrão é o próprio usuário.
+ * - Preenche `modifiedAt` em todo registro criado ou alterado e guarda uma marca de exclusão
+ *   (utils/tombstones.js) para cada registro apagado de vez, usados pela sincronização na nuvem.
+ *   Alterações vindas da própria sincronização mantêm o `modifiedAt` recebido e não geram marcas.
+ */
+
+import * as storage from './encryptedStorage';
+import { ASYNC_STORAGE_KEYS } from './constants';
+import { AUDIT_SOURCES, buildAuditEntries, appendAuditEntries } from './auditLog';
+import { addTombstones, removeTombstones } from './tombstones';
+import { createDefaultCategories } from './defaultCategories';
+import { mergeInstallmentPlan } from './installments';
+
+/**
+ * @typedef {Object} Income
+ * @property {string} id - Identificador único (timestamp em string).
+ * @property {string} name - Nome da receita.
+ * @property {number} value - Valor da receita, em centavos (inteiro).
+ * @property {boolean} [valueInCents] - Marca dos registros antigos já convertidos para centavos (ver utils/migrations.js).
+ * @property {'Fixo'|'Ganho'} type - Receita fixa mensal ou ganho pontual.
+ * @property {number} [month] - Mês do ganho (0-11), apenas para 'Ganho'.
+ * @property {number} [year] - Ano do ganho, apenas para 'Ganho'.
+ * @property {string[]} [excludedMonths] - Meses ("MM/AAAA") em que a receita fixa não conta.
+ * @property {import('./trash').ClearedMonth[]} [clearedMonths] - Meses excluídos pela limpeza de mês, ainda na lixeira.
+ * @property {import('./recurrence').RecurrenceEnd|null} [recurrenceEnd] - Fim da receita fixa (ver utils/recurrence.js).
+ * @property {string[]} [tags] - Tags livres (ver utils/tags.js).
+ * @property {string} [externalId] - Identificador do lançamento de origem, quando importado (evita duplicatas).
+ * @property {'active'|'inactive'} status - Situação do registro (exclusão suave).
+ * @property {string|null} deletedAt - Data ISO da exclusão suave.
+ * @property {string} createdAt - Data ISO de criação.
+ * @property {string} [modifiedAt] - Data ISO da última alteração.
+ */
+
+/**
+ * @typedef {Object} Expense
+ * @property {string} id - Identificador único. Parcelas usam "ID_BASE-N".
+ * @property {string} description - Descrição da despesa.
+ * @property {number} value - Valor da despesa (ou da parcela, no crédito), em centavos (inteiro).
+ * @property {boolean} [valueInCents] - Marca dos registros antigos já convertidos para centavos (ver utils/migrations.js).
+ * @property {number} [totalValue] - Preço à vista da compra, em centavos (Crédito). Com juros (`financing`), a soma
+ *   da entrada e das parcelas é maior; a diferença são os juros.
+ * @property {import('./installments').Financing|null} [financing] - Entrada e juros da compra (Crédito).
+ * @property {'Débito'|'Crédito'|'Fixa'|'Pix'|'Dinheiro'|'Boleto'|'Transferência'} paymentMethod - Método de pagamento
+ *   (ver utils/paymentMethods.js).
+ * @property {'pending'|'paid'|'inactive'} status - Situação de pagamento / exclusão suave.
+ * @property {string|null} paidAt - Data ISO do pagamento.
+ * @property {string} [purchaseDate] - Data ISO da compra (todos os métodos, exceto Fixa).
+ * @property {string} [dueDate] - Data ISO de vencimento (todos os métodos, exceto Fixa; igual à compra, exceto no Boleto).
+ * @property {string} [cardId] - Cartão usado (Crédito).
+ * @property {string|null} [categoryId] - Categoria da despesa (ver utils/categories.js).
+ * @property {string[]} [tags] - Tags livres (ver utils/tags.js).
+ * @property {number} [installmentNumber] - Número da parcela (Crédito; 0 na entrada).
+ * @property {boolean} [isDownPayment] - Se o registro é a entrada da compra (Crédito).
+ * @property {boolean} [isPayoff] - Se o registro é o pagamento único da antecipação (Crédito; ver utils/installments.js).
+ * @property {number[]} [settledInstallments] - Parcelas quitadas pela antecipação (Crédito, no pagamento).
+ * @property {string} [settledBy] - ID do pagamento que quitou a parcela por antecipação (Crédito).
+ * @property {number} [totalInstallments] - Total de parcelas (Crédito).
+ * @property {string} [originalExpenseId] - ID base que agrupa as parcelas (Crédito).
+ * @property {number} [dueDayOfMonth] - Dia de vencimento mensal (Fixa).
+ * @property {number} [startMonth] - Mês inicial (0-11) da despesa fixa.
+ * @property {number} [startYear] - Ano inicial da despesa fixa.
+ * @property {import('./recurrence').Recurrence} [recurrence] - Regra de recorrência (Fixa; ver utils/recurrence.js).
+ * @property {import('./recurrence').RecurrenceEnd|null} [recurrenceEnd] - Fim da recorrência (Fixa).
+ * @property {string} [seriesId] - Série à qual a versão pertence (Fixa; ver utils/fixedExpenses.js).
+ * @property {Object<string, object>} [occurrenceOverrides] - Campos alterados por ocorrência (Fixa).
+ * @property {string[]} [excludedOccurrences] - Ocorrências excluídas individualmente (Fixa).
+ * @property {boolean} [variableAmount] - Se o valor muda a cada mês e `value` é só a estimativa (Fixa).
+ * @property {{monthYear: string, status: string, paidAt: string|null, amount?: number}[]} [monthlyStatus] - Status e valor
+ *   real (em centavos) por ocorrência (Fixa; "AAAA-M" ou "AAAA-M-D").
+ * @property {string[]} [excludedMonths] - Meses excluídos (Fixa).
+ * @property {import('./trash').ClearedMonth[]} [clearedMonths] - Meses excluídos pela limpeza de mês, ainda na
+ *   lixeira (Fixa).
+ * @property {string|null} deletedAt - Data ISO da exclusão suave.
+ * @property {string} createdAt - Data ISO de criação.
+ * @property {string} [modifiedAt] - Data ISO da última alteração.
+ * @property {string} [externalId] - Identificador do lançamento de origem, quando importado (evita duplicatas).
+ */
+
+/**
+ * @typedef {Object} Card
+ * @property {string} id - Identificador único.
+ * @property {string} alias - Apelido do cartão.
+ * @property {number} dueDayOfMonth - Dia de vencimento da fatura (1-31).
+ * @property {'active'|'inactive'} status - Situação do registro (exclusão suave).
+ * @property {string|null} [deletedAt] - Data ISO da exclusão suave.
+ * @property {string} createdAt - Data ISO de criação.
+ * @property {string} [modifiedAt] - Data ISO da última alteração.
+ */
+
+/**
+ * @typedef {Object} Category
+ * @property {string} id - Identificador único ("cat-..." nas categorias padrão).
+ * @property {string} name - Nome da categoria.
+ * @property {string} icon - Nome do ícone (Ionicons).
+ * @property {string} color - Cor da categoria.
+ * @property {string|null} parentId - Categoria principal, nas subcategorias (apenas um nível).
+ * @property {string|null} archivedAt - Data ISO do arquivamento; arquivadas não aparecem no seletor.
+ * @property {string} createdAt - Data ISO de criação.
+ * @property {string} [modifiedAt] - Data ISO da última alteração.
+ */
+
+/**
+ * @typedef {Object} Budget
+ * @property {string} id - Identificador único.
+ * @property {string} name - Nome do orçamento.
+ * @property {'all'|'paymentMethod'|'card'|'keywords'} scope - Despesas que contam no orçamento (ver utils/budgets.js).
+ * @property {string|null} paymentMethod - Método de pagamento, no escopo 'paymentMethod'.
+ * @property {string|null} cardId - Cartão, no escopo 'card'.
+ * @property {string[]} keywords - Palavras procuradas na descrição, no escopo 'keywords'.
+ * @property {number} amount - Limite mensal padrão, em centavos (inteiro).
+ * @property {Object<string, number>} monthlyAmounts - Limites de meses específicos ("AAAA-M", mês 0-11), em centavos.
+ * @property {boolean} rollover - Se a sobra de um mês passa para o mês seguinte.
+ * @property {number} startMonth - Mês (0-11) a partir do qual o orçamento vale.
+ * @property {number} startYear - Ano a partir do qual o orçamento vale.
+ * @property {string} createdAt - Data ISO de criação.
+ * @property {string} [modifiedAt] - Data ISO da última alteração.
+ */
+
+// Coleções de dados financeiros gerenciadas por este repositório
+const COLLECTION_KEYS = [
+  ASYNC_STORAGE_KEYS.INCOMES,
+  ASYNC_STORAGE_KEYS.EXPENSES,
+  ASYNC_STORAGE_KEYS.CARDS,
+  ASYNC_STORAGE_KEYS.CATEGORIES,
+  ASYNC_STORAGE_KEYS.BUDGETS,
+];
+
+// Cache em memória de cada coleção, indexado pela chave do AsyncStorage
+const cache = {};
+// Assinantes de cada coleção, indexados pela chave do AsyncStorage
+const listeners = {};
+// Assinantes de cada gravação (ver `subscribeMutations`)
+let mutationListeners = [];
+// Fila de gravações: cada tarefa só começa quando a anterior termina
+let writeQueue = Promise.resolve();
+
+/**
+ * Coloca uma tarefa na fila de gravações.
+ * Uma falha rejeita apenas a promessa de quem chamou; a fila segue para a próxima tarefa.
+ * @param {Function} task - Função assíncrona a ser executada com exclusividade.
+ * @returns {Promise<any>} O resultado da tarefa.
+ */
+const enqueue = (task) => {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Avisa todos os assinantes de uma coleção sobre o seu novo conteúdo.
+ * @param {string} key - Chave da coleção no AsyncStorage.
+ */
+const notify = (key) => {
+  (listeners[key] || []).forEach(listener => {
+    try {
+      listener(cache[key]);
+    } catch (error) {
+      console.error(`financeRepository: Erro em assinante de "${key}":`, error);
+    }
+  });
+};
+
+/**
+ * Avisa os assinantes de gravações sobre uma alteração recém-gravada.
+ * @param {Mutation} mutation - A alteração.
+ */
+const notifyMutation = (mutation) => {
+  mutationListeners.forEach(listener => {
+    try {
+      listener(mutation);
+    } catch (error) {
+      console.error('financeRepository: Erro em assinante de gravações:', error);
+    }
+  });
+};
+
+/**
+ * Lê uma coleção, usando o cache quando disponível.
+ * @param {string} key - Chave da coleção no AsyncStorage.
+ * @returns {Promise<Array<object>>} Os registros da coleção.
+ */
+const readCollection = async (key) => {
+  if (cache[key]) {
+    return cache[key];
+  }
+  const json = await storage.getItem(key);
+  cache[key] = json ? JSON.parse(json) : [];
+  return cache[key];
+};
+
+/**
+ * Preenche `modifiedAt` nos registros criados ou alterados (os inalterados são os mesmos objetos).
+ * @param {Array<object>} current - Lista antes da alteração.
+ * @param {Array<object>} next - Lista depois da alteração.
+ * @returns {Array<object>} A lista com as datas de alteração atualizadas.
+ */
+const stampModified = (current, next) => {
+  const modifiedAt = new Date().toISOString();
+  const currentById = new Map(current.map(record => [record.id, record]));
+  return next.map(record => (currentById.get(record.id) === record ? record : { ...record, modifiedAt }));
+};
+
+/**
+ * Aplica uma alteração sobre uma coleção e persiste o resultado, dentro da fila de gravações.
+ * O `updater` recebe a lista mais recente e deve devolver uma NOVA lista (sem mutar os objetos),
+ * ou a própria lista recebida quando não há nada a alterar (nesse caso nada é gravado).
+ * @param {string} key - Chave da coleção no AsyncStorage.
+ * @param {function(Array<object>): Array<object>} updater - Função que produz a nova lista.
+ * @param {{source?: string}} [options] - Origem da alteração, registrada no histórico.
+ * @returns {Promise<Array<object>>} A lista persistida.
+ */
+const mutateCollection = (key, updater, { source = AUDIT_SOURCES.USER } = {}) => enqueue(async () => {
+  const current = await readCollection(key);
+  const fromSync = source === AUDIT_SOURCES.SYNC;
+  const updated = await updater(current);
+  if (updated === current) {
+    return current;
+  }
+  // Registros vindos da nuvem já trazem a data da outra ponta, e as migrações só mudam o formato:
+  // uma data nova venceria, na sincronização, edições mais recentes feitas em outro aparelho
+  const keepModifiedAt = fromSync || source === AUDIT_SOURCES.MIGRATION;
+  const next = keepModifiedAt ? updated : stampModified(current, updated);
+  await storage.setItem(key, JSON.stringify(next));
+  cache[key] = next;
+  notify(key);
+  notifyMutation({ key, before: current, after: next, source });
+  try {
+    await appendAuditEntries(buildAuditEntries(key, current, next, source));
+  } catch (error) {
+    // A gravação dos dados já foi concluída; uma falha no histórico não deve desfazê-la
+    console.error(`financeRepository: Erro ao registrar histórico de "${key}":`, error);
+  }
+  if (!fromSync) {
+    try {
+      const nextIds = new Set(next.map(record => record.id));
+      await addTombstones(key, current.filter(record => !nextIds.has(record.id)).map(record => record.id));
+    } catch (error) {
+      console.error(`financeRepository: Erro ao registrar exclusões de "${key}":`, error);
+    }
+  }
+  return next;
+});
+
+/**
+ * Insere um registro ou substitui o registro existente com o mesmo `id`.
+ * @param {string} key - Chave da coleção no AsyncStorage.
+ * @param {object} item - O registro a salvar.
+ * @returns {Promise<object>} O registro salvo.
+ */
+const upsertById = async (key, item) => {
+  await mutateCollection(key, list => {
+    const index = list.findIndex(existing => existing.id === item.id);
+    if (index === -1) {
+      return [...list, item];
+    }
+    const next = [...list];
+    next[index] = item;
+    return next;
+  });
+  return item;
+};
+
+/**
+ * Atualiza um registro pelo `id`. Aceita um objeto com os campos alterados ou uma função
+ * que recebe o registro mais recente e devolve a nova versão.
+ * @param {string} key - Chave da coleção no AsyncStorage.
+ * @param {string} id - ID do registro.
+ * @param {object|function(object): object} changes - Campos alterados ou função de atualização.
+ * @returns {Promise<object>} O registro atualizado.
+ */
+const updateById = async (key, id, changes) => {
+  let updated = null;
+  await mutateCollection(key, list => {
+    const index = list.findIndex(existing => existing.id === id);
+    if (index === -1) {
+      throw new Error(`Registro ${id} não encontrado.`);
+    }
+    updated = typeof changes === 'function'
+      ? changes(list[index])
+      : { ...list[index], ...changes };
+    const next = [...list];
+    next[index] = updated;
+    return next;
+  });
+  return updated;
+};
+
+/**
+ * Marca um registro como inativo (exclusão suave), registrando a data da exclusão.
+ * @param {string} key - Chave da coleção no AsyncStorage.
+ * @param {string} id - ID do registro.
+ * @returns {Promise<object>} O registro atualizado.
+ */
+const softDeleteById = (key, id) => updateById(key, id, {
+  status: 'inactive',
+  deletedAt: new Date().toISOString(),
+});
+
+// --- Assinaturas ---
+
+/**
+ * Registra um ouvinte para as mudanças de uma coleção.
+ * @param {string} key - Chave da coleção (um dos valores de `ASYNC_STORAGE_KEYS`).
+ * @param {function(Array<object>): void} listener - Chamado com a nova lista após cada gravação.
+ * @returns {function(): void} Função que cancela a assinatura.
+ */
+export const subscribe = (key, listener) => {
+  listeners[key] = [...(listeners[key] || []), listener];
+  return () => {
+    listeners[key] = (listeners[key] || []).filter(l => l !== listener);
+  };
+};
+
+/**
+ * @typedef {Object} Mutation
+ * @property {string} key - Chave da coleção alterada.
+ * @property {Array<object>} before - A lista antes desta gravação.
+ * @property {Array<object>} after - A lista gravada.
+ * @property {string} source - Origem da alteração (ver `AUDIT_SOURCES`).
+ */
+
+/**
+ * Registra um ouvinte para cada gravação feita pelo repositório, com a lista antes e depois dela.
+ * O ouvinte é chamado dentro da fila de gravações, então o par antes/depois pertence só àquela
+ * gravação, mesmo com outras alterações acontecendo ao mesmo tempo.
+ * @param {function(Mutation): void} listener - Chamado após cada gravação.
+ * @returns {function(): void} Função que cancela a assinatura.
+ */
+export const subscribeMutations = (listener) => {
+  mutationListeners = [...mutationListeners, listener];
+  return () => {
+    mutationListeners = mutationListeners.filter(l => l !== listener);
+  };
+};
+
+/**
+ * Descarta o cache de todas as coleções, depois das gravações pendentes. Usado ao sair de um
+ * perfil: as próximas leituras já buscam os dados do perfil escolhido em seguida.
+ * @returns {Promise<void>}
+ */
+export const clearCache = () => enqueue(async () => {
+  COLLECTION_KEYS.forEach(key => {
+    delete cache[key];
+  });
+});
+
+/**
+ * Retorna o conteúdo da coleção já em cache, sem acessar o armazenamento.
+ * @param {string} key - Chave da coleção.
+ * @returns {Array<object>|undefined} A lista em cache, ou undefined se ainda não foi carregada.
+ */
+export const peekCollection = (key) => cache[key];
+
+/**
+ * Lê uma coleção completa (incluindo registros inativos).
+ * @param {string} key - Chave da coleção.
+ * @returns {Promise<Array<object>>} Os registros da coleção.
+ */
+export const getCollection = (key) => readCollection(key);
+
+/**
+ * Aplica uma alteração sobre uma coleção qualquer (ex: desfazer uma ação em várias coleções).
+ * @param {string} key - Chave da coleção.
+ * @param {function(Array<object>): Array<object>} updater - Função que produz a nova lista.
+ * @param {{source?: string}} [options] - Origem da alteração, registrada no histórico.
+ * @returns {Promise<Array<object>>} A lista persistida.
+ */
+export const updateCollection = (key, updater, options) => mutateCollection(key, updater, options);
+
+/**
+ * Descarta as marcas de exclusão já enviadas para a nuvem, dentro da fila de gravações
+ * (para não competir com as marcas gravadas por `mutateCollection`).
+ * @param {import('./tombstones').Tombstone[]} sent - As marcas enviadas.
+ * @returns {Promise<void>}
+ */
+export const acknowledgeTombstones = (sent) => enqueue(() => removeTombstones(sent));
+
+// --- Receitas ---
+
+/** @returns {Promise<Income[]>} Todas as receitas, incluindo as inativas. */
+export const getIncomes = () => readCollection(ASYNC_STORAGE_KEYS.INCOMES);
+
+/**
+ * Adiciona ou substitui uma receita.
+ * @param {Income} income - A receita a salvar.
+ * @returns {Promise<Income>} A receita salva.
+ */
+export const saveIncome = (income) => upsertById(ASYNC_STORAGE_KEYS.INCOMES, income);
+
+/**
+ * Adiciona novas receitas de uma vez (ex: receitas importadas de um extrato).
+ * @param {Income[]} newIncomes - As receitas a adicionar.
+ * @param {{source?: string}} [options] - Origem da alteração, registrada no histórico.
+ * @returns {Promise<Income[]>} A lista persistida.
+ */
+export const addIncomes = (newIncomes, options) => mutateCollection(
+  ASYNC_STORAGE_KEYS.INCOMES,
+  list => [...list, ...newIncomes],
+  options
+);
+
+/**
+ * Aplica uma alteração sobre a lista completa de receitas.
+ * @param {function(Income[]): Income[]} updater - Função que produz a nova lista.
+ * @param {{source?: string}} [options] - Origem da alteração, registrada no histórico.
+ * @returns {Promise<Income[]>} A lista persistida.
+ */
+export const updateIncomes = (updater, options) => mutateCollection(ASYNC_STORAGE_KEYS.INCOMES, updater, options);
+
+/**
+ * Exclusão suave de uma receita.
+ * @param {string} id - ID da receita.
+ * @returns {Promise<Income>} A receita marcada como inativa.
+ */
+export const softDeleteIncome = (id) => softDeleteById(ASYNC_STORAGE_KEYS.INCOMES, id);
+
+// --- Despesas ---
+
+/** @returns {Promise<Expense[]>} Todas as despesas, incluindo as inativas. */
+export const getExpenses = () => readCollection(ASYNC_STORAGE_KEYS.EXPENSES);
+
+/**
+ * Adiciona novas despesas (ex: todas as parcelas de uma compra no crédito).
+ * @param {Expense[]} newExpenses - As despesas a adicionar.
+ * @param {{source?: string}} [options] - Origem da alteração, registrada no histórico.
+ * @returns {Promise<Expense[]>} A lista persistida.
+ */
+export const addExpenses = (newExpenses, options) => mutateCollection(
+  ASYNC_STORAGE_KEYS.EXPENSES,
+  list => [...list, ...newExpenses],
+  options
+);
+
+/**
+ * Atualiza uma despesa pelo `id`.
+ * @param {string} id - ID da despesa armazenada.
+ * @param {object|function(Expense): Expense} changes - Campos alterados ou função de atualização.
+ * @returns {Promise<Expense>} A despesa atualizada.
+ */
+export const updateExpense = (id, changes) => updateById(ASYNC_STORAGE_KEYS.EXPENSES, id, changes);
+
+/**
+ * Substitui as parcelas de uma compra no crédito por um novo plano de parcelas, mantendo o status
+ * e a data de pagamento das parcelas que continuam no plano (ver `mergeInstallmentPlan` em
+ * utils/installments.js). Parcelas sem mudança não são regravadas.
+ * @param {string} originalExpenseId - ID base que agrupa as parcelas.
+ * @param {Expense[]} installments - As novas parcelas.
+ * @returns {Promise<Expense[]>} A lista persistida.
+ */
+export const replaceExpenseInstallments = (originalExpenseId, installments) => mutateCollection(
+  ASYNC_STORAGE_KEYS.EXPENSES,
+  list => [
+    ...list.filter(e => e.originalExpenseId !== originalExpenseId),
+    ...mergeInstallmentPlan(list.filter(e => e.originalExpenseId === originalExpenseId), installments).installments,
+  ]
+);
+
+/**
+ * Aplica uma alteração sobre a lista completa de despesas.
+ * @param {function(Expense[]): Expense[]} updater - Função que produz a nova lista.
+ * @param {{source?: string}} [options] - Origem da alteração, registrada no histórico.
+ * @returns {Promise<Expense[]>} A lista persistida.
+ */
+export const updateExpenses = (updater, options) => mutateCollection(ASYNC_STORAGE_KEYS.EXPENSES, updater, options);
+
+/**
+ * Exclusão suave de uma despesa.
+ * - Crédito: inativa todas as parcelas da mesma compra.
+ * - Fixa: inativa a despesa e registra o mês atual em `excludedMonths`.
+ * - Débito e demais despesas únicas: inativa apenas a despesa informada.
+ * @param {string} expenseId - ID da despesa (ou ID base, no caso de parcelas).
+ * @returns {Promise<Expense[]>} A lista persistida.
+ */
+export const softDeleteExpense = (expenseId) => mutateCollection(ASYNC_STORAGE_KEYS.EXPENSES, list => {
+  const baseId = expenseId.split('-')[0]; // Extrai o ID base
+
+  // Encontra a despesa original ou qualquer parcela relacionada para determinar o tipo
+  const currentExpense = list.find(exp =>
+    exp.id === baseId ||
+    exp.id.startsWith(baseId + '-') ||
+    exp.originalExpenseId === baseId
+  );
+
+  if (!currentExpense) {
+    throw new Error('Despesa não encontrada.');
+  }
+
+  const now = new Date().toISOString();
+  return list.map(exp => {
+    // Para despesas de Crédito, exclui todas as parcelas relacionadas
+    if (currentExpense.paymentMethod === 'Crédito' &&
+        (exp.originalExpenseId === baseId || exp.id === baseId || exp.id.startsWith(baseId + '-'))) {
+      return { ...exp, status: 'inactive', deletedAt: now };
+    }
+    // Para despesas Fixas, adiciona o mês atual ("MM/AAAA") à lista de meses excluídos
+    if (exp.id === expenseId && exp.paymentMethod === 'Fixa') {
+      const today = new Date();
+      const currentMonthYear = `${String(today.getMonth() + 1).padStart(2, '0')}/${today.getFullYear()}`;
+      return {
+        ...exp,
+        status: 'inactive',
+        deletedAt: now,
+        excludedMonths: [...(exp.excludedMonths || []), currentMonthYear]
+      };
+    }
+    // Para despesas únicas (Débito, Pix...), exclui apenas a específica
+    if (exp.id === expenseId) {
+      return { ...exp, status: 'inactive', deletedAt: now };
+    }
+    return exp;
+  });
+});
+
+// --- Cartões ---
+
+/** @returns {Promise<Card[]>} Todos os cartões, incluindo os inativos. */
+export const getCards = () => readCollection(ASYNC_STORAGE_KEYS.CARDS);
+
+/**
+ * Adiciona ou substitui um cartão.
+ * @param {Card} card - O cartão a salvar.
+ * @returns {Promise<Card>} O cartão salvo.
+ */
+export const saveCard = (card) => upsertById(ASYNC_STORAGE_KEYS.CARDS, card);
+
+/**
+ * Aplica uma alteração sobre a lista completa de cartões.
+ * @param {function(Card[]): Card[]} updater - Função que produz a nova lista.
+ * @param {{source?: string}} [options] - Origem da alteração, registrada no histórico.
+ * @returns {Promise<Card[]>} A lista persistida.
+ */
+export const updateCards = (updater, options) => mutateCollection(ASYNC_STORAGE_KEYS.CARDS, updater, options);
+
+/**
+ * Exclusão suave de um cartão.
+ * @param {string} id - ID do cartão.
+ * @returns {Promise<Card>} O cartão marcado como inativo.
+ */
+export const softDeleteCard = (id) => softDeleteById(ASYNC_STORAGE_KEYS.CARDS, id);
+
+// --- Categorias ---
+
+/** @returns {Promise<Category[]>} Todas as categorias, incluindo as arquivadas. */
+export const getCategories = () => readCollection(ASYNC_STORAGE_KEYS.CATEGORIES);
+
+/**
+ * Adiciona ou substitui uma categoria.
+ * @param {Category} category - A categoria a salvar.
+ * @returns {Promise<Category>} A categoria salva.
+ */
+export const saveCategory = (category) => upsertById(ASYNC_STORAGE_KEYS.CATEGORIES, category);
+
+/**
+ * Aplica uma alteração sobre a lista completa de categorias.
+ * @param {function(Category[]): Category[]} updater - Função que produz a nova lista.
+ * @param {{source?: string}} [options] - Origem da alteração, registrada no histórico.
+ * @returns {Promise<Category[]>} A lista persistida.
+ */
+export const updateCategories = (updater, options) => mutateCollection(ASYNC_STORAGE_KEYS.CATEGORIES, updater, options);
+
+// --- Orçamentos ---
+
+/** @returns {Promise<Budget[]>} Todos os orçamentos. */
+export const getBudgets = () => readCollection(ASYNC_STORAGE_KEYS.BUDGETS);
+
+/**
+ * Aplica uma alteração sobre a lista completa de orçamentos.
+ * @param {function(Budget[]): Budget[]} updater - Função que produz a nova lista.
+ * @param {{source?: string}} [options] - Origem da alteração, registrada no histórico.
+ * @returns {Promise<Budget[]>} A lista persistida.
+ */
+export const updateBudgets = (updater, options) => mutateCollection(ASYNC_STORAGE_KEYS.BUDGETS, updater, options);
+
+// --- Limpeza ---
+
+/**
+ * Remove permanentemente todos os registros de uma coleção (a exclusão também chega à nuvem e fica no histórico).
+ * @param {string} key - Chave da coleção.
+ * @param {{source?: string}} [options] - Origem da limpeza, registrada no histórico.
+ * @returns {Promise<Array<object>>} A coleção vazia.
+ */
+export const clearCollection = (key, options) =>
+  mutateCollection(key, list => (list.length > 0 ? [] : list), options);
+
+/**
+ * Apaga TODOS os dados do perfil ativo e avisa os assinantes de todas as coleções.
+ * As categorias voltam ao conjunto padrão, para que as despesas novas possam ser classificadas.
+ * A versão do esquema é preservada: os dados gravados depois já estão no formato atual
+ * e não devem passar de novo pelas migrações.
+ * O progresso da sincronização também é apagado, mas a conta na nuvem continua conectada
+ * (quem chama deve sair dela com `signOutFromCloud`); os dados na nuvem não são alterados.
+ */
+export const clearAllData = () => enqueue(async () => {
+  const schemaVersion = await storage.getItem(ASYNC_STORAGE_KEYS.SCHEMA_VERSION);
+  await storage.clear();
+  if (schemaVersion !== null) {
+    await storage.setItem(ASYNC_STORAGE_KEYS.SCHEMA_VERSION, schemaVersion);
+  }
+  const categories = createDefaultCategories();
+  await storage.setItem(ASYNC_STORAGE_KEYS.CATEGORIES, JSON.stringify(categories));
+  COLLECTION_KEYS.forEach(key => {
+    cache[key] = key === ASYNC_STORAGE_KEYS.CATEGORIES ? categories : [];
+    notify(key);
+  });
+});
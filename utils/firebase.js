@@ -0,0 +1,66 @@
+// utils/firebase.js
+
+/**
+ * @file Inicialização do Firebase (Authentication e Firestore), usada pela sincronização na nuvem.
+ * A configuração vem das variáveis de ambiente `EXPO_PUBLIC_FIREBASE_*` (ver .env.example);
+ * sem elas, a sincronização fica indisponível e o app funciona apenas com os dados locais.
+ *
+ * Cada perfil (ver utils/profiles.js) usa a sua própria instância do Firebase, com uma sessão
+ * de login separada: a conta conectada em um perfil não sincroniza os dados de outro.
+ *
+ * Com `EXPO_PUBLIC_FIREBASE_EMULATOR_HOST` definido, o app usa o Firebase Local Emulator Suite
+ * (Authentication na porta 9099 e Firestore na 8080) em vez do projeto real.
+ */
+
+import { initializeApp } from 'firebase/app';
+import { initializeAuth, getReactNativePersistence, connectAuthEmulator } from 'firebase/auth';
+import { initializeFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getActiveProfileId } from './encryptedStorage';
+
+// Configuração do projeto Firebase
+const firebaseConfig = {
+  apiKey: process.env.EXPO_PUBLIC_FIREBASE_API_KEY,
+  authDomain: process.env.EXPO_PUBLIC_FIREBASE_AUTH_DOMAIN,
+  projectId: process.env.EXPO_PUBLIC_FIREBASE_PROJECT_ID,
+  storageBucket: process.env.EXPO_PUBLIC_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: process.env.EXPO_PUBLIC_FIREBASE_MESSAGING_SENDER_ID,
+  appId: process.env.EXPO_PUBLIC_FIREBASE_APP_ID,
+};
+
+// Endereço do Firebase Local Emulator Suite (ex: "10.0.2.2" no emulador Android)
+const EMULATOR_HOST = process.env.EXPO_PUBLIC_FIREBASE_EMULATOR_HOST;
+
+// Instâncias criadas sob demanda, por perfil
+const servicesByProfile = {};
+
+/**
+ * @returns {boolean} true se o Firebase foi configurado para este build.
+ */
+export const isFirebaseConfigured = () => Boolean(firebaseConfig.apiKey && firebaseConfig.projectId);
+
+/**
+ * Retorna as instâncias do Firebase do perfil ativo, criando-as na primeira chamada.
+ * A sessão do usuário fica salva no AsyncStorage, então o login sobrevive ao fechamento do app.
+ * @returns {{auth: import('firebase/auth').Auth, db: import('firebase/firestore').Firestore}|null}
+ *   As instâncias, ou null se o Firebase não estiver configurado ou nenhum perfil foi escolhido.
+ */
+export const getFirebase = () => {
+  const profileId = getActiveProfileId();
+  if (!isFirebaseConfigured() || !profileId) {
+    return null;
+  }
+  if (!servicesByProfile[profileId]) {
+    // O nome da instância separa a sessão salva de cada perfil
+    const app = initializeApp(firebaseConfig, `profile-${profileId}`);
+    const auth = initializeAuth(app, { persistence: getReactNativePersistence(AsyncStorage) });
+    // Long polling é mais estável que WebChannel no React Native
+    const db = initializeFirestore(app, { experimentalForceLongPolling: true });
+    if (EMULATOR_HOST) {
+      connectAuthEmulator(auth, `http://${EMULATOR_HOST}:9099`, { disableWarnings: true });
+      connectFirestoreEmulator(db, EMULATOR_HOST, 8080);
+    }
+    servicesByProfile[profileId] = { auth, db };
+  }
+  return servicesByProfile[profileId];
+};
@@ -0,0 +1,430 @@
+// utils/fixedExpenses.js
+
+/**
+ * @file Alteração e exclusão de despesas fixas com alcance: só uma ocorrência, esta e as
+ * próximas, ou a série inteira.
+ *
+ * Uma série pode ter várias versões: registros com o mesmo `seriesId` (o ID da primeira versão;
+ * registros antigos, sem o campo, formam uma série sozinhos). Alterar "esta e as próximas"
+ * encerra a versão no dia anterior ao da ocorrência (`recurrenceEnd` com `day`) e cria uma versão
+ * nova a partir da própria ocorrência, de modo que as ocorrências passadas mantêm os valores da
+ * época (um aumento do aluguel não muda os meses já pagos), inclusive as do mesmo mês nas regras
+ * semanais. As versões posteriores da série passam para a versão nova.
+ *
+ * Alterar "só esta ocorrência" grava a descrição, o valor, a categoria e as tags em
+ * `occurrenceOverrides` (os demais campos valem para a série; ver `getSeriesOnlyChanges`), e excluí-la a acrescenta a `excludedOccurrences`, ambos pela chave da
+ * ocorrência (ver `getOccurrenceKey` em utils/recurrence.js).
+ */
+
+import { updateExpenses } from './financeRepository';
+import {
+  RECURRENCE_END_TYPES, getRecurrence, getOccurrencesInMonth, getOccurrenceKey, getRecurrenceEndDate,
+  getRecurrenceStartDate, usesStartDate, isSameRecurrenceEnd,
+} from './recurrence';
+
+/** Alcances de uma alteração ou exclusão. */
+export const FIXED_EDIT_SCOPES = {
+  OCCURRENCE: 'occurrence',
+  FUTURE: 'future',
+  ALL: 'all',
+};
+
+/** Nomes dos alcances, na ordem exibida. */
+export const FIXED_EDIT_SCOPE_LABELS = {
+  [FIXED_EDIT_SCOPES.OCCURRENCE]: 'Só esta ocorrência',
+  [FIXED_EDIT_SCOPES.FUTURE]: 'Esta e as próximas',
+  [FIXED_EDIT_SCOPES.ALL]: 'Toda a série',
+};
+
+// Campos que podem ser alterados em uma única ocorrência
+const OCCURRENCE_FIELDS = ['description', 'value', 'categoryId', 'tags'];
+
+// Quantidade máxima de meses procurados ao realinhar o primeiro vencimento de uma versão nova
+const MAX_MONTHS_TO_SEARCH = 120;
+
+/**
+ * @typedef {Object} FixedExpenseFields
+ * @property {string} description - Descrição.
+ * @property {number} value - Valor, em centavos.
+ * @property {string|null} categoryId - Categoria.
+ * @property {string[]} tags - Tags.
+ * @property {boolean} variableAmount - Se o valor é só a estimativa de uma conta variável.
+ * @property {import('./recurrence').Recurrence} recurrence - Regra de recorrência normalizada.
+ * @property {import('./recurrence').RecurrenceEnd|null} recurrenceEnd - Fim normalizado.
+ * @property {Date} startDate - Primeiro vencimento escolhido (regras com data de referência).
+ * @property {number} dueDayOfMonth - Dia do vencimento (demais regras).
+ */
+
+/**
+ * ID da série de uma despesa fixa.
+ * @param {object} expense - Uma versão da série.
+ * @returns {string} O ID da série.
+ */
+export const getSeriesId = (expense) => expense.seriesId || expense.id;
+
+/**
+ * Índice sequencial de um mês, para comparar meses de anos diferentes.
+ * @param {number} year - O ano.
+ * @param {number} month - O mês (0-11).
+ * @returns {number} O índice.
+ */
+const toMonthIndex = (year, month) => year * 12 + month;
+
+/**
+ * Chave de ocorrência ("AAAA-M") de um mês excluído ("MM/AAAA").
+ * @param {string} monthYear - O mês.
+ * @returns {string} A chave do mês.
+ */
+const getExclusionKey = (monthYear) => {
+  const [month, year] = monthYear.split('/').map(Number);
+  return `${year}-${month - 1}`;
+};
+
+/**
+ * Verifica se uma chave de ocorrência ("AAAA-M" ou "AAAA-M-D") é anterior a uma data. As chaves
+ * com o dia (regras semanais) são comparadas pelo dia; as demais, pelo mês.
+ * @param {string} key - A chave.
+ * @param {Date} date - A data, à meia-noite.
+ * @returns {boolean} true se a ocorrência da chave vem antes da data.
+ */
+const isKeyBefore = (key, date) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return day
+    ? new Date(year, month, day) < date
+    : toMonthIndex(year, month) < toMonthIndex(date.getFullYear(), date.getMonth());
+};
+
+/**
+ * Dados por ocorrência de uma versão (status, alterações e exclusões) das ocorrências aceitas.
+ * @param {object} expense - A versão.
+ * @param {function(string): boolean} keepKey - Recebe a chave da ocorrência e diz se o dado fica.
+ * @returns {object} Os campos `monthlyStatus`, `occurrenceOverrides`, `excludedOccurrences` e `excludedMonths`.
+ */
+const pickOccurrenceData = (expense, keepKey) => ({
+  monthlyStatus: (expense.monthlyStatus || []).filter(status => keepKey(status.monthYear)),
+  occurrenceOverrides: Object.fromEntries(
+    Object.entries(expense.occurrenceOverrides || {}).filter(([key]) => keepKey(key))
+  ),
+  excludedOccurrences: (expense.excludedOccurrences || []).filter(key => keepKey(key)),
+  excludedMonths: (expense.excludedMonths || []).filter(monthYear => keepKey(getExclusionKey(monthYear))),
+});
+
+/**
+ * Junta os dados por ocorrência de várias versões (os das versões mais novas prevalecem).
+ * @param {object[]} parts - Os dados, da versão mais antiga para a mais nova.
+ * @returns {object} Os dados combinados.
+ */
+const mergeOccurrenceData = (parts) => ({
+  monthlyStatus: parts.flatMap(part => part.monthlyStatus),
+  occurrenceOverrides: Object.assign({}, ...parts.map(part => part.occurrenceOverrides)),
+  excludedOccurrences: [...new Set(parts.flatMap(part => part.excludedOccurrences))],
+  excludedMonths: [...new Set(parts.flatMap(part => part.excludedMonths))],
+});
+
+/**
+ * Data de uma ocorrência à meia-noite, como as datas de `getOccurrencesInMonth`.
+ * @param {Date} date - A data da ocorrência.
+ * @returns {Date} A data sem o horário.
+ */
+const toOccurrenceDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Verifica se a versão tem ocorrências antes de uma data.
+ * @param {object} expense - A versão.
+ * @param {Date} date - A data, à meia-noite.
+ * @returns {boolean} true se há ao menos uma ocorrência antes da data.
+ */
+const hasOccurrencesBefore = (expense, date) => {
+  const lastIndex = toMonthIndex(date.getFullYear(), date.getMonth());
+  for (let index = toMonthIndex(expense.startYear, expense.startMonth); index <= lastIndex; index++) {
+    if (getOccurrencesInMonth(expense, Math.floor(index / 12), index % 12).some(occurrence => occurrence < date)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Fim de uma versão encerrada no dia anterior a uma ocorrência.
+ * @param {Date} date - A ocorrência, à meia-noite.
+ * @returns {import('./recurrence').RecurrenceEnd} O fim, com o dia.
+ */
+const getEndBefore = (date) => {
+  const lastDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+  return { type: RECURRENCE_END_TYPES.DATE, year: lastDay.getFullYear(), month: lastDay.getMonth(), day: lastDay.getDate() };
+};
+
+/**
+ * Fim da versão como data explícita: no encerramento por quantidade, a data da última ocorrência
+ * (a contagem deixa de valer quando a versão muda de início).
+ * @param {object} expense - A versão.
+ * @returns {import('./recurrence').RecurrenceEnd|null} O fim, ou null se não há fim.
+ */
+const toDateEnd = (expense) => {
+  if (!expense.recurrenceEnd || expense.recurrenceEnd.type === RECURRENCE_END_TYPES.DATE) {
+    return expense.recurrenceEnd || null;
+  }
+  const endDate = getRecurrenceEndDate(expense);
+  return endDate && {
+    type: RECURRENCE_END_TYPES.DATE,
+    year: endDate.getFullYear(),
+    month: endDate.getMonth(),
+    day: endDate.getDate(),
+  };
+};
+
+/**
+ * Início de uma versão que passa a valer em uma ocorrência: nas regras com data de referência, a
+ * primeira ocorrência a partir dela, contada a partir do primeiro vencimento escolhido; nas
+ * demais, o mês da ocorrência, com o dia escolhido.
+ * @param {FixedExpenseFields} fields - Os campos da versão.
+ * @param {Date} date - A ocorrência, à meia-noite.
+ * @returns {{startYear: number, startMonth: number, dueDayOfMonth: number}} O início.
+ */
+const getVersionStart = (fields, date) => {
+  if (!usesStartDate(fields.recurrence)) {
+    return { startYear: date.getFullYear(), startMonth: date.getMonth(), dueDayOfMonth: fields.dueDayOfMonth };
+  }
+  const anchor = {
+    recurrence: fields.recurrence,
+    startYear: fields.startDate.getFullYear(),
+    startMonth: fields.startDate.getMonth(),
+    dueDayOfMonth: fields.startDate.getDate(),
+  };
+  const from = date > fields.startDate ? date : toOccurrenceDay(fields.startDate);
+  const firstIndex = toMonthIndex(from.getFullYear(), from.getMonth());
+  for (let index = firstIndex; index < firstIndex + MAX_MONTHS_TO_SEARCH; index++) {
+    const first = getOccurrencesInMonth(anchor, Math.floor(index / 12), index % 12).find(occurrence => occurrence >= from);
+    if (first) {
+      return { startYear: first.getFullYear(), startMonth: first.getMonth(), dueDayOfMonth: first.getDate() };
+    }
+  }
+  return { startYear: anchor.startYear, startMonth: anchor.startMonth, dueDayOfMonth: anchor.dueDayOfMonth };
+};
+
+/**
+ * Versões ativas de uma série que começam depois de uma versão.
+ * @param {object[]} list - Todas as despesas.
+ * @param {object} version - A versão.
+ * @returns {object[]} As versões posteriores, da mais antiga para a mais nova.
+ */
+const getLaterVersions = (list, version) => {
+  const seriesId = getSeriesId(version);
+  // Comparadas pela data, pois nas regras semanais duas versões podem começar no mesmo mês
+  const start = getRecurrenceStartDate(version);
+  return list
+    .filter(expense => expense.paymentMethod === 'Fixa' && !expense.deletedAt && expense.id !== version.id &&
+      getSeriesId(expense) === seriesId && getRecurrenceStartDate(expense) > start)
+    .sort((a, b) => getRecurrenceStartDate(a) - getRecurrenceStartDate(b));
+};
+
+/**
+ * Encontra a versão de uma despesa fixa na lista.
+ * @param {object[]} list - Todas as despesas.
+ * @param {string} expenseId - ID da versão.
+ * @returns {object} A versão.
+ * @throws {Error} Se a despesa não existir.
+ */
+const findVersion = (list, expenseId) => {
+  const version = list.find(expense => expense.id === expenseId && expense.paymentMethod === 'Fixa');
+  if (!version) {
+    throw new Error('Despesa fixa não encontrada.');
+  }
+  return version;
+};
+
+/**
+ * Aplica os campos à versão inteira, como a edição de despesas fixas fazia antes dos alcances:
+ * nas regras com data de referência, o primeiro vencimento escolhido; nas demais, o dia
+ * escolhido, mantendo o início.
+ * @param {object} version - A versão.
+ * @param {FixedExpenseFields} fields - Os campos.
+ * @param {string} now - Data ISO da alteração.
+ * @returns {object} A versão alterada.
+ */
+const applyToWholeVersion = (version, fields, now) => {
+  const start = usesStartDate(fields.recurrence)
+    ? { startYear: fields.startDate.getFullYear(), startMonth: fields.startDate.getMonth(), dueDayOfMonth: fields.startDate.getDate() }
+    : { startYear: version.startYear, startMonth: version.startMonth, dueDayOfMonth: fields.dueDayOfMonth };
+  return {
+    ...version,
+    description: fields.description,
+    value: fields.value,
+    categoryId: fields.categoryId,
+    tags: fields.tags,
+    variableAmount: fields.variableAmount,
+    recurrence: fields.recurrence,
+    // Um fim não alterado no formulário é mantido como está (inclusive o dia, que não aparece nele)
+    recurrenceEnd: isSameRecurrenceEnd(fields.recurrenceEnd, version.recurrenceEnd) ? version.recurrenceEnd : fields.recurrenceEnd,
+    ...start,
+    modifiedAt: now,
+  };
+};
+
+/**
+ * Campos da série alterados no formulário, que "só esta ocorrência" não aplicaria: a regra, o
+ * vencimento, o fim e o valor variável.
+ * @param {object} version - A versão que contém a ocorrência.
+ * @param {FixedExpenseFields} fields - Os campos informados no formulário.
+ * @returns {string[]} Os nomes dos campos alterados, para exibição (vazio se nenhum).
+ */
+export const getSeriesOnlyChanges = (version, fields) => {
+  const recurrence = getRecurrence(version);
+  const dueChanged = usesStartDate(fields.recurrence)
+    ? toOccurrenceDay(fields.startDate).getTime() !== getRecurrenceStartDate(version).getTime()
+    : fields.dueDayOfMonth !== version.dueDayOfMonth;
+  return [
+    (fields.recurrence.frequency !== recurrence.frequency || fields.recurrence.interval !== recurrence.interval ||
+      fields.recurrence.months.join() !== recurrence.months.join()) && 'recorrência',
+    dueChanged && 'vencimento',
+    !isSameRecurrenceEnd(fields.recurrenceEnd, version.recurrenceEnd) && 'fim',
+    Boolean(fields.variableAmount) !== Boolean(version.variableAmount) && 'valor variável',
+  ].filter(Boolean);
+};
+
+/**
+ * Altera uma despesa fixa com o alcance escolhido.
+ * @param {string} expenseId - ID da versão que contém a ocorrência.
+ * @param {FixedExpenseFields} fields - Os campos informados no formulário.
+ * @param {string} scope - O alcance (`FIXED_EDIT_SCOPES`).
+ * @param {Date|null} occurrenceDate - Data da ocorrência editada (obrigatória, exceto em `ALL`).
+ * @returns {Promise<void>}
+ * @throws {Error} Se a despesa não existir.
+ */
+export const updateFixedExpense = async (expenseId, fields, scope, occurrenceDate) => {
+  await updateExpenses(list => {
+    const version = findVersion(list, expenseId);
+    const now = new Date().toISOString();
+
+    if (scope === FIXED_EDIT_SCOPES.OCCURRENCE) {
+      const key = getOccurrenceKey(getRecurrence(version), occurrenceDate);
+      const { [key]: previous, ...occurrenceOverrides } = version.occurrenceOverrides || {};
+      // Só guarda os campos diferentes dos da série
+      const changes = Object.fromEntries(OCCURRENCE_FIELDS
+        .filter(field => JSON.stringify(fields[field]) !== JSON.stringify(version[field] ?? null))
+        .map(field => [field, fields[field]]));
+      if (Object.keys(changes).length > 0) {
+        occurrenceOverrides[key] = changes;
+      }
+      return list.map(expense => (expense.id === expenseId ? { ...expense, occurrenceOverrides, modifiedAt: now } : expense));
+    }
+
+    if (scope === FIXED_EDIT_SCOPES.ALL) {
+      // A versão editada recebe tudo; as demais versões, os campos que não mudam a regra.
+      // Se há versões posteriores, a editada mantém o seu fim e um novo fim vai para a última.
+      const seriesId = getSeriesId(version);
+      const laterVersions = getLaterVersions(list, version);
+      const lastVersion = laterVersions[laterVersions.length - 1];
+      const endChanged = !isSameRecurrenceEnd(fields.recurrenceEnd, version.recurrenceEnd);
+      return list.map(expense => {
+        if (expense.id === expenseId) {
+          return applyToWholeVersion(expense, lastVersion ? { ...fields, recurrenceEnd: expense.recurrenceEnd } : fields, now);
+        }
+        if (expense.paymentMethod === 'Fixa' && getSeriesId(expense) === seriesId && !expense.deletedAt) {
+          const sharedFields = Object.fromEntries(OCCURRENCE_FIELDS.map(field => [field, fields[field]]));
+          const end = expense === lastVersion && endChanged ? { recurrenceEnd: fields.recurrenceEnd } : {};
+          return { ...expense, ...sharedFields, variableAmount: fields.variableAmount, ...end, modifiedAt: now };
+        }
+        return expense;
+      });
+    }
+
+    // Esta e as próximas: as versões posteriores são absorvidas pela versão nova
+    const splitDate = toOccurrenceDay(occurrenceDate);
+    const laterVersions = getLaterVersions(list, version);
+    const lastVersion = laterVersions[laterVersions.length - 1] || version;
+    const laterIds = new Set(laterVersions.map(expense => expense.id));
+    const keepsHistory = hasOccurrencesBefore(version, splitDate);
+
+    const newVersion = {
+      ...version,
+      id: keepsHistory ? Date.now().toString() : version.id,
+      seriesId: getSeriesId(version),
+      description: fields.description,
+      value: fields.value,
+      categoryId: fields.categoryId,
+      tags: fields.tags,
+      variableAmount: fields.variableAmount,
+      recurrence: fields.recurrence,
+      ...getVersionStart(fields, splitDate),
+      // Sem mudança no formulário, a versão nova termina onde a série terminava
+      recurrenceEnd: isSameRecurrenceEnd(fields.recurrenceEnd, version.recurrenceEnd) ? toDateEnd(lastVersion) : fields.recurrenceEnd,
+      ...mergeOccurrenceData([
+        pickOccurrenceData(version, key => !isKeyBefore(key, splitDate)),
+        ...laterVersions.map(expense => pickOccurrenceData(expense, () => true)),
+      ]),
+      status: 'pending',
+      deletedAt: null,
+      createdAt: keepsHistory ? now : version.createdAt,
+      modifiedAt: now,
+    };
+
+    const updated = list.filter(expense => !laterIds.has(expense.id)).map(expense => {
+      if (expense.id !== expenseId) {
+        return expense;
+      }
+      if (!keepsHistory) {
+        return newVersion; // A ocorrência é a primeira da versão: altera a versão inteira
+      }
+      // Encerra a versão no dia anterior, com os dados das ocorrências que ficam com ela
+      return {
+        ...expense,
+        seriesId: getSeriesId(expense),
+        recurrenceEnd: getEndBefore(splitDate),
+        ...pickOccurrenceData(expense, key => isKeyBefore(key, splitDate)),
+        modifiedAt: now,
+      };
+    });
+    return keepsHistory ? [...updated, newVersion] : updated;
+  });
+};
+
+/**
+ * Exclui uma despesa fixa com o alcance escolhido. "Esta e as próximas" encerra a versão no dia
+ * anterior à ocorrência (ou a exclui, se a ocorrência é a primeira) e exclui as versões posteriores; "toda a
+ * série" exclui todas as versões. As exclusões de versões são suaves e vão para a lixeira.
+ * @param {string} expenseId - ID da versão que contém a ocorrência.
+ * @param {string} scope - O alcance (`FIXED_EDIT_SCOPES`).
+ * @param {Date|null} occurrenceDate - Data da ocorrência (obrigatória, exceto em `ALL`).
+ * @returns {Promise<void>}
+ * @throws {Error} Se a despesa não existir.
+ */
+export const deleteFixedExpense = async (expenseId, scope, occurrenceDate) => {
+  await updateExpenses(list => {
+    const version = findVersion(list, expenseId);
+    const now = new Date().toISOString();
+    const softDelete = (expense) => ({ ...expense, status: 'inactive', deletedAt: now });
+
+    if (scope === FIXED_EDIT_SCOPES.OCCURRENCE) {
+      const key = getOccurrenceKey(getRecurrence(version), occurrenceDate);
+      return list.map(expense => (expense.id === expenseId
+        ? { ...expense, excludedOccurrences: [...new Set([...(expense.excludedOccurrences || []), key])], modifiedAt: now }
+        : expense));
+    }
+
+    if (scope === FIXED_EDIT_SCOPES.ALL) {
+      const seriesId = getSeriesId(version);
+      return list.map(expense => (expense.paymentMethod === 'Fixa' && getSeriesId(expense) === seriesId && !expense.deletedAt
+        ? softDelete(expense)
+        : expense));
+    }
+
+    const splitDate = toOccurrenceDay(occurrenceDate);
+    const laterIds = new Set(getLaterVersions(list, version).map(expense => expense.id));
+    const keepsHistory = hasOccurrencesBefore(version, splitDate);
+    return list.map(expense => {
+      if (laterIds.has(expense.id) || (expense.id === expenseId && !keepsHistory)) {
+        return softDelete(expense);
+      }
+      if (expense.id === expenseId) {
+        return {
+          ...expense,
+          recurrenceEnd: getEndBefore(splitDate),
+          ...pickOccurrenceData(expense, key => isKeyBefore(key, splitDate)),
+          modifiedAt: now,
+        };
+      }
+      return expense;
+    });
+  });
+};
@@ -0,0 +1,130 @@
+// utils/importTransactions.js
+
+/**
+ * @file Conversão de lançamentos importados (extratos OFX, planilhas CSV) para o modelo do app.
+ * Cada lançamento de saída vira uma despesa de Débito (já paga) e cada entrada vira uma
+ * receita do tipo Ganho no mês do lançamento. O `externalId` de cada lançamento é salvo no
+ * registro criado, para que importar o mesmo arquivo de novo não gere cópias.
+ *
+ * Os `externalId` importados também ficam guardados à parte (`IMPORTED_IDS`), porque o registro
+ * pode ser apagado de vez depois (lixeira esvaziada ou expirada) e levar o seu `externalId` junto.
+ */
+
+import * as storage from './encryptedStorage';
+import { getIncomes, getExpenses, addIncomes, addExpenses } from './financeRepository';
+import { AUDIT_SOURCES } from './auditLog';
+import { ASYNC_STORAGE_KEYS } from './constants';
+
+/**
+ * @typedef {Object} ImportedTransaction
+ * @property {string} externalId - Identificador estável do lançamento na origem.
+ * @property {'expense'|'income'} kind - Saída (despesa) ou entrada (receita).
+ * @property {Date} date - Data do lançamento.
+ * @property {string} description - Descrição do lançamento.
+ * @property {number} value - Valor absoluto, em centavos.
+ * @property {boolean} [duplicate] - true se já existe um registro com o mesmo `externalId`.
+ */
+
+/**
+ * Lê os `externalId` de todos os lançamentos já importados: os dos registros existentes (inclusive
+ * na lixeira) e os guardados à parte, que continuam valendo depois que o registro é apagado de vez.
+ * @returns {Promise<Set<string>>} Os identificadores.
+ */
+const getKnownExternalIds = async () => {
+  const [incomes, expenses, json] = await Promise.all([
+    getIncomes(), getExpenses(), storage.getItem(ASYNC_STORAGE_KEYS.IMPORTED_IDS),
+  ]);
+  return new Set([
+    ...(json ? JSON.parse(json) : []),
+    ...[...incomes, ...expenses].map(record => record.externalId).filter(Boolean),
+  ]);
+};
+
+/**
+ * Marca os lançamentos que já foram importados antes (inclusive os que foram excluídos depois).
+ * @param {ImportedTransaction[]} transactions - Lançamentos lidos do arquivo.
+ * @returns {Promise<ImportedTransaction[]>} Os mesmos lançamentos, com `duplicate` preenchido.
+ */
+export const markDuplicates = async (transactions) => {
+  const knownIds = await getKnownExternalIds();
+  const seenInFile = new Set();
+  return transactions.map(transaction => {
+    const duplicate = knownIds.has(transaction.externalId) || seenInFile.has(transaction.externalId);
+    seenInFile.add(transaction.externalId);
+    return { ...transaction, duplicate };
+  });
+};
+
+/**
+ * Cria a despesa de Débito correspondente a um lançamento de saída.
+ * @param {ImportedTransaction} transaction - O lançamento.
+ * @param {string} id - ID do novo registro.
+ * @param {string} now - Data ISO da importação.
+ * @returns {object} A despesa.
+ */
+const toExpense = (transaction, id, now) => ({
+  id,
+  description: transaction.description,
+  value: transaction.value,
+  paymentMethod: 'Débito',
+  purchaseDate: transaction.date.toISOString(),
+  dueDate: transaction.date.toISOString(),
+  status: 'paid', // Lançamentos de extrato já foram efetivados
+  paidAt: transaction.date.toISOString(),
+  deletedAt: null,
+  createdAt: now,
+  externalId: transaction.externalId,
+});
+
+/**
+ * Cria a receita do tipo Ganho correspondente a um lançamento de entrada.
+ * @param {ImportedTransaction} transaction - O lançamento.
+ * @param {string} id - ID do novo registro.
+ * @param {string} now - Data ISO da importação.
+ * @returns {object} A receita.
+ */
+const toIncome = (transaction, id, now) => ({
+  id,
+  name: transaction.description,
+  value: transaction.value,
+  type: 'Ganho',
+  month: transaction.date.getMonth(),
+  year: transaction.date.getFullYear(),
+  excludedMonths: [],
+  status: 'active',
+  deletedAt: null,
+  createdAt: now,
+  externalId: transaction.externalId,
+});
+
+/**
+ * Salva os lançamentos selecionados como despesas e receitas, ignorando duplicatas.
+ * @param {ImportedTransaction[]} transactions - Lançamentos a importar.
+ * @returns {Promise<{expenses: number, incomes: number}>} Quantidade de registros criados.
+ */
+export const saveImportedTransactions = async (transactions) => {
+  const toImport = (await markDuplicates(transactions)).filter(transaction => !transaction.duplicate);
+  const now = new Date().toISOString();
+  const baseId = Date.now().toString();
+
+  const expenses = [];
+  const incomes = [];
+  toImport.forEach((transaction, index) => {
+    const id = `${baseId}${index}`;
+    if (transaction.kind === 'expense') {
+      expenses.push(toExpense(transaction, id, now));
+    } else {
+      incomes.push(toIncome(transaction, id, now));
+    }
+  });
+
+  const options = { source: AUDIT_SOURCES.IMPORT };
+  if (expenses.length > 0) await addExpenses(expenses, options);
+  if (incomes.length > 0) await addIncomes(incomes, options);
+  if (toImport.length > 0) {
+    // Guarda os identificadores à parte, para reconhecer o lançamento mesmo depois de apagado de vez
+    const knownIds = await getKnownExternalIds();
+    await storage.setItem(ASYNC_STORAGE_KEYS.IMPORTED_IDS, JSON.stringify([...knownIds]));
+  }
+  return { expenses: expenses.length, incomes: incomes.length };
+};
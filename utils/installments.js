@@ -0,0 +1,328 @@
+// utils/installments.js
+
+/**
+ * @file Planos de parcelas das compras no crédito.
+ * Ao editar uma compra, o plano novo (gerado pelo formulário) é comparado com as parcelas
+ * gravadas pelo número da parcela: parcelas sem mudança ficam como estão, as alteradas mantêm
+ * o status e a data de pagamento, e só as parcelas novas começam pendentes. Assim, corrigir a
+ * descrição não desmarca as parcelas já pagas.
+ *
+ * Uma parcela paga cujo valor, vencimento ou cartão mudaria, ou que deixaria de existir (menos
+ * parcelas), é um conflito: a tela avisa antes de salvar.
+ *
+ * Compras financiadas podem ter entrada e juros (`financing`): a entrada é gravada como a parcela
+ * 0 (`isDownPayment`), com vencimento na data da compra, e as parcelas seguem a Tabela Price
+ * (parcelas iguais) a partir de uma taxa mensal ou de um valor de parcela informado. `totalValue`
+ * guarda o preço à vista; a diferença entre a soma das parcelas e ele são os juros.
+ *
+ * Na antecipação, as parcelas pendentes restantes são quitadas por um pagamento único
+ * (`isPayoff`), com o valor com desconto e o vencimento na fatura escolhida. As parcelas
+ * quitadas continuam gravadas, com o plano original, e ganham `settledBy` (o ID do pagamento);
+ * elas deixam de aparecer nos lançamentos do mês (ver utils/monthlyEntries.js).
+ */
+
+import { splitInstallments, formatCents, parseCurrencyInput } from './money';
+
+// Campos que definem a cobrança de uma parcela; mudá-los em uma parcela paga é um conflito
+const BILLING_FIELDS = ['value', 'dueDate', 'cardId'];
+
+// Campos de status, que vêm sempre da parcela gravada
+const STATUS_FIELDS = ['status', 'paidAt'];
+
+/** Formas de informar os juros de um financiamento. */
+export const FINANCING_MODES = {
+  NONE: 'none', // Sem juros: o valor financiado é dividido igualmente
+  RATE: 'rate', // Taxa de juros mensal (Tabela Price)
+  INSTALLMENT: 'installment', // Valor de cada parcela, como informado pela loja
+};
+
+/** Nomes das formas de informar os juros, na ordem exibida. */
+export const FINANCING_MODE_LABELS = {
+  [FINANCING_MODES.NONE]: 'Sem juros',
+  [FINANCING_MODES.RATE]: 'Taxa ao mês',
+  [FINANCING_MODES.INSTALLMENT]: 'Valor da parcela',
+};
+
+/** Maior taxa de juros mensal aceita, em porcentagem. */
+export const MAX_MONTHLY_RATE = 30;
+
+/**
+ * @typedef {Object} Financing
+ * @property {number} downPayment - Entrada, em centavos (0 sem entrada).
+ * @property {number|null} monthlyRate - Taxa mensal em porcentagem (ex: 1.99), quando informada.
+ * @property {number|null} installmentValue - Valor de cada parcela em centavos, quando informado.
+ */
+
+/**
+ * @typedef {Object} InstallmentPlan
+ * @property {number} downPayment - Entrada, em centavos.
+ * @property {number[]} installmentValues - Valor de cada parcela, em centavos, na ordem.
+ * @property {number} totalPaid - Soma da entrada e das parcelas, em centavos.
+ * @property {number} totalInterest - Juros pagos (total pago menos o preço à vista), em centavos.
+ * @property {number} monthlyRate - Taxa mensal efetiva, em porcentagem.
+ */
+
+/**
+ * @typedef {Object} InstallmentConflict
+ * @property {number} installmentNumber - Número da parcela paga.
+ * @property {'changed'|'removed'} type - Se a parcela muda de valor, vencimento ou cartão, ou deixa de existir.
+ */
+
+/**
+ * Compara dois valores gravados (listas e objetos pelo conteúdo).
+ * @param {any} a - Um valor.
+ * @param {any} b - Outro valor.
+ * @returns {boolean} true se são iguais.
+ */
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Aplica um plano de parcelas novo sobre as parcelas gravadas da compra.
+ * @param {object[]} previous - As parcelas gravadas (mesmo `originalExpenseId`).
+ * @param {object[]} next - O plano novo, com todas as parcelas pendentes.
+ * @returns {{installments: object[], conflicts: InstallmentConflict[]}} As parcelas a gravar e os
+ *   conflitos com parcelas pagas, em ordem de parcela.
+ */
+export const mergeInstallmentPlan = (previous, next) => {
+  const previousByNumber = new Map(previous.map(installment => [installment.installmentNumber, installment]));
+  const conflicts = [];
+
+  const installments = next.map(installment => {
+    const stored = previousByNumber.get(installment.installmentNumber);
+    if (!stored) {
+      return installment; // Parcela nova no plano
+    }
+    if (stored.status === 'paid' && BILLING_FIELDS.some(field => !isSameValue(stored[field], installment[field]))) {
+      conflicts.push({ installmentNumber: installment.installmentNumber, type: 'changed' });
+    }
+    const changed = Object.keys(installment)
+      .filter(field => field !== 'modifiedAt' && !STATUS_FIELDS.includes(field))
+      .some(field => !isSameValue(stored[field], installment[field]));
+    if (!changed) {
+      return stored; // Sem mudança: mantém a parcela gravada
+    }
+    return {
+      ...stored,
+      ...installment,
+      ...Object.fromEntries(STATUS_FIELDS.map(field => [field, stored[field] ?? null])),
+    };
+  });
+
+  const nextNumbers = new Set(next.map(installment => installment.installmentNumber));
+  previous
+    .filter(installment => installment.status === 'paid' && !nextNumbers.has(installment.installmentNumber))
+    .forEach(installment => conflicts.push({ installmentNumber: installment.installmentNumber, type: 'removed' }));
+
+  return { installments, conflicts: conflicts.sort((a, b) => a.installmentNumber - b.installmentNumber) };
+};
+
+/**
+ * Descreve os conflitos de um plano de parcelas para o aviso ao usuário.
+ * @param {InstallmentConflict[]} conflicts - Os conflitos (ver `mergeInstallmentPlan`).
+ * @returns {string} O texto do aviso.
+ */
+export const describeInstallmentConflicts = (conflicts) => {
+  const numbersOf = (type) => conflicts.filter(conflict => conflict.type === type)
+    .map(conflict => (conflict.installmentNumber === 0 ? 'entrada' : conflict.installmentNumber));
+  const changed = numbersOf('changed');
+  const removed = numbersOf('removed');
+  const lines = [];
+  if (changed.length > 0) {
+    lines.push(`Parcelas pagas com valor, vencimento ou cartão alterado: ${changed.join(', ')}. Elas continuam marcadas como pagas.`);
+  }
+  if (removed.length > 0) {
+    lines.push(`Parcelas pagas que deixam de existir no novo plano: ${removed.join(', ')}.`);
+  }
+  return lines.join('\n\n');
+};
+
+/**
+ * Valor presente de uma série de parcelas iguais (Tabela Price).
+ * @param {number} installmentValue - Valor de cada parcela.
+ * @param {number} rate - Taxa mensal (fração, ex: 0.02).
+ * @param {number} count - Quantidade de parcelas.
+ * @returns {number} O valor financiado que as parcelas pagam.
+ */
+const getPresentValue = (installmentValue, rate, count) =>
+  rate === 0 ? installmentValue * count : installmentValue * (1 - (1 + rate) ** -count) / rate;
+
+/**
+ * Taxa mensal implícita em parcelas iguais que pagam um valor financiado (busca por bisseção).
+ * @param {number} financed - Valor financiado.
+ * @param {number} installmentValue - Valor de cada parcela.
+ * @param {number} count - Quantidade de parcelas.
+ * @returns {number} A taxa mensal (fração).
+ */
+const findMonthlyRate = (financed, installmentValue, count) => {
+  if (installmentValue * count <= financed) {
+    return 0;
+  }
+  let low = 0;
+  let high = 1;
+  for (let step = 0; step < 60; step++) {
+    const middle = (low + high) / 2;
+    if (getPresentValue(installmentValue, middle, count) > financed) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Calcula o plano de uma compra parcelada: entrada, parcelas e juros.
+ * @param {number} cashPrice - Preço à vista, em centavos.
+ * @param {number} count - Quantidade de parcelas (sem contar a entrada).
+ * @param {Financing|null} financing - Entrada e juros (null = sem entrada e sem juros).
+ * @returns {InstallmentPlan} O plano.
+ */
+export const buildInstallmentPlan = (cashPrice, count, financing) => {
+  const downPayment = financing?.downPayment || 0;
+  const financed = cashPrice - downPayment;
+  let installmentValues;
+  let monthlyRate = 0;
+  if (financing?.installmentValue) {
+    installmentValues = Array(count).fill(financing.installmentValue);
+    monthlyRate = findMonthlyRate(financed, financing.installmentValue, count) * 100;
+  } else if (financing?.monthlyRate) {
+    const rate = financing.monthlyRate / 100;
+    installmentValues = Array(count).fill(Math.round(financed * rate / (1 - (1 + rate) ** -count)));
+    monthlyRate = financing.monthlyRate;
+  } else {
+    installmentValues = splitInstallments(financed, count);
+  }
+  const totalPaid = downPayment + installmentValues.reduce((sum, value) => sum + value, 0);
+  return { downPayment, installmentValues, totalPaid, totalInterest: totalPaid - cashPrice, monthlyRate };
+};
+
+/**
+ * Campos do formulário para um financiamento gravado (o inverso de `normalizeFinancing`).
+ * @param {Financing|null|undefined} financing - O financiamento.
+ * @returns {{mode: string, downPayment: string, monthlyRate: string, installmentValue: string}} Os campos, como texto.
+ */
+export const getFinancingFields = (financing) => {
+  let mode = FINANCING_MODES.NONE;
+  if (financing?.installmentValue) {
+    mode = FINANCING_MODES.INSTALLMENT;
+  } else if (financing?.monthlyRate) {
+    mode = FINANCING_MODES.RATE;
+  }
+  return {
+    mode,
+    downPayment: financing?.downPayment ? formatCents(financing.downPayment) : '',
+    monthlyRate: financing?.monthlyRate ? String(financing.monthlyRate).replace('.', ',') : '',
+    installmentValue: financing?.installmentValue ? formatCents(financing.installmentValue) : '',
+  };
+};
+
+/**
+ * Valida e normaliza a entrada e os juros informados no formulário.
+ * @param {{mode: string, downPayment: string, monthlyRate: string, installmentValue: string}} fields - Os campos.
+ * @param {number} cashPrice - Preço à vista, em centavos.
+ * @param {number} count - Quantidade de parcelas.
+ * @returns {Financing|null} O financiamento, ou null sem entrada e sem juros.
+ * @throws {Error} Se a entrada, a taxa ou o valor da parcela forem inválidos.
+ */
+export const normalizeFinancing = ({ mode, downPayment, monthlyRate, installmentValue }, cashPrice, count) => {
+  const down = downPayment.trim() ? parseCurrencyInput(downPayment) : 0;
+  if (isNaN(down) || down < 0 || down >= cashPrice) {
+    throw new Error('A entrada deve ser menor que o valor da compra.');
+  }
+  const financing = { downPayment: down, monthlyRate: null, installmentValue: null };
+  if (mode === FINANCING_MODES.RATE) {
+    const rate = parseFloat(monthlyRate.trim().replace(',', '.'));
+    if (isNaN(rate) || rate <= 0 || rate > MAX_MONTHLY_RATE) {
+      throw new Error(`Informe uma taxa de juros maior que 0 e até ${MAX_MONTHLY_RATE}% ao mês.`);
+    }
+    financing.monthlyRate = rate;
+  } else if (mode === FINANCING_MODES.INSTALLMENT) {
+    const value = parseCurrencyInput(installmentValue);
+    if (isNaN(value) || value <= 0) {
+      throw new Error('Informe um valor válido para as parcelas.');
+    }
+    if (value * count < cashPrice - down) {
+      throw new Error('As parcelas não cobrem o valor da compra menos a entrada.');
+    }
+    financing.installmentValue = value;
+  }
+  return financing.downPayment || financing.monthlyRate || financing.installmentValue ? financing : null;
+};
+
+/**
+ * Descreve a entrada e os juros de uma compra (ex: "entrada de R$ 200,00, taxa de 1,99% ao mês").
+ * @param {Financing|null|undefined} financing - O financiamento.
+ * @returns {string} A descrição ("sem entrada e sem juros" quando não houver).
+ */
+export const describeFinancing = (financing) => {
+  const parts = [];
+  if (financing?.downPayment) {
+    parts.push(`entrada de R$ ${formatCents(financing.downPayment)}`);
+  }
+  if (financing?.monthlyRate) {
+    parts.push(`taxa de ${String(financing.monthlyRate).replace('.', ',')}% ao mês`);
+  } else if (financing?.installmentValue) {
+    parts.push(`parcelas de R$ ${formatCents(financing.installmentValue)}`);
+  }
+  return parts.length > 0 ? parts.join(', ') : 'sem entrada e sem juros';
+};
+
+/**
+ * Parcelas de uma compra que ainda podem ser antecipadas: pendentes, não excluídas e não quitadas.
+ * @param {object[]} expenses - Todas as despesas.
+ * @param {string} originalExpenseId - A compra.
+ * @returns {object[]} As parcelas restantes, em ordem de parcela (a entrada primeiro, se pendente).
+ */
+export const getRemainingInstallments = (expenses, originalExpenseId) => expenses
+  .filter(expense => expense.originalExpenseId === originalExpenseId && expense.paymentMethod === 'Crédito')
+  .filter(expense => expense.status === 'pending' && !expense.deletedAt && !expense.settledBy && !expense.isPayoff)
+  .sort((a, b) => a.installmentNumber - b.installmentNumber);
+
+/**
+ * Verifica se uma compra já teve as parcelas restantes antecipadas.
+ * @param {object[]} expenses - Todas as despesas.
+ * @param {string} originalExpenseId - A compra.
+ * @returns {boolean} true se há um pagamento de antecipação da compra.
+ */
+export const hasEarlyPayoff = (expenses, originalExpenseId) =>
+  expenses.some(expense => expense.originalExpenseId === originalExpenseId && expense.isPayoff);
+
+/**
+ * Quita as parcelas restantes de uma compra com um pagamento único (antecipação).
+ * @param {object[]} expenses - Todas as despesas.
+ * @param {string} originalExpenseId - A compra.
+ * @param {{amount: number, dueDate: string}} payoff - Valor pago, em centavos, e vencimento ISO
+ *   (o da fatura escolhida).
+ * @returns {object[]} A nova lista de despesas, com as parcelas quitadas e o pagamento.
+ * @throws {Error} Se a compra já foi antecipada ou não tiver parcelas restantes.
+ */
+export const applyEarlyPayoff = (expenses, originalExpenseId, { amount, dueDate }) => {
+  // Uma compra só tem uma antecipação: o ID do pagamento é fixo por compra
+  if (hasEarlyPayoff(expenses, originalExpenseId)) {
+    throw new Error('As parcelas desta compra já foram antecipadas.');
+  }
+  const remaining = getRemainingInstallments(expenses, originalExpenseId);
+  if (remaining.length === 0) {
+    throw new Error('Não há parcelas pendentes para antecipar.');
+  }
+  const payoffId = `${originalExpenseId}-payoff`;
+  const remainingIds = new Set(remaining.map(installment => installment.id));
+  // O pagamento herda descrição, cartão e categoria da compra, mas não é uma parcela
+  const { isDownPayment, ...purchase } = remaining[0];
+  const payoffExpense = {
+    ...purchase,
+    id: payoffId,
+    value: amount,
+    dueDate,
+    installmentNumber: null,
+    isPayoff: true,
+    settledInstallments: remaining.map(installment => installment.installmentNumber),
+    status: 'pending',
+    paidAt: null,
+    createdAt: new Date().toISOString(),
+  };
+  return [
+    ...expenses.map(expense => (remainingIds.has(expense.id) ? { ...expense, settledBy: payoffId } : expense)),
+    payoffExpense,
+  ];
+};
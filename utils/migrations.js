@@ -0,0 +1,278 @@
+// utils/migrations.js
+
+/**
+ * @file Versionamento do formato dos dados salvos e migrações executadas na inicialização.
+ *
+ * A versão do esquema fica salva em `ASYNC_STORAGE_KEYS.SCHEMA_VERSION`, separada para cada
+ * perfil. Ao entrar em um perfil,
+ * `runMigrations` aplica, em ordem, todas as migrações com versão maior que a salva,
+ * gravando a nova versão após cada uma. Assim o código de exibição pode confiar no
+ * formato atual dos registros, sem adivinhar campos ausentes.
+ *
+ * Cada coleção é gravada separadamente, e a versão só depois delas: se o app fechar no meio,
+ * a migração inteira roda de novo na próxima abertura, inclusive sobre as coleções que já
+ * foram gravadas. Por isso toda migração precisa ser segura para rodar mais de uma vez sobre
+ * o mesmo registro (preencher só o que falta, ou marcar o registro já convertido).
+ *
+ * Para mudar o formato dos dados: adicione uma nova entrada ao final de `MIGRATIONS`
+ * com a próxima versão. Nunca altere uma migração já publicada.
+ */
+
+import * as storage from './encryptedStorage';
+import { ASYNC_STORAGE_KEYS } from './constants';
+import { updateIncomes, updateExpenses, updateCards, updateCategories, updateBudgets } from './financeRepository';
+import { AUDIT_SOURCES } from './auditLog';
+import { toCents, splitInstallments } from './money';
+import { createDefaultCategories } from './defaultCategories';
+import { DEFAULT_RECURRENCE } from './recurrence';
+
+/**
+ * Converte um mês excluído para o formato "MM/AAAA".
+ * Versões antigas gravavam "AAAA-MM" ao excluir uma despesa fixa.
+ * @param {string} value - Mês no formato "MM/AAAA" ou "AAAA-MM".
+ * @returns {string} Mês no formato "MM/AAAA".
+ */
+const normalizeExcludedMonth = (value) => {
+  const legacy = /^(\d{4})-(\d{1,2})$/.exec(value);
+  return legacy ? `${legacy[2].padStart(2, '0')}/${legacy[1]}` : value;
+};
+
+/**
+ * Normaliza a lista de meses excluídos: garante um array, no formato "MM/AAAA" e sem repetições.
+ * @param {string[]|undefined} excludedMonths - Lista salva (pode não existir).
+ * @returns {string[]} Lista normalizada.
+ */
+const normalizeExcludedMonths = (excludedMonths) =>
+  [...new Set((excludedMonths || []).map(normalizeExcludedMonth))];
+
+/**
+ * Retorna uma data ISO válida a partir dos candidatos informados, ou a data atual.
+ * @param {...any} candidates - Valores que podem conter uma data.
+ * @returns {string} Data no formato ISO.
+ */
+const firstValidIsoDate = (...candidates) => {
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const date = new Date(candidate);
+    if (!isNaN(date.getTime())) {
+      return date.toISOString();
+    }
+  }
+  return new Date().toISOString();
+};
+
+/**
+ * Migração 1: completa os campos que registros antigos podem não ter.
+ * - Todos: `status`, `deletedAt` e `createdAt` como string ISO.
+ * - Receitas fixas: `excludedMonths`. Ganhos: `month`/`year` derivados de `createdAt`.
+ * - Despesas de crédito: `originalExpenseId`, `installmentNumber` e `totalInstallments`.
+ * - Despesas fixas: `startMonth`/`startYear`, `monthlyStatus` e `excludedMonths` em "MM/AAAA".
+ */
+const migrateToV1 = {
+  incomes: (incomes) => incomes.map(income => {
+    const createdAt = firstValidIsoDate(income.createdAt);
+    const createdAtDate = new Date(createdAt);
+    const migrated = {
+      ...income,
+      status: income.status || 'active',
+      deletedAt: income.deletedAt || null,
+      createdAt,
+      excludedMonths: normalizeExcludedMonths(income.excludedMonths),
+    };
+    if (income.type === 'Ganho') {
+      migrated.month = Number.isInteger(income.month) ? income.month : createdAtDate.getMonth();
+      migrated.year = Number.isInteger(income.year) ? income.year : createdAtDate.getFullYear();
+    }
+    return migrated;
+  }),
+
+  expenses: (expenses) => {
+    // Conta as parcelas de cada compra para preencher `totalInstallments` quando ausente
+    const installmentsPerPurchase = {};
+    expenses.forEach(expense => {
+      if (expense.paymentMethod === 'Crédito') {
+        const baseId = expense.originalExpenseId || String(expense.id).split('-')[0];
+        installmentsPerPurchase[baseId] = (installmentsPerPurchase[baseId] || 0) + 1;
+      }
+    });
+
+    return expenses.map(expense => {
+      const createdAt = firstValidIsoDate(expense.createdAt, expense.purchaseDate, expense.dueDate);
+      const migrated = {
+        ...expense,
+        status: expense.status || 'pending',
+        paidAt: expense.paidAt || null,
+        deletedAt: expense.deletedAt || null,
+        createdAt,
+      };
+
+      if (expense.paymentMethod === 'Crédito') {
+        const [baseId, suffix] = String(expense.id).split('-');
+        migrated.originalExpenseId = expense.originalExpenseId || baseId;
+        migrated.installmentNumber = expense.installmentNumber || parseInt(suffix, 10) || 1;
+        migrated.totalInstallments = expense.totalInstallments || installmentsPerPurchase[migrated.originalExpenseId] || 1;
+      } else if (expense.paymentMethod === 'Fixa') {
+        const createdAtDate = new Date(createdAt);
+        migrated.startMonth = Number.isInteger(expense.startMonth) ? expense.startMonth : createdAtDate.getMonth();
+        migrated.startYear = Number.isInteger(expense.startYear) ? expense.startYear : createdAtDate.getFullYear();
+        migrated.dueDayOfMonth = expense.dueDayOfMonth || 1;
+        migrated.monthlyStatus = expense.monthlyStatus || [];
+        migrated.excludedMonths = normalizeExcludedMonths(expense.excludedMonths);
+      }
+      return migrated;
+    });
+  },
+
+  cards: (cards) => cards.map(card => ({
+    ...card,
+    status: card.status || 'active',
+    deletedAt: card.deletedAt || null,
+    createdAt: firstValidIsoDate(card.createdAt),
+  })),
+};
+
+/**
+ * Migração 2: converte os valores de reais (ponto flutuante) para centavos inteiros.
+ * As parcelas de crédito de uma mesma compra são redistribuídas a partir do total
+ * arredondado, para que somem exatamente o valor da compra, registrado em `totalValue`.
+ * Converter de novo multiplicaria o valor por 100, então cada registro convertido recebe
+ * `valueInCents: true` e é ignorado se a migração rodar outra vez.
+ */
+const migrateToV2 = {
+  incomes: (incomes) => incomes.map(income => (
+    income.valueInCents ? income : { ...income, value: toCents(income.value), valueInCents: true }
+  )),
+
+  expenses: (expenses) => {
+    // Agrupa as parcelas ainda não convertidas de cada compra no crédito
+    const installmentsByPurchase = {};
+    expenses.forEach(expense => {
+      if (expense.paymentMethod === 'Crédito' && !expense.valueInCents) {
+        const group = installmentsByPurchase[expense.originalExpenseId] || [];
+        installmentsByPurchase[expense.originalExpenseId] = [...group, expense];
+      }
+    });
+
+    // Calcula o novo valor de cada parcela a partir do total da compra
+    const installmentValues = {};
+    Object.values(installmentsByPurchase).forEach(group => {
+      const ordered = [...group].sort((a, b) => a.installmentNumber - b.installmentNumber);
+      const totalValue = toCents(ordered.reduce((sum, installment) => sum + installment.value, 0));
+      const values = splitInstallments(totalValue, ordered.length);
+      ordered.forEach((installment, index) => {
+        installmentValues[installment.id] = { value: values[index], totalValue };
+      });
+    });
+
+    return expenses.map(expense => {
+      if (expense.valueInCents) {
+        return expense;
+      }
+      return expense.paymentMethod === 'Crédito'
+        ? { ...expense, ...installmentValues[expense.id], valueInCents: true }
+        : { ...expense, value: toCents(expense.value), valueInCents: true };
+    });
+  },
+};
+
+/**
+ * Migração 3: introduz as categorias de despesas.
+ * Cria o conjunto padrão de categorias (se o perfil ainda não tiver nenhuma) e deixa as
+ * despesas existentes sem categoria (`categoryId: null`).
+ */
+const migrateToV3 = {
+  expenses: (expenses) => expenses.map(expense => ({ ...expense, categoryId: expense.categoryId ?? null })),
+
+  categories: (categories) => (categories.length > 0 ? categories : createDefaultCategories()),
+};
+
+/**
+ * Migração 4: inicia a lista de tags (`tags`) de receitas e despesas (ver utils/tags.js).
+ */
+const migrateToV4 = {
+  incomes: (incomes) => incomes.map(income => ({ ...income, tags: income.tags || [] })),
+
+  expenses: (expenses) => expenses.map(expense => ({ ...expense, tags: expense.tags || [] })),
+};
+
+/**
+ * Migração 5: grava a regra de recorrência (`recurrence`) das despesas fixas, "todo mês"
+ * nas existentes (ver utils/recurrence.js).
+ */
+const migrateToV5 = {
+  expenses: (expenses) => expenses.map(expense => (
+    expense.paymentMethod === 'Fixa'
+      ? { ...expense, recurrence: expense.recurrence || { ...DEFAULT_RECURRENCE } }
+      : expense
+  )),
+};
+
+/**
+ * Lista ordenada das migrações. Cada entrada pode transformar qualquer uma das coleções;
+ * as funções recebem a lista completa e devolvem uma nova lista.
+ */
+const MIGRATIONS = [
+  { version: 1, description: 'Completa campos ausentes em registros antigos', ...migrateToV1 },
+  { version: 2, description: 'Converte valores para centavos inteiros', ...migrateToV2 },
+  { version: 3, description: 'Cria as categorias de despesas', ...migrateToV3 },
+  { version: 4, description: 'Inicia as tags de receitas e despesas', ...migrateToV4 },
+  { version: 5, description: 'Inicia a regra de recorrência das despesas fixas', ...migrateToV5 },
+];
+
+/** Versão do esquema esperada pelo código atual. */
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Lê a versão do esquema salva no dispositivo. Sem versão salva, considera 0 (dados legados).
+ * @returns {Promise<number>} A versão salva.
+ */
+export const getStoredSchemaVersion = async () => {
+  const stored = await storage.getItem(ASYNC_STORAGE_KEYS.SCHEMA_VERSION);
+  const version = parseInt(stored, 10);
+  return Number.isInteger(version) ? version : 0;
+};
+
+/**
+ * Aplica as migrações posteriores a `fromVersion` sobre coleções em memória, sem gravar nada.
+ * Usado para trazer um backup antigo para o formato atual antes de restaurá-lo.
+ * @param {{incomes: Array<object>, expenses: Array<object>, cards: Array<object>, categories: Array<object>, budgets: Array<object>}} collections - Coleções a migrar.
+ * @param {number} fromVersion - Versão do esquema em que as coleções estão.
+ * @returns {{incomes: Array<object>, expenses: Array<object>, cards: Array<object>, categories: Array<object>, budgets: Array<object>}} Coleções no formato atual.
+ */
+export const migrateCollections = (collections, fromVersion) =>
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((current, migration) => ({
+      incomes: migration.incomes ? migration.incomes(current.incomes) : current.incomes,
+      expenses: migration.expenses ? migration.expenses(current.expenses) : current.expenses,
+      cards: migration.cards ? migration.cards(current.cards) : current.cards,
+      categories: migration.categories ? migration.categories(current.categories) : current.categories,
+      budgets: migration.budgets ? migration.budgets(current.budgets) : current.budgets,
+    }), collections);
+
+/**
+ * Aplica as migrações pendentes, em ordem. Deve ser chamada antes de qualquer tela ler os dados.
+ * @returns {Promise<number>} A versão do esquema após as migrações.
+ */
+export const runMigrations = async () => {
+  const storedVersion = await getStoredSchemaVersion();
+  if (storedVersion > CURRENT_SCHEMA_VERSION) {
+    console.warn(`runMigrations: Dados na versão ${storedVersion}, mais nova que a do app (${CURRENT_SCHEMA_VERSION}).`);
+    return storedVersion;
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > storedVersion);
+  for (const migration of pending) {
+    console.log(`runMigrations: Aplicando migração ${migration.version} - ${migration.description}`);
+    const options = { source: AUDIT_SOURCES.MIGRATION };
+    if (migration.incomes) await updateIncomes(migration.incomes, options);
+    if (migration.expenses) await updateExpenses(migration.expenses, options);
+    if (migration.cards) await updateCards(migration.cards, options);
+    if (migration.categories) await updateCategories(migration.categories, options);
+    if (migration.budgets) await updateBudgets(migration.budgets, options);
+    // Grava a versão após as coleções: se o app fechar antes, a migração roda de novo (ver @file)
+    await storage.setItem(ASYNC_STORAGE_KEYS.SCHEMA_VERSION, String(migration.version));
+  }
+
+  return CURRENT_SCHEMA_VERSION;
+};
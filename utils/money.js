@@ -0,0 +1,65 @@
+// utils/money.js
+
+/**
+ * @file Funções para trabalhar com valores monetários em centavos.
+ * Todos os valores (`value`) de receitas, despesas e parcelas são armazenados e somados
+ * como números inteiros de centavos, evitando as dízimas de ponto flutuante
+ * (ex: 100 / 3 = 33,3333...). A conversão para reais acontece apenas na exibição.
+ */
+
+/**
+ * Converte um valor em reais (número decimal) para centavos inteiros.
+ * Usado na migração dos dados antigos e ao ler valores de fontes externas.
+ * @param {number} amount - Valor em reais (ex: 12.34).
+ * @returns {number} Valor em centavos (ex: 1234).
+ */
+export const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Converte o texto de um campo de valor ("1234,56" ou "1.234,56") para centavos inteiros.
+ * @param {string} text - Texto digitado pelo usuário.
+ * @returns {number} Valor em centavos, ou NaN se o texto não for um número válido.
+ */
+export const parseCurrencyInput = (text) => {
+  const normalized = String(text).trim().replace(/\./g, '').replace(',', '.');
+  if (!/^\d+(\.\d{0,2})?$/.test(normalized)) {
+    return NaN;
+  }
+  const [reais, centavos = ''] = normalized.split('.');
+  return parseInt(reais, 10) * 100 + parseInt(centavos.padEnd(2, '0'), 10);
+};
+
+/**
+ * Formata centavos no padrão usado pelo app, com vírgula decimal (ex: 1234 -> "12,34").
+ * Feito com aritmética inteira, sem passar por `toFixed`.
+ * @param {number} cents - Valor em centavos.
+ * @returns {string} Valor formatado, sem o símbolo da moeda.
+ */
+export const formatCents = (cents) => {
+  const sign = cents < 0 ? '-' : '';
+  const absolute = Math.abs(Math.round(cents));
+  const reais = Math.floor(absolute / 100);
+  const centavos = String(absolute % 100).padStart(2, '0');
+  return `${sign}${reais},${centavos}`;
+};
+
+/**
+ * Divide um total em parcelas inteiras de centavos que somam exatamente o total.
+ * Os centavos restantes da divisão vão para as primeiras parcelas
+ * (ex: 10000 em 3 parcelas -> [3334, 3333, 3333]).
+ * @param {number} totalCents - Valor total em centavos.
+ * @param {number} count - Número de parcelas (>= 1).
+ * @returns {number[]} Valor de cada parcela, na ordem.
+ */
+export const splitInstallments = (totalCents, count) => {
+  const base = Math.floor(totalCents / count);
+  const remainder = totalCents - base * count;
+  return Array.from({ length: count }, (_, index) => base + (index < remainder ? 1 : 0));
+};
+
+/**
+ * Soma os valores (em centavos) de uma lista de registros.
+ * @param {Array<{value: number}>} items - Registros com o campo `value`.
+ * @returns {number} Total em centavos.
+ */
+export const sumCents = (items) => items.reduce((sum, item) => sum + item.value, 0);
@@ -0,0 +1,190 @@
+// utils/monthlyEntries.js
+
+/**
+ * @file Expansão das receitas e despesas armazenadas nos lançamentos de cada mês.
+ * Despesas fixas viram uma instância por ocorrência da sua regra de recorrência
+ * (ver utils/recurrence.js), com status próprio em `monthlyStatus` e os campos alterados
+ * só naquela ocorrência (`occurrenceOverrides`); nas contas de valor variável, o valor real
+ * informado para a ocorrência (`amount` em `monthlyStatus`) substitui a estimativa,
+ * parcelas de crédito e despesas únicas (débito, pix, boleto...) aparecem no mês do vencimento (menos as
+ * parcelas quitadas por antecipação, ver utils/installments.js), e receitas fixas
+ * aparecem em todos os meses a partir da criação. Despesas e receitas fixas com fim
+ * (`recurrenceEnd`) deixam de aparecer depois da última ocorrência. Compartilhado pela `HomeScreen`
+ * e pelas exportações, para que todos vejam os mesmos lançamentos.
+ */
+
+import { getRecurrence, getOccurrencesInMonth, getOccurrenceKey, getIncomeEndDate } from './recurrence';
+
+/**
+ * Formata um objeto Date para o formato "MM/YYYY" (usado para `excludedMonths`).
+ * @param {Date} date - O objeto Date.
+ * @returns {string} A data formatada como string "MM/YYYY".
+ */
+export const formatMonthYearForExclusion = (date) => {
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const year = date.getFullYear();
+  return `${month}/${year}`;
+};
+
+/**
+ * Função auxiliar para obter o último dia de um determinado mês e ano.
+ * @param {number} year - O ano.
+ * @param {number} month - O mês (0-indexado).
+ * @returns {number} O último dia do mês.
+ */
+export const getLastDayOfMonth = (year, month) => {
+  return new Date(year, month + 1, 0).getDate();
+};
+
+/**
+ * Filtra e processa as despesas para um mês específico.
+ * Considera despesas fixas (pela regra de recorrência e com seus meses de exclusão) e despesas de débito/crédito.
+ * @param {Date} monthDate - O objeto Date representando o mês alvo.
+ * @param {Array<object>} expensesData - Array de todas as despesas.
+ * @param {boolean} onlyActive - Se deve retornar apenas despesas ativas (não soft-deleted).
+ * @returns {Array<object>} Array de despesas filtradas e processadas para o mês.
+ */
+export const getExpensesForMonth = (monthDate, expensesData, onlyActive = false) => {
+  const targetMonth = monthDate.getMonth();
+  const targetYear = monthDate.getFullYear();
+  const currentMonthYearString = formatMonthYearForExclusion(monthDate);
+  
+  let expensesForThisMonth = [];
+
+  expensesData.forEach(item => {
+    // Primeiro verifica se o item está deletado ou inativo
+    if (item.deletedAt || (onlyActive && item.status === 'inactive')) {
+      return;
+    }
+
+    // Lógica específica para despesas fixas: uma instância por ocorrência da regra no mês
+    if (item.paymentMethod === 'Fixa') {
+      // Verifica se o mês/ano atual está na lista de meses excluídos para essa despesa fixa
+      if (item.excludedMonths.includes(currentMonthYearString)) {
+        return;
+      }
+
+      const recurrence = getRecurrence(item);
+      getOccurrencesInMonth(item, targetYear, targetMonth).forEach(occurrenceDate => {
+        const occurrenceKey = getOccurrenceKey(recurrence, occurrenceDate);
+        // Ignora a ocorrência excluída individualmente (ver utils/fixedExpenses.js)
+        if ((item.excludedOccurrences || []).includes(occurrenceKey)) {
+          return;
+        }
+        // Encontra o status específico desta ocorrência (se houver um status registrado)
+        const occurrenceStatus = item.monthlyStatus.find(
+          status => status.monthYear === occurrenceKey
+        );
+
+        const occurrence = { ...item, ...item.occurrenceOverrides?.[occurrenceKey] }; // Campos alterados só nesta ocorrência
+        const actualAmount = occurrenceStatus?.amount ?? null;
+
+        expensesForThisMonth.push({
+          ...occurrence,
+          dueDate: occurrenceDate.toISOString(), // Data de vencimento desta ocorrência
+          id: `${item.id}-${occurrenceKey}`, // ID único por ocorrência
+          originalId: item.id, // Referência ao ID original da despesa fixa
+          status: occurrenceStatus?.status || 'pending', // Usa o status da ocorrência ou 'pending'
+          paidAt: occurrenceStatus?.paidAt || null,
+          value: actualAmount ?? occurrence.value, // Valor real da ocorrência, quando informado
+          estimatedValue: occurrence.value, // Valor previsto para a ocorrência
+          actualAmount: actualAmount,
+          isEstimate: Boolean(item.variableAmount) && actualAmount === null, // Conta variável ainda sem o valor real
+        });
+      });
+    }
+    // Lógica para despesas de Crédito e despesas únicas (Débito, Pix, Dinheiro, Boleto, Transferência)
+    else {
+      // Parcelas quitadas por antecipação: o pagamento único as substitui nos lançamentos
+      if (item.settledBy) {
+        return;
+      }
+      if (item.dueDate) {
+        const itemDueDate = new Date(item.dueDate);
+        // Inclui a despesa se a data de vencimento for no mês/ano atual
+        if (itemDueDate.getMonth() === targetMonth && itemDueDate.getFullYear() === targetYear) {
+          // Para despesas de crédito, garante que o ID e número da parcela sejam mantidos
+          if (item.paymentMethod === 'Crédito') {
+            expensesForThisMonth.push({
+              ...item,
+              id: item.id,
+              installmentNumber: item.installmentNumber
+            });
+          } else {
+            expensesForThisMonth.push(item);
+          }
+        }
+      }
+    }
+  });    
+  // Ordena as despesas pela data de vencimento ou criação para exibição consistente
+  return expensesForThisMonth.sort((a, b) => {
+    const dateA = new Date(a.dueDate || a.createdAt); 
+    const dateB = new Date(b.dueDate || b.createdAt);
+    return dateA.getTime() - dateB.getTime();
+  });
+};
+
+/**
+ * Verifica se uma receita fixa vale no mês: criada até o mês e sem ter encerrado antes dele.
+ * Não considera `excludedMonths` nem a exclusão da receita (tratados por quem chama).
+ * @param {object} income - A receita fixa.
+ * @param {Date} monthDate - O objeto Date do mês alvo.
+ * @returns {boolean} true se a receita se repete no mês.
+ */
+export const isFixedIncomeInMonth = (income, monthDate) => {
+  const displayMonthStart = new Date(monthDate.getFullYear(), monthDate.getMonth(), 1);
+  const createdAtDate = new Date(income.createdAt);
+  const createdAtMonthStart = new Date(createdAtDate.getFullYear(), createdAtDate.getMonth(), 1);
+  const endDate = getIncomeEndDate(income);
+  return createdAtMonthStart <= displayMonthStart && (!endDate || displayMonthStart <= endDate);
+};
+
+/**
+ * Filtra e processa as receitas para um mês específico.
+ * Considera receitas fixas (com seus meses de exclusão e o seu fim) e receitas de ganho.
+ * @param {Date} monthDate - O objeto Date representando o mês alvo.
+ * @param {Array<object>} incomesData - Array de todas as receitas.
+ * @param {boolean} onlyActive - Se deve retornar apenas receitas ativas (não soft-deleted).
+ * @returns {Array<object>} Array de receitas filtradas e processadas para o mês.
+ */
+export const getIncomesForMonth = (monthDate, incomesData, onlyActive = false) => {
+  const targetMonth = monthDate.getMonth();
+  const targetYear = monthDate.getFullYear();
+  const currentMonthYearString = formatMonthYearForExclusion(monthDate);
+
+  let incomesForThisMonth = [];
+
+  incomesData.forEach(item => {
+    // Ignora itens marcados para exclusão suave
+    if (item.deletedAt) {
+      return;
+    }
+
+    // Se `onlyActive` é true, ignora itens com status 'inactive'
+    if (onlyActive && item.status === 'inactive') {
+      return;
+    }
+
+    // Lógica específica para receitas fixas
+    if (item.type === 'Fixo') {
+      // Verifica se o mês/ano atual está na lista de meses excluídos para essa receita fixa
+      if (item.excludedMonths.includes(currentMonthYearString)) {
+        return;
+      }
+
+      // A receita fixa só aparece se foi criada até o mês de exibição e ainda não encerrou
+      if (isFixedIncomeInMonth(item, monthDate)) {
+        incomesForThisMonth.push(item);
+      }
+    }
+    // Lógica para receitas de ganho (receitas pontuais)
+    else if (item.type === 'Ganho') {
+      // Inclui a receita se o mês e ano da receita corresponderem ao mês/ano atual
+      if (item.month === targetMonth && item.year === targetYear) {
+        incomesForThisMonth.push(item);
+      }
+    }
+  });    
+  return incomesForThisMonth;
+};
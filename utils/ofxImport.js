@@ -0,0 +1,115 @@
+// utils/ofxImport.js
+
+/**
+ * @file Leitura de extratos bancários no formato OFX (1.x em SGML ou 2.x em XML).
+ * Cada `<STMTTRN>` vira um `ImportedTransaction` (ver utils/importTransactions.js):
+ * valores negativos são despesas e positivos são receitas.
+ *
+ * O `externalId` combina banco, conta e FITID, pois o FITID só é único dentro da
+ * mesma conta. Assim reimportar o mesmo extrato não gera cópias.
+ */
+
+import { pickFile, readLatin1File, readTextFile } from './fileSharing';
+import { parseCurrencyInput } from './money';
+
+/**
+ * Lê o valor de uma tag simples do OFX. No SGML as tags de valor não têm fechamento,
+ * então o valor vai até a próxima tag ou quebra de linha.
+ * @param {string} block - Trecho do OFX.
+ * @param {string} tag - Nome da tag (ex: "TRNAMT").
+ * @returns {string|null} O valor, sem espaços nas pontas, ou null se a tag não existir.
+ */
+const readTag = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Converte uma data OFX ("AAAAMMDD[HHMMSS[.XXX]][[-3:BRT]]") para Date.
+ * Usa apenas o dia, ao meio-dia local, para que o fuso não mude a data do lançamento.
+ * @param {string} value - Data no formato OFX.
+ * @returns {Date|null} A data, ou null se inválida.
+ */
+const parseOfxDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+  const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10), 12);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Converte um valor OFX ("-123.45", alguns bancos usam "-123,45") para centavos com sinal.
+ * @param {string} value - Valor no formato OFX.
+ * @returns {number} Valor em centavos (NaN se inválido).
+ */
+const parseOfxAmount = (value) => {
+  const normalized = String(value || '').trim().replace(',', '.');
+  const negative = normalized.startsWith('-');
+  const cents = parseCurrencyInput(normalized.replace(/^[-+]/, '').replace('.', ','));
+  return negative ? -cents : cents;
+};
+
+/**
+ * Extrai os lançamentos de um arquivo OFX.
+ * @param {string} content - Conteúdo do arquivo.
+ * @returns {import('./importTransactions').ImportedTransaction[]} Os lançamentos, na ordem do arquivo.
+ * @throws {Error} Se o arquivo não contiver um extrato OFX.
+ */
+export const parseOfx = (content) => {
+  if (!/<OFX>/i.test(content)) {
+    throw new Error('O arquivo não é um extrato OFX.');
+  }
+
+  const bankId = readTag(content, 'BANKID') || '';
+  const accountId = readTag(content, 'ACCTID') || '';
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  const transactions = [];
+  blocks.forEach((block, index) => {
+    const amount = parseOfxAmount(readTag(block, 'TRNAMT'));
+    const date = parseOfxDate(readTag(block, 'DTPOSTED'));
+    if (isNaN(amount) || amount === 0 || !date) {
+      console.warn(`parseOfx: Lançamento ${index + 1} ignorado (valor ou data inválidos).`);
+      return;
+    }
+    // Sem FITID (arquivos fora do padrão), usa data, valor e posição como identificador
+    const fitId = readTag(block, 'FITID') || `${readTag(block, 'DTPOSTED')}:${amount}:${index}`;
+    const description = readTag(block, 'MEMO') || readTag(block, 'NAME') || 'Lançamento importado';
+
+    transactions.push({
+      externalId: `ofx:${bankId}:${accountId}:${fitId}`,
+      kind: amount < 0 ? 'expense' : 'income',
+      date,
+      description,
+      value: Math.abs(amount),
+    });
+  });
+  return transactions;
+};
+
+/**
+ * Lê um arquivo OFX respeitando a codificação declarada no cabeçalho.
+ * Bancos brasileiros costumam gerar OFX 1.x em Windows-1252; OFX 2.x em XML usa UTF-8.
+ * @param {string} uri - Caminho do arquivo.
+ * @returns {Promise<string>} O conteúdo do arquivo.
+ */
+const readOfxFile = async (uri) => {
+  const latin1 = await readLatin1File(uri);
+  const ofxStart = latin1.search(/<OFX>/i);
+  const header = latin1.substring(0, ofxStart === -1 ? 500 : ofxStart);
+  const isUtf8 = /CHARSET:\s*UTF-?8|ENCODING:\s*UTF-?8|encoding="UTF-?8"/i.test(header) || /^<\?xml/i.test(header.trim());
+  return isUtf8 ? readTextFile(uri) : latin1;
+};
+
+/**
+ * Abre o seletor de arquivos e lê os lançamentos do extrato escolhido.
+ * @returns {Promise<{fileName: string, transactions: import('./importTransactions').ImportedTransaction[]}|null>}
+ *   O nome do arquivo e seus lançamentos, ou null se o usuário cancelar.
+ */
+export const pickOfxFile = async () => {
+  const file = await pickFile(['application/x-ofx', 'application/ofx', 'text/plain', '*/*']);
+  if (!file) {
+    return null;
+  }
+  return { fileName: file.name, transactions: parseOfx(await readOfxFile(file.uri)) };
+};
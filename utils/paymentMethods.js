@@ -0,0 +1,77 @@
+// utils/paymentMethods.js
+
+/**
+ * @file Métodos de pagamento das despesas (`paymentMethod`) e o comportamento de cada um.
+ *
+ * - Crédito: parcelas com vencimento na fatura do cartão.
+ * - Fixa: uma ocorrência por repetição da regra (ver utils/recurrence.js).
+ * - Débito, Pix, Dinheiro e Transferência: despesa única que vence na data da compra.
+ * - Boleto: despesa única com vencimento próprio, separado da data da compra.
+ *
+ * As despesas únicas aparecem no mês do vencimento (`dueDate`), como as parcelas.
+ */
+
+/** Valores de `paymentMethod`. */
+export const PAYMENT_METHODS = {
+  DEBIT: 'Débito',
+  CREDIT: 'Crédito',
+  FIXED: 'Fixa',
+  PIX: 'Pix',
+  CASH: 'Dinheiro',
+  BOLETO: 'Boleto',
+  TRANSFER: 'Transferência',
+};
+
+/** Métodos na ordem exibida nos seletores e filtros. */
+export const PAYMENT_METHOD_LIST = [
+  PAYMENT_METHODS.DEBIT,
+  PAYMENT_METHODS.CREDIT,
+  PAYMENT_METHODS.FIXED,
+  PAYMENT_METHODS.PIX,
+  PAYMENT_METHODS.CASH,
+  PAYMENT_METHODS.BOLETO,
+  PAYMENT_METHODS.TRANSFER,
+];
+
+/** Ícone (Ionicons) de cada método. */
+export const PAYMENT_METHOD_ICONS = {
+  [PAYMENT_METHODS.DEBIT]: 'card-outline',
+  [PAYMENT_METHODS.CREDIT]: 'card',
+  [PAYMENT_METHODS.FIXED]: 'repeat',
+  [PAYMENT_METHODS.PIX]: 'flash-outline',
+  [PAYMENT_METHODS.CASH]: 'cash-outline',
+  [PAYMENT_METHODS.BOLETO]: 'barcode-outline',
+  [PAYMENT_METHODS.TRANSFER]: 'swap-horizontal',
+};
+
+/**
+ * Ícone de um método de pagamento.
+ * @param {string} method - O método.
+ * @returns {string} O nome do ícone (um genérico para métodos desconhecidos).
+ */
+export const getPaymentMethodIcon = (method) => PAYMENT_METHOD_ICONS[method] || 'wallet-outline';
+
+/**
+ * Verifica se o método gera uma despesa única (sem parcelas nem recorrência).
+ * @param {string} method - O método.
+ * @returns {boolean} true para Débito, Pix, Dinheiro, Boleto e Transferência.
+ */
+export const isSinglePaymentMethod = (method) =>
+  PAYMENT_METHOD_LIST.includes(method) && method !== PAYMENT_METHODS.CREDIT && method !== PAYMENT_METHODS.FIXED;
+
+/**
+ * Verifica se o método tem vencimento escolhido, separado da data da compra.
+ * @param {string} method - O método.
+ * @returns {boolean} true para Boleto.
+ */
+export const hasSeparateDueDate = (method) => method === PAYMENT_METHODS.BOLETO;
+
+/**
+ * Verifica se uma despesa passa no filtro de métodos de pagamento: sem métodos escolhidos,
+ * todas passam; com métodos escolhidos, passam as despesas pagas com um deles.
+ * @param {object} expense - A despesa.
+ * @param {string[]} selectedMethods - Métodos escolhidos no filtro.
+ * @returns {boolean} true se a despesa deve ser exibida.
+ */
+export const matchesPaymentMethods = (expense, selectedMethods) =>
+  selectedMethods.length === 0 || selectedMethods.includes(expense.paymentMethod);
@@ -0,0 +1,181 @@
+// utils/profiles.js
+
+/**
+ * @file Perfis locais, para que várias pessoas usem o app no mesmo aparelho.
+ * Cada perfil tem nome, cor e PIN opcional, e os seus próprios dados: receitas, despesas,
+ * cartões, preferências, histórico e sincronização ficam em chaves com o prefixo do perfil
+ * (ver utils/encryptedStorage.js), e o PIN e a chave de dados em registros próprios no
+ * SecureStore (ver utils/appLock.js).
+ *
+ * A lista de perfis (só nome e cor) fica em `ASYNC_STORAGE_KEYS.PROFILES`, sem cifrar, para ser
+ * exibida na tela de login. Os dados de antes de existirem perfis passam para um perfil
+ * "Principal" na primeira abertura.
+ *
+ * Trocar de perfil não reinicia o app: `leaveProfile` bloqueia os dados do perfil atual e
+ * limpa o que ficou em memória, e a tela de login desbloqueia o próximo.
+ */
+
+import * as storage from './encryptedStorage';
+import { ASYNC_STORAGE_KEYS } from './constants';
+import { hasLegacyLock, adoptLegacyLock, removeProfileLock } from './appLock';
+import { clearCache } from './financeRepository';
+import { clearUndoHistory } from './undoHistory';
+import { stopAutoSync, signOutFromCloud } from './cloudSync';
+
+/** Cores disponíveis para identificar os perfis. */
+export const PROFILE_COLORS = ['#007bff', '#28a745', '#dc3545', '#fd7e14', '#6f42c1', '#20c997'];
+
+/** Tamanho máximo do nome de um perfil. */
+export const PROFILE_NAME_MAX_LENGTH = 30;
+
+// Perfil que recebe os dados de antes de existirem perfis
+const LEGACY_PROFILE_ID = 'default';
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id - Identificador único (timestamp em string; "default" para o perfil dos dados antigos).
+ * @property {string} name - Nome exibido.
+ * @property {string} color - Cor do perfil (uma de `PROFILE_COLORS`).
+ * @property {string} createdAt - Data ISO de criação.
+ */
+
+/**
+ * @param {Profile[]} profiles - A nova lista de perfis.
+ */
+const saveProfiles = async (profiles) => {
+  await storage.setItem(ASYNC_STORAGE_KEYS.PROFILES, JSON.stringify(profiles));
+};
+
+/**
+ * Valida e normaliza o nome e a cor de um perfil.
+ * @param {{name: string, color: string}} fields - Os campos informados.
+ * @param {Profile[]} profiles - Os perfis existentes.
+ * @param {string} [ignoreId] - Perfil ignorado na checagem de nome repetido (o próprio, ao editar).
+ * @returns {{name: string, color: string}} Os campos normalizados.
+ * @throws {Error} Se o nome estiver vazio ou já for usado por outro perfil.
+ */
+const validateProfileFields = ({ name, color }, profiles, ignoreId) => {
+  const trimmedName = (name || '').trim();
+  if (!trimmedName) {
+    throw new Error('Informe o nome do perfil.');
+  }
+  const nameInUse = profiles.some(profile =>
+    profile.id !== ignoreId && profile.name.toLowerCase() === trimmedName.toLowerCase());
+  if (nameInUse) {
+    throw new Error('Já existe um perfil com este nome.');
+  }
+  return {
+    name: trimmedName.slice(0, PROFILE_NAME_MAX_LENGTH),
+    color: PROFILE_COLORS.includes(color) ? color : PROFILE_COLORS[0],
+  };
+};
+
+/**
+ * Lê a lista de perfis. Na primeira abertura depois da criação dos perfis, passa os dados e o
+ * PIN existentes para o perfil "Principal".
+ * @returns {Promise<Profile[]>} Os perfis, na ordem de criação.
+ */
+export const loadProfiles = async () => {
+  const json = await storage.getItem(ASYNC_STORAGE_KEYS.PROFILES);
+  let profiles = json ? JSON.parse(json) : null;
+  if (profiles === null) {
+    const hasLegacyData = (await storage.hasLegacyItems()) || (await hasLegacyLock());
+    profiles = hasLegacyData
+      ? [{ id: LEGACY_PROFILE_ID, name: 'Principal', color: PROFILE_COLORS[0], createdAt: new Date().toISOString() }]
+      : [];
+    await saveProfiles(profiles);
+  }
+  // Repetido a cada abertura: conclui a passagem se o app fechou no meio dela
+  if (profiles.some(profile => profile.id === LEGACY_PROFILE_ID)) {
+    await storage.adoptLegacyItems(LEGACY_PROFILE_ID);
+    await adoptLegacyLock(LEGACY_PROFILE_ID);
+  }
+  return profiles;
+};
+
+/**
+ * @returns {Promise<Profile|null>} O perfil ativo, ou null se nenhum foi escolhido.
+ */
+export const getActiveProfile = async () => {
+  const profileId = storage.getActiveProfileId();
+  if (!profileId) return null;
+  return (await loadProfiles()).find(profile => profile.id === profileId) || null;
+};
+
+/**
+ * Cria um perfil. O PIN (ou a falta dele) é configurado em seguida, depois de escolhê-lo.
+ * @param {{name: string, color: string}} fields - Nome e cor.
+ * @returns {Promise<Profile>} O perfil criado.
+ * @throws {Error} Se o nome for inválido.
+ */
+export const createProfile = async (fields) => {
+  const profiles = await loadProfiles();
+  const profile = {
+    id: Date.now().toString(),
+    ...validateProfileFields(fields, profiles),
+    createdAt: new Date().toISOString(),
+  };
+  await saveProfiles([...profiles, profile]);
+  return profile;
+};
+
+/**
+ * Altera o nome e a cor de um perfil.
+ * @param {string} profileId - ID do perfil.
+ * @param {{name: string, color: string}} fields - Nome e cor.
+ * @returns {Promise<Profile>} O perfil atualizado.
+ * @throws {Error} Se o nome for inválido.
+ */
+export const updateProfile = async (profileId, fields) => {
+  const profiles = await loadProfiles();
+  const existing = profiles.find(profile => profile.id === profileId);
+  if (!existing) {
+    throw new Error('Perfil não encontrado.');
+  }
+  const updated = { ...existing, ...validateProfileFields(fields, profiles, profileId) };
+  await saveProfiles(profiles.map(profile => (profile.id === profileId ? updated : profile)));
+  return updated;
+};
+
+/**
+ * Escolhe o perfil cujos dados serão usados. Os dados continuam bloqueados até o desbloqueio
+ * (PIN ou `unlockWithoutPin`).
+ * @param {string} profileId - ID do perfil.
+ */
+export const selectProfile = (profileId) => {
+  if (storage.isStorageUnlocked()) {
+    throw new Error('Saia do perfil atual antes de escolher outro.');
+  }
+  storage.setActiveProfileId(profileId);
+};
+
+/**
+ * Sai do perfil ativo: para a sincronização, bloqueia os dados e descarta o que estava em
+ * memória (cache das coleções e ações que podiam ser desfeitas).
+ * @returns {Promise<void>}
+ */
+export const leaveProfile = async () => {
+  await stopAutoSync();
+  await clearCache();
+  clearUndoHistory();
+  storage.clearDataKey();
+  storage.setActiveProfileId(null);
+};
+
+/**
+ * Exclui o perfil ativo com todos os seus dados, o PIN e a conta na nuvem conectada nele
+ * (os dados guardados na nuvem não são apagados). Em seguida, nenhum perfil fica ativo.
+ * @returns {Promise<void>}
+ */
+export const deleteActiveProfile = async () => {
+  const profileId = storage.requireActiveProfileId();
+  try {
+    await signOutFromCloud();
+  } catch (error) {
+    console.error('profiles: Erro ao sair da conta na nuvem:', error);
+  }
+  await leaveProfile();
+  await storage.clearProfileItems(profileId);
+  await removeProfileLock(profileId);
+  await saveProfiles((await loadProfiles()).filter(profile => profile.id !== profileId));
+};
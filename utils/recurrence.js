@@ -0,0 +1,396 @@
+// utils/recurrence.js
+
+/**
+ * @file Regras de recorrência das despesas fixas (`paymentMethod: 'Fixa'`).
+ * Cada despesa fixa guarda a sua regra em `recurrence`; o vencimento de referência é formado
+ * por `startYear`, `startMonth` e `dueDayOfMonth`, e nenhuma ocorrência é anterior a ele.
+ *
+ * - Mensal: todo mês, ou a cada N meses (`interval`), no `dueDayOfMonth`.
+ * - Semanal / quinzenal: a cada 7 / 14 dias a partir do vencimento de referência, podendo
+ *   haver mais de uma ocorrência no mesmo mês.
+ * - Anual: uma vez por ano, no mês de `startMonth` (IPVA, IPTU, seguro...).
+ * - Meses específicos: nos meses listados em `months`, no `dueDayOfMonth`.
+ *
+ * Despesas fixas gravadas antes das regras não têm `recurrence` e valem como "todo mês".
+ *
+ * Despesas fixas e receitas fixas (`type: 'Fixo'`) podem ainda ter um fim (`recurrenceEnd`):
+ * um último mês ou uma quantidade de ocorrências. Sem `recurrenceEnd`, repetem-se até serem excluídas.
+ */
+
+/** Frequências das regras de recorrência. */
+export const RECURRENCE_FREQUENCIES = {
+  MONTHLY: 'monthly',
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+  YEARLY: 'yearly',
+  SPECIFIC_MONTHS: 'specificMonths',
+};
+
+/** Nomes das frequências, na ordem exibida no formulário. */
+export const RECURRENCE_FREQUENCY_LABELS = {
+  [RECURRENCE_FREQUENCIES.MONTHLY]: 'Mensal',
+  [RECURRENCE_FREQUENCIES.WEEKLY]: 'Semanal',
+  [RECURRENCE_FREQUENCIES.BIWEEKLY]: 'Quinzenal',
+  [RECURRENCE_FREQUENCIES.YEARLY]: 'Anual',
+  [RECURRENCE_FREQUENCIES.SPECIFIC_MONTHS]: 'Meses específicos',
+};
+
+/** Abreviações dos meses (0-11), usadas na escolha e na descrição dos meses específicos. */
+export const MONTH_ABBREVIATIONS = ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'];
+
+/** Maior intervalo aceito na recorrência mensal, em meses. */
+export const MAX_RECURRENCE_INTERVAL = 60;
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {'monthly'|'weekly'|'biweekly'|'yearly'|'specificMonths'} frequency - Frequência.
+ * @property {number} interval - Na mensal, a quantidade de meses entre as ocorrências (1 = todo mês).
+ * @property {number[]} months - Nos meses específicos, os meses (0-11) com ocorrência.
+ */
+
+/** Regra das despesas fixas sem `recurrence`: todo mês. */
+export const DEFAULT_RECURRENCE = { frequency: RECURRENCE_FREQUENCIES.MONTHLY, interval: 1, months: [] };
+
+/** Formas de encerrar uma recorrência. `NEVER` não é gravado: equivale a não ter `recurrenceEnd`. */
+export const RECURRENCE_END_TYPES = {
+  NEVER: 'never',
+  DATE: 'date',
+  COUNT: 'count',
+};
+
+/** Nomes das formas de encerramento, na ordem exibida no formulário. */
+export const RECURRENCE_END_TYPE_LABELS = {
+  [RECURRENCE_END_TYPES.NEVER]: 'Nunca',
+  [RECURRENCE_END_TYPES.DATE]: 'No mês',
+  [RECURRENCE_END_TYPES.COUNT]: 'Após N vezes',
+};
+
+/** Maior quantidade de ocorrências aceita no encerramento por quantidade. */
+export const MAX_RECURRENCE_COUNT = 360;
+
+/**
+ * @typedef {Object} RecurrenceEnd
+ * @property {'date'|'count'} type - Encerra em um mês ou após uma quantidade de ocorrências.
+ * @property {number} [month] - Último mês (0-11) com ocorrência, no encerramento por mês.
+ * @property {number} [year] - Ano do último mês, no encerramento por mês.
+ * @property {number} [day] - Último dia, quando o encerramento é no meio do mês (gravado ao dividir
+ *   uma série em versões; ver utils/fixedExpenses.js).
+ * @property {number} [count] - Total de ocorrências, no encerramento por quantidade.
+ */
+
+// Dias entre as ocorrências das frequências semanais
+const DAYS_BETWEEN = {
+  [RECURRENCE_FREQUENCIES.WEEKLY]: 7,
+  [RECURRENCE_FREQUENCIES.BIWEEKLY]: 14,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Último dia de um mês (utils/monthlyEntries.js importa este módulo, então não usa o de lá).
+ * @param {number} year - O ano.
+ * @param {number} month - O mês (0-11).
+ * @returns {number} O último dia do mês.
+ */
+const getLastDayOfMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Último dia de um mês como Date (aceita meses além de 11, que avançam o ano).
+ * @param {number} year - O ano.
+ * @param {number} month - O mês (0-11, ou maior).
+ * @returns {Date} O último dia do mês, à meia-noite.
+ */
+const getMonthEndDate = (year, month) => new Date(year, month + 1, 0);
+
+/**
+ * Regra de recorrência de uma despesa fixa, com a regra padrão para as despesas antigas.
+ * @param {object} expense - A despesa fixa.
+ * @returns {Recurrence} A regra.
+ */
+export const getRecurrence = (expense) => ({ ...DEFAULT_RECURRENCE, ...(expense.recurrence || {}) });
+
+/**
+ * Verifica se a regra é a padrão (todo mês), a única existente antes das regras de recorrência.
+ * @param {Recurrence} recurrence - A regra.
+ * @returns {boolean} true para "todo mês".
+ */
+export const isDefaultRecurrence = (recurrence) =>
+  recurrence.frequency === RECURRENCE_FREQUENCIES.MONTHLY && recurrence.interval === 1;
+
+/**
+ * Verifica se a regra pode ter mais de uma ocorrência por mês (semanal e quinzenal).
+ * Essas ocorrências são identificadas pelo dia, além do mês (ver `getOccurrenceKey`).
+ * @param {Recurrence} recurrence - A regra.
+ * @returns {boolean} true para as regras semanais.
+ */
+export const hasMultipleOccurrencesPerMonth = (recurrence) => recurrence.frequency in DAYS_BETWEEN;
+
+/**
+ * Verifica se a regra usa uma data de referência completa (dia e mês) escolhida pelo usuário,
+ * em vez de apenas o dia do mês: semanal, quinzenal, anual e a cada N meses.
+ * @param {Recurrence} recurrence - A regra.
+ * @returns {boolean} true se o formulário deve pedir a data do primeiro vencimento.
+ */
+export const usesStartDate = (recurrence) =>
+  hasMultipleOccurrencesPerMonth(recurrence) ||
+  recurrence.frequency === RECURRENCE_FREQUENCIES.YEARLY ||
+  (recurrence.frequency === RECURRENCE_FREQUENCIES.MONTHLY && recurrence.interval > 1);
+
+/**
+ * Data do vencimento de referência (a primeira ocorrência possível) de uma despesa fixa.
+ * @param {object} expense - A despesa fixa.
+ * @returns {Date} A data, com o dia limitado ao último dia do mês.
+ */
+export const getRecurrenceStartDate = (expense) => new Date(
+  expense.startYear,
+  expense.startMonth,
+  Math.min(expense.dueDayOfMonth, getLastDayOfMonth(expense.startYear, expense.startMonth))
+);
+
+/**
+ * Data da última ocorrência permitida pelo fim (`recurrenceEnd`) de uma despesa fixa.
+ * No encerramento por quantidade, as ocorrências são contadas pela regra, a partir do vencimento
+ * de referência, mesmo nos meses excluídos.
+ * @param {object} expense - A despesa fixa.
+ * @returns {Date|null} A data limite (inclusive), ou null se a despesa não tem fim.
+ */
+export const getRecurrenceEndDate = (expense) => {
+  const end = expense.recurrenceEnd;
+  if (!end) {
+    return null;
+  }
+  if (end.type === RECURRENCE_END_TYPES.DATE) {
+    return end.day ? new Date(end.year, end.month, end.day) : getMonthEndDate(end.year, end.month);
+  }
+
+  const recurrence = getRecurrence(expense);
+  const lastIndex = end.count - 1;
+  if (hasMultipleOccurrencesPerMonth(recurrence)) {
+    const start = getRecurrenceStartDate(expense);
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate() + lastIndex * DAYS_BETWEEN[recurrence.frequency]);
+  }
+  if (recurrence.frequency === RECURRENCE_FREQUENCIES.YEARLY) {
+    return getMonthEndDate(expense.startYear + lastIndex, expense.startMonth);
+  }
+  if (recurrence.frequency === RECURRENCE_FREQUENCIES.SPECIFIC_MONTHS) {
+    // Percorre os meses a partir do início até encontrar a última ocorrência
+    let found = 0;
+    for (let offset = 0; offset < 12 * end.count + 12; offset++) {
+      const month = (expense.startMonth + offset) % 12;
+      if (recurrence.months.includes(month) && ++found === end.count) {
+        return getMonthEndDate(expense.startYear, expense.startMonth + offset);
+      }
+    }
+    return null;
+  }
+  return getMonthEndDate(expense.startYear, expense.startMonth + lastIndex * Math.max(1, recurrence.interval));
+};
+
+/**
+ * Data limite de uma receita fixa, que se repete todo mês a partir do mês de criação.
+ * @param {object} income - A receita fixa.
+ * @returns {Date|null} O último dia do último mês da receita, ou null se ela não tem fim.
+ */
+export const getIncomeEndDate = (income) => {
+  const end = income.recurrenceEnd;
+  if (!end) {
+    return null;
+  }
+  if (end.type === RECURRENCE_END_TYPES.DATE) {
+    return getMonthEndDate(end.year, end.month);
+  }
+  const createdAt = new Date(income.createdAt);
+  return getMonthEndDate(createdAt.getFullYear(), createdAt.getMonth() + end.count - 1);
+};
+
+/**
+ * Datas das ocorrências de uma despesa fixa em um mês, em ordem, respeitando o fim da recorrência.
+ * Não considera `excludedMonths` nem a exclusão da despesa (tratados por quem chama).
+ * @param {object} expense - A despesa fixa.
+ * @param {number} year - O ano.
+ * @param {number} month - O mês (0-11).
+ * @returns {Date[]} As datas de vencimento no mês (vazio se não houver).
+ */
+export const getOccurrencesInMonth = (expense, year, month) => {
+  const recurrence = getRecurrence(expense);
+  const monthsSinceStart = (year - expense.startYear) * 12 + (month - expense.startMonth);
+  if (monthsSinceStart < 0) {
+    return [];
+  }
+  const endDate = getRecurrenceEndDate(expense);
+  if (endDate && new Date(year, month, 1) > endDate) {
+    return [];
+  }
+
+  if (hasMultipleOccurrencesPerMonth(recurrence)) {
+    const step = DAYS_BETWEEN[recurrence.frequency];
+    const start = getRecurrenceStartDate(expense);
+    const startUtc = Date.UTC(start.getFullYear(), start.getMonth(), start.getDate());
+    const lastDay = getLastDayOfMonth(year, month);
+    const occurrences = [];
+    for (let day = 1; day <= lastDay; day++) {
+      const daysSinceStart = Math.round((Date.UTC(year, month, day) - startUtc) / DAY_MS);
+      if (daysSinceStart >= 0 && daysSinceStart % step === 0 && (!endDate || new Date(year, month, day) <= endDate)) {
+        occurrences.push(new Date(year, month, day));
+      }
+    }
+    return occurrences;
+  }
+
+  let matches;
+  if (recurrence.frequency === RECURRENCE_FREQUENCIES.YEARLY) {
+    matches = month === expense.startMonth;
+  } else if (recurrence.frequency === RECURRENCE_FREQUENCIES.SPECIFIC_MONTHS) {
+    matches = recurrence.months.includes(month);
+  } else {
+    matches = monthsSinceStart % Math.max(1, recurrence.interval) === 0;
+  }
+  if (!matches) {
+    return [];
+  }
+  // Um fim no meio do mês (ver `RecurrenceEnd.day`) pode vir antes do vencimento
+  const dueDate = new Date(year, month, Math.min(expense.dueDayOfMonth, getLastDayOfMonth(year, month)));
+  return endDate && dueDate > endDate ? [] : [dueDate];
+};
+
+/**
+ * Chave de uma ocorrência em `monthlyStatus` e no ID exibido: "AAAA-M" (mês 0-11) nas regras
+ * com uma ocorrência por mês, como antes das regras, e "AAAA-M-D" nas semanais.
+ * @param {Recurrence} recurrence - A regra.
+ * @param {Date} date - A data da ocorrência.
+ * @returns {string} A chave.
+ */
+export const getOccurrenceKey = (recurrence, date) => {
+  const monthKey = `${date.getFullYear()}-${date.getMonth()}`;
+  return hasMultipleOccurrencesPerMonth(recurrence) ? `${monthKey}-${date.getDate()}` : monthKey;
+};
+
+/**
+ * Descreve a regra para exibição (ex: "Mensal", "A cada 3 meses", "Anual (março)", "Em jan, jul").
+ * @param {Recurrence} recurrence - A regra.
+ * @param {object} [expense] - A despesa, para incluir o mês das regras anuais.
+ * @returns {string} A descrição.
+ */
+export const describeRecurrence = (recurrence, expense) => {
+  const rule = { ...DEFAULT_RECURRENCE, ...recurrence };
+  switch (rule.frequency) {
+    case RECURRENCE_FREQUENCIES.MONTHLY:
+      return rule.interval > 1 ? `A cada ${rule.interval} meses` : 'Mensal';
+    case RECURRENCE_FREQUENCIES.YEARLY:
+      return expense
+        ? `Anual (${new Date(2000, expense.startMonth, 1).toLocaleDateString('pt-BR', { month: 'long' })})`
+        : 'Anual';
+    case RECURRENCE_FREQUENCIES.SPECIFIC_MONTHS:
+      return `Em ${[...rule.months].sort((a, b) => a - b).map(month => MONTH_ABBREVIATIONS[month]).join(', ')}`;
+    default:
+      return RECURRENCE_FREQUENCY_LABELS[rule.frequency] || 'Mensal';
+  }
+};
+
+/**
+ * Descreve o fim de uma recorrência para exibição (ex: "até 12/2026", "12 vezes").
+ * @param {RecurrenceEnd|null|undefined} end - O fim da recorrência.
+ * @returns {string} A descrição, ou '' se não há fim.
+ */
+export const describeRecurrenceEnd = (end) => {
+  if (!end) {
+    return '';
+  }
+  if (end.type === RECURRENCE_END_TYPES.DATE) {
+    const day = end.day ? `${String(end.day).padStart(2, '0')}/` : '';
+    return `até ${day}${String(end.month + 1).padStart(2, '0')}/${end.year}`;
+  }
+  return end.count === 1 ? '1 vez' : `${end.count} vezes`;
+};
+
+/**
+ * Detalhes da repetição de uma despesa fixa exibidos ao lado de "Fixa": a regra, quando não é
+ * a padrão, e o fim, quando há.
+ * @param {object} expense - A despesa fixa.
+ * @returns {string[]} As descrições (vazio para "todo mês, sem fim").
+ */
+export const describeRecurrenceDetails = (expense) => {
+  const recurrence = getRecurrence(expense);
+  return [
+    isDefaultRecurrence(recurrence) ? '' : describeRecurrence(recurrence, expense),
+    describeRecurrenceEnd(expense.recurrenceEnd),
+  ].filter(Boolean);
+};
+
+/**
+ * Campos do formulário para um fim de recorrência gravado (o inverso de `normalizeRecurrenceEnd`).
+ * @param {RecurrenceEnd|null|undefined} end - O fim da recorrência.
+ * @returns {{type: string, monthYear: string, count: string}} Os campos, como texto.
+ */
+export const getRecurrenceEndFields = (end) => ({
+  type: end?.type || RECURRENCE_END_TYPES.NEVER,
+  monthYear: end?.type === RECURRENCE_END_TYPES.DATE ? `${String(end.month + 1).padStart(2, '0')}/${end.year}` : '',
+  count: end?.type === RECURRENCE_END_TYPES.COUNT ? String(end.count) : '',
+});
+
+/**
+ * Verifica se dois fins de recorrência mostram os mesmos campos no formulário (o dia, que o
+ * formulário não exibe, é ignorado).
+ * @param {RecurrenceEnd|null|undefined} a - Um fim.
+ * @param {RecurrenceEnd|null|undefined} b - Outro fim.
+ * @returns {boolean} true se são iguais no formulário.
+ */
+export const isSameRecurrenceEnd = (a, b) =>
+  JSON.stringify(getRecurrenceEndFields(a)) === JSON.stringify(getRecurrenceEndFields(b));
+
+/**
+ * Valida e normaliza o fim de uma recorrência informado no formulário.
+ * @param {{type: string, monthYear?: string, count?: string|number}} fields - Os campos informados
+ *   (o mês como "MM/AAAA").
+ * @param {Date} startDate - Início da recorrência; o último mês não pode ser anterior ao mês dele.
+ * @returns {RecurrenceEnd|null} O fim normalizado, ou null para "Nunca".
+ * @throws {Error} Se o mês ou a quantidade forem inválidos.
+ */
+export const normalizeRecurrenceEnd = ({ type, monthYear, count }, startDate) => {
+  if (type === RECURRENCE_END_TYPES.DATE) {
+    const match = /^(\d{2})\/(\d{4})$/.exec((monthYear || '').trim());
+    const month = match ? parseInt(match[1], 10) - 1 : NaN;
+    if (!match || month < 0 || month > 11) {
+      throw new Error('Informe o último mês no formato MM/AAAA.');
+    }
+    const year = parseInt(match[2], 10);
+    if (year * 12 + month < startDate.getFullYear() * 12 + startDate.getMonth()) {
+      throw new Error('O último mês não pode ser anterior ao início da recorrência.');
+    }
+    return { type, month, year };
+  }
+  if (type === RECURRENCE_END_TYPES.COUNT) {
+    const total = typeof count === 'number' ? count : parseInt(count, 10);
+    if (!Number.isInteger(total) || total < 1 || total > MAX_RECURRENCE_COUNT) {
+      throw new Error(`Informe uma quantidade de vezes entre 1 e ${MAX_RECURRENCE_COUNT}.`);
+    }
+    return { type, count: total };
+  }
+  return null;
+};
+
+/**
+ * Valida e normaliza uma regra informada no formulário.
+ * @param {{frequency: string, interval?: number, months?: number[]}} fields - A regra informada.
+ * @returns {Recurrence} A regra normalizada.
+ * @throws {Error} Se a frequência, o intervalo ou os meses forem inválidos.
+ */
+export const normalizeRecurrence = ({ frequency, interval, months }) => {
+  if (!Object.values(RECURRENCE_FREQUENCIES).includes(frequency)) {
+    throw new Error('Escolha a frequência da despesa fixa.');
+  }
+  if (frequency === RECURRENCE_FREQUENCIES.MONTHLY) {
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_RECURRENCE_INTERVAL) {
+      throw new Error(`Informe um intervalo entre 1 e ${MAX_RECURRENCE_INTERVAL} meses.`);
+    }
+    return { frequency, interval, months: [] };
+  }
+  if (frequency === RECURRENCE_FREQUENCIES.SPECIFIC_MONTHS) {
+    const uniqueMonths = [...new Set(months || [])].filter(month => month >= 0 && month <= 11).sort((a, b) => a - b);
+    if (uniqueMonths.length === 0) {
+      throw new Error('Escolha ao menos um mês para a despesa fixa.');
+    }
+    return { frequency, interval: 1, months: uniqueMonths };
+  }
+  return { frequency, interval: 1, months: [] };
+};
@@ -0,0 +1,38 @@
+// utils/settings.js
+
+/**
+ * @file Preferências do aplicativo, salvas como um único objeto JSON em `ASYNC_STORAGE_KEYS.SETTINGS`.
+ * Cada funcionalidade guarda aqui as suas opções, sob uma chave própria, e elas
+ * acompanham o backup completo dos dados.
+ */
+
+import * as storage from './encryptedStorage';
+import { ASYNC_STORAGE_KEYS } from './constants';
+
+/**
+ * Lê todas as preferências salvas.
+ * @returns {Promise<object>} Objeto com as preferências (vazio se nada foi salvo).
+ */
+export const getSettings = async () => {
+  const json = await storage.getItem(ASYNC_STORAGE_KEYS.SETTINGS);
+  return json ? JSON.parse(json) : {};
+};
+
+/**
+ * Substitui todas as preferências salvas.
+ * @param {object} settings - O novo objeto de preferências.
+ */
+export const saveSettings = async (settings) => {
+  await storage.setItem(ASYNC_STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+};
+
+/**
+ * Altera algumas preferências, mantendo as demais.
+ * @param {object} changes - Preferências alteradas.
+ * @returns {Promise<object>} O objeto de preferências atualizado.
+ */
+export const updateSettings = async (changes) => {
+  const next = { ...(await getSettings()), ...changes };
+  await saveSettings(next);
+  return next;
+};
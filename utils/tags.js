@@ -0,0 +1,79 @@
+// utils/tags.js
+
+/**
+ * @file Tags livres de receitas e despesas (ex: "viagem-2026", "reembolsável", "casa").
+ * Cada registro guarda as suas tags em `tags` (lista de textos). Não há cadastro separado:
+ * as tags existentes são as usadas em algum registro, e servem de sugestão no campo de tags
+ * e de opção no filtro da tela inicial.
+ *
+ * As tags são normalizadas ao salvar: minúsculas, sem espaços nas pontas e com hífen no lugar
+ * dos espaços internos, para que "Viagem 2026" e "viagem-2026" sejam a mesma tag.
+ */
+
+/** Tamanho máximo de uma tag. */
+export const TAG_MAX_LENGTH = 30;
+
+/**
+ * Normaliza o texto de uma tag.
+ * @param {string} text - O texto digitado.
+ * @returns {string} A tag normalizada (vazia se o texto não tiver conteúdo).
+ */
+export const normalizeTag = (text) =>
+  String(text || '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLocaleLowerCase('pt-BR')
+    .replace(/\s+/g, '-')
+    .slice(0, TAG_MAX_LENGTH);
+
+/**
+ * Normaliza uma lista de tags, descartando vazias e repetidas.
+ * @param {string[]|undefined} tags - As tags.
+ * @returns {string[]} As tags normalizadas, na ordem original.
+ */
+export const normalizeTags = (tags) =>
+  [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+
+/**
+ * Reúne as tags usadas nos registros ativos, das mais usadas para as menos usadas.
+ * @param {...Array<object>} collections - Listas de receitas e/ou despesas.
+ * @returns {string[]} As tags existentes.
+ */
+export const collectTags = (...collections) => {
+  const counts = new Map();
+  collections.flat().forEach(record => {
+    if (record.status === 'inactive') return;
+    (record.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return Array.from(counts.keys())
+    .sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b, 'pt-BR'));
+};
+
+/**
+ * Sugestões para o texto digitado no campo de tags: primeiro as que começam com o texto,
+ * depois as que o contêm.
+ * @param {string[]} existingTags - Tags existentes (ver `collectTags`).
+ * @param {string} text - O texto digitado.
+ * @param {string[]} selectedTags - Tags já escolhidas (não são sugeridas).
+ * @param {number} [limit=6] - Quantidade máxima de sugestões.
+ * @returns {string[]} As sugestões.
+ */
+export const suggestTags = (existingTags, text, selectedTags, limit = 6) => {
+  const query = normalizeTag(text);
+  const available = existingTags.filter(tag => !selectedTags.includes(tag));
+  if (!query) return available.slice(0, limit);
+  return [
+    ...available.filter(tag => tag.startsWith(query)),
+    ...available.filter(tag => !tag.startsWith(query) && tag.includes(query)),
+  ].slice(0, limit);
+};
+
+/**
+ * Verifica se um registro passa no filtro de tags: sem tags escolhidas, todos passam;
+ * com tags escolhidas, passam os registros que têm pelo menos uma delas.
+ * @param {object} record - Receita ou despesa.
+ * @param {string[]} selectedTags - Tags escolhidas no filtro.
+ * @returns {boolean} true se o registro deve ser exibido.
+ */
+export const matchesTags = (record, selectedTags) =>
+  selectedTags.length === 0 || (record.tags || []).some(tag => selectedTags.includes(tag));
@@ -0,0 +1,61 @@
+// utils/tombstones.js
+
+/**
+ * @file Marcas de exclusão definitiva ("tombstones") usadas pela sincronização na nuvem.
+ * Quando um registro some de uma coleção (lixeira esvaziada, item apagado de vez...), o
+ * `financeRepository` guarda aqui o ID e a data, para que a exclusão também chegue à nuvem e
+ * aos outros aparelhos. Depois de enviadas, as marcas são descartadas.
+ *
+ * Exclusões suaves (`status: 'inactive'`) não geram marcas: o registro continua existindo e é
+ * sincronizado como qualquer alteração.
+ */
+
+import * as storage from './encryptedStorage';
+import { ASYNC_STORAGE_KEYS } from './constants';
+
+// Quantidade máxima de marcas guardadas (as mais antigas são descartadas)
+const MAX_TOMBSTONES = 5000;
+
+/**
+ * @typedef {Object} Tombstone
+ * @property {string} collection - Coleção do registro (valor de `ASYNC_STORAGE_KEYS`).
+ * @property {string} id - ID do registro apagado.
+ * @property {string} deletedAt - Data ISO da exclusão.
+ */
+
+/**
+ * Lê as marcas ainda não enviadas, da mais antiga para a mais recente.
+ * @returns {Promise<Tombstone[]>} As marcas.
+ */
+export const getTombstones = async () => {
+  const json = await storage.getItem(ASYNC_STORAGE_KEYS.SYNC_TOMBSTONES);
+  return json ? JSON.parse(json) : [];
+};
+
+/**
+ * Registra a exclusão definitiva de registros. Chamado pelo repositório dentro da sua fila de gravações.
+ * @param {string} collection - Chave da coleção.
+ * @param {string[]} ids - IDs dos registros apagados.
+ */
+export const addTombstones = async (collection, ids) => {
+  if (ids.length === 0) return;
+  const deletedAt = new Date().toISOString();
+  const removed = new Set(ids);
+  const tombstones = [
+    ...(await getTombstones()).filter(tombstone => !(tombstone.collection === collection && removed.has(tombstone.id))),
+    ...ids.map(id => ({ collection, id, deletedAt })),
+  ].slice(-MAX_TOMBSTONES);
+  await storage.setItem(ASYNC_STORAGE_KEYS.SYNC_TOMBSTONES, JSON.stringify(tombstones));
+};
+
+/**
+ * Descarta as marcas já enviadas. Marcas mais novas do mesmo registro (gravadas durante o envio) são mantidas.
+ * @param {Tombstone[]} sent - As marcas enviadas.
+ */
+export const removeTombstones = async (sent) => {
+  if (sent.length === 0) return;
+  const sentKeys = new Set(sent.map(tombstone => `${tombstone.collection}:${tombstone.id}:${tombstone.deletedAt}`));
+  const remaining = (await getTombstones())
+    .filter(tombstone => !sentKeys.has(`${tombstone.collection}:${tombstone.id}:${tombstone.deletedAt}`));
+  await storage.setItem(ASYNC_STORAGE_KEYS.SYNC_TOMBSTONES, JSON.stringify(remaining));
+};
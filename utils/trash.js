@@ -0,0 +1,327 @@
+// utils/trash.js
+
+/**
+ * @file Lixeira: itens excluídos (exclusão suave) que ainda podem ser restaurados.
+ * Receitas, despesas e cartões excluídos ficam com `status: 'inactive'` e `deletedAt`;
+ * aqui eles são listados, restaurados ou removidos permanentemente.
+ *
+ * As parcelas de uma compra no crédito aparecem como um único item, agrupadas por
+ * `originalExpenseId`. A limpeza de um mês na tela inicial pode mandar para a lixeira
+ * apenas algumas parcelas; nesse caso o item agrupa só as parcelas inativas.
+ *
+ * Nas receitas e despesas fixas, a limpeza de um mês não exclui o registro: o mês entra em
+ * `excludedMonths` e a limpeza fica em `clearedMonths`, que aparece aqui como um item do mês.
+ * Restaurá-lo devolve o mês; removê-lo de vez só esquece a limpeza (o mês continua excluído).
+ *
+ * O prazo de exclusão automática conta a partir da data real da exclusão (`deletedAt` ou
+ * `clearedAt`); em registros excluídos antes de `deletedAt` ter sempre essa data, vale a
+ * data da última alteração, se for mais recente.
+ */
+
+import { updateIncomes, updateExpenses, updateCards } from './financeRepository';
+import { getSettings, updateSettings } from './settings';
+import { formatMonthYearForExclusion } from './monthlyEntries';
+import { AUDIT_SOURCES } from './auditLog';
+
+// Alterações feitas pela lixeira aparecem com esta origem no histórico
+const TRASH_OPTIONS = { source: AUDIT_SOURCES.TRASH };
+
+/** Opções de exclusão automática, em dias (0 = nunca). */
+export const TRASH_RETENTION_OPTIONS = [0, 7, 15, 30, 60, 90];
+
+/** Prazo padrão de exclusão automática, em dias. */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * @typedef {Object} TrashItem
+ * @property {string} key - Chave única do item na lista.
+ * @property {'income'|'expense'|'card'} kind - Coleção de origem.
+ * @property {string[]} ids - IDs dos registros armazenados que compõem o item.
+ * @property {string} title - Nome exibido.
+ * @property {string} details - Informações complementares exibidas.
+ * @property {number|null} value - Valor em centavos (null para cartões).
+ * @property {string} deletedAt - Data ISO da exclusão (a mais recente, em grupos de parcelas).
+ * @property {string} [clearedMonth] - Mês "MM/AAAA" limpo, nos itens de receitas e despesas fixas.
+ */
+
+/**
+ * @typedef {Object} ClearedMonth
+ * @property {string} month - Mês limpo, em "MM/AAAA".
+ * @property {string} clearedAt - Data ISO da limpeza.
+ */
+
+/**
+ * Indica se um registro está na lixeira.
+ * @param {object} item - O registro.
+ * @returns {boolean} true se o registro foi excluído.
+ */
+const isDeleted = (item) => item.status === 'inactive' || Boolean(item.deletedAt);
+
+/**
+ * Data a partir da qual um registro excluído conta o prazo da lixeira: a da exclusão ou, se
+ * for mais recente, a da última alteração (a limpeza de mês gravava o fim do mês limpo em `deletedAt`).
+ * @param {object} record - O registro excluído.
+ * @returns {Date|null} A data, ou null se o registro não tiver nenhuma.
+ */
+const getTrashedDate = (record) => {
+  const dates = [record.deletedAt, record.modifiedAt].filter(Boolean).map(date => new Date(date));
+  return dates.length > 0 ? new Date(Math.max(...dates)) : null;
+};
+
+/**
+ * Exclui um mês de uma receita ou despesa fixa pela limpeza de mês da tela inicial, registrando
+ * a limpeza em `clearedMonths` para que ela apareça na lixeira.
+ * @param {object} record - A receita ou despesa fixa.
+ * @param {string} month - O mês, em "MM/AAAA".
+ * @param {string} clearedAt - Data ISO da limpeza.
+ * @returns {object} O registro com o mês excluído (o mesmo objeto, se o mês já estava excluído).
+ */
+export const clearFixedMonth = (record, month, clearedAt) => {
+  const excludedMonths = record.excludedMonths || [];
+  if (excludedMonths.includes(month)) {
+    return record;
+  }
+  return {
+    ...record,
+    excludedMonths: [...excludedMonths, month],
+    clearedMonths: [...(record.clearedMonths || []), { month, clearedAt }],
+  };
+};
+
+/**
+ * Remove limpezas de mês de `clearedMonths`, sem mutar o registro.
+ * @param {object} record - O registro.
+ * @param {function(ClearedMonth): boolean} shouldForget - Quais limpezas remover.
+ * @returns {object} O registro (o mesmo objeto, se nada foi removido).
+ */
+const forgetClearedMonths = (record, shouldForget) => {
+  const clearedMonths = record.clearedMonths || [];
+  const kept = clearedMonths.filter(cleared => !shouldForget(cleared));
+  return kept.length === clearedMonths.length ? record : { ...record, clearedMonths: kept };
+};
+
+/**
+ * Itens da lixeira para os meses limpos das receitas ou despesas fixas.
+ * @param {Array<object>} records - As receitas ou despesas.
+ * @param {'income'|'expense'} kind - Coleção de origem.
+ * @returns {TrashItem[]} Um item por mês limpo.
+ */
+const getClearedMonthItems = (records, kind) => records
+  .filter(record => !isDeleted(record))
+  .flatMap(record => (record.clearedMonths || []).map(({ month, clearedAt }) => ({
+    key: `${kind}:${record.id}:${month}`,
+    kind,
+    ids: [record.id],
+    title: kind === 'income' ? record.name : record.description,
+    details: `${kind === 'income' ? 'Receita fixa' : 'Despesa fixa'}, mês ${month} limpo`,
+    value: record.value,
+    deletedAt: clearedAt,
+    clearedMonth: month,
+  })));
+
+/**
+ * Monta os itens da lixeira a partir das coleções completas, dos mais recentes para os mais antigos.
+ * @param {Array<object>} incomes - Todas as receitas.
+ * @param {Array<object>} expenses - Todas as despesas.
+ * @param {Array<object>} cards - Todos os cartões.
+ * @returns {{incomes: TrashItem[], expenses: TrashItem[], cards: TrashItem[]}} Os itens de cada coleção.
+ */
+export const getTrashItems = (incomes, expenses, cards) => {
+  const byDeletedAtDesc = (a, b) => new Date(b.deletedAt) - new Date(a.deletedAt);
+
+  const trashIncomes = incomes.filter(isDeleted).map(income => ({
+    key: `income:${income.id}`,
+    kind: 'income',
+    ids: [income.id],
+    title: income.name,
+    details: income.type === 'Fixo' ? 'Receita fixa' : `Ganho de ${String(income.month + 1).padStart(2, '0')}/${income.year}`,
+    value: income.value,
+    deletedAt: income.deletedAt,
+  }));
+
+  // Agrupa as parcelas de crédito pela compra de origem; as parcelas quitadas por antecipação
+  // não somam no valor, que já está no pagamento da antecipação
+  const settledValue = (expense) => (expense.settledBy ? 0 : expense.value);
+  const creditGroups = {};
+  const trashExpenses = [];
+  expenses.filter(isDeleted).forEach(expense => {
+    if (expense.paymentMethod === 'Crédito' && expense.originalExpenseId) {
+      const group = creditGroups[expense.originalExpenseId];
+      if (group) {
+        group.ids.push(expense.id);
+        group.value += settledValue(expense);
+        if (expense.isDownPayment) group.hasDownPayment = true;
+        if (expense.isPayoff) group.hasPayoff = true;
+        if (new Date(expense.deletedAt) > new Date(group.deletedAt)) group.deletedAt = expense.deletedAt;
+        return;
+      }
+      creditGroups[expense.originalExpenseId] = {
+        key: `expense:${expense.originalExpenseId}`,
+        kind: 'expense',
+        ids: [expense.id],
+        title: expense.description,
+        totalInstallments: expense.totalInstallments,
+        hasDownPayment: Boolean(expense.isDownPayment),
+        hasPayoff: Boolean(expense.isPayoff),
+        value: settledValue(expense),
+        deletedAt: expense.deletedAt,
+      };
+      return;
+    }
+    trashExpenses.push({
+      key: `expense:${expense.id}`,
+      kind: 'expense',
+      ids: [expense.id],
+      title: expense.description,
+      details: expense.paymentMethod === 'Fixa' ? 'Despesa fixa' : `${expense.paymentMethod}, vencimento ${new Date(expense.dueDate).toLocaleDateString('pt-BR')}`,
+      value: expense.value,
+      deletedAt: expense.deletedAt,
+    });
+  });
+  Object.values(creditGroups).forEach(({ totalInstallments, hasDownPayment, hasPayoff, ...group }) => {
+    // A entrada (parcela 0) e o pagamento da antecipação não entram na contagem das parcelas
+    const installmentCount = group.ids.length - (hasDownPayment ? 1 : 0) - (hasPayoff ? 1 : 0);
+    const installmentsText = installmentCount === totalInstallments
+      ? `${totalInstallments} parcela(s)`
+      : `${installmentCount} de ${totalInstallments} parcela(s)`;
+    trashExpenses.push({
+      ...group,
+      details: `Crédito, ${hasDownPayment ? 'entrada e ' : ''}${installmentsText}${hasPayoff ? ', antecipada' : ''}`,
+    });
+  });
+
+  const trashCards = cards.filter(isDeleted).map(card => ({
+    key: `card:${card.id}`,
+    kind: 'card',
+    ids: [card.id],
+    title: card.alias,
+    details: `Vencimento dia ${String(card.dueDayOfMonth).padStart(2, '0')}`,
+    value: null,
+    deletedAt: card.deletedAt,
+  }));
+
+  return {
+    incomes: [...trashIncomes, ...getClearedMonthItems(incomes, 'income')].sort(byDeletedAtDesc),
+    expenses: [...trashExpenses, ...getClearedMonthItems(expenses, 'expense')].sort(byDeletedAtDesc),
+    cards: trashCards.sort(byDeletedAtDesc),
+  };
+};
+
+/**
+ * Devolve uma receita ou cartão excluído ao estado ativo.
+ * @param {object} record - O registro excluído.
+ * @returns {object} O registro restaurado.
+ */
+const restoreRecord = (record) => ({ ...record, status: 'active', deletedAt: null });
+
+/**
+ * Devolve uma despesa excluída ao estado anterior à exclusão.
+ * O status de pagamento é recuperado por `paidAt`; nas despesas fixas, o mês que a exclusão
+ * acrescentou a `excludedMonths` volta a contar.
+ * @param {object} expense - A despesa excluída.
+ * @returns {object} A despesa restaurada.
+ */
+const restoreExpense = (expense) => {
+  const restored = { ...expense, status: expense.paidAt ? 'paid' : 'pending', deletedAt: null };
+  if (expense.paymentMethod === 'Fixa' && expense.deletedAt) {
+    const deletedMonth = formatMonthYearForExclusion(new Date(expense.deletedAt));
+    restored.excludedMonths = (expense.excludedMonths || []).filter(month => month !== deletedMonth);
+    restored.status = 'pending'; // Nas fixas, o pagamento fica em `monthlyStatus`
+  }
+  return restored;
+};
+
+// Funções de atualização de cada coleção
+const UPDATERS = {
+  income: updateIncomes,
+  expense: updateExpenses,
+  card: updateCards,
+};
+
+/**
+ * Restaura um item da lixeira.
+ * @param {TrashItem} item - O item a restaurar.
+ * @returns {Promise<void>}
+ */
+export const restoreTrashItem = async (item) => {
+  const ids = new Set(item.ids);
+  if (item.clearedMonth) {
+    // Mês limpo de um item fixo: o mês volta a contar
+    const restoreMonth = (record) => ({
+      ...forgetClearedMonths(record, cleared => cleared.month === item.clearedMonth),
+      excludedMonths: (record.excludedMonths || []).filter(month => month !== item.clearedMonth),
+    });
+    await UPDATERS[item.kind](list => list.map(record => (ids.has(record.id) ? restoreMonth(record) : record)), TRASH_OPTIONS);
+    return;
+  }
+  const restore = item.kind === 'expense' ? restoreExpense : restoreRecord;
+  await UPDATERS[item.kind](list => list.map(record => (ids.has(record.id) ? restore(record) : record)), TRASH_OPTIONS);
+};
+
+/**
+ * Remove permanentemente um item da lixeira.
+ * @param {TrashItem} item - O item a remover.
+ * @returns {Promise<void>}
+ */
+export const purgeTrashItem = async (item) => {
+  const ids = new Set(item.ids);
+  if (item.clearedMonth) {
+    // Mês limpo de um item fixo: só a limpeza é esquecida, e o mês continua excluído
+    const forgetMonth = (record) => forgetClearedMonths(record, cleared => cleared.month === item.clearedMonth);
+    await UPDATERS[item.kind](list => list.map(record => (ids.has(record.id) ? forgetMonth(record) : record)), TRASH_OPTIONS);
+    return;
+  }
+  await UPDATERS[item.kind](list => list.filter(record => !ids.has(record.id)), TRASH_OPTIONS);
+};
+
+/**
+ * Remove permanentemente os itens excluídos antes de uma data (ou todos, sem data).
+ * Os meses limpos das receitas e despesas fixas são esquecidos pela data da limpeza.
+ * @param {Date} [before] - Remove apenas itens excluídos antes desta data (ver `getTrashedDate`).
+ * @returns {Promise<void>}
+ */
+export const emptyTrash = async (before) => {
+  const shouldPurge = (record) => {
+    if (!isDeleted(record)) return false;
+    const trashedDate = getTrashedDate(record);
+    return !before || (trashedDate !== null && trashedDate < before);
+  };
+  const isExpired = (cleared) => !before || new Date(cleared.clearedAt) < before;
+  // Só devolve uma lista nova se algo mudou, para não gravar a coleção à toa
+  const purge = (list) => {
+    const next = list.filter(record => !shouldPurge(record)).map(record => forgetClearedMonths(record, isExpired));
+    return next.length === list.length && next.every((record, index) => record === list[index]) ? list : next;
+  };
+  await updateIncomes(purge, TRASH_OPTIONS);
+  await updateExpenses(purge, TRASH_OPTIONS);
+  await updateCards(purge, TRASH_OPTIONS);
+};
+
+/**
+ * @returns {Promise<number>} Prazo de exclusão automática, em dias (0 = nunca).
+ */
+export const getTrashRetentionDays = async () => {
+  const { trashRetentionDays } = await getSettings();
+  return trashRetentionDays === undefined ? DEFAULT_TRASH_RETENTION_DAYS : trashRetentionDays;
+};
+
+/**
+ * Altera o prazo de exclusão automática.
+ * @param {number} days - Prazo em dias (0 = nunca).
+ */
+export const setTrashRetentionDays = async (days) => {
+  await updateSettings({ trashRetentionDays: days });
+};
+
+/**
+ * Remove permanentemente os itens que estão na lixeira há mais tempo que o prazo configurado.
+ * Chamado na inicialização do app.
+ * @returns {Promise<void>}
+ */
+export const purgeExpiredTrash = async () => {
+  const days = await getTrashRetentionDays();
+  if (!days) return;
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - days);
+  await emptyTrash(cutoff);
+};
@@ -0,0 +1,167 @@
+// utils/undoHistory.js
+
+/**
+ * @file Histórico de ações que podem ser desfeitas (marcar como pago, excluir, editar, limpar mês).
+ * Cada ação é executada por `runUndoable`, que acompanha as gravações feitas pelo usuário
+ * enquanto ela roda (ver `subscribeMutations`) e guarda apenas os registros alterados por elas.
+ * Desfazer grava de volta essas versões anteriores (e remove os registros criados pela ação),
+ * sem tocar no restante dos dados.
+ *
+ * O antes e o depois vêm de cada gravação, dentro da fila do repositório, e não de leituras
+ * soltas das coleções: alterações feitas ao mesmo tempo por outras origens (como a
+ * sincronização) não entram na ação. As ações undoable rodam uma de cada vez, para que as
+ * gravações de uma não sejam atribuídas a outra.
+ *
+ * Como o repositório nunca muta os registros, um registro inalterado mantém a mesma referência,
+ * então a comparação é feita por referência.
+ */
+
+import { subscribeMutations, updateCollection } from './financeRepository';
+import { AUDIT_SOURCES } from './auditLog';
+
+// Quantidade máxima de ações guardadas no histórico
+const MAX_HISTORY = 20;
+
+/**
+ * @typedef {Object} UndoCommand
+ * @property {string} id - Identificador da ação.
+ * @property {string} label - Descrição exibida ao usuário (ex: "Despesa excluída").
+ * @property {Array<{key: string, previous: Array<object>, addedIds: string[]}>} changes -
+ *   Por coleção, as versões anteriores dos registros alterados/removidos e os IDs criados.
+ */
+
+// Pilha de ações (a última é a mais recente)
+let history = [];
+// Assinantes do histórico
+let listeners = [];
+// Fila das ações undoable: cada uma só começa quando a anterior termina
+let actionQueue = Promise.resolve();
+
+/**
+ * Avisa os assinantes sobre o novo estado do histórico.
+ */
+const notify = () => {
+  listeners.forEach(listener => {
+    try {
+      listener(history);
+    } catch (error) {
+      console.error('undoHistory: Erro em assinante:', error);
+    }
+  });
+};
+
+/**
+ * Junta as gravações de uma ação em uma coleção.
+ * @param {Array<import('./financeRepository').Mutation>} mutations - As gravações, em ordem.
+ * @returns {{previous: Array<object>, addedIds: string[]}} Registros alterados ou removidos (versão
+ *   anterior à ação) e IDs dos registros criados.
+ */
+const diffMutations = (mutations) => {
+  const previousById = new Map();
+  const addedIds = new Set();
+  mutations.forEach(({ before, after }) => {
+    const afterById = new Map(after.map(record => [record.id, record]));
+    const beforeIds = new Set(before.map(record => record.id));
+    // Vale a versão de antes da primeira gravação que alterou o registro
+    before
+      .filter(record => afterById.get(record.id) !== record && !addedIds.has(record.id) && !previousById.has(record.id))
+      .forEach(record => previousById.set(record.id, record));
+    after
+      .filter(record => !beforeIds.has(record.id) && !previousById.has(record.id))
+      .forEach(record => addedIds.add(record.id));
+  });
+  return { previous: [...previousById.values()], addedIds: [...addedIds] };
+};
+
+/**
+ * Registra um ouvinte para as mudanças do histórico.
+ * @param {function(UndoCommand[]): void} listener - Chamado com o histórico após cada mudança.
+ * @returns {function(): void} Função que cancela a assinatura.
+ */
+export const subscribeUndoHistory = (listener) => {
+  listeners = [...listeners, listener];
+  return () => {
+    listeners = listeners.filter(l => l !== listener);
+  };
+};
+
+/**
+ * Executa uma ação e a registra no histórico, se ela alterou algum dado.
+ * @param {string} label - Descrição da ação exibida ao usuário.
+ * @param {string[]} keys - Coleções que a ação pode alterar (valores de `ASYNC_STORAGE_KEYS`).
+ * @param {function(): Promise<any>} action - A ação.
+ * @returns {Promise<any>} O resultado da ação.
+ */
+export const runUndoable = (label, keys, action) => {
+  const run = actionQueue.then(() => recordAction(label, keys, action));
+  actionQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Executa a ação registrando as gravações do usuário nas coleções informadas.
+ * @param {string} label - Descrição da ação exibida ao usuário.
+ * @param {string[]} keys - Coleções acompanhadas.
+ * @param {function(): Promise<any>} action - A ação.
+ * @returns {Promise<any>} O resultado da ação.
+ */
+const recordAction = async (label, keys, action) => {
+  const mutations = [];
+  const unsubscribe = subscribeMutations(mutation => {
+    if (keys.includes(mutation.key) && mutation.source === AUDIT_SOURCES.USER) {
+      mutations.push(mutation);
+    }
+  });
+
+  let result;
+  try {
+    result = await action();
+  } finally {
+    unsubscribe();
+  }
+
+  const changes = keys
+    .map(key => ({ key, ...diffMutations(mutations.filter(mutation => mutation.key === key)) }))
+    .filter(change => change.previous.length > 0 || change.addedIds.length > 0);
+  if (changes.length > 0) {
+    history = [...history, { id: Date.now().toString(), label, changes }].slice(-MAX_HISTORY);
+    notify();
+  }
+  return result;
+};
+
+/**
+ * Desfaz a ação mais recente do histórico.
+ * @returns {Promise<UndoCommand|null>} A ação desfeita, ou null se o histórico estiver vazio.
+ */
+export const undoLast = async () => {
+  const command = history[history.length - 1];
+  if (!command) return null;
+  history = history.slice(0, -1);
+  notify();
+
+  for (const { key, previous, addedIds } of command.changes) {
+    const added = new Set(addedIds);
+    await updateCollection(key, list => {
+      const previousById = new Map(previous.map(record => [record.id, record]));
+      const next = list
+        .filter(record => !added.has(record.id))
+        .map(record => {
+          const original = previousById.get(record.id);
+          previousById.delete(record.id);
+          return original || record;
+        });
+      // O que sobrou foi removido pela ação e volta ao fim da lista
+      return [...next, ...previousById.values()];
+    }, { source: AUDIT_SOURCES.UNDO });
+  }
+  return command;
+};
+
+/**
+ * Descarta o histórico (ex: depois de restaurar um backup, quando as versões guardadas deixam de valer).
+ */
+export const clearUndoHistory = () => {
+  history = [];
+  notify();
+};
@@ -0,0 +1,63 @@
+// utils/useFinanceData.js
+
+/**
+ * @file Hooks para consumir as coleções do `financeRepository` nas telas.
+ * Carregam a coleção uma vez e se mantêm atualizados pelas notificações do repositório,
+ * então a tela re-renderiza sozinha quando outra tela grava uma alteração.
+ */
+
+import { useState, useEffect } from 'react';
+import { ASYNC_STORAGE_KEYS } from './constants';
+import { getCollection, peekCollection, subscribe } from './financeRepository';
+
+/**
+ * Assina uma coleção do repositório.
+ * @param {string} key - Chave da coleção (um dos valores de `ASYNC_STORAGE_KEYS`).
+ * @returns {{ data: Array<object>, loading: boolean, error: Error|null }} Estado da coleção.
+ */
+export const useCollection = (key) => {
+  const [data, setData] = useState(() => peekCollection(key) || []);
+  const [loading, setLoading] = useState(() => !peekCollection(key));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    const unsubscribe = subscribe(key, (next) => {
+      if (active) setData(next);
+    });
+
+    getCollection(key)
+      .then((list) => {
+        if (active) setData(list);
+      })
+      .catch((loadError) => {
+        console.error(`useCollection: Erro ao carregar "${key}":`, loadError);
+        if (active) setError(loadError);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [key]);
+
+  return { data, loading, error };
+};
+
+/** Receitas armazenadas (incluindo inativas). */
+export const useIncomes = () => useCollection(ASYNC_STORAGE_KEYS.INCOMES);
+
+/** Despesas armazenadas (incluindo inativas). */
+export const useExpenses = () => useCollection(ASYNC_STORAGE_KEYS.EXPENSES);
+
+/** Cartões armazenados (incluindo inativos). */
+export const useCards = () => useCollection(ASYNC_STORAGE_KEYS.CARDS);
+
+/** Categorias de despesas armazenadas (incluindo arquivadas). */
+export const useCategories = () => useCollection(ASYNC_STORAGE_KEYS.CATEGORIES);
+
+/** Orçamentos mensais de gastos. */
+export const useBudgets = () => useCollection(ASYNC_STORAGE_KEYS.BUDGETS);